@@ -20,3 +20,7 @@ export const PROXIES = [
   'https://cors-anywhere.herokuapp.com/'
 ];
 
+// Default product page for the scheduled proxy health probes (must stay a valid,
+// long-lived listing); the options page can replace it with a page of another store
+export const PROXY_PROBE_URL = 'https://www.amazon.co.jp/dp/B01N3TKJQZ';
+
@@ -18,6 +18,8 @@ class MessageRouter {
    * Notes:
    * - This router wraps handler return values as `{ success: true, data }`.
    * - Handlers should return raw payloads; errors should be thrown to be wrapped.
+   * - Typed errors may carry `code` / `pageType` / `userResolvable`; they are
+   *   forwarded so the popup can react without parsing the message.
    */
 
   /**
@@ -137,6 +139,8 @@ class MessageRouter {
         success: false,
         error: errorDetails.errorMessage,
         errorType: errorDetails.errorType,
+        ...(error?.code ? { errorCode: error.code } : {}),
+        ...(error?.pageType ? { pageType: error.pageType, userResolvable: !!error.userResolvable } : {}),
         timestamp: Date.now()
       });
     }
@@ -14,16 +14,31 @@ import errorHandler from './core/ErrorHandler.js';
 // Import service modules
 import { CacheService } from './services/CacheService.js';
 import { ProxyManagerService } from './services/ProxyManagerService.js';
+import { ReviewHistoryService } from './services/ReviewHistoryService.js';
+import { LibraryStore, LIBRARY_STORAGE_KEY } from './services/LibraryStore.js';
+import { ScheduledRefreshService } from './services/ScheduledRefreshService.js';
+import { MilestoneNotificationService } from './services/MilestoneNotificationService.js';
 import { ImageGenerationService } from './services/ImageGenerationService.js';
 import SocialMediaService from './services/SocialMediaService.js';
 import AmazonScrapingService from './services/AmazonScrapingService.js';
+import { SettingsService } from './services/SettingsService.js';
+import { SelectorRulesStore } from './services/SelectorRulesStore.js';
+import { CustomEndpointStore } from './services/CustomEndpointStore.js';
+import selectorRules from './parsers/SelectorRules.js';
+import { pickMetricCount, normalizeReviewMetric } from '../shared/ReviewMetrics.js';
+import { isSupportedAmazonHost, AMAZON_URL_IN_TEXT_PATTERN } from '../shared/MarketplaceRegistry.js';
 import { DEBUG_MODE } from './config.js';
 
 // Global service instances
 let cacheService;
 let proxyManagerService;
+let reviewHistoryService;
+let libraryStore;
+let scheduledRefreshService;
+let milestoneNotificationService;
 let imageGenerationService;
 let socialMediaService;
+let settingsService;
 
 // Legacy push-model pending share (dataURL based)
 let pendingXShare = null; // { tweetTabId, imageTabId, dataUrl, imageSent }
@@ -93,9 +108,18 @@ function initializeServices() {
   // Initialize base services first
   cacheService = new CacheService();
   proxyManagerService = new ProxyManagerService();
+  reviewHistoryService = new ReviewHistoryService();
+  libraryStore = new LibraryStore();
   
   // Initialize dependent services
-  amazonScrapingService = new AmazonScrapingService(cacheService, proxyManagerService, errorHandler);
+  amazonScrapingService = new AmazonScrapingService(cacheService, proxyManagerService, errorHandler, reviewHistoryService);
+  scheduledRefreshService = new ScheduledRefreshService(amazonScrapingService, libraryStore);
+  milestoneNotificationService = new MilestoneNotificationService(libraryStore, reviewHistoryService);
+
+  // Background refreshes feed milestone detection
+  scheduledRefreshService.onBookRefreshed(({ previous, current }) =>
+    milestoneNotificationService.checkAndNotify(current, previous?.currentReviews)
+  );
   imageGenerationService = new ImageGenerationService();
   socialMediaService = new SocialMediaService(extensionStateManager, errorHandler);
   
@@ -107,9 +131,107 @@ function initializeServices() {
     console.warn('Debug mode configuration failed:', e?.message || e);
   }
 
+  // User settings from the options page (chrome.storage.sync) override config.js
+  settingsService = new SettingsService();
+  settingsService.load()
+    .then(applySettings)
+    .catch((e) => console.warn('Settings load failed:', e?.message || e));
+  settingsService.onChange(applySettings);
+
+  // Selector rule override from the options page replaces bundled parsing rules live
+  const selectorRulesStore = new SelectorRulesStore();
+  selectorRulesStore.load()
+    .then(override => selectorRules.setOverride(override))
+    .catch((e) => console.warn('Selector rules load failed:', e?.message || e));
+  selectorRulesStore.onChange(override => selectorRules.setOverride(override));
+
+  // Custom fetch endpoint (chrome.storage.local, holds API keys) is tried before the proxies
+  const customEndpointStore = new CustomEndpointStore();
+  customEndpointStore.load()
+    .then(endpoint => amazonScrapingService.setCustomEndpoint(endpoint))
+    .catch((e) => console.warn('Custom endpoint load failed:', e?.message || e));
+  customEndpointStore.onChange(endpoint => amazonScrapingService.setCustomEndpoint(endpoint));
+
   console.log('✅ Services initialized successfully');
 }
 
+/**
+ * Apply options-page settings to the running services
+ * @param {Object} settings - Normalized settings from SettingsService
+ */
+function applySettings(settings) {
+  try {
+    proxyManagerService.setProxies(settings.proxies);
+    proxyManagerService.setProbeUrl(settings.probeUrl);
+    amazonScrapingService?.setFetchStrategies(settings.fetchStrategies);
+    cacheService.updateConfig({ defaultTTL: settings.cacheTTLMinutes * 60 * 1000 });
+    if (amazonScrapingService?.setDebugMode) amazonScrapingService.setDebugMode(settings.debugMode);
+    if (socialMediaService?.setDebugMode) socialMediaService.setDebugMode(settings.debugMode);
+    console.log('⚙️ Settings applied:', {
+      proxies: settings.proxies.filter(p => p.enabled).length,
+      fetchStrategies: Object.entries(settings.fetchStrategies).map(([context, s]) => `${context}:${s.strategy}`).join(', '),
+      cacheTTLMinutes: settings.cacheTTLMinutes,
+      debugMode: settings.debugMode
+    });
+  } catch (e) {
+    console.warn('Failed to apply settings:', e?.message || e);
+  }
+}
+
+/**
+ * Push the result of a background revalidation to open extension pages (popup)
+ * @param {string} requestUrl - URL the popup asked for
+ * @param {Object} update - { url, data?, error? } from FetchCoordinator.revalidate
+ */
+function pushRevalidatedData(requestUrl, update) {
+  if (update?.data) checkMilestonesAfterFetch(update.data);
+  chrome.runtime.sendMessage({
+    action: 'amazonDataRevalidated',
+    requestUrl,
+    url: update?.url,
+    data: update?.data || null,
+    error: update?.error || null
+  }).catch(() => {
+    // Popup already closed: nothing to update
+  });
+}
+
+/**
+ * Announce a finished visible-tab fetch (the popup closed when the tab opened)
+ * @param {Object} data - Processed book data (already cached)
+ */
+async function notifyTabFetchDone(data) {
+  if (!chrome.notifications) return;
+  try {
+    await chrome.notifications.create(`krm_tab_fetch|${Date.now()}`, {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+      title: 'Amazon書籍データを取得しました',
+      message: `「${data?.title || '書籍'}」のレビュー数: ${data?.reviewCount ?? 0}件。拡張機能を開いて「取得」を押すと反映されます。`,
+      priority: 0
+    });
+  } catch (error) {
+    console.warn('Tab fetch notification failed:', error?.message || error);
+  }
+}
+
+/**
+ * Start the X share workflow and prime the legacy push-model state
+ * (used by the popup message and the milestone notification button)
+ */
+async function startShareToXWithImage(data, tweetUrl) {
+  const result = await socialMediaService.shareToXWithImage(data, tweetUrl);
+  // Initialize legacy push-model pending share state
+  pendingXShare = {
+    tweetTabId: result?.tweetTabId || null,
+    imageTabId: result?.imageTabId || null,
+    dataUrl: null,
+    imageSent: false
+  };
+  console.log('🧭 Pending X share initialized:', pendingXShare);
+  return result;
+}
+
 /**
  * Register service-based message handlers
  */
@@ -120,16 +242,7 @@ function registerServiceHandlers() {
   messageRouter.registerHandler('shareToXWithImage', async (request) => {
     try {
       console.log('🎯 Handling shareToXWithImage with SocialMediaService');
-      const result = await socialMediaService.shareToXWithImage(request.data, request.tweetUrl);
-      // Initialize legacy push-model pending share state
-      pendingXShare = {
-        tweetTabId: result?.tweetTabId || null,
-        imageTabId: result?.imageTabId || null,
-        dataUrl: null,
-        imageSent: false
-      };
-      console.log('🧭 Pending X share initialized:', pendingXShare);
-      return result;
+      return await startShareToXWithImage(request.data, request.tweetUrl);
     } catch (error) {
       console.error('❌ shareToXWithImage failed:', error);
       throw error;
@@ -168,7 +281,13 @@ function registerServiceHandlers() {
   messageRouter.registerHandler('fetchAmazonData', async (request) => {
     try {
       console.log('🔍 Handling fetchAmazonData with AmazonScrapingService');
-      const result = await amazonScrapingService.fetchBookData(request.url);
+      const result = await amazonScrapingService.fetchBookData(request.url, {
+        staleWhileRevalidate: !!request.staleWhileRevalidate,
+        onRevalidated: (update) => pushRevalidatedData(request.url, update),
+        combineEditions: !!request.combineEditions
+      });
+      // Stale data is older than what the library already has
+      if (!result?.stale) checkMilestonesAfterFetch(result);
       return result;
     } catch (error) {
       console.error('❌ fetchAmazonData failed:', error);
@@ -176,6 +295,131 @@ function registerServiceHandlers() {
     }
   });
 
+  // Amazon data via a visible tab: the user gets past a CAPTCHA / sign-in page themselves
+  messageRouter.registerHandler('fetchAmazonDataInTab', async (request) => {
+    try {
+      console.log('🧑 Handling fetchAmazonDataInTab with AmazonScrapingService');
+      const result = await amazonScrapingService.fetchBookData(request.url, { interactiveTab: true });
+      // Popup is usually closed by now: push in case it is open, notify otherwise
+      pushRevalidatedData(request.url, { url: result?.normalizedUrl, data: result });
+      notifyTabFetchDone(result);
+      return result;
+    } catch (error) {
+      console.error('❌ fetchAmazonDataInTab failed:', error);
+      throw error;
+    }
+  });
+
+  // Review history: manual samples from the popup
+  messageRouter.registerHandler('recordReviewSample', async (request) => {
+    try {
+      // Manual samples are counted in the book's goal metric
+      return await reviewHistoryService.append(request.asin, {
+        count: request.count,
+        [normalizeReviewMetric(request.metric)]: request.count,
+        rating: request.rating,
+        source: request.source || 'manual',
+        timestamp: request.timestamp
+      }, { combined: !!request.combined });
+    } catch (error) {
+      console.error('❌ recordReviewSample failed:', error);
+      throw error;
+    }
+  });
+
+  // Review history: range query for charts/forecasting
+  messageRouter.registerHandler('getReviewHistory', async (request) => {
+    try {
+      return await reviewHistoryService.query(request.asin, {
+        from: request.from,
+        to: request.to,
+        limit: request.limit
+      }, { combined: !!request.combined });
+    } catch (error) {
+      console.error('❌ getReviewHistory failed:', error);
+      throw error;
+    }
+  });
+
+  // Review history: a book removed from the library takes its history along
+  messageRouter.registerHandler('clearReviewHistory', async (request) => {
+    try {
+      return await reviewHistoryService.clear(request.asin);
+    } catch (error) {
+      console.error('❌ clearReviewHistory failed:', error);
+      throw error;
+    }
+  });
+
+  // Milestone notification settings
+  messageRouter.registerHandler('getMilestoneSettings', async () => {
+    try {
+      return await milestoneNotificationService.getSettings();
+    } catch (error) {
+      console.error('❌ getMilestoneSettings failed:', error);
+      throw error;
+    }
+  });
+
+  messageRouter.registerHandler('updateMilestoneSettings', async (request) => {
+    try {
+      return await milestoneNotificationService.updateSettings(request.settings || {});
+    } catch (error) {
+      console.error('❌ updateMilestoneSettings failed:', error);
+      throw error;
+    }
+  });
+
+  // Scheduled refresh settings (interval / pause)
+  messageRouter.registerHandler('getRefreshSettings', async () => {
+    try {
+      return await scheduledRefreshService.getStatus();
+    } catch (error) {
+      console.error('❌ getRefreshSettings failed:', error);
+      throw error;
+    }
+  });
+
+  messageRouter.registerHandler('updateRefreshSettings', async (request) => {
+    try {
+      return await scheduledRefreshService.updateSettings(request.settings || {});
+    } catch (error) {
+      console.error('❌ updateRefreshSettings failed:', error);
+      throw error;
+    }
+  });
+
+  // Proxy health and circuit breakers (options page)
+  messageRouter.registerHandler('getProxyStatus', async () => {
+    try {
+      await proxyManagerService.whenReady();
+      return proxyManagerService.getStatusSummary();
+    } catch (error) {
+      console.error('❌ getProxyStatus failed:', error);
+      throw error;
+    }
+  });
+
+  messageRouter.registerHandler('probeProxies', async () => {
+    try {
+      await proxyManagerService.runHealthProbes({ force: true });
+      return proxyManagerService.getStatusSummary();
+    } catch (error) {
+      console.error('❌ probeProxies failed:', error);
+      throw error;
+    }
+  });
+
+  messageRouter.registerHandler('resetProxyBreakers', async () => {
+    try {
+      proxyManagerService.refreshAllProxies();
+      return proxyManagerService.getStatusSummary();
+    } catch (error) {
+      console.error('❌ resetProxyBreakers failed:', error);
+      throw error;
+    }
+  });
+
   // Content script on X compose page signals readiness
   messageRouter.registerHandler('xTweetPageReady', async (_request, sender) => {
     try {
@@ -211,6 +455,25 @@ function registerServiceHandlers() {
   console.log('✅ Service handlers registered successfully');
 }
 
+/**
+ * Compare a popup-initiated fetch with the stored count (fire-and-forget)
+ * @param {Object} result - BookDataDTO
+ */
+function checkMilestonesAfterFetch(result) {
+  if (!result?.asin || typeof result.reviewCount !== 'number') return;
+  libraryStore.getBook(result.asin)
+    .then((book) => {
+      if (!book) return null;
+      const current = pickMetricCount(result, book.goalMetric);
+      if (current === null) return null;
+      return milestoneNotificationService.checkAndNotify(
+        { ...book, currentReviews: current },
+        book.currentReviews
+      );
+    })
+    .catch((error) => console.warn('Milestone check failed:', error?.message || error));
+}
+
 /**
  * Set up extension lifecycle handlers
  */
@@ -270,14 +533,60 @@ function setupExtensionLifecycle() {
 
   // Ensure context menu exists on each startup/sw wake
   try { createOrUpdateContextMenu(); } catch {}
+
+  // Scheduled refresh, proxy health probes and the worker tab idle close: listener must be registered on every SW wake
+  if (chrome.alarms) {
+    chrome.alarms.onAlarm.addListener((alarm) => {
+      scheduledRefreshService?.handleAlarm(alarm).catch((error) => {
+        errorHandler.handle(error, 'SCHEDULED_REFRESH', { operation: 'alarm_refresh', alarm: alarm?.name });
+      });
+      proxyManagerService?.handleAlarm(alarm).catch((error) => {
+        console.warn('Proxy health probe failed:', error?.message || error);
+      });
+      amazonScrapingService?.handleAlarm(alarm).catch((error) => {
+        console.warn('Worker tab close failed:', error?.message || error);
+      });
+    });
+    scheduledRefreshService?.initialize().catch((error) => {
+      console.warn('Scheduled refresh initialization failed:', error?.message || error);
+    });
+    proxyManagerService?.initializeHealthProbes((proxy, url) => amazonScrapingService.probeProxy(proxy, url)).catch((error) => {
+      console.warn('Proxy health probe initialization failed:', error?.message || error);
+    });
+  }
+
+  // Milestone notification "share now" button
+  if (chrome.notifications) {
+    chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
+      const asin = milestoneNotificationService?.parseNotificationId(notificationId);
+      if (!asin || buttonIndex !== 0) return;
+      try {
+        chrome.notifications.clear(notificationId);
+        const share = await milestoneNotificationService.buildShareRequest(asin);
+        if (!share) throw new Error(`Book not found: ${asin}`);
+        await startShareToXWithImage(share.data, share.tweetUrl);
+      } catch (error) {
+        errorHandler.handle(error, 'X_SHARING', {
+          operation: 'milestone_share',
+          asin
+        });
+      }
+    });
+  }
+
+  // Keep the badge in sync with popup edits / book switches
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[LIBRARY_STORAGE_KEY]) {
+      scheduledRefreshService?.updateBadge();
+    }
+  });
   
   // Context menu click handler
   if (chrome.contextMenus) {
     const isAmazonProductUrl = (url) => {
       try {
         const u = new URL(url);
-        const host = u.hostname;
-        if (!/amazon\.(co\.jp|com)$/i.test(host) && !/\.amazon\.(co\.jp|com)$/i.test(host)) return false;
+        if (!isSupportedAmazonHost(u.hostname)) return false;
         
         // Enhanced URL patterns to support more Amazon product page formats
         const productPatterns = [
@@ -296,7 +605,7 @@ function setupExtensionLifecycle() {
       if (!text) return null;
       try {
         // Find first URL-like substring
-        const matches = text.match(/https?:\/\/[\w.-]*amazon\.(?:co\.jp|com)[^\s)"']+/i);
+        const matches = text.match(AMAZON_URL_IN_TEXT_PATTERN);
         if (matches && matches[0] && isAmazonProductUrl(matches[0])) {
           return matches[0];
         }
@@ -8,10 +8,17 @@
  * - Extract titles, authors, images, and metadata
  * 
  * Extracted from: parseAmazonHTML function (428 lines → organized into focused methods)
+ * Patterns live in the selector rule set (SelectorRules.js fields title / author / imageUrl).
  */
 
+import selectorRules from './SelectorRules.js';
+
 export default class AmazonHTMLParser {
-  constructor() {
+  /**
+   * @param {SelectorRuleEngine} rules - Selector rules (shared instance by default)
+   */
+  constructor(rules = selectorRules) {
+    this.rules = rules;
     this.parseStartTime = null;
     this.debugMode = true; // Enable detailed logging for development
   }
@@ -24,12 +31,13 @@ export default class AmazonHTMLParser {
    */
   parse(html, url) {
     this.parseStartTime = Date.now();
+    const context = { url };
     
     try {
       const result = {
-        title: this.extractTitle(html),
-        author: this.extractAuthors(html),
-        imageUrl: this.extractImageUrl(html),
+        title: this.extractTitle(html, context),
+        author: this.extractAuthors(html, context),
+        imageUrl: this.extractImageUrl(html, context),
         url: url,
         extractedAt: new Date().toISOString(),
         parseTime: null // Will be set at the end
@@ -89,57 +97,50 @@ export default class AmazonHTMLParser {
   }
 
   /**
-   * Find content using multiple selector patterns
-   * @param {string} html - HTML to search
-   * @param {RegExp[]} selectorPatterns - Array of regex patterns
+   * Pick the first usable value from selector rule candidates
+   * @param {Iterable<{value: string, rule: Object}>} candidates - SelectorRuleEngine.candidates() output
    * @param {string} contentType - Type of content being extracted (for debugging)
    * @returns {string|null} Found content or null
    */
-  findBySelector(html, selectorPatterns, contentType = 'general') {
-    for (let i = 0; i < selectorPatterns.length; i++) {
-      const pattern = selectorPatterns[i];
-      const match = html.match(pattern);
+  findBySelector(candidates, contentType = 'general') {
+    for (const { value, rule } of candidates) {
+      const rawContent = String(value);
+      let content = this.extractTextContent(rawContent)
+        .replace(/\s*[-–|:]\s*Amazon.*$/i, '') // Remove Amazon suffix
+        .trim();
       
-      if (match && match[1]) {
-        const rawContent = match[1];
-        let content = this.extractTextContent(rawContent)
-          .replace(/\s*[-–|:]\s*Amazon.*$/i, '') // Remove Amazon suffix
-          .trim();
+      // Enhanced debug logging for all content types
+      if (this.debugMode) {
+        console.log(`🔍 ${contentType} rule ${rule.id} matched:`, {
+          rawMatch: rawContent.substring(0, 200),
+          extractedText: content.substring(0, 200),
+          textLength: content.length
+        });
         
-        // Enhanced debug logging for all content types
-        if (this.debugMode) {
-          console.log(`🔍 ${contentType} pattern ${i + 1} matched:`, {
-            patternSource: pattern.source.substring(0, 100) + '...',
-            rawMatch: rawContent.substring(0, 200),
-            extractedText: content.substring(0, 200),
-            textLength: content.length
-          });
-          
-          const originalContent = content;
-          content = this.cleanAuthorName(content);
-          
-          console.log(`🧹 Author cleaning result:`, {
-            before: originalContent,
-            after: content,
-            isValid: !!content && content.length >= 2
-          });
-          
-          // Basic filtering only for obvious non-author content
-          if (!content || content.length < 2 || 
-              /^(follow|フォロー|amazon|kindle|error|not found)$/i.test(content)) {
-            console.log(`❌ Skipping invalid author content: "${content}"`);
-            continue;
-          }
-        }
+        const originalContent = content;
+        content = this.cleanAuthorName(content);
         
-        // Quick validation
-        if (content.length >= 2 && content.length <= 300 && 
-            !/^(amazon|kindle|book|title|error|not found)$/i.test(content)) {
-          if (contentType === 'author' && this.debugMode) {
-            console.log(`✅ Selected author: "${content}"`);
-          }
-          return content;
+        console.log(`🧹 Author cleaning result:`, {
+          before: originalContent,
+          after: content,
+          isValid: !!content && content.length >= 2
+        });
+        
+        // Basic filtering only for obvious non-author content
+        if (!content || content.length < 2 || 
+            /^(follow|フォロー|amazon|kindle|error|not found)$/i.test(content)) {
+          console.log(`❌ Skipping invalid author content: "${content}"`);
+          continue;
+        }
+      }
+      
+      // Quick validation
+      if (content.length >= 2 && content.length <= 300 && 
+          !/^(amazon|kindle|book|title|error|not found)$/i.test(content)) {
+        if (contentType === 'author' && this.debugMode) {
+          console.log(`✅ Selected author: "${content}"`);
         }
+        return content;
       }
     }
     
@@ -229,10 +230,12 @@ export default class AmazonHTMLParser {
 
   /**
    * Extract all authors from HTML and combine them
+   * The rule set bounds the search to the byline and strips follow buttons first.
    * @param {string} html - HTML content
+   * @param {Object} [context] - { url } for marketplace-specific rules
    * @returns {string} Combined author names
    */
-  extractAuthors(html) {
+  extractAuthors(html, context = {}) {
     const authors = [];
     
     const pushAuthor = (name) => {
@@ -253,32 +256,17 @@ export default class AmazonHTMLParser {
       }
     };
 
-    // 1) Build a bounded byline region around id="bylineInfo"
-    let region = '';
-    const idxByline = html.indexOf('id="bylineInfo"');
-    if (idxByline !== -1) {
-      region = html.slice(Math.max(0, idxByline - 200), idxByline + 2000);
-    } else {
-      const idxFeature = html.indexOf('bylineInfo_feature_div');
-      if (idxFeature !== -1) {
-        region = html.slice(Math.max(0, idxFeature - 200), idxFeature + 3000);
-      } else {
-        region = html; // last resort only
+    // Author links → byline spans → label / class fallbacks (rule priority order)
+    try {
+      for (const { value } of this.rules.candidates(html, 'author', context)) {
+        const candidate = this.extractTextContent(value);
+        if (candidate && candidate.length >= 2) {
+          pushAuthor(candidate);
+        }
       }
+    } catch (e) {
+      console.warn('Author rule matching failed:', e);
     }
-    
-    // Clean HTML to remove follow-related content
-    const cleanRegex = /<[^>]*data-action="follow"[^>]*>[\s\S]*?<\/[^>]*>|<a[^>]*aria-label="[^"]*(?:フォロー|follow)[^"]*"[^>]*>[\s\S]*?<\/a>|<a[^>]*>[\s\S]*?(?:をフォロー|フォロー|follow)[\s\S]*?<\/a>/ig;
-    const workHtml = region.replace(cleanRegex, '');
-
-    // 2) Extract from anchor tags with author classes
-    this.extractAuthorsFromAnchors(workHtml, pushAuthor);
-    
-    // 3) Extract from span wrappers
-    this.extractAuthorsFromSpans(workHtml, pushAuthor);
-    
-    // 4) Fallback patterns
-    this.extractAuthorsFromFallbackPatterns(workHtml, pushAuthor);
 
     // Combine all found authors
     const result = authors.map(a => a.name).join('、');
@@ -290,91 +278,6 @@ export default class AmazonHTMLParser {
     return result || null;
   }
 
-  /**
-   * Extract authors from anchor tags
-   * @private
-   */
-  extractAuthorsFromAnchors(html, pushAuthor) {
-    const anchorRegexes = [
-      // Standard author link patterns
-      /<a[^>]*class="[^"]*contributorNameID[^"]*"[^>]*>([\s\S]*?)<\/a>/ig,
-      /<a[^>]*class="[^"]*(?:by-author|author)[^"]*"[^>]*>([\s\S]*?)<\/a>/ig,
-      
-      // Kindle-specific author patterns
-      /<a[^>]*class="[^"]*a-link-normal[^"]*"[^>]*href="[^"]*\/author\/[^"]*"[^>]*>([\s\S]*?)<\/a>/ig,
-      /<a[^>]*href="[^"]*\/e\/[A-Z0-9]+[^"]*"[^>]*>([\s\S]*?)<\/a>/ig,
-      
-      // Meta property patterns for authors
-      /<meta[^>]*property=["']book:author["'][^>]*content=["']([^"']+)["'][^>]*>/ig,
-      /<meta[^>]*name=["']author["'][^>]*content=["']([^"']+)["'][^>]*>/ig
-    ];
-    
-    for (const rx of anchorRegexes) {
-      try {
-        const matches = [...html.matchAll(rx)];
-        for (const match of matches) {
-          if (match && match[1]) {
-            pushAuthor(this.extractTextContent(match[1]));
-          }
-        }
-      } catch (e) {
-        console.warn('Regex matching failed for anchor patterns:', e);
-      }
-    }
-  }
-
-  /**
-   * Extract authors from span wrappers
-   * @private
-   */
-  extractAuthorsFromSpans(html, pushAuthor) {
-    const spanRegexes = [
-      /<span[^>]*class="[^"]*author[^"]*notFaded[^"]*"[^>]*>([\s\S]*?)<\/span>/ig,
-      /<span[^>]*class="[^"]*a-link-normal[^"]*contributorNameID[^"]*"[^>]*>([\s\S]*?)<\/span>/ig
-    ];
-    
-    for (const rx of spanRegexes) {
-      try {
-        const matches = [...html.matchAll(rx)];
-        for (const match of matches) {
-          if (match && match[1]) {
-            pushAuthor(this.extractTextContent(match[1]));
-          }
-        }
-      } catch (e) {
-        console.warn('Regex matching failed for span patterns:', e);
-      }
-    }
-  }
-
-  /**
-   * Extract authors using fallback patterns
-   * @private
-   */
-  extractAuthorsFromFallbackPatterns(html, pushAuthor) {
-    const fallbackPatterns = [
-      /(?:著者|作者|by|author)[：:]\s*([^\n<>]{2,50})/ig,
-      /class="[^"]*contributor[^"]*"[^>]*>([^<]{2,50})</ig,
-      /data-asin="[^"]*"[^>]*>([^<]{2,30})</ig
-    ];
-    
-    for (const pattern of fallbackPatterns) {
-      try {
-        const matches = [...html.matchAll(pattern)];
-        for (const match of matches) {
-          if (match && match[1]) {
-            const candidate = this.extractTextContent(match[1]);
-            if (candidate && candidate.length >= 2) {
-              pushAuthor(candidate);
-            }
-          }
-        }
-      } catch (e) {
-        console.warn('Regex matching failed for fallback patterns:', e);
-      }
-    }
-  }
-
   // ============================================================================
   // TITLE AND IMAGE EXTRACTION
   // ============================================================================
@@ -382,63 +285,27 @@ export default class AmazonHTMLParser {
   /**
    * Extract book title from HTML
    * @param {string} html - HTML content
+   * @param {Object} [context] - { url } for marketplace-specific rules
    * @returns {string|null} Book title
    */
-  extractTitle(html) {
-    const titlePatterns = [
-      // Standard Amazon product title
-      /<span[^>]*id="productTitle"[^>]*>([^<]+)<\/span>/i,
-      /<h1[^>]*class="[^"]*a-size-large[^"]*"[^>]*>([^<]+)<\/h1>/i,
-      
-      // Kindle-specific title patterns
-      /<h1[^>]*id="title"[^>]*>([^<]+)<\/h1>/i,
-      /<span[^>]*class="[^"]*kindle-[^"]*title[^"]*"[^>]*>([^<]+)<\/span>/i,
-      
-      // Meta and title tag fallbacks
-      /<meta[^>]*property=["']og:title["'][^>]*content=["']([^"']+)["'][^>]*>/i,
-      /<meta[^>]*name=["']twitter:title["'][^>]*content=["']([^"']+)["'][^>]*>/i,
-      /<title>\s*([^<]+?)\s*[-–|:]\s*Amazon/i,
-      /<title>([^<]+?)\s*</i,
-      
-      // Generic fallbacks
-      /<h1[^>]*>([^<]+)<\/h1>/i,
-      /<h2[^>]*class="[^"]*title[^"]*"[^>]*>([^<]+)<\/h2>/i
-    ];
-
-    return this.findBySelector(html, titlePatterns, 'title');
+  extractTitle(html, context = {}) {
+    return this.findBySelector(this.rules.candidates(html, 'title', context), 'title');
   }
 
   /**
    * Extract book cover image URL
    * @param {string} html - HTML content
+   * @param {Object} [context] - { url } for marketplace-specific rules
    * @returns {string|null} Image URL
    */
-  extractImageUrl(html) {
-    const imagePatterns = [
-      // Standard Amazon product images
-      /<img[^>]*id="landingImage"[^>]*src="([^"]+)"/i,
-      /<img[^>]*data-old-hires="([^"]+)"/i,
-      /<img[^>]*data-a-dynamic-image="[^"]*([^"]+\.jpg)[^"]*"/i,
-      
-      // Kindle-specific image patterns
-      /<img[^>]*id="ebooksImgBlkFront"[^>]*src="([^"]+)"/i,
-      /<img[^>]*class="[^"]*kindle-[^"]*image[^"]*"[^>]*src="([^"]+)"/i,
-      
-      // Meta property fallbacks
-      /<meta[^>]*property=["']og:image["'][^>]*content=["']([^"']+)["'][^>]*>/i,
-      /<meta[^>]*name=["']twitter:image["'][^>]*content=["']([^"']+)["'][^>]*>/i,
-      
-      // Dynamic image patterns
-      /<img[^>]*class="[^"]*a-dynamic-image[^"]*"[^>]*src="([^"]+)"/i,
-      /<img[^>]*data-src="([^"]+)"/i
-    ];
-
-    const imageUrl = this.findBySelector(html, imagePatterns, 'image');
-    
-    // Clean up image URL if found
-    if (imageUrl) {
-      // Remove Amazon URL parameters for cleaner URLs
-      return imageUrl.replace(/\._[A-Z0-9_,]+_\./, '.').split('?')[0];
+  extractImageUrl(html, context = {}) {
+    // Not findBySelector: its title cleanup cuts URLs at "-amazon" (m.media-amazon.com)
+    for (const { value } of this.rules.candidates(html, 'imageUrl', context)) {
+      const imageUrl = String(value).replace(/&amp;/g, '&').trim();
+      if (/^https?:\/\//i.test(imageUrl)) {
+        // Remove Amazon URL parameters for cleaner URLs
+        return imageUrl.replace(/\._[A-Z0-9_,]+_\./, '.').split('?')[0];
+      }
     }
     
     return null;
@@ -5,9 +5,31 @@
  * - Extract structured metadata from Amazon pages
  * - Handle JSON-LD, microdata, and other structured data
  * - Extract review counts, ratings, and other metrics
+ * - Extract the Best Sellers Rank block (overall + per-category ranks, JP/US)
+ * - Detect the page's format, Kindle Unlimited availability and sibling editions
  * - Normalize and validate extracted metadata
+ *
+ * Counts, ratings, prices and the rank block follow the page's store (MarketplaceRegistry.js);
+ * book detail labels (出版社, 言語, ...) are still Japanese only.
  */
 
+import {
+  getMarketplace,
+  keywordPatterns,
+  formatKeywordPatterns,
+  parseCount,
+  parseRankLine
+} from '../../shared/MarketplaceRegistry.js';
+
+// Detail bullet: <span class="a-text-bold">出版社 ‏ : ‎ </span><span>青葉書房</span>
+// (bidi marks around the colon keep the plain "出版社：" patterns from matching)
+function detailBulletPattern(label) {
+  return new RegExp(`<span[^>]*class="a-text-bold"[^>]*>\\s*(?:${label})[\\s\\u200e\\u200f:：]*</span>\\s*<span[^>]*>([^<]+)</span>`, 'i');
+}
+
+// Format keys shared by the DTO, combined-editions mode and the popup
+export const BOOK_FORMATS = ['kindle', 'paperback', 'hardcover', 'audible', 'other'];
+
 export default class MetadataExtractor {
   constructor() {
     this.debugMode = true;
@@ -21,6 +43,7 @@ export default class MetadataExtractor {
    */
   extractAll(html, url) {
     try {
+      const editions = this.extractEditions(html);
       const metadata = {
         // Basic metadata
         isbn: this.extractISBN(html),
@@ -29,12 +52,12 @@ export default class MetadataExtractor {
         publicationDate: this.extractPublicationDate(html),
         
         // Review data
-        reviewCount: this.extractReviewCount(html),
-        averageRating: this.extractAverageRating(html),
+        reviewCount: this.extractReviewCount(html, url),
+        averageRating: this.extractAverageRating(html, url),
         
         // Pricing
         price: this.extractPrice(html),
-        currency: this.extractCurrency(html),
+        currency: this.extractCurrency(html, url),
         
         // Categories
         categories: this.extractCategories(html),
@@ -42,6 +65,14 @@ export default class MetadataExtractor {
         // Technical details
         pageCount: this.extractPageCount(html),
         language: this.extractLanguage(html),
+
+        // Ranking
+        bestSellersRank: this.extractBestSellersRank(html, url),
+
+        // Format / editions
+        format: this.extractFormat(html, editions),
+        kindleUnlimited: this.extractKindleUnlimited(html),
+        editions,
         
         // Structured data
         jsonLD: this.extractJSONLD(html),
@@ -82,6 +113,8 @@ export default class MetadataExtractor {
    */
   extractISBN(html) {
     const isbnPatterns = [
+      detailBulletPattern('ISBN-13'),
+      detailBulletPattern('ISBN-10'),
       /ISBN-?1[03]:\s*([0-9-]{10,17})/i,
       /ISBN:\s*([0-9-]{10,17})/i,
       /"isbn":\s*"([0-9-]{10,17})"/i,
@@ -139,13 +172,15 @@ export default class MetadataExtractor {
    */
   extractPublisher(html) {
     const publisherPatterns = [
+      detailBulletPattern('出版社'),
       /<span[^>]*>出版社[：:]\s*([^<]+)<\/span>/i,
       /<td[^>]*>出版社<\/td>\s*<td[^>]*>([^<]+)<\/td>/i,
       /"publisher":\s*"([^"]+)"/i,
       /出版社[：:]?\s*([^\n<>]{2,50})/i
     ];
 
-    return this.findByPattern(html, publisherPatterns, 'publisher');
+    // Detail bullets append the release date: "青葉書房 (2024/5/20)"
+    return this.findByPattern(html, publisherPatterns, 'publisher')?.replace(/\s*\([^()]*\d[^()]*\)$/, '') || null;
   }
 
   /**
@@ -155,6 +190,7 @@ export default class MetadataExtractor {
    */
   extractPublicationDate(html) {
     const datePatterns = [
+      detailBulletPattern('発売日'),
       /<span[^>]*>発売日[：:]\s*([0-9年月日\/\-\s]+)<\/span>/i,
       /<td[^>]*>発売日<\/td>\s*<td[^>]*>([^<]+)<\/td>/i,
       /"datePublished":\s*"([^"]+)"/i,
@@ -167,41 +203,41 @@ export default class MetadataExtractor {
   /**
    * Extract review count
    * @param {string} html - HTML content
+   * @param {string} [url] - Page URL (store wording and number format)
    * @returns {number|null} Review count
    */
-  extractReviewCount(html) {
+  extractReviewCount(html, url = null) {
     const reviewCountPatterns = [
       /<span[^>]*id="acrCustomerReviewText"[^>]*>([0-9,]+)\s*個の評価<\/span>/i,
       /<span[^>]*>([0-9,]+)\s*個の評価<\/span>/i,
       /"reviewCount":\s*([0-9]+)/i,
       /([0-9,]+)\s*件のカスタマーレビュー/i,
-      /([0-9,]+)\s*customer review/i
+      /([0-9,]+)\s*customer review/i,
+      keywordPatterns(url).ratingsCount
     ];
 
     const result = this.findByPattern(html, reviewCountPatterns, 'reviewCount');
-    if (result) {
-      const number = result.replace(/[^0-9]/g, '');
-      return number ? parseInt(number, 10) : null;
-    }
-    return null;
+    return result ? parseCount(result, url) : null;
   }
 
   /**
    * Extract average rating
    * @param {string} html - HTML content
+   * @param {string} [url] - Page URL (store wording: "4,5 von 5 Sternen", ...)
    * @returns {number|null} Average rating
    */
-  extractAverageRating(html) {
+  extractAverageRating(html, url = null) {
     const ratingPatterns = [
       /<span[^>]*class="[^"]*a-icon-alt[^"]*"[^>]*>5つ星のうち([0-9.]+)</i,
       /"ratingValue":\s*([0-9.]+)/i,
       /平均評価\s*([0-9.]+)/i,
-      /([0-9.]+)\s*out of 5 stars/i
+      /([0-9.]+)\s*out of 5 stars/i,
+      ...keywordPatterns(url).averageRating
     ];
 
     const result = this.findByPattern(html, ratingPatterns, 'rating');
     if (result) {
-      const rating = parseFloat(result);
+      const rating = parseFloat(result.replace(',', '.'));
       return !isNaN(rating) ? rating : null;
     }
     return null;
@@ -209,11 +245,14 @@ export default class MetadataExtractor {
 
   /**
    * Extract price information
+   * The first a-price block's screen-reader text keeps the fraction ("$9.99", "9,99 €");
+   * DataProcessor parses it in the store's number format.
    * @param {string} html - HTML content
    * @returns {string|null} Price
    */
   extractPrice(html) {
     const pricePatterns = [
+      /<span[^>]*class="[^"]*\ba-price\b[^"]*"[^>]*>\s*<span[^>]*class="[^"]*a-offscreen[^"]*"[^>]*>([^<]*\d[^<]*)<\/span>/i,
       /<span[^>]*class="[^"]*a-price-whole[^"]*"[^>]*>([^<]+)<\/span>/i,
       /<span[^>]*class="[^"]*a-offscreen[^"]*"[^>]*>￥([0-9,]+)<\/span>/i,
       /"price":\s*"￥([0-9,]+)"/i,
@@ -226,9 +265,13 @@ export default class MetadataExtractor {
   /**
    * Extract currency
    * @param {string} html - HTML content  
+   * @param {string} [url] - Page URL (a registered store prices in its own currency)
    * @returns {string|null} Currency
    */
-  extractCurrency(html) {
+  extractCurrency(html, url = null) {
+    const marketplace = getMarketplace(url);
+    if (marketplace) return marketplace.currency;
+
     // For Amazon JP, usually JPY
     if (html.includes('￥') || html.includes('JPY')) {
       return 'JPY';
@@ -251,7 +294,7 @@ export default class MetadataExtractor {
     const breadcrumbMatches = html.matchAll(/<a[^>]*href="[^"]*node=[^"]*"[^>]*>([^<]+)<\/a>/gi);
     for (const match of breadcrumbMatches) {
       if (match[1] && match[1].trim()) {
-        categories.push(match[1].trim());
+        categories.push(match[1].trim().replace(/&amp;/g, '&'));
       }
     }
 
@@ -292,6 +335,7 @@ export default class MetadataExtractor {
    */
   extractLanguage(html) {
     const langPatterns = [
+      detailBulletPattern('言語'),
       /<span[^>]*>言語[：:]\s*([^<]+)<\/span>/i,
       /"inLanguage":\s*"([^"]+)"/i,
       /言語[：:]?\s*([^\n<>]{2,20})/i
@@ -300,6 +344,138 @@ export default class MetadataExtractor {
     return this.findByPattern(html, langPatterns, 'language');
   }
 
+  /**
+   * Extract the "Amazon 売れ筋ランキング" / "Best Sellers Rank" block
+   * JP: "Kindleストア 有料タイトル - 1,234位", "- 12位日本の小説", "日本の小説で12位"
+   * US: "#1,234 in Kindle Store (See Top 100 ...)", "#12 in Literary Fiction"
+   * Other stores: heading and line formats from MarketplaceRegistry ("Nr. 1.234 in Kindle-Shop", ...)
+   * @param {string} html - HTML content
+   * @param {string} [url] - Page URL
+   * @returns {{overall: {rank: number, category: string}|null, categories: Array<{rank: number, category: string}>}|null}
+   */
+  extractBestSellersRank(html, url = null) {
+    const keywords = keywordPatterns(url);
+    const start = html.search(keywords.bestSellersRank);
+    if (start < 0) return null;
+
+    // The block ends with its category list (or the surrounding row/item)
+    const rest = html.slice(start, start + 6000);
+    const end = rest.search(/<\/ul>|<\/tr>|<\/div>\s*<\/div>/i);
+    const block = end > 0 ? rest.slice(0, end) : rest.slice(0, 3000);
+
+    const lines = block
+      .replace(/<(?:br|\/li|li|\/span|ul)[^>]*>/gi, '\n')
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&amp;/g, '&')
+      .replace(new RegExp(`\\([^()]*(?:${keywords.seeTop.source})[^()]*\\)`, 'gi'), '')
+      .replace(new RegExp(`^(?:Amazon\\s*)?(?:売れ筋ランキング|${keywords.bestSellersRank.source})\\s*[:：]?`, 'i'), '')
+      .split(/\n|(?=#[\d,]+\s+in\s)/)
+      .map(line => line.replace(/\s+/g, ' ').replace(/^[\s\-–:：]+|[\s\-–]+$/g, '').trim())
+      .filter(Boolean);
+
+    const ranks = [];
+    for (const line of lines) {
+      const entry = parseRankLine(line, url);
+      if (entry && !ranks.some(r => r.rank === entry.rank && r.category === entry.category)) {
+        ranks.push(entry);
+      }
+    }
+    if (ranks.length === 0) return null;
+
+    const [overall, ...categories] = ranks;
+    if (this.debugMode) {
+      console.log('📊 Found bestSellersRank:', { overall, categories: categories.length });
+    }
+    return { overall, categories };
+  }
+
+  /**
+   * Format of the page's edition
+   * Order: selected format swatch → subtitle / binding line → byline "形式" / "Format".
+   * @param {string} html - HTML content
+   * @param {Array<Object>} [editions] - extractEditions() result, if already parsed
+   * @returns {string|null} One of BOOK_FORMATS or null
+   */
+  extractFormat(html, editions = this.extractEditions(html)) {
+    const selected = editions.find(e => e.selected);
+    if (selected?.format && selected.format !== 'other') return selected.format;
+
+    const label = this.findByPattern(html, [
+      /<[^>]*id="productSubtitle"[^>]*>([^<]+)</i,
+      /<[^>]*id="productBinding"[^>]*>([^<]+)</i,
+      /(?:形式|Format)\s*[:：]\s*(?:<[^>]*>\s*)*([^<\n]{2,40})/i
+    ], 'format');
+    return label ? this.classifyFormat(label) : (selected?.format || null);
+  }
+
+  /**
+   * Whether the edition can be read with Kindle Unlimited
+   * @param {string} html - HTML content
+   * @returns {boolean} True when a KU badge / offer is on the page
+   */
+  extractKindleUnlimited(html) {
+    const patterns = [
+      /id="[^"]*(?:ku-?upsell|kuBadge|kindle-?unlimited)[^"]*"/i,
+      /alt="[^"]*Kindle\s*Unlimited[^"]*"/i,
+      /Kindle\s*Unlimited[^<]{0,80}(?:読み放題|で読める|Read for (?:Free|\$0)|Read with)/i,
+      /(?:読み放題|Read for (?:Free|\$0))[^<]{0,40}Kindle\s*Unlimited/i
+    ];
+    const found = patterns.some(re => re.test(html));
+    if (found && this.debugMode) console.log('📊 Found Kindle Unlimited availability');
+    return found;
+  }
+
+  /**
+   * Sibling editions listed in the format selector (#tmmSwatches)
+   * The selected swatch often links to itself via javascript:void(0), so its
+   * ASIN may be null; DataProcessor fills it with the page ASIN.
+   * @param {string} html - HTML content
+   * @returns {Array<{asin: string|null, format: string, label: string, selected: boolean}>}
+   */
+  extractEditions(html) {
+    const start = html.search(/id="tmmSwatches"|id="formats"/i);
+    if (start < 0) return [];
+
+    const region = html.slice(start, start + 30000);
+    const chunks = region.split(/(?=<(?:li|div)[^>]*class="[^"]*\bswatchElement\b)/i).slice(1);
+    const editions = [];
+
+    for (const chunk of chunks) {
+      const item = chunk.slice(0, 4000);
+      const asin = (item.match(/\/(?:dp|gp\/product)\/([A-Z0-9]{10})/i)
+        || item.match(/data-asin="([A-Z0-9]{10})"/i) || [])[1] || null;
+      const labelMatch = [...item.matchAll(/<span[^>]*>\s*([^<]{2,60}?)\s*<\/span>/gi)]
+        .map(m => m[1].replace(/&nbsp;/g, ' ').trim())
+        .find(text => !/^(?:[￥¥$€£₹]|R\$)|^\d|^(?:from|より|ab|à partir de|desde|da|vanaf|a partir de|-)$/i.test(text));
+      const label = labelMatch || '';
+      if (!asin && !label) continue;
+
+      const entry = {
+        asin: asin ? asin.toUpperCase() : null,
+        format: this.classifyFormat(label),
+        label: label.slice(0, 40),
+        selected: /class="[^"]*\bswatchElement\b[^"]*\bselected\b/i.test(item)
+      };
+      if (!editions.some(e => e.asin && e.asin === entry.asin)) editions.push(entry);
+    }
+
+    if (this.debugMode && editions.length > 0) {
+      console.log('📊 Found editions:', editions.map(e => `${e.format}:${e.asin || '-'}`).join(', '));
+    }
+    return editions;
+  }
+
+  /**
+   * Map a format label (any store language) to a BOOK_FORMATS key
+   * @private
+   */
+  classifyFormat(label) {
+    const text = String(label || '');
+    const match = formatKeywordPatterns().find(([, re]) => re.test(text));
+    return match ? match[0] : 'other';
+  }
+
   /**
    * Extract JSON-LD structured data
    * @param {string} html - HTML content
@@ -358,7 +534,8 @@ export default class MetadataExtractor {
       const match = html.match(pattern);
       if (match && match[1]) {
         const content = match[1].trim();
-        if (content.length > 0) {
+        // Separators alone ("‏ : ‎") are a label's tail, not a value
+        if (/[\p{L}\p{N}]/u.test(content)) {
           if (this.debugMode) {
             console.log(`📊 Found ${contentType}:`, content.substring(0, 50));
           }
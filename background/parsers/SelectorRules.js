@@ -0,0 +1,424 @@
+/**
+ * SelectorRules - Declarative extraction rules and their interpreter
+ *
+ * Responsibilities:
+ * - Hold the bundled rule set (rules/default-selector-rules.json) and an optional
+ *   user override loaded from the options page
+ * - Validate and merge rule sets (override rules replace bundled ones by id)
+ * - Yield candidate values per field in priority order, filtered by marketplace
+ *
+ * Rule set format:
+ *   { schema: 1, version, fields: { <field>: { region?, exclude?, filter?, replace?, rules: [Rule] } } }
+ *   Rule: { id, type: 'regex' | 'attribute' | 'jsonld', priority, marketplaces?, all?, transform?, source?, scope? }
+ *   - regex:     { pattern, flags?, group? } - capture group (default 1) is the value
+ *   - attribute: { tag, where: { attr: value }, attr } - value of `attr` on the first matching tag
+ *   - jsonld:    { path: 'a.b' | ['a.b', ...] } - first path found in any ld+json block
+ *   - scope: 'document' ignores the field's region; all: true yields every match
+ *   - An override rule may be partial ({ id, priority: 10 }) or { id, disabled: true }
+ *
+ * Notes:
+ * - Rules only locate raw values; callers keep their own cleanup and validation.
+ * - Filters and transforms are named here (code), rules pick them by name.
+ */
+
+import DEFAULT_SELECTOR_RULES from './rules/default-selector-rules.json' with { type: 'json' };
+import { marketplaceKey, parseCount } from '../../shared/MarketplaceRegistry.js';
+
+export { DEFAULT_SELECTOR_RULES };
+
+export const SELECTOR_RULES_SCHEMA = 1;
+
+export const SELECTOR_FIELDS = ['title', 'author', 'imageUrl', 'coverImage', 'reviewCount'];
+
+const RULE_TYPES = ['regex', 'attribute', 'jsonld'];
+
+const decodeEntities = (value) => String(value).replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+
+/**
+ * Value filters a field can require ({ filter: name })
+ */
+const FILTERS = {
+  // Product image path, not a banner / video thumbnail
+  coverImage: (url) => {
+    if (!url) return false;
+    const s = decodeEntities(url);
+    if (!/\.(jpg|jpeg|png)(?:[?#].*)?$/i.test(s)) return false;
+    if (!/\/images\/I\//.test(s)) return false;
+    if (/Digital_Video|svod|PrimeVideo|\/images\/G\//i.test(s)) return false;
+    return true;
+  }
+};
+
+/**
+ * Raw value transforms a rule can request ({ transform: name })
+ * Each receives (value, filter, marketplace) and returns null to reject the value.
+ */
+const TRANSFORMS = {
+  decodeEntities: (value) => decodeEntities(value),
+
+  // "1,234個の評価" / "1.234 Sternebewertungen" → 1234 in the store's number format
+  count: (value, _filter, marketplace) => parseCount(value, marketplace),
+
+  // data-a-dynamic-image JSON map { url: [width, height] } → largest acceptable URL
+  largestImage: (value, filter) => {
+    try {
+      const map = JSON.parse(decodeEntities(value));
+      let best = null;
+      let bestArea = 0;
+      for (const [url, size] of Object.entries(map)) {
+        const area = Array.isArray(size) && size.length >= 2 ? Number(size[0]) * Number(size[1]) : 0;
+        if ((!filter || filter(url)) && area >= bestArea) {
+          bestArea = area;
+          best = url;
+        }
+      }
+      return best ? decodeEntities(best) : null;
+    } catch {
+      return null;
+    }
+  }
+};
+
+// ============================================================================
+// MARKETPLACE
+// ============================================================================
+
+/**
+ * Marketplace key of a product URL ('amazon.co.jp', 'amazon.com', ...)
+ * Registered stores map to their MarketplaceRegistry domain (any subdomain).
+ * @param {string} url - Product URL
+ * @returns {string|null} Registry domain, else host without "www.", or null when unparseable
+ */
+export function marketplaceFromUrl(url) {
+  try {
+    return marketplaceKey(url) || new URL(url).hostname.replace(/^www\./, '').toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+// ============================================================================
+// VALIDATION / MERGE
+// ============================================================================
+
+/**
+ * Check a complete rule set; returns Japanese messages for the options page
+ * @param {Object} ruleSet - Rule set (bundled or merged)
+ * @returns {string[]} Error messages (empty when valid)
+ */
+export function validateSelectorRules(ruleSet) {
+  const errors = [];
+  if (!ruleSet || typeof ruleSet !== 'object') return ['ルールファイルがJSONオブジェクトではありません'];
+  if (ruleSet.schema !== SELECTOR_RULES_SCHEMA) errors.push(`schema は ${SELECTOR_RULES_SCHEMA} を指定してください`);
+  if (typeof ruleSet.version !== 'string' || !ruleSet.version.trim()) errors.push('version（文字列）を指定してください');
+  if (!ruleSet.fields || typeof ruleSet.fields !== 'object') {
+    errors.push('fields を指定してください');
+    return errors;
+  }
+
+  for (const [field, spec] of Object.entries(ruleSet.fields)) {
+    if (!SELECTOR_FIELDS.includes(field)) {
+      errors.push(`未知のフィールドです: ${field}（${SELECTOR_FIELDS.join(' / ')}）`);
+      continue;
+    }
+    if (spec.filter !== undefined && !(spec.filter in FILTERS)) errors.push(`${field}: 未知のfilterです: ${spec.filter}`);
+    (spec.region || []).forEach((r, i) => {
+      if (typeof r?.marker !== 'string' || !r.marker) errors.push(`${field}: region[${i}] に marker を指定してください`);
+    });
+    (spec.exclude || []).forEach((x, i) => {
+      if (!compiles(x?.pattern, x?.flags)) errors.push(`${field}: exclude[${i}] の正規表現が不正です`);
+    });
+    if (!Array.isArray(spec.rules)) {
+      errors.push(`${field}: rules（配列）を指定してください`);
+      continue;
+    }
+
+    const ids = new Set();
+    spec.rules.forEach((rule, i) => {
+      const where = `${field}.${rule?.id || `rules[${i}]`}`;
+      if (typeof rule?.id !== 'string' || !rule.id) errors.push(`${field}: rules[${i}] に id を指定してください`);
+      else if (ids.has(rule.id)) errors.push(`${where}: id が重複しています`);
+      ids.add(rule?.id);
+      if (!RULE_TYPES.includes(rule?.type)) errors.push(`${where}: type は ${RULE_TYPES.join(' / ')} のいずれかです`);
+      if (!Number.isFinite(rule?.priority)) errors.push(`${where}: priority（数値）を指定してください`);
+      if (rule?.transform !== undefined && !(rule.transform in TRANSFORMS)) errors.push(`${where}: 未知のtransformです: ${rule.transform}`);
+      if (rule?.marketplaces !== undefined && !(Array.isArray(rule.marketplaces) && rule.marketplaces.every(m => typeof m === 'string'))) {
+        errors.push(`${where}: marketplaces は文字列の配列で指定してください`);
+      }
+      if (rule?.type === 'regex' && !compiles(rule.pattern, rule.flags)) errors.push(`${where}: 正規表現が不正です`);
+      if (rule?.type === 'attribute' && !(rule.tag && rule.attr && rule.where && typeof rule.where === 'object')) {
+        errors.push(`${where}: attribute ルールには tag / where / attr が必要です`);
+      }
+      if (rule?.type === 'jsonld' && ![].concat(rule.path || []).every(p => typeof p === 'string' && p)) {
+        errors.push(`${where}: jsonld ルールには path が必要です`);
+      }
+    });
+  }
+  return errors;
+}
+
+/**
+ * Overlay an override rule set on the bundled one
+ * Rules are matched by id: shallow-merged when the id exists, appended otherwise.
+ * `replace: true` on a field drops that field's bundled rules.
+ * @param {Object} base - Bundled rule set
+ * @param {Object|null} override - User rule set (may be partial per rule)
+ * @returns {Object} Merged rule set (override version when present)
+ */
+export function mergeSelectorRules(base, override) {
+  if (!override) return base;
+  const fields = { ...base.fields };
+
+  for (const [field, spec] of Object.entries(override.fields || {})) {
+    const current = fields[field] || { rules: [] };
+    const byId = new Map((spec.replace ? [] : current.rules).map(rule => [rule.id, rule]));
+    for (const rule of spec.rules || []) {
+      if (rule.disabled) {
+        byId.delete(rule.id);
+      } else {
+        byId.set(rule.id, { ...(byId.get(rule.id) || {}), ...rule });
+      }
+    }
+    const { replace, rules, ...fieldOptions } = spec;
+    fields[field] = { ...current, ...fieldOptions, rules: [...byId.values()] };
+  }
+
+  return {
+    ...base,
+    version: override.version || base.version,
+    description: override.description || base.description,
+    fields
+  };
+}
+
+/**
+ * @private
+ */
+function compiles(pattern, flags) {
+  try {
+    new RegExp(pattern, flags || '');
+    return typeof pattern === 'string' && pattern.length > 0;
+  } catch {
+    return false;
+  }
+}
+
+// ============================================================================
+// ENGINE
+// ============================================================================
+
+export class SelectorRuleEngine {
+  /**
+   * @param {Object} bundled - Bundled rule set
+   */
+  constructor(bundled = DEFAULT_SELECTOR_RULES) {
+    this.bundled = bundled;
+    this.override = null;
+    this.overrideErrors = [];
+    this.compiled = this.compile(bundled);
+  }
+
+  /**
+   * Apply (or clear with null) a user override
+   * An invalid merged rule set is rejected and the bundled rules stay active.
+   * @param {Object|null} override - Override rule set
+   * @returns {string[]} Validation errors (empty when applied)
+   */
+  setOverride(override) {
+    const merged = mergeSelectorRules(this.bundled, override);
+    const errors = override ? validateSelectorRules(merged) : [];
+    if (errors.length > 0) {
+      console.warn('⚠️ Selector rule override rejected:', errors);
+      this.override = null;
+      this.overrideErrors = errors;
+      this.compiled = this.compile(this.bundled);
+      return errors;
+    }
+
+    this.override = override;
+    this.overrideErrors = [];
+    this.compiled = this.compile(merged);
+    console.log(`🧩 Selector rules active: ${this.compiled.version}${override ? ' (override)' : ''}`);
+    return [];
+  }
+
+  /**
+   * @returns {{bundledVersion: string, activeVersion: string, override: boolean, errors: string[]}}
+   */
+  getInfo() {
+    return {
+      bundledVersion: this.bundled.version,
+      activeVersion: this.compiled.version,
+      override: !!this.override,
+      errors: this.overrideErrors
+    };
+  }
+
+  /**
+   * Candidate values of a field, best rule first
+   * @param {string} html - Page HTML
+   * @param {string} field - One of SELECTOR_FIELDS
+   * @param {Object} [context] - { url?, marketplace? }
+   * @yields {{value: *, rule: Object}} Raw (transformed) value and the rule that produced it
+   */
+  *candidates(html, field, context = {}) {
+    const spec = this.compiled.fields[field];
+    if (!spec || !html) return;
+
+    const marketplace = context.marketplace || marketplaceFromUrl(context.url);
+    const filter = spec.filter ? FILTERS[spec.filter] : null;
+    const region = this.selectRegion(html, spec);
+    let jsonLd = null;
+
+    for (const rule of spec.rules) {
+      if (rule.marketplaces && !rule.marketplaces.includes(marketplace)) continue;
+      const source = rule.scope === 'document' ? html : region;
+
+      let values;
+      if (rule.type === 'jsonld') {
+        jsonLd = jsonLd || parseJsonLd(html);
+        values = readJsonLd(jsonLd, rule.paths);
+      } else if (rule.type === 'attribute') {
+        values = readAttribute(source, rule);
+      } else {
+        values = readRegex(source, rule);
+      }
+
+      for (const raw of values) {
+        const value = rule.transform ? TRANSFORMS[rule.transform](raw, filter, marketplace) : raw;
+        if (value === null || value === undefined || value === '') continue;
+        if (filter && !filter(value)) continue;
+        yield { value, rule };
+      }
+    }
+  }
+
+  /**
+   * First candidate value of a field
+   * @param {string} html - Page HTML
+   * @param {string} field - One of SELECTOR_FIELDS
+   * @param {Object} [context] - { url?, marketplace? }
+   * @returns {{value: *, rule: Object}|null}
+   */
+  first(html, field, context = {}) {
+    for (const candidate of this.candidates(html, field, context)) return candidate;
+    return null;
+  }
+
+  /**
+   * Slice of the page a field's rules search (first region marker found)
+   * @private
+   */
+  selectRegion(html, spec) {
+    let region = html;
+    for (const { marker, before = 0, after = 5000 } of spec.region || []) {
+      const idx = html.indexOf(marker);
+      if (idx !== -1) {
+        region = html.slice(Math.max(0, idx - before), idx + after);
+        break;
+      }
+    }
+    for (const pattern of spec.exclude) {
+      pattern.lastIndex = 0;
+      region = region.replace(pattern, '');
+    }
+    return region;
+  }
+
+  /**
+   * Pre-compile regexes and sort rules (priority desc, file order on ties)
+   * @private
+   */
+  compile(ruleSet) {
+    const fields = {};
+    for (const [field, spec] of Object.entries(ruleSet.fields || {})) {
+      fields[field] = {
+        region: spec.region || [],
+        filter: spec.filter || null,
+        exclude: (spec.exclude || []).map(x => new RegExp(x.pattern, x.flags || '')),
+        rules: spec.rules
+          .map((rule, order) => ({
+            ...rule,
+            order,
+            source: rule.source || 'html',
+            regex: rule.type === 'regex'
+              ? new RegExp(rule.pattern, (rule.flags || '').replace('g', '') + (rule.all ? 'g' : ''))
+              : null,
+            paths: rule.type === 'jsonld' ? [].concat(rule.path) : null
+          }))
+          .sort((a, b) => (b.priority - a.priority) || (a.order - b.order))
+      };
+    }
+    return { version: ruleSet.version, fields };
+  }
+}
+
+// ============================================================================
+// RULE READERS
+// ============================================================================
+
+/**
+ * @private
+ */
+function readRegex(source, rule) {
+  const group = rule.group ?? 1;
+  if (!rule.all) {
+    const match = source.match(rule.regex);
+    return match && match[group] ? [match[group]] : [];
+  }
+  return [...source.matchAll(rule.regex)].map(m => m[group]).filter(Boolean);
+}
+
+/**
+ * Attribute of tags whose other attributes match `where` (any attribute order)
+ * @private
+ */
+function readAttribute(source, rule) {
+  const values = [];
+  const tagRegex = new RegExp(`<${rule.tag}\\b[^>]*>`, 'gi');
+  for (const [tag] of source.matchAll(tagRegex)) {
+    const attrs = {};
+    for (const m of tag.matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+      attrs[m[1].toLowerCase()] = m[2] ?? m[3];
+    }
+    const matches = Object.entries(rule.where).every(([name, expected]) => attrs[name.toLowerCase()] === expected);
+    const value = attrs[rule.attr.toLowerCase()];
+    if (matches && value) {
+      values.push(value);
+      if (!rule.all) break;
+    }
+  }
+  return values;
+}
+
+/**
+ * @private
+ */
+function parseJsonLd(html) {
+  const nodes = [];
+  for (const match of html.matchAll(/<script[^>]*type="application\/ld\+json"[^>]*>([\s\S]*?)<\/script>/gi)) {
+    try {
+      const data = JSON.parse(match[1]);
+      nodes.push(...(Array.isArray(data) ? data : [data]));
+    } catch {}
+  }
+  return nodes;
+}
+
+/**
+ * First node value found for the first matching path (paths are alternatives)
+ * @private
+ */
+function readJsonLd(nodes, paths) {
+  for (const node of nodes) {
+    for (const path of paths) {
+      const value = path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), node);
+      if (value !== undefined && value !== null && value !== '') return [value];
+    }
+  }
+  return [];
+}
+
+// Shared instance: the service worker applies the user override to it
+const selectorRules = new SelectorRuleEngine();
+export default selectorRules;
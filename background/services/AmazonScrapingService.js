@@ -25,17 +25,18 @@ import FetchCoordinator from './amazon/FetchCoordinator.js';
 import { normalizeUrl as normalizeAmazonUrl } from './amazon/UrlUtils.js';
 
 export default class AmazonScrapingService {
-  constructor(cache, proxyManager, errorHandler) {
+  constructor(cache, proxyManager, errorHandler, historyStore = null) {
     this.cache = cache;
     this.proxyManager = proxyManager;
     this.errorHandler = errorHandler;
+    this.historyStore = historyStore;
 
     // Initialize specialized services
     this.htmlParser = new AmazonHTMLParser();
     this.metadataExtractor = new MetadataExtractor();
-    this.htmlFetcher = new HtmlFetcher(proxyManager);
-    this.dataProcessor = new DataProcessor();
     this.performanceTracker = new PerformanceTracker();
+    this.htmlFetcher = new HtmlFetcher(proxyManager, this.performanceTracker);
+    this.dataProcessor = new DataProcessor();
     
     // Create URL normalizer with simple interface
     this.urlNormalizer = { normalizeUrl: normalizeAmazonUrl };
@@ -48,25 +49,35 @@ export default class AmazonScrapingService {
       this.htmlParser,
       this.metadataExtractor,
       this.dataProcessor,
-      this.performanceTracker
+      this.performanceTracker,
+      this.historyStore
     );
   }
 
   /**
    * Main entry point - fetch Amazon book data with full optimization
    * @param {string} url - Amazon book URL
+   * @param {Object} options - { staleWhileRevalidate?, onRevalidated?, combineEditions?, interactiveTab?, context? } (see FetchCoordinator)
    * @returns {Promise<Object>} Parsed book data
    */
-  async fetchBookData(url) {
-    return this.fetchCoordinator.fetchBookData(url);
+  async fetchBookData(url, options = {}) {
+    return this.fetchCoordinator.fetchBookData(url, options);
   }
 
 
   /**
-   * Fallback: Open Amazon page in a background tab and extract HTML via scripting
+   * Fallback: Open Amazon page in the reusable worker tab and extract HTML via scripting
+   * (options.interactive: visible tab the user can unblock, see HtmlFetcher)
+   */
+  async fetchHtmlViaTab(url, options = {}) {
+    return this.htmlFetcher.fetchHtmlViaTab(url, options);
+  }
+
+  /**
+   * Alarm listener entry point (closes the idle worker tab)
    */
-  async fetchHtmlViaTab(url) {
-    return this.htmlFetcher.fetchHtmlViaTab(url);
+  async handleAlarm(alarm) {
+    return this.htmlFetcher.handleAlarm(alarm);
   }
 
   /**
@@ -77,10 +88,40 @@ export default class AmazonScrapingService {
   }
 
   /**
-   * Fetch HTML content using proxy services (parallel race, fast-first)
+   * Fetch HTML content using proxy services (strategy of options.context)
+   */
+  async fetchHtmlWithProxies(url, options = {}) {
+    return this.htmlFetcher.fetchHtmlWithProxies(url, options);
+  }
+
+  /**
+   * Apply per-context proxy strategies from the options page
+   * @param {Object} strategies - { interactive, background } (see FetchStrategies.js)
+   */
+  setFetchStrategies(strategies) {
+    this.htmlFetcher.setFetchStrategies(strategies);
+  }
+
+  /**
+   * Apply the custom fetch endpoint from the options page (null removes it)
+   * @param {Object|null} endpoint - Normalized config (see CustomEndpoint.js)
+   */
+  setCustomEndpoint(endpoint) {
+    this.htmlFetcher.setCustomEndpoint(endpoint);
+  }
+
+  /**
+   * Recent proxy fetch runs with their attempt timelines (newest first)
+   */
+  getRecentFetchRuns(limit) {
+    return this.performanceTracker.getRecentFetchRuns(limit);
+  }
+
+  /**
+   * Health-probe one proxy with a product page (ProxyManagerService alarm)
    */
-  async fetchHtmlWithProxies(url) {
-    return this.htmlFetcher.fetchHtmlWithProxies(url);
+  async probeProxy(proxy, url) {
+    return this.htmlFetcher.probeProxy(proxy, url);
   }
 
   /**
@@ -100,8 +141,8 @@ export default class AmazonScrapingService {
   /**
    * Validate that HTML is from Amazon and contains expected content
    */
-  isValidAmazonHtml(html) {
-    return this.htmlFetcher.isValidAmazonHtml(html);
+  isValidAmazonHtml(html, url = null) {
+    return this.htmlFetcher.isValidAmazonHtml(html, url);
   }
 
   /**
@@ -7,20 +7,46 @@
  * - Automatic cleanup of expired entries
  * - LRU (Least Recently Used) eviction policy
  * - Cache hit/miss tracking and optimization
+ * - Persist entries to chrome.storage so they survive service worker restarts
+ * - Keep expired entries (up to maxAge) as stale data for stale-while-revalidate
  * 
  * Features:
  * - In-memory cache with configurable size limits
  * - Smart cache invalidation based on content age
  * - Performance statistics and monitoring
- * - Cache persistence support (future enhancement)
+ * - Write-through persistence (chrome.storage.session, falling back to local)
+ *
+ * Notes:
+ * - get()/has() only see fresh entries; peek() also returns stale ones.
+ *   Entries are removed once they are older than maxAge.
+ * - The in-memory Map stays the source of truth for reads; get() remains sync.
+ *   Callers that must not miss restored entries await whenReady() first.
+ * - Mutations (set/delete/evict/cleanup/clear) are written immediately;
+ *   access metadata (lastAccessed/accessCount) and stats are debounced.
  */
 
+const SNAPSHOT_VERSION = 1;
+const METADATA_FLUSH_DELAY = 2000; // Debounce for LRU metadata / stats writes
+
 export class CacheService {
   constructor(options = {}) {
     this.cache = new Map();
     this.defaultTTL = options.defaultTTL || 5 * 60 * 1000; // 5 minutes
     this.maxSize = options.maxSize || 100; // Limit memory usage
     this.maxAge = options.maxAge || 24 * 60 * 60 * 1000; // 24 hours absolute max
+
+    // Persistence (disabled with options.persist === false or without chrome.storage)
+    this.storageKey = options.storageKey || 'bookDataCache';
+    this.storageArea = options.persist === false ? null : (options.storageArea || this.resolveStorageArea());
+    this.persistence = {
+      area: this.storageArea === globalThis.chrome?.storage?.session ? 'session' : (this.storageArea ? 'local' : 'none'),
+      restoredEntries: 0,
+      restoredAt: null,
+      lastPersistedAt: null,
+      lastError: null
+    };
+    this.writeQueue = Promise.resolve();
+    this.flushTimer = null;
     
     // Statistics tracking
     this.stats = {
@@ -34,14 +60,26 @@ export class CacheService {
     
     // Start cleanup interval
     this.cleanupInterval = setInterval(() => this.cleanup(), 2 * 60 * 1000); // Every 2 minutes
+
+    // Restore persisted entries from the previous service worker instance
+    this.ready = this.restore();
     
     console.log('🗃️ CacheService initialized:', {
       defaultTTL: `${this.defaultTTL/1000}s`,
       maxSize: this.maxSize,
-      maxAge: `${this.maxAge/1000/60/60}h`
+      maxAge: `${this.maxAge/1000/60/60}h`,
+      persistence: this.persistence.area
     });
   }
 
+  /**
+   * Resolve once persisted entries have been restored
+   * @returns {Promise<void>}
+   */
+  whenReady() {
+    return this.ready;
+  }
+
   /**
    * Generate cache key from URL
    * @param {string} url - URL to cache
@@ -63,16 +101,22 @@ export class CacheService {
     
     if (!entry) {
       this.stats.misses++;
+      this.scheduleMetadataFlush();
       return null;
     }
     
     const now = Date.now();
     
-    // Check if entry is expired
+    // Check if entry is expired (kept as stale data until maxAge)
     if (now > entry.expiresAt) {
-      this.cache.delete(key);
       this.stats.misses++;
-      this.stats.deletes++;
+      if (now > this.getStaleUntil(entry)) {
+        this.cache.delete(key);
+        this.stats.deletes++;
+        this.persist();
+      } else {
+        this.scheduleMetadataFlush();
+      }
       console.log(`⏰ Cache entry expired for ${key.substring(0, 50)}...`);
       return null;
     }
@@ -82,6 +126,7 @@ export class CacheService {
     entry.accessCount++;
     
     this.stats.hits++;
+    this.scheduleMetadataFlush();
     console.log(`📦 Cache HIT for ${key.substring(0, 50)}... (age: ${((now - entry.createdAt)/1000).toFixed(1)}s)`);
     
     return entry.data;
@@ -111,6 +156,7 @@ export class CacheService {
       createdAt: now,
       lastAccessed: now,
       expiresAt: now + effectiveTTL,
+      staleUntil: now + this.maxAge,
       accessCount: 1,
       size: this.estimateSize(data),
       ttl: effectiveTTL
@@ -118,6 +164,7 @@ export class CacheService {
     
     this.cache.set(key, entry);
     this.stats.sets++;
+    this.persist();
     
     console.log(`💾 Cache SET for ${key.substring(0, 50)}... (TTL: ${effectiveTTL/1000}s, size: ~${entry.size} bytes)`);
     
@@ -136,6 +183,7 @@ export class CacheService {
     if (existed) {
       this.cache.delete(key);
       this.stats.deletes++;
+      this.persist();
       console.log(`🗑️ Cache DELETE for ${key.substring(0, 50)}...`);
     }
     
@@ -154,9 +202,13 @@ export class CacheService {
     if (!entry) return false;
     
     // Check expiration
-    if (Date.now() > entry.expiresAt) {
-      this.cache.delete(key);
-      this.stats.deletes++;
+    const now = Date.now();
+    if (now > entry.expiresAt) {
+      if (now > this.getStaleUntil(entry)) {
+        this.cache.delete(key);
+        this.stats.deletes++;
+        this.persist();
+      }
       return false;
     }
     
@@ -164,7 +216,26 @@ export class CacheService {
   }
 
   /**
-   * Clean up expired entries
+   * Read an entry even if it has expired (stale-while-revalidate)
+   * Does not touch hit/miss statistics or LRU metadata.
+   * @param {string} url - URL key
+   * @returns {{data: *, createdAt: number, age: number, stale: boolean}|null} Entry or null when absent/too old
+   */
+  peek(url) {
+    const entry = this.cache.get(this.generateKey(url));
+    const now = Date.now();
+    if (!entry || now > this.getStaleUntil(entry)) return null;
+
+    return {
+      data: entry.data,
+      createdAt: entry.createdAt,
+      age: now - entry.createdAt,
+      stale: now > entry.expiresAt
+    };
+  }
+
+  /**
+   * Clean up entries too old to serve even as stale data
    * @returns {number} Number of entries cleaned up
    */
   cleanup() {
@@ -172,7 +243,7 @@ export class CacheService {
     let cleanedCount = 0;
     
     for (const [key, entry] of this.cache.entries()) {
-      if (now > entry.expiresAt) {
+      if (now > this.getStaleUntil(entry)) {
         this.cache.delete(key);
         cleanedCount++;
       }
@@ -181,6 +252,7 @@ export class CacheService {
     if (cleanedCount > 0) {
       this.stats.cleanups++;
       this.stats.deletes += cleanedCount;
+      this.persist();
       console.log(`🧹 Cache cleanup: removed ${cleanedCount} expired entries`);
     }
     
@@ -205,6 +277,7 @@ export class CacheService {
     if (oldestKey) {
       this.cache.delete(oldestKey);
       this.stats.evictions++;
+      // Callers persist afterwards (set() writes through right after evicting)
       console.log(`♻️ Cache LRU eviction: removed ${oldestKey.substring(0, 50)}...`);
     }
   }
@@ -233,7 +306,8 @@ export class CacheService {
       evictions: this.stats.evictions,
       memoryUsage: memoryUsage,
       oldestEntry: this.getOldestEntryAge(),
-      newestEntry: this.getNewestEntryAge()
+      newestEntry: this.getNewestEntryAge(),
+      persistence: { ...this.persistence }
     };
   }
 
@@ -297,6 +371,14 @@ export class CacheService {
       : 'N/A';
   }
 
+  /**
+   * Time until which an entry may be served as stale data
+   * @private
+   */
+  getStaleUntil(entry) {
+    return entry.staleUntil || entry.expiresAt;
+  }
+
   /**
    * Estimate size of cached data
    * @private
@@ -342,6 +424,7 @@ export class CacheService {
     const count = this.cache.size;
     this.cache.clear();
     this.stats.deletes += count;
+    this.persist();
     
     console.log(`🗑️ Cache cleared: removed ${count} entries`);
     return count;
@@ -359,6 +442,7 @@ export class CacheService {
       cleanups: 0,
       evictions: 0
     };
+    this.scheduleMetadataFlush();
     console.log('📊 Cache statistics reset');
   }
 
@@ -375,6 +459,7 @@ export class CacheService {
         key: key.substring(0, 50) + (key.length > 50 ? '...' : ''),
         age: `${((now - entry.createdAt) / 1000).toFixed(1)}s`,
         expiresIn: `${((entry.expiresAt - now) / 1000).toFixed(1)}s`,
+        stale: now > entry.expiresAt,
         accessCount: entry.accessCount,
         size: entry.size || 0,
         ttl: `${(entry.ttl / 1000).toFixed(1)}s`
@@ -395,6 +480,14 @@ export class CacheService {
     if (options.defaultTTL) this.defaultTTL = options.defaultTTL;
     if (options.maxSize) this.maxSize = options.maxSize;
     if (options.maxAge) this.maxAge = options.maxAge;
+
+    // Shrink to the new size limit right away
+    let evicted = false;
+    while (this.cache.size > this.maxSize) {
+      this.evictLRU();
+      evicted = true;
+    }
+    if (evicted) this.persist();
     
     console.log('⚙️ Cache configuration updated:', {
       defaultTTL: `${this.defaultTTL/1000}s`,
@@ -411,8 +504,114 @@ export class CacheService {
       clearInterval(this.cleanupInterval);
       this.cleanupInterval = null;
     }
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
     
     this.clear();
     console.log('🗑️ CacheService destroyed');
   }
-}
\ No newline at end of file
+
+  // ============================================================================
+  // PERSISTENCE
+  // ============================================================================
+
+  /**
+   * Load persisted entries and stats, dropping anything expired
+   * @returns {Promise<void>}
+   */
+  async restore() {
+    if (!this.storageArea) return;
+
+    try {
+      const result = await this.storageArea.get([this.storageKey]);
+      const snapshot = result?.[this.storageKey];
+      if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) return;
+
+      const now = Date.now();
+      let restored = 0;
+      for (const [key, entry] of snapshot.entries || []) {
+        // Entries written since startup are newer than the snapshot
+        if (!entry || now > this.getStaleUntil(entry) || this.cache.has(key)) continue;
+        this.cache.set(key, entry);
+        restored++;
+      }
+      while (this.cache.size > this.maxSize) {
+        this.evictLRU();
+      }
+
+      // Counters continue across restarts so hit rates stay meaningful
+      Object.keys(this.stats).forEach(name => {
+        this.stats[name] += Number(snapshot.stats?.[name]) || 0;
+      });
+
+      this.persistence.restoredEntries = restored;
+      this.persistence.restoredAt = now;
+      this.persistence.lastPersistedAt = snapshot.savedAt || null;
+      console.log(`🗃️ Cache restored ${restored} entries from chrome.storage.${this.persistence.area}`);
+    } catch (error) {
+      this.persistence.lastError = error?.message || String(error);
+      console.warn('Cache restore failed:', this.persistence.lastError);
+    }
+  }
+
+  /**
+   * Write the current cache to storage (serialized, after restore)
+   * @returns {Promise<void>}
+   */
+  persist() {
+    if (!this.storageArea) return Promise.resolve();
+
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    this.writeQueue = this.writeQueue
+      .then(() => this.ready)
+      .then(() => this.storageArea.set({ [this.storageKey]: this.createSnapshot() }))
+      .then(() => {
+        this.persistence.lastPersistedAt = Date.now();
+        this.persistence.lastError = null;
+      })
+      .catch(error => {
+        this.persistence.lastError = error?.message || String(error);
+        console.warn('Cache persist failed:', this.persistence.lastError);
+      });
+    return this.writeQueue;
+  }
+
+  /**
+   * Debounced persist for access metadata and stats
+   * @private
+   */
+  scheduleMetadataFlush() {
+    if (!this.storageArea || this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.persist();
+    }, METADATA_FLUSH_DELAY);
+  }
+
+  /**
+   * @private
+   */
+  createSnapshot() {
+    return {
+      version: SNAPSHOT_VERSION,
+      savedAt: Date.now(),
+      entries: [...this.cache.entries()],
+      stats: { ...this.stats }
+    };
+  }
+
+  /**
+   * Prefer session storage (memory-backed, cleared with the browser session)
+   * @private
+   */
+  resolveStorageArea() {
+    const storage = globalThis.chrome?.storage;
+    return storage?.session || storage?.local || null;
+  }
+}
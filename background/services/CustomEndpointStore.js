@@ -0,0 +1,80 @@
+/**
+ * Custom Endpoint Store
+ *
+ * Responsibilities:
+ * - Persist the user's custom fetch endpoint (URL template, headers, response shape)
+ * - Validate it before saving (CustomEndpoint.js)
+ * - Notify subscribers when it changes (service worker applies it live)
+ *
+ * Notes:
+ * - chrome.storage.local, never sync: header values are API keys and must not
+ *   leave this browser profile through Chrome Sync or the settings export.
+ * - Not encrypted: anyone with access to the profile directory or the
+ *   extension's DevTools can read the key. Extensions have no secret store to
+ *   put it in, so the options page asks for a fetch-only key instead.
+ * - Shared by the service worker and options/options.js; no DOM access here.
+ */
+
+import {
+  normalizeCustomEndpoint,
+  validateCustomEndpoint,
+  describeEndpoint
+} from './amazon/CustomEndpoint.js';
+
+export const CUSTOM_ENDPOINT_STORAGE_KEY = 'krmCustomEndpoint';
+
+export class CustomEndpointStore {
+  constructor(storageArea = chrome.storage.local) {
+    this.storageArea = storageArea;
+  }
+
+  /**
+   * @returns {Promise<Object|null>} Normalized endpoint config or null
+   */
+  async load() {
+    try {
+      const result = await this.storageArea.get([CUSTOM_ENDPOINT_STORAGE_KEY]);
+      return normalizeCustomEndpoint(result[CUSTOM_ENDPOINT_STORAGE_KEY]);
+    } catch (error) {
+      console.warn('CustomEndpointStore: Failed to load endpoint:', error?.message || error);
+      return null;
+    }
+  }
+
+  /**
+   * Validate and persist an endpoint config
+   * @param {Object} config - Config from the options page
+   * @returns {Promise<Object>} Saved (normalized) config
+   */
+  async save(config) {
+    const normalized = normalizeCustomEndpoint(config);
+    const errors = validateCustomEndpoint(normalized);
+    if (errors.length > 0) {
+      throw new Error(errors.join('\n'));
+    }
+    await this.storageArea.set({ [CUSTOM_ENDPOINT_STORAGE_KEY]: normalized });
+    console.log('🛰️ Custom endpoint saved:', describeEndpoint(normalized));
+    return normalized;
+  }
+
+  /**
+   * Remove the endpoint (fetches go straight to the proxies again)
+   */
+  async clear() {
+    await this.storageArea.remove(CUSTOM_ENDPOINT_STORAGE_KEY);
+  }
+
+  /**
+   * Subscribe to endpoint changes from any context
+   * @param {Function} listener - (config|null) => void
+   * @returns {Function} Unsubscribe function
+   */
+  onChange(listener) {
+    const handler = (changes, areaName) => {
+      if (!changes[CUSTOM_ENDPOINT_STORAGE_KEY] || chrome.storage[areaName] !== this.storageArea) return;
+      listener(normalizeCustomEndpoint(changes[CUSTOM_ENDPOINT_STORAGE_KEY].newValue));
+    };
+    chrome.storage.onChanged.addListener(handler);
+    return () => chrome.storage.onChanged.removeListener(handler);
+  }
+}
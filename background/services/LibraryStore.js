@@ -0,0 +1,85 @@
+/**
+ * Library Store (background side)
+ *
+ * Responsibilities:
+ * - Read the popup's tracked-book library from chrome.storage.local
+ * - Apply partial updates to single books without clobbering other entries
+ *
+ * Notes:
+ * - The storage shape is owned by popup/services/BookLibraryService.js:
+ *   { version, selectedKey, books: { [asin]: bookData } }
+ * - Writes re-read storage first so edits made in the popup meanwhile survive.
+ */
+
+export const LIBRARY_STORAGE_KEY = 'kindleReviewMeterLibrary';
+
+export class LibraryStore {
+  constructor(storageKey = LIBRARY_STORAGE_KEY) {
+    this.storageKey = storageKey;
+    this.writeChain = Promise.resolve();
+  }
+
+  /**
+   * Load the library object
+   * @returns {Promise<{version: number, selectedKey: string|null, books: Object}>}
+   */
+  async load() {
+    const result = await chrome.storage.local.get([this.storageKey]);
+    const library = result[this.storageKey];
+    if (library && typeof library === 'object' && library.books) {
+      return library;
+    }
+    return { version: 1, selectedKey: null, books: {} };
+  }
+
+  /**
+   * List books that can be fetched (have an ASIN and URL)
+   * @returns {Promise<Array<{key: string, book: Object}>>}
+   */
+  async listTrackedBooks() {
+    const library = await this.load();
+    return Object.entries(library.books)
+      .filter(([, book]) => book && book.asin && (book.amazonUrl || book.extractedFrom))
+      .map(([key, book]) => ({ key, book: { ...book } }));
+  }
+
+  /**
+   * Get one book by key
+   * @param {string} key - ASIN
+   * @returns {Promise<Object|null>}
+   */
+  async getBook(key) {
+    const library = await this.load();
+    const book = library.books[key];
+    return book ? { ...book } : null;
+  }
+
+  /**
+   * Get the book currently selected in the popup
+   * @returns {Promise<Object|null>}
+   */
+  async getSelectedBook() {
+    const library = await this.load();
+    const book = library.selectedKey ? library.books[library.selectedKey] : null;
+    return book ? { ...book } : null;
+  }
+
+  /**
+   * Merge fields into a stored book (no-op when the book was removed)
+   * @param {string} key - ASIN
+   * @param {Object} updates - Fields to merge
+   * @returns {Promise<Object|null>} Updated book or null
+   */
+  async updateBook(key, updates) {
+    const task = async () => {
+      const library = await this.load();
+      if (!library.books[key]) return null;
+      library.books[key] = { ...library.books[key], ...updates };
+      await chrome.storage.local.set({ [this.storageKey]: library });
+      return { ...library.books[key] };
+    };
+    const next = this.writeChain.catch(() => {}).then(task);
+    this.writeChain = next;
+    return next;
+  }
+}
@@ -0,0 +1,300 @@
+/**
+ * Milestone Notification Service
+ *
+ * Responsibilities:
+ * - Compare a newly fetched review count with the previous one
+ * - Detect crossed milestones: target, stretch goal, custom tiers, % of target, every N reviews
+ * - Show a chrome.notifications notification with a "share now" button
+ * - Remember notified milestones per book so oscillating counts don't re-notify
+ * - Build the share request (image data + tweet URL) for the share button
+ * - Name the book's goal metric (評価 / レビュー) in notification text
+ *
+ * Notes:
+ * - Tweet text and progress math reuse the popup model helpers so the
+ *   notification share matches the popup's X投稿 output.
+ */
+
+import BookProgressCalculator from '../../shared/goals/BookProgressCalculator.js';
+import BookForecastCalculator from '../../shared/goals/BookForecastCalculator.js';
+import BookTextGenerator from '../../shared/goals/BookTextGenerator.js';
+import { getReviewMetricLabels, getSampleCount } from '../../shared/ReviewMetrics.js';
+
+const SETTINGS_KEY = 'milestoneSettings';
+const STATE_KEY = 'milestoneState';
+const NOTIFICATION_PREFIX = 'krm_milestone';
+const MAX_NOTIFIED_PER_BOOK = 100;
+
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  step: 10,          // Every N reviews (0 = off)
+  percents: [50, 80] // % of target
+};
+
+// Higher wins when several milestones are crossed in one fetch
+const KIND_PRIORITY = { step: 1, percent: 2, tier: 3, target: 4, stretch: 5 };
+
+export class MilestoneNotificationService {
+  constructor(libraryStore, historyStore = null) {
+    this.libraryStore = libraryStore;
+    this.historyStore = historyStore;
+    this.progressCalculator = new BookProgressCalculator();
+    this.forecastCalculator = new BookForecastCalculator();
+    this.textGenerator = new BookTextGenerator();
+  }
+
+  // ============================================================================
+  // SETTINGS
+  // ============================================================================
+
+  /**
+   * @returns {Promise<{enabled: boolean, step: number, percents: number[]}>}
+   */
+  async getSettings() {
+    const result = await chrome.storage.local.get([SETTINGS_KEY]);
+    return { ...DEFAULT_SETTINGS, ...(result[SETTINGS_KEY] || {}) };
+  }
+
+  /**
+   * @param {Object} updates - { enabled?, step?, percents? }
+   * @returns {Promise<Object>} Saved settings
+   */
+  async updateSettings(updates = {}) {
+    const next = { ...(await this.getSettings()) };
+
+    if (typeof updates.enabled === 'boolean') {
+      next.enabled = updates.enabled;
+    }
+    if (updates.step !== undefined) {
+      const step = Number(updates.step);
+      if (!Number.isInteger(step) || step < 0) {
+        throw new Error(`Invalid milestone step: ${updates.step}`);
+      }
+      next.step = step;
+    }
+    if (updates.percents !== undefined) {
+      const percents = (Array.isArray(updates.percents) ? updates.percents : [])
+        .map(Number)
+        .filter(p => Number.isFinite(p) && p > 0 && p < 100);
+      next.percents = [...new Set(percents)].sort((a, b) => a - b);
+    }
+
+    await chrome.storage.local.set({ [SETTINGS_KEY]: next });
+    console.log('🔔 Milestone settings updated:', next);
+    return next;
+  }
+
+  // ============================================================================
+  // DETECTION
+  // ============================================================================
+
+  /**
+   * List milestones crossed between two counts (previous < threshold <= current)
+   * @param {Object} book - Book data (targetReviews, stretchReviews, milestoneTiers)
+   * @param {number} previousCount - Count before the fetch
+   * @param {number} currentCount - Newly fetched count
+   * @param {Object} settings - Milestone settings
+   * @returns {Array<{id: string, kind: string, threshold: number, percent?: number}>}
+   */
+  findCrossedMilestones(book, previousCount, currentCount, settings) {
+    const prev = Number(previousCount);
+    const curr = Number(currentCount);
+    if (!Number.isFinite(prev) || !Number.isFinite(curr) || curr <= prev) {
+      return [];
+    }
+
+    const crossed = (threshold) => threshold > prev && threshold <= curr;
+    const milestones = [];
+    const target = Number(book.targetReviews) || 0;
+    const stretch = Number(book.stretchReviews) || 0;
+
+    if (target > 0 && crossed(target)) {
+      milestones.push({ id: `target:${target}`, kind: 'target', threshold: target });
+    }
+    if (stretch > target && crossed(stretch)) {
+      milestones.push({ id: `stretch:${stretch}`, kind: 'stretch', threshold: stretch });
+    }
+    if (target > 0) {
+      (Array.isArray(book.milestoneTiers) ? book.milestoneTiers : []).forEach(reviews => {
+        const threshold = Number(reviews);
+        if (threshold !== target && threshold !== stretch && crossed(threshold)) {
+          milestones.push({ id: `tier:${threshold}`, kind: 'tier', threshold });
+        }
+      });
+      (settings.percents || []).forEach(percent => {
+        const threshold = Math.ceil(target * percent / 100);
+        if (crossed(threshold)) {
+          milestones.push({ id: `percent:${percent}:${target}`, kind: 'percent', threshold, percent });
+        }
+      });
+    }
+    if (settings.step > 0) {
+      const highestStep = Math.floor(curr / settings.step) * settings.step;
+      if (highestStep > 0 && crossed(highestStep)) {
+        milestones.push({ id: `step:${highestStep}`, kind: 'step', threshold: highestStep });
+      }
+    }
+
+    return milestones;
+  }
+
+  /**
+   * Check a fetch result against the previous count and notify if needed
+   * @param {Object} book - Book data with the new currentReviews applied
+   * @param {number|null} previousCount - Count before the fetch
+   * @returns {Promise<Object|null>} Notified milestone or null
+   */
+  async checkAndNotify(book, previousCount) {
+    if (!book?.asin || previousCount === null || previousCount === undefined) {
+      return null;
+    }
+
+    const settings = await this.getSettings();
+    if (!settings.enabled) return null;
+
+    const state = await this.getState();
+    const notified = new Set(state[book.asin] || []);
+    const fresh = this.findCrossedMilestones(book, previousCount, book.currentReviews, settings)
+      .filter(m => !notified.has(m.id));
+    if (fresh.length === 0) return null;
+
+    fresh.forEach(m => notified.add(m.id));
+    state[book.asin] = [...notified].slice(-MAX_NOTIFIED_PER_BOOK);
+    await chrome.storage.local.set({ [STATE_KEY]: state });
+
+    const milestone = fresh.sort((a, b) => KIND_PRIORITY[b.kind] - KIND_PRIORITY[a.kind])[0];
+    await this.showNotification(book, milestone);
+    return milestone;
+  }
+
+  // ============================================================================
+  // NOTIFICATIONS
+  // ============================================================================
+
+  /**
+   * @private
+   */
+  async showNotification(book, milestone) {
+    if (!chrome.notifications) return;
+
+    const { title, message } = this.buildNotificationText(book, milestone);
+    const notificationId = `${NOTIFICATION_PREFIX}|${book.asin}|${Date.now()}`;
+    try {
+      await chrome.notifications.create(notificationId, {
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+        title,
+        message,
+        buttons: [{ title: '今すぐシェア' }],
+        priority: 1
+      });
+      console.log('🔔 Milestone notification shown:', { asin: book.asin, milestone: milestone.id });
+    } catch (error) {
+      console.warn('Milestone notification failed:', error?.message || error);
+    }
+  }
+
+  /**
+   * @private
+   */
+  buildNotificationText(book, milestone) {
+    const name = book.title ? `「${book.title}」` : '書籍';
+    const current = book.currentReviews;
+    const { noun } = getReviewMetricLabels(book.goalMetric);
+
+    switch (milestone.kind) {
+      case 'stretch':
+        return {
+          title: '🚀 ストレッチ目標達成！',
+          message: `${name}の${noun}が${current}件になり、ストレッチ目標${milestone.threshold}件を達成しました！`
+        };
+      case 'target':
+        return {
+          title: '🎉 目標達成！',
+          message: `${name}の${noun}が${current}件になり、目標${milestone.threshold}件を達成しました！`
+        };
+      case 'tier':
+        return {
+          title: `🏁 中間目標${milestone.threshold}件を達成`,
+          message: `${name}の${noun}が${current}件になりました（目標${book.targetReviews}件）`
+        };
+      case 'percent':
+        return {
+          title: `📈 目標の${milestone.percent}%に到達`,
+          message: `${name}の${noun}が${current}件になりました（目標${book.targetReviews}件）`
+        };
+      default:
+        return {
+          title: `📚 ${noun}${milestone.threshold}件突破`,
+          message: `${name}の${noun}が${current}件になりました`
+        };
+    }
+  }
+
+  /**
+   * Extract the ASIN from one of our notification IDs
+   * @param {string} notificationId - Notification ID
+   * @returns {string|null} ASIN or null if not a milestone notification
+   */
+  parseNotificationId(notificationId) {
+    const [prefix, asin] = String(notificationId || '').split('|');
+    return prefix === NOTIFICATION_PREFIX && asin ? asin : null;
+  }
+
+  /**
+   * Build shareToXWithImage arguments for a tracked book
+   * @param {string} asin - Book ASIN
+   * @returns {Promise<{data: Object, tweetUrl: string}|null>}
+   */
+  async buildShareRequest(asin) {
+    const book = await this.libraryStore.getBook(asin);
+    if (!book) return null;
+
+    const current = Number(book.currentReviews) || 0;
+    const target = book.targetReviews;
+    const samples = this.historyStore
+      ? await this.historyStore.query(asin, {}, { combined: !!book.combineEditions })
+      : [];
+    const history = samples
+      .map(s => ({ timestamp: s.timestamp, count: getSampleCount(s, book.goalMetric) }))
+      .filter(s => s.count !== null);
+    const labels = getReviewMetricLabels(book.goalMetric);
+    const progress = {
+      ...this.progressCalculator.getDisplayData(current, target, {
+        stretchReviews: book.stretchReviews,
+        milestoneTiers: book.milestoneTiers
+      }),
+      forecast: this.forecastCalculator.forecast(history, current, target)
+    };
+    const tweetText = this.textGenerator.generateTweetText(book, progress);
+
+    // Same shape as BookDataModel.exportForImageGeneration()
+    const data = {
+      title: book.title,
+      author: book.author,
+      imageUrl: book.imageUrl,
+      currentReviews: current,
+      reviewCount: current,
+      metricLabel: labels.label,
+      metricNoun: labels.noun,
+      targetReviews: target,
+      progressPercentage: progress.percentage,
+      remainingReviews: progress.remaining,
+      isGoalAchieved: progress.achieved,
+      stretchReviews: book.stretchReviews ?? null,
+      tiers: progress.tiers,
+      forecast: progress.forecast,
+      url: this.textGenerator.getShareableUrl(book),
+      generateTime: new Date().toISOString()
+    };
+
+    return { data, tweetUrl: `https://x.com/compose/tweet?text=${encodeURIComponent(tweetText)}` };
+  }
+
+  /**
+   * @private
+   */
+  async getState() {
+    const result = await chrome.storage.local.get([STATE_KEY]);
+    return { ...(result[STATE_KEY] || {}) };
+  }
+}
@@ -6,18 +6,69 @@
  * - Track proxy performance and optimize selection
  * - Handle proxy failures and retry strategies
  * - Provide dynamic timeout recommendations
+ * - Apply the user's proxy list (order, enabled, URL style) from the options page
+ * - Persist health statistics so a restarted service worker does not start blind
+ * - Per-proxy circuit breaker (closed / open / half-open with growing cooldown)
+ * - Enable / disable proxies at runtime and keep a short error history per proxy
+ * - Scheduled health probes (chrome.alarms) that fetch a real product page
  * 
  * Features:
  * - Performance-based proxy reordering
  * - Dynamic timeout adjustments
  * - Automatic proxy health monitoring
  * - Load balancing and failover
+ *
+ * Notes:
+ * - Stats are written to chrome.storage.local (debounced) and restored on startup.
+ * - Counters decay with a half-life, so old results weigh less than new ones and
+ *   the success rate drifts back to neutral for proxies that are no longer used.
+ * - An open breaker removes the proxy from getOptimizedProxyList until its
+ *   cooldown ends; then one trial request (half-open) decides whether it closes
+ *   again or reopens with a doubled cooldown. With every breaker open the list
+ *   is empty and FetchCoordinator falls back to a tab fetch.
+ * - Listing is read-only: the fetch path claims the half-open trial with
+ *   claimProxy() right before the request, so diagnostics (getBestProxy,
+ *   getConfiguration) never use up a recovery trial.
+ * - Probes go through HtmlFetcher (same classification and validation as a
+ *   real fetch) and only target proxies that fetches have not used recently
+ *   or whose breaker cooldown has ended; results count like any attempt, but
+ *   a probe does not count as use (lastUsed), so idle proxies are probed on
+ *   every alarm.
+ * - The probe page comes from the settings (probeUrl, default PROXY_PROBE_URL
+ *   in config.js), so users of other stores can probe a page of their store.
  */
 
-import { PROXIES } from '../config.js';
+import { PROXIES, PROXY_PROBE_URL } from '../config.js';
+
+export const PROBE_ALARM_NAME = 'krm_proxy_probe';
+
+export const PROXY_HEALTH_STORAGE_KEY = 'krmProxyHealth';
+
+export const BREAKER_STATES = Object.freeze({
+  closed: 'closed',
+  open: 'open',
+  halfOpen: 'half_open'
+});
+
+const SNAPSHOT_VERSION = 1;
+const PERSIST_DELAY = 2000;                    // Debounce (a fetch races every proxy at once)
+const STATS_HALF_LIFE = 6 * 60 * 60 * 1000;    // Counters halve every 6 hours
+const PRIOR_ATTEMPTS = 3;                      // Weight of the neutral prior in the score
+const NEUTRAL_SUCCESS_RATE = 50;
+const BREAKER_FAILURE_THRESHOLD = 5;           // Consecutive failures that open the breaker
+const BREAKER_BASE_COOLDOWN = 2 * 60 * 1000;   // Doubles per consecutive trip
+const BREAKER_MAX_COOLDOWN = 60 * 60 * 1000;
+const HALF_OPEN_TRIAL_TIMEOUT = 30 * 1000;     // Trial without a result (worker died) may be retried
+const ERROR_HISTORY_SIZE = 10;
+const PROBE_INTERVAL_MINUTES = 30;             // Proxies used by a fetch within this window are skipped
 
 export class ProxyManagerService {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.storageArea] - chrome.storage area (default: local)
+   * @param {boolean} [options.persist] - false keeps stats in memory only
+   */
+  constructor(options = {}) {
     this.defaultProxies = (Array.isArray(PROXIES) && PROXIES.length > 0) ? PROXIES.slice() : [
       // Prefer fast, generally reliable proxies first
       'https://corsproxy.io/?',
@@ -33,20 +84,148 @@ export class ProxyManagerService {
     
     // Performance statistics for each proxy
     this.stats = new Map();
+
+    // Configured URL style per proxy ('query' | 'path'); unknown = inferred by HtmlFetcher
+    this.proxyStyles = new Map();
+
+    // Proxies kept in the pool (with their stats) but never handed out
+    this.disabledProxies = new Set();
+
+    // Health probe: (proxy, url) => Promise, set by initializeHealthProbes
+    this.probe = null;
+    this.probeUrl = PROXY_PROBE_URL;
+    this.probing = null;
+    this.lastProbeRunAt = null;
+    
+    // Persisted stats of proxies not (yet) in the pool, e.g. before settings load
+    this.restoredStats = new Map();
+
+    // Persistence (disabled with options.persist === false or without chrome.storage)
+    this.storageArea = options.persist === false ? null : (options.storageArea || globalThis.chrome?.storage?.local || null);
+    this.persistence = {
+      restoredProxies: 0,
+      restoredAt: null,
+      lastPersistedAt: null,
+      lastError: null
+    };
+    this.writeQueue = Promise.resolve();
+    this.persistTimer = null;
     
     // Initialize stats for each proxy
     this.defaultProxies.forEach(proxy => {
-      this.stats.set(proxy, {
-        attempts: 0,
-        successes: 0,
-        totalResponseTime: 0,
-        averageResponseTime: 0,
-        successRate: 0,
-        lastUsed: 0,
-        consecutiveFailures: 0,
-        status: 'unknown' // unknown, healthy, degraded, failed
-      });
+      this.stats.set(proxy, this.createEmptyStats());
     });
+
+    // Restore stats saved by the previous service worker instance
+    this.ready = this.restore();
+  }
+
+  /**
+   * Resolve once persisted stats have been restored
+   * @returns {Promise<void>}
+   */
+  whenReady() {
+    return this.ready;
+  }
+
+  /**
+   * Replace the proxy pool with the configured list
+   * Order is kept as the tie-breaker for equal scores (e.g. before any stats exist).
+   * Stats of proxies that stay in the list are preserved; disabled entries keep
+   * theirs too, so enabling one again does not start from scratch.
+   * @param {Array<{url: string, style?: string, enabled?: boolean}>} entries - Configured proxies
+   */
+  setProxies(entries = []) {
+    const configured = entries.filter(entry => entry?.url);
+    const previous = this.stats;
+
+    this.stats = new Map();
+    this.proxyStyles = new Map();
+    this.disabledProxies = new Set();
+    configured.forEach(({ url, style, enabled }) => {
+      this.stats.set(url, previous.get(url) || this.takeRestoredStats(url) || this.createEmptyStats());
+      if (style) this.proxyStyles.set(url, style);
+      if (enabled === false) this.disabledProxies.add(url);
+    });
+    this.defaultProxies = configured.filter(entry => entry.enabled !== false).map(entry => entry.url);
+    this.schedulePersist();
+
+    console.log(`🔀 Proxy pool updated: ${this.defaultProxies.length} active proxies`);
+  }
+
+  /**
+   * Enable / disable a proxy until the next settings change
+   * (the options page checkbox is the persistent switch). Enabling clears its
+   * failure streak and breaker.
+   * @param {string} proxyUrl - Proxy URL
+   * @param {boolean} enabled - Whether the proxy may be used
+   */
+  setProxyEnabled(proxyUrl, enabled) {
+    const stat = this.stats.get(proxyUrl);
+    if (!stat) return;
+
+    if (enabled) {
+      this.disabledProxies.delete(proxyUrl);
+      stat.consecutiveFailures = 0;
+      stat.breaker = this.createClosedBreaker();
+    } else {
+      this.disabledProxies.add(proxyUrl);
+    }
+    this.schedulePersist();
+    console.log(`🔧 Proxy ${enabled ? 'enabled' : 'disabled'}: ${proxyUrl.split('/')[2]}`);
+  }
+
+  /**
+   * @param {string} proxy - Proxy URL
+   * @returns {boolean} Whether the proxy is in the pool and enabled
+   */
+  isProxyEnabled(proxy) {
+    return this.stats.has(proxy) && !this.disabledProxies.has(proxy);
+  }
+
+  /**
+   * Configured URL style for a proxy
+   * @param {string} proxy - Proxy URL
+   * @returns {string|null} 'query' | 'path' | null when not configured
+   */
+  getProxyStyle(proxy) {
+    return this.proxyStyles.get(proxy) || null;
+  }
+
+  /**
+   * @private
+   */
+  createEmptyStats() {
+    return {
+      attempts: 0,
+      successes: 0,
+      totalResponseTime: 0,
+      averageResponseTime: 0,
+      successRate: 0,
+      lastUsed: 0,
+      consecutiveFailures: 0,
+      blockedCount: 0,      // CAPTCHA / sign-in / region redirect pages served
+      lastPageType: null,   // PageClassifier type of the last Amazon answer
+      status: 'unknown', // unknown, healthy, degraded, blocked, failed
+      errorHistory: [],     // Last ERROR_HISTORY_SIZE failures { at, error, pageType }
+      lastProbeAt: 0,
+      lastProbeOk: null,
+      decayedAt: Date.now(),
+      breaker: this.createClosedBreaker()
+    };
+  }
+
+  /**
+   * @private
+   */
+  createClosedBreaker() {
+    return {
+      state: BREAKER_STATES.closed,
+      openedAt: 0,
+      retryAt: 0,       // End of the current cooldown
+      trips: 0,         // Consecutive openings (cooldown grows with each)
+      trialStartedAt: 0 // Half-open request handed out
+    };
   }
 
   /**
@@ -54,13 +233,30 @@ export class ProxyManagerService {
    * @param {string} proxy - Proxy URL
    * @param {boolean} success - Whether the attempt was successful
    * @param {number} responseTime - Response time in milliseconds
+   * @param {Object} [details] - { pageType, error, probe }: classified page type,
+   *   failure message, and whether the attempt was a scheduled health probe
    */
-  recordAttempt(proxy, success, responseTime) {
+  recordAttempt(proxy, success, responseTime, details = {}) {
     const stat = this.stats.get(proxy);
     if (!stat) return;
     
+    this.applyDecay(stat);
+    const now = Date.now();
     stat.attempts++;
-    stat.lastUsed = Date.now();
+    if (details.pageType) stat.lastPageType = details.pageType;
+    if (details.probe) {
+      stat.lastProbeAt = now;
+      stat.lastProbeOk = success;
+    } else {
+      stat.lastUsed = now;
+    }
+    if (!success) {
+      stat.errorHistory = [...stat.errorHistory, {
+        at: now,
+        error: String(details.error || 'unknown error').substring(0, 100),
+        pageType: details.pageType || null
+      }].slice(-ERROR_HISTORY_SIZE);
+    }
     
     if (success) {
       stat.successes++;
@@ -71,7 +267,8 @@ export class ProxyManagerService {
       // Update status based on performance
       if (stat.successRate >= 80 && stat.averageResponseTime < 5000) {
         stat.status = 'healthy';
-      } else if (stat.successRate >= 50) {
+      } else if (stat.successRate >= 50 || stat.status === 'blocked' || stat.status === 'failed') {
+        // A product page means Amazon stopped blocking this proxy (or it is back up)
         stat.status = 'degraded';
       }
     } else {
@@ -80,14 +277,119 @@ export class ProxyManagerService {
       // Update status based on failures
       if (stat.consecutiveFailures >= 5) {
         stat.status = 'failed';
+      } else if (details.pageType) {
+        // Reachable, but Amazon blocks its IP (robot check etc.)
+        stat.blockedCount++;
+        stat.status = 'blocked';
       } else if (stat.consecutiveFailures >= 3) {
         stat.status = 'degraded';
       }
     }
     
     stat.successRate = (stat.successes / stat.attempts) * 100;
+    this.updateBreaker(proxy, stat, success);
+    this.schedulePersist();
     
-    console.log(`📈 Proxy stats updated: ${proxy.split('/')[2]} - ${stat.successRate.toFixed(1)}% success, ${stat.averageResponseTime.toFixed(0)}ms avg, status: ${stat.status}`);
+    console.log(`📈 Proxy stats updated: ${proxy.split('/')[2]} - ${stat.successRate.toFixed(1)}% success, ${stat.averageResponseTime.toFixed(0)}ms avg, status: ${stat.status}, breaker: ${stat.breaker.state}`);
+  }
+
+  // ============================================================================
+  // CIRCUIT BREAKER
+  // ============================================================================
+
+  /**
+   * Move the breaker after an attempt result
+   * @private
+   */
+  updateBreaker(proxy, stat, success) {
+    const breaker = stat.breaker;
+    const host = proxy.split('/')[2];
+
+    if (success) {
+      if (breaker.state !== BREAKER_STATES.closed) {
+        console.log(`🟢 Proxy breaker closed: ${host}`);
+      }
+      stat.breaker = this.createClosedBreaker();
+      return;
+    }
+
+    // A failed trial reopens at once; a closed breaker waits for the threshold
+    const trialFailed = breaker.state === BREAKER_STATES.halfOpen;
+    if (trialFailed || (breaker.state === BREAKER_STATES.closed && stat.consecutiveFailures >= BREAKER_FAILURE_THRESHOLD)) {
+      const now = Date.now();
+      breaker.trips++;
+      breaker.state = BREAKER_STATES.open;
+      breaker.openedAt = now;
+      breaker.retryAt = now + Math.min(BREAKER_BASE_COOLDOWN * 2 ** (breaker.trips - 1), BREAKER_MAX_COOLDOWN);
+      breaker.trialStartedAt = 0;
+      console.warn(`🔴 Proxy breaker open: ${host} until ${new Date(breaker.retryAt).toLocaleTimeString('ja-JP')} (trip ${breaker.trips})`);
+    }
+  }
+
+  /**
+   * Let an open breaker go half-open once its cooldown has passed
+   * @private
+   */
+  refreshBreaker(stat, now = Date.now()) {
+    const breaker = stat.breaker;
+    if (breaker.state === BREAKER_STATES.open && now >= breaker.retryAt) {
+      breaker.state = BREAKER_STATES.halfOpen;
+      breaker.trialStartedAt = 0;
+    }
+    return breaker.state;
+  }
+
+  /**
+   * Whether the proxy may be handed out now (does not claim the half-open trial)
+   * @private
+   */
+  isAvailable(stat, now = Date.now()) {
+    const state = this.refreshBreaker(stat, now);
+    if (state === BREAKER_STATES.closed) return true;
+    if (state === BREAKER_STATES.open) return false;
+
+    const { trialStartedAt } = stat.breaker;
+    return !trialStartedAt || now - trialStartedAt >= HALF_OPEN_TRIAL_TIMEOUT;
+  }
+
+  /**
+   * Claim a proxy for a request about to start
+   * Closed breakers always pass; a half-open breaker passes once (its trial).
+   * @param {string} proxy - Proxy URL
+   * @returns {boolean} false when the breaker is open or its trial is already in flight
+   */
+  claimProxy(proxy) {
+    const stat = this.stats.get(proxy);
+    if (!stat) return true;
+    const now = Date.now();
+    if (!this.isAvailable(stat, now)) return false;
+    if (stat.breaker.state === BREAKER_STATES.halfOpen) {
+      stat.breaker.trialStartedAt = now;
+    }
+    return true;
+  }
+
+  /**
+   * Decay counters toward "no evidence" (half-life STATS_HALF_LIFE)
+   * Average response time and success rate are ratios and stay as they are.
+   * @private
+   */
+  applyDecay(stat, now = Date.now()) {
+    const elapsed = now - (stat.decayedAt || now);
+    stat.decayedAt = now;
+    if (elapsed <= 0) return;
+
+    const factor = 0.5 ** (elapsed / STATS_HALF_LIFE);
+    stat.attempts *= factor;
+    stat.successes *= factor;
+    stat.totalResponseTime *= factor;
+    stat.blockedCount *= factor;
+
+    // Old verdicts expire with their evidence (an open breaker keeps its own state)
+    if (stat.attempts < 0.5 && stat.breaker.state === BREAKER_STATES.closed) {
+      stat.status = 'unknown';
+      stat.consecutiveFailures = 0;
+    }
   }
 
   /**
@@ -95,12 +397,16 @@ export class ProxyManagerService {
    * @returns {Array<string>} Proxies ordered by performance score
    */
   getOptimizedProxyList() {
+    const now = Date.now();
+
     // Create array of [proxy, score] pairs
     const scoredProxies = Array.from(this.stats.entries()).map(([proxy, stat]) => {
+      this.applyDecay(stat, now);
       let score = 0;
       
-      // Base score from success rate (0-100)
-      score += stat.successRate * 1.0;
+      // Base score from success rate (0-100), pulled toward neutral while evidence is thin
+      const evidence = stat.attempts / (stat.attempts + PRIOR_ATTEMPTS);
+      score += stat.successRate * evidence + NEUTRAL_SUCCESS_RATE * (1 - evidence);
       
       // Speed bonus (faster = higher score)
       if (stat.averageResponseTime > 0) {
@@ -116,6 +422,9 @@ export class ProxyManagerService {
         case 'degraded':
           score -= 10;
           break;
+        case 'blocked':
+          score -= 40;
+          break;
         case 'failed':
           score -= 50;
           break;
@@ -139,17 +448,22 @@ export class ProxyManagerService {
       return { proxy, score, stat };
     });
     
-    // Sort by score (highest first) and extract proxies
+    // Sort by score (highest first), skip disabled proxies and open breakers
     const optimizedList = scoredProxies
       .sort((a, b) => b.score - a.score)
+      .filter(item => !this.disabledProxies.has(item.proxy) && this.isAvailable(item.stat, now))
       .map(item => item.proxy);
     
     console.log('🎯 Optimized proxy order:', 
       optimizedList.map(p => {
         const stat = this.stats.get(p);
-        return `${p.split('/')[2]}(${stat.successRate.toFixed(0)}%,${stat.status})`;
+        const trial = stat.breaker.state === BREAKER_STATES.halfOpen ? ',trial' : '';
+        return `${p.split('/')[2]}(${stat.successRate.toFixed(0)}%,${stat.status}${trial})`;
       })
     );
+    if (optimizedList.length === 0 && this.stats.size > 0) {
+      console.warn('⛔ All proxy breakers are open');
+    }
     
     return optimizedList;
   }
@@ -176,8 +490,9 @@ export class ProxyManagerService {
       case 'degraded':
         timeout = Math.min(timeout * 1.5, 12000); // Longer timeout for degraded
         break;
+      case 'blocked':
       case 'failed':
-        timeout = 3000; // Short timeout for failed proxies
+        timeout = 3000; // Short timeout for failed / blocked proxies
         break;
       default:
         timeout = Math.min(timeout, 10000); // Default cap
@@ -200,9 +515,12 @@ export class ProxyManagerService {
         proxy: proxy.split('/')[2],
         successRate: `${stat.successRate.toFixed(1)}%`,
         avgResponseTime: `${stat.averageResponseTime.toFixed(0)}ms`,
-        attempts: stat.attempts,
+        attempts: Math.round(stat.attempts),
         consecutiveFailures: stat.consecutiveFailures,
+        blockedCount: Math.round(stat.blockedCount),
+        lastPageType: stat.lastPageType,
         status: stat.status,
+        breaker: stat.breaker.state,
         lastUsed: new Date(stat.lastUsed).toISOString()
       } : null;
     }
@@ -213,9 +531,12 @@ export class ProxyManagerService {
       allStats[proxyUrl.split('/')[2]] = {
         successRate: `${stat.successRate.toFixed(1)}%`,
         avgResponseTime: `${stat.averageResponseTime.toFixed(0)}ms`,
-        attempts: stat.attempts,
+        attempts: Math.round(stat.attempts),
         consecutiveFailures: stat.consecutiveFailures,
+        blockedCount: Math.round(stat.blockedCount),
+        lastPageType: stat.lastPageType,
         status: stat.status,
+        breaker: stat.breaker.state,
         lastUsed: stat.lastUsed > 0 ? new Date(stat.lastUsed).toISOString() : 'never'
       };
     }
@@ -234,27 +555,29 @@ export class ProxyManagerService {
       stat.successRate = 0;
       stat.lastUsed = 0;
       stat.consecutiveFailures = 0;
+      stat.blockedCount = 0;
+      stat.lastPageType = null;
       stat.status = 'unknown';
+      stat.errorHistory = [];
+      stat.lastProbeAt = 0;
+      stat.lastProbeOk = null;
+      stat.decayedAt = Date.now();
+      stat.breaker = this.createClosedBreaker();
     });
+    this.restoredStats.clear();
+    this.schedulePersist();
     console.log('🔄 Proxy performance stats reset');
   }
 
   /**
    * Add a new proxy to the pool
    * @param {string} proxyUrl - New proxy URL
+   * @param {string|null} style - 'query' | 'path' (optional)
    */
-  addProxy(proxyUrl) {
+  addProxy(proxyUrl, style = null) {
     if (!this.stats.has(proxyUrl)) {
-      this.stats.set(proxyUrl, {
-        attempts: 0,
-        successes: 0,
-        totalResponseTime: 0,
-        averageResponseTime: 0,
-        successRate: 0,
-        lastUsed: 0,
-        consecutiveFailures: 0,
-        status: 'unknown'
-      });
+      this.stats.set(proxyUrl, this.takeRestoredStats(proxyUrl) || this.createEmptyStats());
+      if (style) this.proxyStyles.set(proxyUrl, style);
       console.log('➕ Added new proxy:', proxyUrl);
     }
   }
@@ -266,25 +589,58 @@ export class ProxyManagerService {
   removeProxy(proxyUrl) {
     if (this.stats.has(proxyUrl)) {
       this.stats.delete(proxyUrl);
+      this.proxyStyles.delete(proxyUrl);
+      this.disabledProxies.delete(proxyUrl);
       console.log('➖ Removed proxy:', proxyUrl);
     }
   }
 
   /**
    * Get proxy status summary
+   * Counts per status and breaker state, plus one row per proxy for the options page.
    * @returns {Object} Status summary
    */
   getStatusSummary() {
+    const now = Date.now();
     const summary = {
       total: this.stats.size,
       healthy: 0,
       degraded: 0,
+      blocked: 0,
       failed: 0,
-      unknown: 0
+      unknown: 0,
+      disabled: this.disabledProxies.size,
+      breakers: {
+        [BREAKER_STATES.closed]: 0,
+        [BREAKER_STATES.open]: 0,
+        [BREAKER_STATES.halfOpen]: 0
+      },
+      proxies: [],
+      restoredAt: this.persistence.restoredAt,
+      lastProbeRunAt: this.lastProbeRunAt
     };
     
     for (const [proxy, stat] of this.stats.entries()) {
+      this.applyDecay(stat, now);
+      const breakerState = this.refreshBreaker(stat, now);
       summary[stat.status]++;
+      summary.breakers[breakerState]++;
+      summary.proxies.push({
+        url: proxy,
+        enabled: !this.disabledProxies.has(proxy),
+        status: stat.status,
+        breaker: breakerState,
+        retryAt: breakerState === BREAKER_STATES.open ? stat.breaker.retryAt : null,
+        trips: stat.breaker.trips,
+        successRate: Math.round(stat.successRate),
+        averageResponseTime: Math.round(stat.averageResponseTime),
+        attempts: Math.round(stat.attempts * 10) / 10,
+        lastPageType: stat.lastPageType,
+        lastError: stat.errorHistory[stat.errorHistory.length - 1] || null,
+        lastProbeAt: stat.lastProbeAt || null,
+        lastProbeOk: stat.lastProbeOk,
+        lastUsed: stat.lastUsed || null
+      });
     }
     
     return summary;
@@ -305,6 +661,7 @@ export class ProxyManagerService {
    */
   hasHealthyProxies() {
     for (const [proxy, stat] of this.stats.entries()) {
+      if (this.disabledProxies.has(proxy) || this.refreshBreaker(stat) === BREAKER_STATES.open) continue;
       if (stat.status === 'healthy' || stat.status === 'unknown') {
         return true;
       }
@@ -327,15 +684,224 @@ export class ProxyManagerService {
 
   /**
    * Force refresh status of all proxies
-   * (Reset consecutive failures and status for testing)
+   * (Reset consecutive failures, status and breakers; keeps success rates)
    */
   refreshAllProxies() {
     this.stats.forEach(stat => {
       stat.consecutiveFailures = 0;
-      if (stat.status === 'failed') {
+      stat.breaker = this.createClosedBreaker();
+      if (stat.status === 'failed' || stat.status === 'blocked') {
         stat.status = 'unknown';
       }
     });
+    this.schedulePersist();
     console.log('🔄 All proxy statuses refreshed');
   }
+
+  // ============================================================================
+  // HEALTH PROBES
+  // ============================================================================
+
+  /**
+   * Set the product page the probes fetch
+   * @param {string} url - Amazon product URL (settings.probeUrl)
+   */
+  setProbeUrl(url) {
+    this.probeUrl = url || PROXY_PROBE_URL;
+  }
+
+  /**
+   * Register the probe and make sure the periodic alarm exists
+   * The alarm listener must be registered by the caller on every worker start.
+   * @param {Function} probe - (proxy, url) => Promise; rejects when the proxy failed
+   */
+  async initializeHealthProbes(probe) {
+    this.probe = probe;
+    if (!globalThis.chrome?.alarms) return;
+
+    const existing = await chrome.alarms.get(PROBE_ALARM_NAME);
+    if (!existing) {
+      await chrome.alarms.create(PROBE_ALARM_NAME, {
+        delayInMinutes: 1,
+        periodInMinutes: PROBE_INTERVAL_MINUTES
+      });
+    }
+    console.log(`🏥 Proxy health probes scheduled (every ${PROBE_INTERVAL_MINUTES} min)`);
+  }
+
+  /**
+   * Alarm listener entry point
+   * @param {chrome.alarms.Alarm} alarm - Fired alarm
+   */
+  async handleAlarm(alarm) {
+    if (alarm?.name !== PROBE_ALARM_NAME) return;
+    await this.runHealthProbes();
+  }
+
+  /**
+   * Probe proxies with the known-good product page
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Probe every enabled proxy, even recently used or open ones
+   * @returns {Promise<{probed: number, healthy: number, results: Array<{proxy: string, ok: boolean, error?: string}>}|null>}
+   *   null when no probe is registered
+   */
+  async runHealthProbes({ force = false } = {}) {
+    if (!this.probe) return null;
+    if (this.probing) return this.probing;
+
+    this.probing = (async () => {
+      await this.ready;
+      const targets = this.selectProbeTargets(force);
+      const settled = await Promise.allSettled(targets.map(proxy => this.probe(proxy, this.probeUrl)));
+      const results = settled.map((outcome, i) => ({
+        proxy: targets[i],
+        ok: outcome.status === 'fulfilled',
+        ...(outcome.status === 'rejected' ? { error: outcome.reason?.message || String(outcome.reason) } : {})
+      }));
+
+      this.lastProbeRunAt = Date.now();
+      const healthy = results.filter(r => r.ok).length;
+      console.log(`🏥 Proxy health probe: ${healthy}/${results.length} healthy`);
+      return { probed: results.length, healthy, results };
+    })();
+
+    try {
+      return await this.probing;
+    } finally {
+      this.probing = null;
+    }
+  }
+
+  /**
+   * Enabled proxies worth probing now (claims the half-open trials it picks)
+   * Skips proxies a fetch used within the probe interval and breakers still cooling down.
+   * @private
+   */
+  selectProbeTargets(force) {
+    const now = Date.now();
+    const staleBefore = now - PROBE_INTERVAL_MINUTES * 60 * 1000;
+
+    return Array.from(this.stats.entries())
+      .filter(([proxy, stat]) => {
+        if (this.disabledProxies.has(proxy)) return false;
+        if (force) return true;
+        const state = this.refreshBreaker(stat, now);
+        if (state === BREAKER_STATES.open) return false;
+        if (state === BREAKER_STATES.halfOpen) return this.claimProxy(proxy);
+        return stat.lastUsed < staleBefore;
+      })
+      .map(([proxy]) => proxy);
+  }
+
+  // ============================================================================
+  // PERSISTENCE
+  // ============================================================================
+
+  /**
+   * Load persisted stats; proxies outside the pool wait in restoredStats
+   * @returns {Promise<void>}
+   */
+  async restore() {
+    if (!this.storageArea) return;
+
+    try {
+      const result = await this.storageArea.get([PROXY_HEALTH_STORAGE_KEY]);
+      const snapshot = result?.[PROXY_HEALTH_STORAGE_KEY];
+      if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) return;
+
+      let restored = 0;
+      for (const [proxy, saved] of Object.entries(snapshot.proxies || {})) {
+        const stat = this.reviveStats(saved);
+        if (!stat) continue;
+        restored++;
+
+        // Attempts recorded since startup are newer than the snapshot
+        const live = this.stats.get(proxy);
+        if (live && live.attempts === 0) this.stats.set(proxy, stat);
+        else if (!live) this.restoredStats.set(proxy, stat);
+      }
+
+      this.persistence.restoredProxies = restored;
+      this.persistence.restoredAt = Date.now();
+      this.persistence.lastPersistedAt = snapshot.savedAt || null;
+      console.log(`🔀 Proxy health restored for ${restored} proxies`);
+    } catch (error) {
+      this.persistence.lastError = error?.message || String(error);
+      console.warn('Proxy health restore failed:', this.persistence.lastError);
+    }
+  }
+
+  /**
+   * Write stats of the current pool to storage (serialized, after restore)
+   * @returns {Promise<void>}
+   */
+  persist() {
+    if (!this.storageArea) return Promise.resolve();
+
+    if (this.persistTimer) {
+      clearTimeout(this.persistTimer);
+      this.persistTimer = null;
+    }
+
+    this.writeQueue = this.writeQueue
+      .then(() => this.ready)
+      .then(() => this.storageArea.set({ [PROXY_HEALTH_STORAGE_KEY]: this.createSnapshot() }))
+      .then(() => {
+        this.persistence.lastPersistedAt = Date.now();
+        this.persistence.lastError = null;
+      })
+      .catch(error => {
+        this.persistence.lastError = error?.message || String(error);
+        console.warn('Proxy health persist failed:', this.persistence.lastError);
+      });
+    return this.writeQueue;
+  }
+
+  /**
+   * @private
+   */
+  schedulePersist() {
+    if (!this.storageArea || this.persistTimer) return;
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      this.persist();
+    }, PERSIST_DELAY);
+  }
+
+  /**
+   * @private
+   */
+  createSnapshot() {
+    return {
+      version: SNAPSHOT_VERSION,
+      savedAt: Date.now(),
+      proxies: Object.fromEntries(this.stats.entries())
+    };
+  }
+
+  /**
+   * Rebuild a stats object from storage (missing fields take their defaults)
+   * Decay for the time the worker was stopped is applied on first use.
+   * @private
+   */
+  reviveStats(saved) {
+    if (!saved || typeof saved !== 'object') return null;
+    const stat = { ...this.createEmptyStats(), ...saved };
+    stat.errorHistory = Array.isArray(saved.errorHistory) ? saved.errorHistory.slice(-ERROR_HISTORY_SIZE) : [];
+    stat.breaker = { ...this.createClosedBreaker(), ...(saved.breaker || {}), trialStartedAt: 0 };
+    if (!Object.values(BREAKER_STATES).includes(stat.breaker.state)) {
+      stat.breaker = this.createClosedBreaker();
+    }
+    stat.decayedAt = Number(saved.decayedAt) || Date.now();
+    return stat;
+  }
+
+  /**
+   * @private
+   */
+  takeRestoredStats(proxy) {
+    const stat = this.restoredStats.get(proxy) || null;
+    this.restoredStats.delete(proxy);
+    return stat;
+  }
 }
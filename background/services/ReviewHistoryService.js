@@ -0,0 +1,233 @@
+/**
+ * Review History Service
+ *
+ * Responsibilities:
+ * - Persist a per-book (ASIN) time series of review counts in chrome.storage.local
+ * - Record ratings and written review counts separately (see ReviewMetrics.js)
+ * - Skip identical consecutive samples (same counts, rating, ranks and histogram)
+ * - Cap stored samples per book, dropping the oldest first
+ * - Answer range queries for charts and forecasting
+ *
+ * Storage layout:
+ * - One key per book: `${keyPrefix}${ASIN}` -> Array<ReviewSample> (oldest first)
+ * - Combined-editions totals (FetchCoordinator.fetchCombinedEditions) get their
+ *   own series, `${keyPrefix}${ASIN}${COMBINED_SUFFIX}`: the totals jump when
+ *   the mode is switched, which would break the chart and the forecast rate.
+ *
+ * @typedef {Object} ReviewSample
+ * @property {number} timestamp - Sample time (ms since epoch)
+ * @property {number} count - Review count (whichever the page showed first; pre-split samples only have this)
+ * @property {number} [ratings] - Star rating count (個の評価 / global ratings)
+ * @property {number} [reviews] - Written review count (件のレビュー / global reviews)
+ * @property {number|null} rating - Average rating at sample time
+ * @property {number|null} rank - Overall best-seller rank at sample time
+ * @property {Array<{rank: number, category: string}>} [categoryRanks] - Per-category ranks (max 3)
+ * @property {Object<string, number>} [histogram] - Percent of ratings per star ('5'…'1')
+ * @property {string} source - Extraction source ('html' | 'json-ld' | 'context' | 'manual' | ...)
+ */
+
+import { pickMetricCount } from '../../shared/ReviewMetrics.js';
+
+const COMBINED_SUFFIX = '+editions';
+
+export class ReviewHistoryService {
+  constructor(options = {}) {
+    this.keyPrefix = options.keyPrefix || 'reviewHistory:';
+    this.maxEntries = options.maxEntries || 1000;
+
+    // Serialize read-modify-write per book so concurrent appends don't drop samples
+    this.writeQueues = new Map();
+
+    console.log('📈 ReviewHistoryService initialized:', { maxEntries: this.maxEntries });
+  }
+
+  // ============================================================================
+  // WRITE OPERATIONS
+  // ============================================================================
+
+  /**
+   * Append a sample to a book's history
+   * @param {string} asin - Book ASIN
+   * @param {Object} sample - { count, ratings?, reviews?, rating?, source?, timestamp? }
+   * @param {Object} [series] - { combined?: boolean } combined-editions series
+   * @returns {Promise<{added: boolean, reason?: string, size: number}>}
+   */
+  async append(asin, sample, series = {}) {
+    const key = this.getStorageKey(asin, series);
+    const entry = this.createEntry(sample);
+    if (!key || !entry) {
+      return { added: false, reason: 'invalid', size: 0 };
+    }
+
+    return this.enqueue(key, async () => {
+      const history = await this.read(key);
+      const last = history[history.length - 1];
+
+      if (last && this.isSameSample(last, entry)) {
+        return { added: false, reason: 'duplicate', size: history.length };
+      }
+
+      // Keep chronological order even if an older sample arrives late
+      if (last && entry.timestamp < last.timestamp) {
+        const index = history.findIndex(s => s.timestamp > entry.timestamp);
+        history.splice(index, 0, entry);
+      } else {
+        history.push(entry);
+      }
+
+      const trimmed = history.length > this.maxEntries
+        ? history.slice(history.length - this.maxEntries)
+        : history;
+
+      await chrome.storage.local.set({ [key]: trimmed });
+      return { added: true, size: trimmed.length };
+    });
+  }
+
+  /**
+   * Record a processed fetch result (BookDataDTO)
+   * @param {Object} dto - Fetch result
+   * @returns {Promise<Object>} Append result
+   */
+  async recordFetchResult(dto) {
+    if (!dto || typeof dto.reviewCount !== 'number') {
+      return { added: false, reason: 'no-count', size: 0 };
+    }
+    return this.append(dto.asin, {
+      timestamp: dto.timestamp,
+      count: dto.reviewCount,
+      ratings: pickMetricCount(dto, 'ratings'),
+      reviews: pickMetricCount(dto, 'reviews'),
+      rating: dto.averageRating,
+      rank: dto.bestSellersRank?.overall?.rank,
+      categoryRanks: dto.bestSellersRank?.categories,
+      histogram: dto.ratingHistogram,
+      source: dto.extraction?.reviewCountSource || dto.source || 'fetch'
+    }, { combined: !!dto.combined });
+  }
+
+  /**
+   * Remove a book's history (both series)
+   * @param {string} asin - Book ASIN
+   */
+  async clear(asin) {
+    const keys = [this.getStorageKey(asin), this.getStorageKey(asin, { combined: true })];
+    if (!keys[0]) return false;
+    await Promise.all(keys.map(key => this.enqueue(key, () => chrome.storage.local.remove(key))));
+    return true;
+  }
+
+  // ============================================================================
+  // READ OPERATIONS
+  // ============================================================================
+
+  /**
+   * Query samples in a time range (inclusive)
+   * @param {string} asin - Book ASIN
+   * @param {Object} [range] - { from?, to?, limit? } timestamps in ms; limit keeps the newest N
+   * @param {Object} [series] - { combined?: boolean } combined-editions series
+   * @returns {Promise<Array<ReviewSample>>} Samples, oldest first
+   */
+  async query(asin, range = {}, series = {}) {
+    const key = this.getStorageKey(asin, series);
+    if (!key) return [];
+
+    const from = Number.isFinite(range.from) ? range.from : -Infinity;
+    const to = Number.isFinite(range.to) ? range.to : Infinity;
+    const samples = (await this.read(key)).filter(s => s.timestamp >= from && s.timestamp <= to);
+
+    return (Number.isFinite(range.limit) && range.limit > 0)
+      ? samples.slice(-range.limit)
+      : samples;
+  }
+
+  /**
+   * Get the most recent sample
+   * @param {string} asin - Book ASIN
+   * @param {Object} [series] - { combined?: boolean }
+   * @returns {Promise<ReviewSample|null>}
+   */
+  async getLatest(asin, series = {}) {
+    const samples = await this.query(asin, { limit: 1 }, series);
+    return samples[0] || null;
+  }
+
+  // ============================================================================
+  // INTERNALS
+  // ============================================================================
+
+  /**
+   * @private
+   */
+  async read(key) {
+    const result = await chrome.storage.local.get([key]);
+    return Array.isArray(result[key]) ? result[key] : [];
+  }
+
+  /**
+   * Chain work per storage key
+   * @private
+   */
+  enqueue(key, task) {
+    const previous = this.writeQueues.get(key) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    this.writeQueues.set(key, next);
+    next.finally(() => {
+      if (this.writeQueues.get(key) === next) this.writeQueues.delete(key);
+    }).catch(() => {});
+    return next;
+  }
+
+  /**
+   * @private
+   */
+  createEntry(sample) {
+    const count = Number(sample?.count);
+    if (!Number.isFinite(count) || count < 0) return null;
+
+    const rating = Number(sample.rating);
+    const rank = Number(sample.rank);
+    const entry = {
+      timestamp: Number.isFinite(sample.timestamp) ? sample.timestamp : Date.now(),
+      count: Math.round(count),
+      rating: Number.isFinite(rating) && rating > 0 ? rating : null,
+      rank: Number.isFinite(rank) && rank > 0 ? Math.round(rank) : null,
+      source: sample.source || 'unknown'
+    };
+    ['ratings', 'reviews'].forEach(metric => {
+      const value = Number(sample[metric]);
+      if (sample[metric] != null && Number.isFinite(value) && value >= 0) entry[metric] = Math.round(value);
+    });
+    if (Array.isArray(sample.categoryRanks) && sample.categoryRanks.length > 0) {
+      entry.categoryRanks = sample.categoryRanks
+        .slice(0, 3)
+        .map(r => ({ rank: r.rank, category: r.category }));
+    }
+    if (sample.histogram && typeof sample.histogram === 'object') {
+      entry.histogram = {};
+      [5, 4, 3, 2, 1].forEach(star => { entry.histogram[star] = Number(sample.histogram[star]) || 0; });
+    }
+    return entry;
+  }
+
+  /**
+   * @private
+   */
+  isSameSample(a, b) {
+    return a.count === b.count
+      && (a.ratings ?? null) === (b.ratings ?? null)
+      && (a.reviews ?? null) === (b.reviews ?? null)
+      && (a.rating ?? null) === (b.rating ?? null)
+      && (a.rank ?? null) === (b.rank ?? null)
+      && JSON.stringify(a.categoryRanks || []) === JSON.stringify(b.categoryRanks || [])
+      && JSON.stringify(a.histogram || null) === JSON.stringify(b.histogram || null);
+  }
+
+  /**
+   * @private
+   */
+  getStorageKey(asin, series = {}) {
+    if (!asin || typeof asin !== 'string') return null;
+    return `${this.keyPrefix}${asin.toUpperCase()}${series.combined ? COMBINED_SUFFIX : ''}`;
+  }
+}
@@ -0,0 +1,336 @@
+/**
+ * Scheduled Refresh Service
+ *
+ * Responsibilities:
+ * - Schedule periodic background refreshes of all tracked books via chrome.alarms
+ * - Fetch each book through AmazonScrapingService and store the new counts
+ *   (currentReviews follows the book's goal metric: ratings or written reviews)
+ * - Back off per book after consecutive failures
+ * - Reflect the selected book's review count on the extension badge
+ *
+ * Notes:
+ * - Uses one-shot alarms rescheduled on every run so each interval gets
+ *   fresh jitter (periodic alarms would fire at a fixed cadence). The next
+ *   alarm is created before the books are fetched, and per-book state is
+ *   saved after each book, so a worker stopped mid-run loses neither.
+ * - Settings live in chrome.storage.local under `refreshSettings`; per-book
+ *   backoff state lives under `refreshState`.
+ */
+
+import { pickMetricCount } from '../../shared/ReviewMetrics.js';
+import { FETCH_CONTEXTS } from './amazon/FetchStrategies.js';
+
+export const REFRESH_ALARM_NAME = 'krm_scheduled_refresh';
+export const REFRESH_INTERVAL_OPTIONS = [6, 12, 24];
+
+const SETTINGS_KEY = 'refreshSettings';
+const STATE_KEY = 'refreshState';
+const DEFAULT_SETTINGS = { enabled: true, intervalHours: 12 };
+
+const HOUR_MS = 60 * 60 * 1000;
+const JITTER_RATIO = 0.1;               // ±10% of the interval
+const MAX_BACKOFF_MS = 7 * 24 * HOUR_MS; // Never wait longer than a week
+const BETWEEN_BOOKS_MS = [3000, 8000];  // Pause between fetches (min, max)
+
+export class ScheduledRefreshService {
+  constructor(amazonScrapingService, libraryStore) {
+    this.amazonScrapingService = amazonScrapingService;
+    this.libraryStore = libraryStore;
+    this.running = null;
+    this.listeners = new Set();
+  }
+
+  // ============================================================================
+  // LIFECYCLE
+  // ============================================================================
+
+  /**
+   * Ensure an alarm is scheduled according to current settings
+   */
+  async initialize() {
+    const settings = await this.getSettings();
+    const existing = await chrome.alarms.get(REFRESH_ALARM_NAME);
+
+    if (!settings.enabled) {
+      if (existing) await chrome.alarms.clear(REFRESH_ALARM_NAME);
+    } else if (!existing) {
+      await this.scheduleNext(settings);
+    }
+
+    await this.updateBadge();
+    console.log('⏰ ScheduledRefreshService initialized:', settings);
+  }
+
+  /**
+   * Alarm listener entry point
+   * @param {chrome.alarms.Alarm} alarm - Fired alarm
+   */
+  async handleAlarm(alarm) {
+    if (alarm?.name !== REFRESH_ALARM_NAME) return;
+
+    const settings = await this.getSettings();
+    if (!settings.enabled) return;
+
+    // Arm the next run first: the service worker may be stopped mid-refresh
+    await this.scheduleNext(settings);
+    await this.refreshAll();
+  }
+
+  /**
+   * Register a callback invoked for every refreshed book
+   * @param {Function} listener - ({ key, previous, current, result }) => void
+   */
+  onBookRefreshed(listener) {
+    this.listeners.add(listener);
+  }
+
+  // ============================================================================
+  // SETTINGS
+  // ============================================================================
+
+  /**
+   * @returns {Promise<{enabled: boolean, intervalHours: number}>}
+   */
+  async getSettings() {
+    const result = await chrome.storage.local.get([SETTINGS_KEY]);
+    return { ...DEFAULT_SETTINGS, ...(result[SETTINGS_KEY] || {}) };
+  }
+
+  /**
+   * Update settings and reschedule (pausing clears the alarm)
+   * @param {Object} updates - { enabled?, intervalHours? }
+   * @returns {Promise<Object>} Saved settings
+   */
+  async updateSettings(updates = {}) {
+    const current = await this.getSettings();
+    const next = { ...current };
+
+    if (typeof updates.enabled === 'boolean') {
+      next.enabled = updates.enabled;
+    }
+    if (updates.intervalHours !== undefined) {
+      const hours = Number(updates.intervalHours);
+      if (!REFRESH_INTERVAL_OPTIONS.includes(hours)) {
+        throw new Error(`Unsupported refresh interval: ${updates.intervalHours}`);
+      }
+      next.intervalHours = hours;
+    }
+
+    await chrome.storage.local.set({ [SETTINGS_KEY]: next });
+    await chrome.alarms.clear(REFRESH_ALARM_NAME);
+    if (next.enabled) {
+      await this.scheduleNext(next);
+    }
+
+    console.log('⏰ Refresh settings updated:', next);
+    return next;
+  }
+
+  /**
+   * Settings plus schedule/status information for the UI
+   */
+  async getStatus() {
+    const [settings, state, alarm] = await Promise.all([
+      this.getSettings(),
+      this.getState(),
+      chrome.alarms.get(REFRESH_ALARM_NAME)
+    ]);
+    return {
+      ...settings,
+      nextRunAt: alarm?.scheduledTime || null,
+      lastRunAt: state.lastRunAt || null,
+      running: !!this.running,
+      books: state.books
+    };
+  }
+
+  // ============================================================================
+  // REFRESH
+  // ============================================================================
+
+  /**
+   * Refresh every tracked book (single-flight)
+   * @returns {Promise<Array<Object>>} Per-book outcomes
+   */
+  async refreshAll() {
+    if (this.running) return this.running;
+
+    this.running = this.runRefresh().finally(() => {
+      this.running = null;
+    });
+    return this.running;
+  }
+
+  /**
+   * @private
+   */
+  async runRefresh() {
+    const books = await this.libraryStore.listTrackedBooks();
+    const state = await this.getState();
+    const now = Date.now();
+    const outcomes = [];
+
+    console.log(`⏰ Scheduled refresh started for ${books.length} book(s)`);
+
+    for (const { key, book } of books) {
+      const bookState = state.books[key] || { failures: 0, nextAttemptAt: 0 };
+      if (bookState.nextAttemptAt && bookState.nextAttemptAt > now) {
+        outcomes.push({ key, skipped: true, reason: 'backoff' });
+        continue;
+      }
+
+      if (outcomes.some(o => !o.skipped)) {
+        await this.delay(this.randomBetween(...BETWEEN_BOOKS_MS));
+      }
+
+      outcomes.push(await this.refreshBook(key, book, bookState, state));
+      await this.saveState(state);
+    }
+
+    state.lastRunAt = Date.now();
+    await this.saveState(state);
+    await this.updateBadge();
+
+    console.log('⏰ Scheduled refresh finished:', outcomes);
+    return outcomes;
+  }
+
+  /**
+   * Fetch one book and persist the result
+   * @private
+   */
+  async refreshBook(key, book, bookState, state) {
+    const url = book.amazonUrl || book.extractedFrom;
+    try {
+      const result = await this.amazonScrapingService.fetchBookData(url, {
+        combineEditions: !!book.combineEditions,
+        context: FETCH_CONTEXTS.background
+      });
+      if (typeof result?.reviewCount !== 'number') {
+        throw new Error('No review count in fetch result');
+      }
+
+      // Keep the old value when the tracked metric wasn't on the page this time
+      const current = pickMetricCount(result, book.goalMetric) ?? book.currentReviews;
+      const updated = await this.libraryStore.updateBook(key, {
+        currentReviews: current,
+        ratingsCount: result.ratingsCount ?? book.ratingsCount ?? null,
+        writtenReviewCount: result.writtenReviewCount ?? book.writtenReviewCount ?? null,
+        lastUpdated: new Date().toISOString(),
+        lastAutoRefreshAt: new Date().toISOString()
+      });
+
+      state.books[key] = { failures: 0, nextAttemptAt: 0, lastSuccessAt: Date.now(), lastError: null };
+      this.notifyListeners({ key, previous: book, current: updated, result });
+      return { key, success: true, count: current };
+    } catch (error) {
+      const failures = (bookState.failures || 0) + 1;
+      const settings = await this.getSettings();
+      // Skip 2^(n-1) - 1 runs: half an interval short of the doubling, so an
+      // alarm firing early (jitter) still finds the book due
+      const interval = settings.intervalHours * HOUR_MS;
+      const backoff = Math.min(interval * (2 ** (failures - 1) - 0.5), MAX_BACKOFF_MS);
+
+      state.books[key] = {
+        ...bookState,
+        failures,
+        nextAttemptAt: Date.now() + backoff,
+        lastError: error?.message || String(error)
+      };
+      console.warn(`⏰ Refresh failed for ${key} (failure #${failures}):`, error?.message || error);
+      return { key, success: false, error: error?.message || String(error) };
+    }
+  }
+
+  /**
+   * @private
+   */
+  notifyListeners(event) {
+    this.listeners.forEach(listener => {
+      Promise.resolve()
+        .then(() => listener(event))
+        .catch(error => console.warn('Refresh listener failed:', error?.message || error));
+    });
+  }
+
+  // ============================================================================
+  // BADGE
+  // ============================================================================
+
+  /**
+   * Show the selected book's review count (or "!" after a failed refresh)
+   */
+  async updateBadge() {
+    if (!chrome.action?.setBadgeText) return;
+    try {
+      const [book, state] = await Promise.all([this.libraryStore.getSelectedBook(), this.getState()]);
+      if (!book) {
+        await chrome.action.setBadgeText({ text: '' });
+        return;
+      }
+
+      const failed = book.asin && state.books[book.asin]?.failures > 0;
+      await chrome.action.setBadgeBackgroundColor({ color: failed ? '#ef4444' : '#6366f1' });
+      await chrome.action.setBadgeText({ text: failed ? '!' : this.formatBadgeCount(book.currentReviews) });
+    } catch (error) {
+      console.warn('Badge update failed:', error?.message || error);
+    }
+  }
+
+  /**
+   * Fit a count into the 4-character badge
+   * @private
+   */
+  formatBadgeCount(count) {
+    const n = Number(count);
+    if (!Number.isFinite(n) || n < 0) return '';
+    if (n < 10000) return String(n);
+    if (n < 1000000) return `${Math.floor(n / 1000)}k`;
+    return `${Math.floor(n / 1000000)}m`;
+  }
+
+  // ============================================================================
+  // INTERNALS
+  // ============================================================================
+
+  /**
+   * @private
+   */
+  async scheduleNext(settings) {
+    const interval = settings.intervalHours * HOUR_MS;
+    const jitter = interval * JITTER_RATIO * (Math.random() * 2 - 1);
+    const when = Date.now() + interval + jitter;
+    await chrome.alarms.create(REFRESH_ALARM_NAME, { when });
+    console.log('⏰ Next scheduled refresh:', new Date(when).toISOString());
+  }
+
+  /**
+   * @private
+   */
+  async getState() {
+    const result = await chrome.storage.local.get([STATE_KEY]);
+    const state = result[STATE_KEY] || {};
+    return { lastRunAt: state.lastRunAt || null, books: { ...(state.books || {}) } };
+  }
+
+  /**
+   * @private
+   */
+  async saveState(state) {
+    await chrome.storage.local.set({ [STATE_KEY]: state });
+  }
+
+  /**
+   * @private
+   */
+  randomBetween(min, max) {
+    return Math.round(min + Math.random() * (max - min));
+  }
+
+  /**
+   * @private
+   */
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
@@ -0,0 +1,88 @@
+/**
+ * Selector Rules Store
+ *
+ * Responsibilities:
+ * - Persist the user's selector rule override (chrome.storage.local; rule files
+ *   can exceed the sync quota)
+ * - Validate an override against the bundled rules before saving
+ * - Notify subscribers when the override changes (service worker applies it live)
+ *
+ * Notes:
+ * - Shared by the service worker and options/options.js; no DOM access here.
+ * - The bundled rules are never stored; clearing the override restores them.
+ */
+
+import {
+  DEFAULT_SELECTOR_RULES,
+  mergeSelectorRules,
+  validateSelectorRules
+} from '../parsers/SelectorRules.js';
+
+export const SELECTOR_RULES_STORAGE_KEY = 'krmSelectorRulesOverride';
+
+export class SelectorRulesStore {
+  constructor(storageArea = chrome.storage.local) {
+    this.storageArea = storageArea;
+  }
+
+  /**
+   * @returns {Promise<Object|null>} Stored override or null
+   */
+  async load() {
+    try {
+      const result = await this.storageArea.get([SELECTOR_RULES_STORAGE_KEY]);
+      return result[SELECTOR_RULES_STORAGE_KEY] || null;
+    } catch (error) {
+      console.warn('SelectorRulesStore: Failed to load override:', error?.message || error);
+      return null;
+    }
+  }
+
+  /**
+   * Validate and persist an override rule set
+   * @param {Object} override - Parsed override file
+   * @returns {Promise<Object>} Saved override
+   */
+  async save(override) {
+    const errors = this.validate(override);
+    if (errors.length > 0) {
+      throw new Error(errors.join('\n'));
+    }
+    await this.storageArea.set({ [SELECTOR_RULES_STORAGE_KEY]: override });
+    console.log('🧩 Selector rule override saved:', override.version);
+    return override;
+  }
+
+  /**
+   * Drop the override so the bundled rules apply again
+   */
+  async clear() {
+    await this.storageArea.remove(SELECTOR_RULES_STORAGE_KEY);
+  }
+
+  /**
+   * Check an override as it would run (merged over the bundled rules)
+   * @param {Object} override - Parsed override file
+   * @returns {string[]} Error messages (empty when valid)
+   */
+  validate(override) {
+    if (!override || typeof override !== 'object' || Array.isArray(override)) {
+      return ['ルールファイルがJSONオブジェクトではありません'];
+    }
+    return validateSelectorRules(mergeSelectorRules(DEFAULT_SELECTOR_RULES, override));
+  }
+
+  /**
+   * Subscribe to override changes from any context
+   * @param {Function} listener - (override|null) => void
+   * @returns {Function} Unsubscribe function
+   */
+  onChange(listener) {
+    const handler = (changes, areaName) => {
+      if (!changes[SELECTOR_RULES_STORAGE_KEY] || chrome.storage[areaName] !== this.storageArea) return;
+      listener(changes[SELECTOR_RULES_STORAGE_KEY].newValue || null);
+    };
+    chrome.storage.onChanged.addListener(handler);
+    return () => chrome.storage.onChanged.removeListener(handler);
+  }
+}
@@ -0,0 +1,241 @@
+/**
+ * Settings Service
+ *
+ * Responsibilities:
+ * - Own the user-editable extension settings (proxies, proxy probe page, fetch strategies,
+ *   cache TTL, debug mode)
+ * - Persist them to chrome.storage.sync and fill gaps from background/config.js
+ * - Normalize and validate settings written by the options page
+ * - Notify subscribers when settings change (service worker applies them live)
+ *
+ * Notes:
+ * - Shared by the service worker and options/options.js; no DOM access here.
+ * - Proxy `style` mirrors HtmlFetcher.buildProxyUrl: `query` appends the
+ *   URL-encoded target, `path` appends the raw target URL.
+ */
+
+import { DEBUG_MODE, PROXIES, PROXY_PROBE_URL } from '../config.js';
+import { AMAZON_PRODUCT_URL_PATTERN } from '../../shared/MarketplaceRegistry.js';
+import {
+  FETCH_CONTEXTS,
+  FETCH_STRATEGIES,
+  STRATEGY_LIMITS,
+  normalizeStrategyConfig
+} from './amazon/FetchStrategies.js';
+import { isLocalHost } from './amazon/CustomEndpoint.js';
+
+export const SETTINGS_STORAGE_KEY = 'krmSettings';
+
+export const PROXY_STYLES = {
+  query: 'query', // https://proxy.example/?url=<encoded target>
+  path: 'path'    // https://proxy.example/<raw target>
+};
+
+// Hosts known to expect the raw target URL appended to the path
+const PATH_STYLE_HOSTS = [
+  'cors-anywhere.herokuapp.com/',
+  'cors.isomorphic-git.org/',
+  'thingproxy.freeboard.io/fetch/'
+];
+
+export const CACHE_TTL_LIMITS = { min: 1, max: 1440 }; // minutes
+
+const SETTINGS_VERSION = 1;
+
+/**
+ * Guess the proxy style from its URL (used for defaults and new entries)
+ * @param {string} proxyUrl - Proxy prefix URL
+ * @returns {string} PROXY_STYLES value
+ */
+export function inferProxyStyle(proxyUrl) {
+  const lower = String(proxyUrl || '').toLowerCase();
+  return PATH_STYLE_HOSTS.some(h => lower.includes(h)) ? PROXY_STYLES.path : PROXY_STYLES.query;
+}
+
+/**
+ * Built-in settings derived from background/config.js
+ * @returns {Object} Default settings
+ */
+export function getDefaultSettings() {
+  return {
+    version: SETTINGS_VERSION,
+    debugMode: !!DEBUG_MODE,
+    cacheTTLMinutes: 5,
+    proxies: PROXIES.map(url => ({ url, style: inferProxyStyle(url), enabled: true })),
+    probeUrl: PROXY_PROBE_URL,
+    fetchStrategies: normalizeFetchStrategies()
+  };
+}
+
+/**
+ * Strategy config for every fetch context
+ * @private
+ */
+function normalizeFetchStrategies(raw = {}) {
+  return Object.fromEntries(Object.values(FETCH_CONTEXTS).map(context =>
+    [context, normalizeStrategyConfig(raw?.[context], context)]
+  ));
+}
+
+export class SettingsService {
+  constructor(storageArea = chrome.storage.sync) {
+    this.storageArea = storageArea;
+  }
+
+  /**
+   * Load settings merged over defaults
+   * @returns {Promise<Object>} Settings
+   */
+  async load() {
+    try {
+      const result = await this.storageArea.get([SETTINGS_STORAGE_KEY]);
+      return this.normalize(result[SETTINGS_STORAGE_KEY]);
+    } catch (error) {
+      console.warn('SettingsService: Failed to load settings, using defaults:', error?.message || error);
+      return getDefaultSettings();
+    }
+  }
+
+  /**
+   * Validate and persist settings
+   * @param {Object} settings - Full settings object
+   * @returns {Promise<Object>} Saved (normalized) settings
+   */
+  async save(settings) {
+    const errors = this.validate(settings);
+    if (errors.length > 0) {
+      throw new Error(errors.join('\n'));
+    }
+
+    const normalized = this.normalize(settings);
+    await this.storageArea.set({ [SETTINGS_STORAGE_KEY]: normalized });
+    console.log('⚙️ Settings saved:', { ...normalized, proxies: normalized.proxies.length });
+    return normalized;
+  }
+
+  /**
+   * Drop stored settings so defaults apply again
+   * @returns {Promise<Object>} Default settings
+   */
+  async reset() {
+    await this.storageArea.remove(SETTINGS_STORAGE_KEY);
+    return getDefaultSettings();
+  }
+
+  /**
+   * Subscribe to settings changes from any context (options page, other devices)
+   * @param {Function} listener - (settings) => void
+   * @returns {Function} Unsubscribe function
+   */
+  onChange(listener) {
+    const handler = (changes, areaName) => {
+      if (!changes[SETTINGS_STORAGE_KEY] || this.areaName(areaName) !== this.storageArea) return;
+      listener(this.normalize(changes[SETTINGS_STORAGE_KEY].newValue));
+    };
+    chrome.storage.onChanged.addListener(handler);
+    return () => chrome.storage.onChanged.removeListener(handler);
+  }
+
+  /**
+   * Check user input; returns Japanese messages for the options page
+   * @param {Object} settings - Settings to check
+   * @returns {string[]} Error messages (empty when valid)
+   */
+  validate(settings = {}) {
+    const errors = [];
+    const proxies = Array.isArray(settings.proxies) ? settings.proxies : [];
+
+    proxies.forEach((proxy, index) => {
+      if (!this.isValidProxyUrl(proxy?.url)) {
+        errors.push(`プロキシ${index + 1}: httpsで始まる有効なURLを入力してください（httpはlocalhostのみ）`);
+      }
+      if (proxy?.style && !Object.values(PROXY_STYLES).includes(proxy.style)) {
+        errors.push(`プロキシ${index + 1}: 形式が不正です`);
+      }
+    });
+    const urls = proxies.map(p => String(p?.url || '').trim());
+    if (new Set(urls).size !== urls.length) {
+      errors.push('同じプロキシが重複しています');
+    }
+
+    if (settings.probeUrl !== undefined && !AMAZON_PRODUCT_URL_PATTERN.test(String(settings.probeUrl).trim())) {
+      errors.push('確認に使う商品ページには対応ストアの商品URL（/dp/ASIN）を入力してください');
+    }
+
+    Object.entries(settings.fetchStrategies || {}).forEach(([context, config]) => {
+      const label = context === FETCH_CONTEXTS.background ? '定期更新' : '手動取得';
+      if (config?.strategy && !Object.values(FETCH_STRATEGIES).includes(config.strategy)) {
+        errors.push(`${label}: 取得方法が不正です`);
+      }
+      const topN = Number(config?.topN);
+      if (config?.topN !== undefined && (!Number.isInteger(topN) || topN < STRATEGY_LIMITS.topN.min || topN > STRATEGY_LIMITS.topN.max)) {
+        errors.push(`${label}: 同時に試すプロキシ数は${STRATEGY_LIMITS.topN.min}〜${STRATEGY_LIMITS.topN.max}で入力してください`);
+      }
+      const hedge = Number(config?.hedgeDelayMs);
+      if (config?.hedgeDelayMs !== undefined && !(hedge >= STRATEGY_LIMITS.hedgeDelayMs.min && hedge <= STRATEGY_LIMITS.hedgeDelayMs.max)) {
+        errors.push(`${label}: 次のプロキシを追加するまでの待ち時間は${STRATEGY_LIMITS.hedgeDelayMs.min / 1000}〜${STRATEGY_LIMITS.hedgeDelayMs.max / 1000}秒で入力してください`);
+      }
+    });
+
+    if (settings.cacheTTLMinutes !== undefined) {
+      const ttl = Number(settings.cacheTTLMinutes);
+      if (!Number.isInteger(ttl) || ttl < CACHE_TTL_LIMITS.min || ttl > CACHE_TTL_LIMITS.max) {
+        errors.push(`キャッシュ有効期間は${CACHE_TTL_LIMITS.min}〜${CACHE_TTL_LIMITS.max}分の整数で入力してください`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Fill missing fields with defaults and coerce types
+   * @param {Object|undefined} raw - Stored settings
+   * @returns {Object} Normalized settings
+   */
+  normalize(raw) {
+    const defaults = getDefaultSettings();
+    if (!raw || typeof raw !== 'object') return defaults;
+
+    const ttl = Number(raw.cacheTTLMinutes);
+    const proxies = Array.isArray(raw.proxies)
+      ? raw.proxies
+        .filter(p => this.isValidProxyUrl(p?.url))
+        .map(p => ({
+          url: p.url.trim(),
+          style: Object.values(PROXY_STYLES).includes(p.style) ? p.style : inferProxyStyle(p.url),
+          enabled: p.enabled !== false
+        }))
+      : defaults.proxies;
+
+    return {
+      version: SETTINGS_VERSION,
+      debugMode: typeof raw.debugMode === 'boolean' ? raw.debugMode : defaults.debugMode,
+      cacheTTLMinutes: Number.isInteger(ttl) && ttl >= CACHE_TTL_LIMITS.min && ttl <= CACHE_TTL_LIMITS.max
+        ? ttl : defaults.cacheTTLMinutes,
+      proxies,
+      probeUrl: AMAZON_PRODUCT_URL_PATTERN.test(String(raw.probeUrl || '').trim())
+        ? String(raw.probeUrl).trim() : defaults.probeUrl,
+      fetchStrategies: normalizeFetchStrategies(raw.fetchStrategies)
+    };
+  }
+
+  /**
+   * https, or http on this machine (no other http origin can be granted, see manifest)
+   * @private
+   */
+  isValidProxyUrl(url) {
+    try {
+      const parsed = new URL(String(url || '').trim());
+      return parsed.protocol === 'https:' || (parsed.protocol === 'http:' && isLocalHost(parsed.hostname));
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * @private
+   */
+  areaName(name) {
+    return chrome.storage[name];
+  }
+}
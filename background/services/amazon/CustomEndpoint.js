@@ -0,0 +1,173 @@
+/**
+ * CustomEndpoint - User-registered fetch endpoint (self-hosted proxy, Cloudflare Worker, ...)
+ *
+ * Responsibilities:
+ * - Describe the endpoint config: URL template, request headers (API keys),
+ *   response shape (raw HTML or a JSON field) and timeout
+ * - Validate / normalize a config from the options page
+ * - Build the request for a target Amazon URL and read the page out of the response
+ *
+ * Notes:
+ * - Pure: no chrome.* or DOM access. CustomEndpointStore persists the config,
+ *   HtmlFetcher tries the endpoint before any public proxy.
+ * - URL template placeholders: {encodedUrl} (URL-encoded target) or {url} (raw).
+ * - Header values are secrets: never log them (describeEndpoint() omits them).
+ */
+
+export const RESPONSE_TYPES = Object.freeze({
+  html: 'html', // Body is the page
+  json: 'json'  // Body is JSON; the page is at jsonPath (allorigins: "contents")
+});
+
+export const ENDPOINT_TIMEOUT_LIMITS = Object.freeze({ min: 2000, max: 30000 });
+
+const DEFAULT_TIMEOUT = 10000;
+const PLACEHOLDER_PATTERN = /\{(?:url|encodedUrl)\}/;
+const HEADER_NAME_PATTERN = /^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/;
+const JSON_PATH_PATTERN = /^[\w$-]+(?:\.[\w$-]+)*$/;
+
+// Headers fetch() drops or the browser sets itself
+const FORBIDDEN_HEADERS = ['cookie', 'host', 'origin', 'referer', 'content-length', 'connection'];
+
+// Plain http is only acceptable when the API key never leaves the machine
+// (manifest optional_host_permissions lists exactly these http origins)
+const LOCAL_HOSTS = ['localhost', '127.0.0.1'];
+
+/**
+ * @typedef {Object} CustomEndpointConfig
+ * @property {boolean} enabled
+ * @property {string} urlTemplate - e.g. "https://worker.example.com/fetch?url={encodedUrl}"
+ * @property {Array<{name: string, value: string}>} headers - Sent with every request
+ * @property {string} responseType - One of RESPONSE_TYPES
+ * @property {string} jsonPath - Dot path to the HTML when responseType is json
+ * @property {number} timeoutMs
+ */
+
+/**
+ * @param {string} hostname - URL hostname
+ * @returns {boolean} This machine (the only place plain http is allowed)
+ */
+export function isLocalHost(hostname) {
+  return LOCAL_HOSTS.includes(hostname);
+}
+
+/**
+ * Fill defaults and coerce types (does not validate)
+ * @param {Object|null} raw - Stored or edited config
+ * @returns {CustomEndpointConfig|null} null when there is no template
+ */
+export function normalizeCustomEndpoint(raw) {
+  if (!raw || typeof raw !== 'object' || !String(raw.urlTemplate || '').trim()) return null;
+
+  const timeout = Math.round(Number(raw.timeoutMs));
+  return {
+    enabled: raw.enabled !== false,
+    urlTemplate: String(raw.urlTemplate).trim(),
+    headers: (Array.isArray(raw.headers) ? raw.headers : [])
+      .map(h => ({ name: String(h?.name || '').trim(), value: String(h?.value ?? '') }))
+      .filter(h => h.name),
+    responseType: Object.values(RESPONSE_TYPES).includes(raw.responseType) ? raw.responseType : RESPONSE_TYPES.html,
+    jsonPath: String(raw.jsonPath || '').trim(),
+    timeoutMs: Number.isFinite(timeout)
+      ? Math.min(ENDPOINT_TIMEOUT_LIMITS.max, Math.max(ENDPOINT_TIMEOUT_LIMITS.min, timeout))
+      : DEFAULT_TIMEOUT
+  };
+}
+
+/**
+ * Check a config; returns Japanese messages for the options page
+ * @param {Object} config - Normalized config
+ * @returns {string[]} Error messages (empty when valid)
+ */
+export function validateCustomEndpoint(config) {
+  if (!config) return ['URLテンプレートを入力してください'];
+  const errors = [];
+
+  if (!PLACEHOLDER_PATTERN.test(config.urlTemplate)) {
+    errors.push('URLテンプレートに {encodedUrl} または {url} を含めてください');
+  }
+  let endpoint = null;
+  try {
+    endpoint = new URL(expandTemplate(config.urlTemplate, 'https://www.amazon.co.jp/dp/B000000000'));
+  } catch {
+    errors.push('URLテンプレートが有効なURLになりません');
+  }
+  if (endpoint && endpoint.protocol !== 'https:' && !(endpoint.protocol === 'http:' && isLocalHost(endpoint.hostname))) {
+    errors.push('エンドポイントはhttpsで指定してください（httpはlocalhostのみ）');
+  }
+
+  config.headers.forEach((header, index) => {
+    if (!HEADER_NAME_PATTERN.test(header.name)) {
+      errors.push(`ヘッダー${index + 1}: 名前に使えない文字が含まれています`);
+    } else if (FORBIDDEN_HEADERS.includes(header.name.toLowerCase())) {
+      errors.push(`ヘッダー${index + 1}: ${header.name} はブラウザが設定するため指定できません`);
+    }
+    if (/[\r\n]/.test(header.value)) {
+      errors.push(`ヘッダー${index + 1}: 値に改行は使えません`);
+    }
+  });
+
+  if (config.responseType === RESPONSE_TYPES.json && !JSON_PATH_PATTERN.test(config.jsonPath)) {
+    errors.push('JSON形式ではHTMLが入っているフィールド（例: contents, data.html）を指定してください');
+  }
+
+  return errors;
+}
+
+/**
+ * Request for one target URL
+ * @param {CustomEndpointConfig} config
+ * @param {string} targetUrl - Amazon URL
+ * @returns {{url: string, headers: Object}} fetch() arguments
+ */
+export function buildEndpointRequest(config, targetUrl) {
+  return {
+    url: expandTemplate(config.urlTemplate, targetUrl),
+    headers: Object.fromEntries(config.headers.map(h => [h.name, h.value]))
+  };
+}
+
+/**
+ * Page HTML from an endpoint response
+ * @param {CustomEndpointConfig} config
+ * @param {Response} response - fetch() response (status already checked)
+ * @returns {Promise<string>} HTML
+ * @throws {Error} When the JSON field is missing or not a string
+ */
+export async function readEndpointResponse(config, response) {
+  if (config.responseType !== RESPONSE_TYPES.json) {
+    return response.text();
+  }
+
+  const body = await response.json();
+  const html = config.jsonPath.split('.').reduce((value, key) => (value == null ? value : value[key]), body);
+  if (typeof html !== 'string') {
+    throw new Error(`Custom endpoint JSON has no string at "${config.jsonPath}"`);
+  }
+  return html;
+}
+
+/**
+ * Log-safe description (host and header names only)
+ * @param {CustomEndpointConfig} config
+ * @returns {string}
+ */
+export function describeEndpoint(config) {
+  let host = '(invalid)';
+  try {
+    host = new URL(expandTemplate(config.urlTemplate, 'https://www.amazon.co.jp/')).host;
+  } catch {
+    // Keep the placeholder
+  }
+  const headers = config.headers.map(h => h.name).join(', ');
+  return `${host} [${config.responseType}${headers ? `; headers: ${headers}` : ''}]`;
+}
+
+/**
+ * @private
+ */
+function expandTemplate(template, targetUrl) {
+  return template
+    .replace(/\{encodedUrl\}/g, encodeURIComponent(targetUrl))
+    .replace(/\{url\}/g, targetUrl);
+}
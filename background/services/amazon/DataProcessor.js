@@ -5,11 +5,22 @@
  * Responsibilities:
  * - Combine results from multiple parsers
  * - Apply robust overrides and extraction logic
+ * - Score every field's candidates (confidence + disagreement report in `extraction`)
  * - Format data into standardized DTO structure
+ * - Keep star ratings and written review counts apart (ratingsCount / writtenReviewCount)
+ * - Carry book metadata (ISBN, publisher, categories, ...) into the DTO
  * - Handle data validation and sanitization
  */
 
-import { extractImageUrlRobust as robustImageExtractor, extractReviewCountRobust as robustReviewExtractor } from './Extractors.js';
+import {
+  extractImageUrlRobust as robustImageExtractor,
+  collectReviewCountCandidates as robustReviewCandidates,
+  collectAverageRatingCandidates as robustRatingCandidates,
+  extractReviewCountsRobust as robustReviewCountsExtractor,
+  extractRatingHistogramRobust as robustHistogramExtractor
+} from './Extractors.js';
+import { scoreField, isTrusted, ratingsAgree, imagesAgree, textsAgree } from './ExtractionConfidence.js';
+import { parseLocalizedNumber, parseRankLine } from '../../../shared/MarketplaceRegistry.js';
 
 export default class DataProcessor {
   constructor() {
@@ -23,9 +34,10 @@ export default class DataProcessor {
    * @param {string} html - Raw HTML for robust extraction
    * @param {string} normalizedUrl - Normalized Amazon URL
    * @param {number} fetchStartTime - Fetch start timestamp
+   * @param {Object|null} [dom] - Live DOM values when the page was read in a tab (LivePageExtractor)
    * @returns {Object} Processed book data DTO
    */
-  processBookData(basic, meta, html, normalizedUrl, fetchStartTime) {
+  processBookData(basic, meta, html, normalizedUrl, fetchStartTime, dom = null) {
     // 1. Combine base results (unified DTO)
     const result = {
       title: this.sanitizeTitle(basic.title),
@@ -33,9 +45,13 @@ export default class DataProcessor {
       imageUrl: basic.imageUrl || null,
       reviewCount: this.extractBestReviewCount(meta, basic),
       currentReviews: this.extractBestReviewCount(meta, basic), // compatibility
+      ratingsCount: null,
+      writtenReviewCount: null,
       averageRating: this.extractBestRating(meta, basic),
-      price: this.extractBestPrice(meta, basic),
-      asin: meta.asin || null,
+      ratingHistogram: null,
+      price: this.extractBestPrice(meta, basic, normalizedUrl),
+      asin: meta.asin || this.extractAsinFromUrl(normalizedUrl),
+      ...this.extractMetadataFields(meta),
       amazonUrl: normalizedUrl,
       normalizedUrl,
       timestamp: Date.now(),
@@ -45,35 +61,218 @@ export default class DataProcessor {
     };
 
     // 2. Apply robust overrides (align with origin/main behavior)
-    this.applyRobustOverrides(result, html);
+    this.applyRobustOverrides(result, html, { basic, meta, dom });
 
     return result;
   }
 
   /**
    * Apply robust extraction overrides to improve data quality
+   * Competing values are scored (see ExtractionConfidence.js): the best supported
+   * one wins, and every field's candidates land in `extraction.fields`.
    * @param {Object} result - Current result object (modified in place)
    * @param {string} html - Raw HTML for robust extraction
+   * @param {Object} parsed - { basic, meta, dom? } parser results (candidates from each strategy)
    */
-  applyRobustOverrides(result, html) {
-    // Image URL robust override
-    const robustImage = robustImageExtractor(html);
-    if (robustImage) {
-      result.imageUrl = robustImage;
-      result.extraction.imageSource = 'robust';
+  applyRobustOverrides(result, html, parsed = {}) {
+    const { basic = {}, meta = {} } = parsed;
+    const dom = parsed.dom || {};
+    const context = { url: result.normalizedUrl };
+    const fields = {};
+
+    // Image URL: robust extractor vs basic parser
+    fields.imageUrl = scoreField([
+      { source: 'dom', value: dom.imageUrl },
+      { source: 'robust', value: robustImageExtractor(html, context) },
+      { source: 'parser', value: basic.imageUrl }
+    ], { equals: imagesAgree });
+    if (fields.imageUrl.value) {
+      result.imageUrl = fields.imageUrl.value;
+      if (fields.imageUrl.source === 'robust') result.extraction.imageSource = 'robust';
+    }
+
+    // Review count: labelled HTML, JSON-LD, metadata pattern and the keyword guess
+    fields.reviewCount = scoreField([
+      { source: 'dom', value: dom.ratingsCount },
+      ...robustReviewCandidates(html, context).map(c => ({ source: c.source, value: c.count })),
+      { source: 'meta', value: typeof meta.reviewCount === 'number' ? meta.reviewCount : null },
+      { source: 'parser', value: basic.reviewCount || null }
+    ]);
+    // A guess alone (keyword context) stays a listed candidate, not the count
+    if (isTrusted(fields.reviewCount)) {
+      result.reviewCount = fields.reviewCount.value;
+      result.currentReviews = fields.reviewCount.value;
+    }
+    result.extraction.reviewCountSource = isTrusted(fields.reviewCount) ? fields.reviewCount.source : 'none';
+
+    // Ratings vs written reviews, each with its own source
+    // (the live DOM rating count only fills a gap: reviewCount above already weighs it against the page text)
+    const { reviews, ...found } = robustReviewCountsExtractor(html, context);
+    const ratings = found.ratings || (Number.isFinite(dom.ratingsCount) ? { count: dom.ratingsCount, source: 'dom' } : null);
+    if (ratings) {
+      result.ratingsCount = ratings.count;
+      result.extraction.ratingsCountSource = ratings.source;
+    }
+    const domReviews = dom.reviewsText ? robustReviewCountsExtractor(dom.reviewsText, context).reviews : null;
+    fields.ratingsCount = scoreField([{ source: ratings?.source, value: ratings?.count }]);
+    fields.writtenReviewCount = scoreField([
+      { source: 'dom', value: domReviews?.count },
+      { source: reviews?.source, value: reviews?.count }
+    ]);
+    if (fields.writtenReviewCount.value !== null) {
+      result.writtenReviewCount = fields.writtenReviewCount.value;
+      result.extraction.writtenReviewCountSource = fields.writtenReviewCount.source;
     }
 
-    // Review count robust override
-    const { count: robustReviews, source: reviewSource } = robustReviewExtractor(html) || {};
-    if (typeof robustReviews === 'number' && robustReviews >= 0) {
-      result.reviewCount = robustReviews;
-      result.currentReviews = robustReviews;
-      result.extraction.reviewCountSource = reviewSource || 'robust';
-    } else if (typeof result.reviewCount === 'number') {
-      result.extraction.reviewCountSource = 'json-ld';
-    } else {
-      result.extraction.reviewCountSource = 'none';
+    // Star-rating distribution (5★…1★ percentages): the live DOM's rows, else the page text
+    const { histogram, source: histogramSource } = this.isCompleteHistogram(dom.histogram)
+      ? { histogram: dom.histogram, source: 'dom' }
+      : robustHistogramExtractor(html, context) || {};
+    if (histogram) {
+      result.ratingHistogram = histogram;
+      result.extraction.ratingHistogramSource = histogramSource;
     }
+
+    // Best Sellers Rank: the live DOM's list items replace the HTML block parse when they read
+    const domRanks = (dom.rankLines || []).map(line => parseRankLine(line, result.normalizedUrl)).filter(Boolean);
+    if (domRanks.length > 0) {
+      const [overall, ...categories] = domRanks;
+      result.bestSellersRank = this.normalizeBestSellersRank({ overall, categories });
+      result.extraction.bestSellersRankSource = 'dom';
+    }
+
+    // Average rating: page text, JSON-LD, metadata pattern and the histogram's mean
+    fields.averageRating = scoreField([
+      { source: 'dom', value: dom.averageRating },
+      ...robustRatingCandidates(html, context),
+      { source: 'meta', value: typeof meta.averageRating === 'number' ? meta.averageRating : null },
+      { source: 'parser', value: basic.averageRating || null },
+      { source: 'histogram', value: this.averageFromHistogram(histogram) }
+    ], { equals: ratingsAgree });
+    if (fields.averageRating.value !== null) {
+      result.averageRating = fields.averageRating.value;
+    }
+
+    // Title / author / price: the live DOM when read in a tab, else a single strategy
+    fields.title = scoreField([
+      { source: 'dom', value: dom.title ? this.sanitizeTitle(dom.title) : null },
+      { source: 'parser', value: basic.title }
+    ], { equals: textsAgree });
+    fields.author = scoreField([
+      { source: 'dom', value: dom.author ? this.sanitizeAuthor(dom.author) : null },
+      { source: 'parser', value: basic.author }
+    ], { equals: textsAgree });
+    fields.price = scoreField([
+      { source: 'dom', value: dom.price ? parseLocalizedNumber(dom.price, result.normalizedUrl) : null },
+      { source: 'meta', value: result.price || null }
+    ]);
+    if (fields.title.source === 'dom') result.title = fields.title.value;
+    if (fields.author.source === 'dom') result.author = fields.author.value;
+    if (fields.price.source === 'dom') result.price = fields.price.value;
+
+    result.extraction.fields = fields;
+    result.extraction.disagreements = Object.keys(fields).filter(name => fields[name].disagreement);
+  }
+
+  /**
+   * Five star rows whose percentages add up (Amazon rounds each row, so within a few points)
+   * @param {Object|null} histogram - { 5: pct, ..., 1: pct }
+   * @returns {boolean}
+   */
+  isCompleteHistogram(histogram) {
+    if (!histogram) return false;
+    const values = [5, 4, 3, 2, 1].map(star => histogram[star]);
+    if (!values.every(v => Number.isFinite(v) && v >= 0 && v <= 100)) return false;
+    const sum = values.reduce((a, b) => a + b, 0);
+    return sum >= 95 && sum <= 105;
+  }
+
+  /**
+   * Mean star rating implied by a 5★…1★ percentage histogram
+   * @param {Object|null} histogram - { 5: pct, ..., 1: pct }
+   * @returns {number|null} Rating rounded to 0.1, or null without data
+   */
+  averageFromHistogram(histogram) {
+    if (!histogram) return null;
+    const stars = [5, 4, 3, 2, 1];
+    const total = stars.reduce((sum, star) => sum + (Number(histogram[star]) || 0), 0);
+    if (total <= 0) return null;
+    const mean = stars.reduce((sum, star) => sum + star * (Number(histogram[star]) || 0), 0) / total;
+    return Math.round(mean * 10) / 10;
+  }
+
+  /**
+   * Pick book metadata from MetadataExtractor results
+   * Missing values become null (categories: []) so the DTO shape is stable.
+   * @param {Object} meta - Metadata results
+   * @returns {Object} isbn, publisher, publicationDate, pageCount, language, currency, categories,
+   *   bestSellersRank, format, kindleUnlimited, editions
+   */
+  extractMetadataFields(meta) {
+    const text = (value, max) => {
+      const cleaned = typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '';
+      return cleaned ? cleaned.slice(0, max) : null;
+    };
+    const pageCount = parseInt(meta.pageCount, 10);
+
+    return {
+      isbn: text(meta.isbn, 13),
+      publisher: text(meta.publisher, 100),
+      publicationDate: text(meta.publicationDate, 30),
+      pageCount: Number.isFinite(pageCount) && pageCount > 0 ? pageCount : null,
+      language: text(meta.language, 30),
+      currency: text(meta.currency, 3),
+      categories: Array.isArray(meta.categories)
+        ? meta.categories.map(c => text(c, 50)).filter(Boolean).slice(0, 10)
+        : [],
+      bestSellersRank: this.normalizeBestSellersRank(meta.bestSellersRank),
+      format: typeof meta.format === 'string' ? meta.format : null,
+      kindleUnlimited: typeof meta.kindleUnlimited === 'boolean' ? meta.kindleUnlimited : null,
+      editions: this.normalizeEditions(meta.editions, meta.asin)
+    };
+  }
+
+  /**
+   * Sibling editions with ASINs (the selected one gets the page ASIN)
+   * @param {Array|undefined} editions - MetadataExtractor.extractEditions() result
+   * @param {string|undefined} pageAsin - ASIN of the fetched page
+   * @returns {Array<{asin: string, format: string, label: string, selected: boolean}>} At most 10
+   */
+  normalizeEditions(editions, pageAsin) {
+    if (!Array.isArray(editions)) return [];
+    return editions
+      .map(e => ({
+        asin: e.asin || (e.selected && pageAsin ? String(pageAsin).toUpperCase() : null),
+        format: e.format || 'other',
+        label: String(e.label || '').slice(0, 40),
+        selected: !!e.selected
+      }))
+      .filter(e => /^[A-Z0-9]{10}$/.test(e.asin || ''))
+      .slice(0, 10);
+  }
+
+  /**
+   * Keep a compact rank structure (overall + up to 5 categories)
+   * @param {Object|undefined} bsr - MetadataExtractor.extractBestSellersRank() result
+   * @returns {Object|null} BestSellersRank or null
+   */
+  normalizeBestSellersRank(bsr) {
+    const entry = (r) => (Number.isFinite(r?.rank) && r.rank > 0 && r.category)
+      ? { rank: r.rank, category: String(r.category).slice(0, 80) }
+      : null;
+    const overall = entry(bsr?.overall);
+    const categories = (Array.isArray(bsr?.categories) ? bsr.categories : []).map(entry).filter(Boolean).slice(0, 5);
+    return (overall || categories.length > 0) ? { overall, categories } : null;
+  }
+
+  /**
+   * Extract ASIN from normalized URL (https://host/dp/ASIN)
+   * @param {string} normalizedUrl - Normalized Amazon URL
+   * @returns {string|null} ASIN or null
+   */
+  extractAsinFromUrl(normalizedUrl) {
+    const match = (normalizedUrl || '').match(/\/dp\/([A-Z0-9]{10})/i);
+    return match ? match[1].toUpperCase() : null;
   }
 
   /**
@@ -124,11 +323,12 @@ export default class DataProcessor {
    * Extract best available price from multiple sources
    * @param {Object} meta - Metadata results
    * @param {Object} basic - Basic parser results
+   * @param {string} [normalizedUrl] - Page URL (the store's number format: "9,99 €", "$9.99")
    * @returns {number} Best price
    */
-  extractBestPrice(meta, basic) {
+  extractBestPrice(meta, basic, normalizedUrl = null) {
     if (meta.price) {
-      return parseInt(String(meta.price).replace(/[^0-9]/g, ''), 10) || 0;
+      return parseLocalizedNumber(meta.price, normalizedUrl) || 0;
     }
     return basic.price || 0;
   }
@@ -160,9 +360,13 @@ export default class DataProcessor {
       imageUrl: null,
       reviewCount: 0,
       currentReviews: 0,
+      ratingsCount: null,
+      writtenReviewCount: null,
       averageRating: 0,
+      ratingHistogram: null,
       price: 0,
       asin: null,
+      ...this.extractMetadataFields({}),
       amazonUrl: url,
       normalizedUrl: url,
       timestamp: Date.now(),
@@ -171,6 +375,8 @@ export default class DataProcessor {
       error: error.message,
       extraction: {
         reviewCountSource: 'none',
+        fields: {},
+        disagreements: [],
         processingFailed: true
       }
     };
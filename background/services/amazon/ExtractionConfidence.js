@@ -0,0 +1,101 @@
+/**
+ * Amazon ExtractionConfidence - Score competing values for one extracted field
+ *
+ * Responsibilities:
+ * - Weight each strategy by how reliable its source is
+ * - Pick the value with the best weight + agreement from other strategies
+ * - Report a 0-1 confidence and whether trusted strategies disagree
+ *
+ * Notes:
+ * - Guesses (below TRUSTED_CONFIDENCE, e.g. 'context') are listed as candidates
+ *   but never raise a disagreement on their own; they often differ by design.
+ */
+
+export const SOURCE_CONFIDENCE = {
+  dom: 0.95,      // querySelector on the rendered page in a tab (LivePageExtractor)
+  html: 0.9,      // Labelled element / text on the page
+  'json-ld': 0.85,
+  robust: 0.8,    // Robust extractor (image URL)
+  meta: 0.7,      // MetadataExtractor pattern
+  parser: 0.6,    // AmazonHTMLParser (only strategy for title / author)
+  histogram: 0.5, // Derived from the star distribution
+  context: 0.3    // Largest number near a keyword
+};
+
+const TRUSTED_CONFIDENCE = 0.5;
+const AGREEMENT_BONUS = 0.1;
+const DISAGREEMENT_PENALTY = 0.3;
+
+/**
+ * @typedef {Object} FieldScore
+ * @property {*} value - Chosen value (null when no strategy found one)
+ * @property {number} confidence - 0-1
+ * @property {string} source - Source of the chosen value ('none' when missing)
+ * @property {Array<{source: string, value: *, confidence: number}>} candidates - Every strategy's value
+ * @property {boolean} disagreement - Trusted strategies returned different values
+ */
+
+/**
+ * Score candidate values of one field
+ * @param {Array<{source: string, value: *}>} candidates - Values from each strategy (missing ones are skipped)
+ * @param {Object} [options] - { equals?: (a, b) => boolean }
+ * @returns {FieldScore}
+ */
+export function scoreField(candidates, options = {}) {
+  const equals = options.equals || ((a, b) => a === b);
+  const valid = candidates
+    .filter(c => c && c.value !== null && c.value !== undefined && c.value !== '' && !Number.isNaN(c.value))
+    .map(c => ({ source: c.source, value: c.value, confidence: SOURCE_CONFIDENCE[c.source] ?? TRUSTED_CONFIDENCE }));
+
+  if (valid.length === 0) {
+    return { value: null, confidence: 0, source: 'none', candidates: [], disagreement: false };
+  }
+
+  const support = (candidate) => valid.filter(o => o !== candidate && equals(o.value, candidate.value)).length;
+  const best = valid.reduce((a, b) =>
+    (b.confidence + AGREEMENT_BONUS * support(b) > a.confidence + AGREEMENT_BONUS * support(a) ? b : a));
+
+  const disagreement = valid.some(o =>
+    o.confidence >= TRUSTED_CONFIDENCE && best.confidence >= TRUSTED_CONFIDENCE && !equals(o.value, best.value));
+  const raw = best.confidence + AGREEMENT_BONUS * support(best) - (disagreement ? DISAGREEMENT_PENALTY : 0);
+
+  return {
+    value: best.value,
+    confidence: Math.round(Math.min(1, Math.max(0.05, raw)) * 100) / 100,
+    source: best.source,
+    candidates: valid,
+    disagreement
+  };
+}
+
+/**
+ * The chosen value comes from a trusted strategy, not only from guesses
+ * @param {FieldScore} score - scoreField() result
+ * @returns {boolean}
+ */
+export function isTrusted(score) {
+  return score.value !== null && (SOURCE_CONFIDENCE[score.source] ?? TRUSTED_CONFIDENCE) >= TRUSTED_CONFIDENCE;
+}
+
+/**
+ * Ratings agree within display rounding (and histogram-derived estimates)
+ */
+export function ratingsAgree(a, b) {
+  return Math.abs(Number(a) - Number(b)) <= 0.15;
+}
+
+/**
+ * Texts agree when they only differ in whitespace
+ */
+export function textsAgree(a, b) {
+  const squash = (text) => String(text).replace(/\s+/g, '');
+  return squash(a) === squash(b);
+}
+
+/**
+ * Image URLs agree when they point at the same image ID (size modifiers ignored)
+ */
+export function imagesAgree(a, b) {
+  const id = (url) => String(url).replace(/&amp;/g, '&').match(/\/images\/I\/([^._/]+)/)?.[1] || String(url);
+  return id(a) === id(b);
+}
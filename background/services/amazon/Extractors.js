@@ -1,127 +1,243 @@
 /**
- * Amazon Extractors - Robust extraction helpers (image URL, review count)
+ * Amazon Extractors - Robust extraction helpers (image URL, review count, ratings vs written reviews, rating histogram)
  * Behavior preserved from AmazonScrapingService methods.
+ * collect*Candidates() return every strategy's value for confidence scoring.
+ * Cover image and labelled review count patterns live in the selector rules (SelectorRules.js).
+ * Keywords and number formats follow the page's store (MarketplaceRegistry.js, via context.url).
  */
 
-export function extractImageUrlRobust(html) {
+import selectorRules from '../../parsers/SelectorRules.js';
+import { keywordPatterns, numberPatternSource, parseCount } from '../../../shared/MarketplaceRegistry.js';
+
+/**
+ * Cover image URL (selector rules field 'coverImage': image block region, product images only)
+ * @param {string} html - Page HTML
+ * @param {Object} [context] - { url } for marketplace-specific rules
+ * @returns {string|null} Image URL
+ */
+export function extractImageUrlRobust(html, context = {}) {
   try {
-    const markers = [
-      'id="imgTagWrapperId"',
-      'id="ebooksImageBlock"',
-      'id="imageBlock"',
-      'id="main-image-container"',
-      'imageGallery'
-    ];
-    let region = '';
-    for (const m of markers) {
-      const idx = html.indexOf(m);
-      if (idx !== -1) { region = html.slice(Math.max(0, idx - 500), idx + 5000); break; }
-    }
-    if (!region) region = html;
-
-    const isLikelyCover = (u) => {
-      if (!u) return false;
-      const s = String(u).replace(/&amp;/g, '&');
-      if (!/\.(jpg|jpeg|png)(?:[?#].*)?$/i.test(s)) return false;
-      if (!/\/images\/I\//.test(s)) return false; // prefer product images path
-      if (/Digital_Video|svod|PrimeVideo|\/images\/G\//i.test(s)) return false; // likely banner
-      return true;
-    };
-
-    const dyn = region.match(/data-a-dynamic-image\s*=\s*'([^']+)'/i) || region.match(/data-a-dynamic-image\s*=\s*"([^"]+)"/i);
-    if (dyn && dyn[1]) {
-      try {
-        const jsonText = dyn[1].replace(/&quot;/g, '"').replace(/&amp;/g, '&');
-        const obj = JSON.parse(jsonText);
-        let best = null, bestArea = 0;
-        for (const [urlStr, size] of Object.entries(obj)) {
-          const area = Array.isArray(size) && size.length >= 2 ? (Number(size[0]) * Number(size[1])) : 0;
-          if (isLikelyCover(urlStr) && area >= bestArea) { bestArea = area; best = urlStr; }
-        }
-        if (best) return String(best).replace(/&amp;/g, '&');
-      } catch {}
-    }
+    return selectorRules.first(html, 'coverImage', context)?.value || null;
+  } catch {
+    return null;
+  }
+}
 
-    const hires = region.match(/data-old-hires=\"([^\"]+)\"/i);
-    if (hires && isLikelyCover(hires[1])) return hires[1].replace(/&amp;/g, '&');
+export function extractReviewCountRobust(html, context = {}) {
+  const [first] = collectReviewCountCandidates(html, context);
+  return first ? { count: first.count, source: first.source } : null;
+}
 
-    const idMatch = region.match(/<img[^>]*id=\"(?:landingImage|imgBlkFront|ebooksImgBlkFront)\"[^>]*(?:src|data-src)=\"([^\"]+)\"/i);
-    if (idMatch && isLikelyCover(idMatch[1])) return idMatch[1].replace(/&amp;/g, '&');
-    const clsMatch = region.match(/<img[^>]*class=\"[^\"]*(?:a-dynamic-image|frontImage)\"[^>]*src=\"([^\"]+)\"/i);
-    if (clsMatch && isLikelyCover(clsMatch[1])) return clsMatch[1].replace(/&amp;/g, '&');
+/**
+ * Review count from every strategy, in extractReviewCountRobust() priority order
+ * Sources: 'html' (first labelled element or text), 'json-ld' (aggregateRating),
+ * 'context' (largest number near a review keyword in the page text - a guess).
+ * @param {string} html - Page HTML
+ * @param {Object} [context] - { url } for marketplace-specific rules
+ * @returns {Array<{count: number, source: string}>} At most one candidate per source
+ */
+export function collectReviewCountCandidates(html, context = {}) {
+  const candidates = [];
+  try {
+    // Labelled counts and JSON-LD come from the selector rules (field 'reviewCount')
+    for (const { value, rule } of selectorRules.candidates(html, 'reviewCount', context)) {
+      if (!candidates.some(c => c.source === rule.source)) {
+        candidates.push({ count: value, source: rule.source });
+      }
+    }
 
-    const og = html.match(/<meta[^>]*property=\"og:image\"[^>]*content=\"([^\"]+)\"[^>]*>/i);
-    if (og && isLikelyCover(og[1])) return og[1].replace(/&amp;/g, '&');
+    // Page text only: digits in tag names, classes and ids ("<h3>", "a-size-3") are no counts
+    const text = html
+      .replace(/<(script|style)\b[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+      .replace(/<[^>]*>/g, ' ')
+      .replace(/&nbsp;/g, ' ');
+    const keywordRegex = keywordPatterns(context.url).context;
+    let best = -1;
+    const numberRegex = new RegExp(`(${numberPatternSource(context.url)})`, 'g');
+    let nm;
+    while ((nm = numberRegex.exec(text)) !== null) {
+      const numText = nm[1];
+      const val = parseCount(numText, context.url);
+      if (val === null) continue;
+      const start = Math.max(0, nm.index - 40);
+      const end = Math.min(text.length, nm.index + numText.length + 40);
+      const around = text.slice(start, end);
+      if (keywordRegex.test(around)) {
+        if (val > best) best = val;
+      }
+    }
+    if (best >= 0) candidates.push({ count: best, source: 'context' });
+  } catch {}
+  return candidates;
+}
 
-    const any = region.match(/src=\"([^\"]*\/images\/I\/[^\"]*\.(?:jpg|jpeg|png)[^\"]*)\"/i);
-    if (any && isLikelyCover(any[1])) return any[1].replace(/&amp;/g, '&');
+/**
+ * Average star rating from the page text and from JSON-LD
+ * @param {string} html - Page HTML
+ * @param {Object} [context] - { url } for the store's wording ("5つ星のうち4.5", "4,5 von 5 Sternen")
+ * @returns {Array<{value: number, source: string}>} 'html' and/or 'json-ld' candidates
+ */
+export function collectAverageRatingCandidates(html, context = {}) {
+  const candidates = [];
+  try {
+    for (const pattern of keywordPatterns(context.url).averageRating) {
+      const text = html.match(pattern);
+      if (text) { candidates.push({ value: parseFloat(text[1].replace(',', '.')), source: 'html' }); break; }
+    }
 
-    return null;
-  } catch {
-    return null;
-  }
+    const scriptRegex = /<script[^>]*type=\"application\/ld\+json\"[^>]*>([\s\S]*?)<\/script>/ig;
+    let match;
+    while ((match = scriptRegex.exec(html)) !== null) {
+      try {
+        const data = JSON.parse(match[1]);
+        const node = (Array.isArray(data) ? data : [data]).find(n => n?.aggregateRating?.ratingValue !== undefined);
+        const value = parseFloat(node?.aggregateRating?.ratingValue);
+        if (Number.isFinite(value)) { candidates.push({ value, source: 'json-ld' }); break; }
+      } catch {}
+    }
+  } catch {}
+  return candidates.filter(c => Number.isFinite(c.value) && c.value > 0 && c.value <= 5);
 }
 
-export function extractReviewCountRobust(html) {
+/**
+ * Star ratings and written reviews, counted separately
+ * Amazon shows "1,234個の評価" / "1,234 global ratings" (stars, with or without text)
+ * next to "56件のグローバルレビュー" / "56 global reviews" (written reviews only).
+ * extractReviewCountRobust() keeps returning whichever number it finds first.
+ * Other stores' wording comes from MarketplaceRegistry ("Sternebewertungen", "évaluations", ...).
+ * @param {string} html - Page HTML
+ * @param {Object} [context] - { url } of the page
+ * @returns {{ratings: {count: number, source: string}|null, reviews: {count: number, source: string}|null}}
+ */
+export function extractReviewCountsRobust(html, context = {}) {
+  const result = { ratings: null, reviews: null };
   try {
-    const patterns = [
-      /<[^>]*data-hook=\"total-review-count\"[^>]*>([^<]*)<\/[^>]*>/i,
+    const keywords = keywordPatterns(context.url);
+    const toCount = (text) => (text === undefined || text === null ? null : parseCount(text, context.url));
+
+    // Written reviews first so "件のグローバルレビュー" isn't taken as a rating count
+    const reviewMatch = html.match(keywords.reviewsCount);
+    if (reviewMatch) {
+      const count = toCount(reviewMatch[1]);
+      if (count !== null) result.reviews = { count, source: 'html' };
+    }
+
+    const ratingPatterns = [
       /<span[^>]*id=\"acrCustomerReviewText\"[^>]*>([^<]*)<\/span>/i,
-      /<a[^>]*href=\"[^\"]*#customerReviews[^\"]*\"[^>]*>([^<]*\d[^<]*)<\/a>/i,
-      /([0-9,\d]+)[\s]*(?:個の評価|件のレビュー|件のカスタマーレビュー|ratings?)/i,
-      /<[^>]*class=\"[^\"]*cr-widget-ACR[^\"]*\"[^>]*>[\s\S]*?<[^>]*class=\"[^\"]*a-size-base[^\"]*\"[^>]*>([^<]*)<\/[^>]*>/i
+      /<[^>]*data-hook=\"total-review-count\"[^>]*>([^<]*)<\/[^>]*>/i,
+      keywords.ratingsCount
     ];
-    for (const rx of patterns) {
+    for (const rx of ratingPatterns) {
       const m = html.match(rx);
-      if (m && m[1]) {
-        const text = String(m[1]).replace(/<[^>]*>/g, ' ');
-        const num = text.match(/(\d{1,3}(?:,\d{3})*|\d+)/);
-        if (num) {
-          const val = parseInt(num[1].replace(/,/g, ''), 10);
-          if (!Number.isNaN(val)) return { count: val, source: 'html' };
-        }
-      }
+      if (!m || !m[1]) continue;
+      // Older layouts label the ACR span "N件のカスタマーレビュー"; that's not a rating count
+      if (keywords.reviewWord.test(m[1]) && !keywords.ratingWord.test(m[1])) continue;
+      const count = toCount(m[1]);
+      if (count !== null) { result.ratings = { count, source: 'html' }; break; }
     }
 
-    try {
+    // JSON-LD: ratingCount = stars, reviewCount = written (only when they differ)
+    if (!result.ratings || !result.reviews) {
       const scriptRegex = /<script[^>]*type=\"application\/ld\+json\"[^>]*>([\s\S]*?)<\/script>/ig;
       let match;
       while ((match = scriptRegex.exec(html)) !== null) {
-        const jsonText = match[1];
         try {
-          const data = JSON.parse(jsonText);
+          const data = JSON.parse(match[1]);
           const nodes = Array.isArray(data) ? data : [data];
           for (const node of nodes) {
-            const agg = node?.aggregateRating || node;
-            const rc = agg?.reviewCount || agg?.ratingCount;
-            if (typeof rc === 'number' && rc >= 0) {
-              return { count: rc, source: 'json-ld' };
+            const agg = node?.aggregateRating;
+            if (!agg) continue;
+            const ratingCount = toCount(agg.ratingCount);
+            const reviewCount = toCount(agg.reviewCount);
+            if (!result.ratings && ratingCount !== null) {
+              result.ratings = { count: ratingCount, source: 'json-ld' };
             }
-            if (typeof rc === 'string') {
-              const val = parseInt(rc.replace(/,/g, ''), 10);
-              if (!Number.isNaN(val)) return { count: val, source: 'json-ld' };
+            if (!result.reviews && reviewCount !== null && ratingCount !== null && reviewCount !== ratingCount) {
+              result.reviews = { count: reviewCount, source: 'json-ld' };
             }
           }
         } catch {}
       }
-    } catch {}
+    }
+  } catch {}
+  return result;
+}
 
-    const keywordRegex = /(レビュー|評価|customer reviews|global ratings|ratings?)/i;
-    let best = -1;
-    const numberRegex = /(\d{1,3}(?:,\d{3})*|\d+)/g;
-    let nm;
-    while ((nm = numberRegex.exec(html)) !== null) {
-      const numText = nm[1];
-      const val = parseInt(numText.replace(/,/g, ''), 10);
-      if (Number.isNaN(val)) continue;
-      const start = Math.max(0, nm.index - 40);
-      const end = Math.min(html.length, nm.index + numText.length + 40);
-      const around = html.slice(start, end);
-      if (keywordRegex.test(around)) {
-        if (val > best) best = val;
+/**
+ * Star-rating distribution (5★…1★ percentages)
+ * Order: histogram aria-labels → histogram row text → JSON-LD review ratings.
+ * @param {string} html - Page HTML
+ * @param {Object} [context] - { url } for the store's star / percent words
+ * @returns {{histogram: {5: number, 4: number, 3: number, 2: number, 1: number}, source: string}|null}
+ */
+export function extractRatingHistogramRobust(html, context = {}) {
+  try {
+    const keywords = keywordPatterns(context.url);
+    const STARS = `(?:${keywords.stars})`;
+    const PERCENT = `(?:${keywords.percent})`;
+    const markers = ['id="histogramTable"', 'a-histogram-row', 'cm_cr_dp_d_hist', 'data-hook="rating-histogram"'];
+    let region = '';
+    for (const m of markers) {
+      const idx = html.indexOf(m);
+      if (idx !== -1) { region = html.slice(Math.max(0, idx - 200), idx + 8000); break; }
+    }
+
+    if (region) {
+      // aria-label="70 percent of reviews have 5 stars" / "レビューの70%に星5つが付いています"
+      const fromLabels = {};
+      const labelRegex = /aria-label="([^"]*)"/gi;
+      let lm;
+      while ((lm = labelRegex.exec(region)) !== null) {
+        const label = lm[1];
+        let percent, star;
+        let m = label.match(new RegExp(`(\\d{1,3})\\s*${PERCENT}[^\\d]*?([1-5])\\s*${STARS}`, 'i'));
+        if (m) {
+          [, percent, star] = m;
+        } else if ((m = label.match(new RegExp(`(?:星\\s*([1-5])\\s*つ|([1-5])\\s*${STARS})[^\\d]*?(\\d{1,3})\\s*%`, 'i')))) {
+          star = m[1] || m[2];
+          percent = m[3];
+        } else {
+          continue;
+        }
+        if (!(star in fromLabels)) fromLabels[star] = parseInt(percent, 10);
+      }
+      const labelHistogram = completeHistogram(fromLabels);
+      if (labelHistogram) return { histogram: labelHistogram, source: 'html' };
+
+      // Row text: "星5つ 70%" / "5 star 70%"
+      const text = region.replace(/<[^>]*>/g, ' ').replace(/&nbsp;/g, ' ');
+      const fromRows = {};
+      const rowRegex = new RegExp(`(?:星\\s*([1-5])\\s*つ|([1-5])\\s*${STARS})[^%]{0,80}?(\\d{1,3})\\s*%`, 'gi');
+      let rm;
+      while ((rm = rowRegex.exec(text)) !== null) {
+        const star = rm[1] || rm[2];
+        if (!(star in fromRows)) fromRows[star] = parseInt(rm[3], 10);
       }
+      const rowHistogram = completeHistogram(fromRows);
+      if (rowHistogram) return { histogram: rowHistogram, source: 'html-rows' };
+    }
+
+    // JSON-LD: distribution of the embedded reviews (a sample, not the full population)
+    const scriptRegex = /<script[^>]*type="application\/ld\+json"[^>]*>([\s\S]*?)<\/script>/ig;
+    let match;
+    while ((match = scriptRegex.exec(html)) !== null) {
+      try {
+        const data = JSON.parse(match[1]);
+        const nodes = Array.isArray(data) ? data : [data];
+        for (const node of nodes) {
+          const reviews = Array.isArray(node?.review) ? node.review : [];
+          const stars = reviews
+            .map(r => Math.round(Number(r?.reviewRating?.ratingValue)))
+            .filter(v => v >= 1 && v <= 5);
+          if (stars.length < 5) continue;
+          const counts = {};
+          stars.forEach(v => { counts[v] = (counts[v] || 0) + 1; });
+          const histogram = {};
+          [5, 4, 3, 2, 1].forEach(v => { histogram[v] = Math.round(((counts[v] || 0) / stars.length) * 100); });
+          return { histogram, source: 'json-ld' };
+        }
+      } catch {}
     }
-    if (best >= 0) return { count: best, source: 'context' };
 
     return null;
   } catch {
@@ -129,3 +245,13 @@ export function extractReviewCountRobust(html) {
   }
 }
 
+// Accept a parsed histogram only when it looks like a full 5-row distribution
+function completeHistogram(parsed) {
+  const found = Object.keys(parsed).length;
+  if (found < 3) return null;
+  const histogram = {};
+  [5, 4, 3, 2, 1].forEach(v => { histogram[v] = Math.min(100, parsed[v] || 0); });
+  const sum = Object.values(histogram).reduce((a, b) => a + b, 0);
+  // Amazon rounds each row, so totals drift by a few points
+  return sum >= 95 && sum <= 105 ? histogram : null;
+}
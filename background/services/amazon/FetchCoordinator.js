@@ -4,13 +4,24 @@
  * 
  * Responsibilities:
  * - Coordinate URL normalization, caching, and fetching
- * - Manage proxy fallback to direct tab fetching
+ * - Read the product from a tab the user already has open; otherwise proxies with
+ *   fallback to the direct worker tab (and a visible tab the user can unblock
+ *   when Amazon serves a CAPTCHA). Tab reads add live DOM values to the parse.
  * - Orchestrate parsing through multiple parsers
+ * - Record fresh results into review history (when a history store is provided)
+ * - Stale-while-revalidate: serve expired cache data at once, refresh in background
+ * - Combined-editions mode: fetch sibling editions (Kindle / paperback / Audible)
+ *   and total their counts, counting shared review pools once
  * - Handle error recovery and performance optimization
  */
 
+import { PAGE_TYPES } from './PageClassifier.js';
+
+// Sibling editions fetched per combined request (besides the requested one)
+const MAX_SIBLING_EDITIONS = 5;
+
 export default class FetchCoordinator {
-  constructor(cache, urlNormalizer, htmlFetcher, htmlParser, metadataExtractor, dataProcessor, performanceTracker) {
+  constructor(cache, urlNormalizer, htmlFetcher, htmlParser, metadataExtractor, dataProcessor, performanceTracker, historyStore = null) {
     this.cache = cache;
     this.urlNormalizer = urlNormalizer;
     this.htmlFetcher = htmlFetcher;
@@ -18,14 +29,34 @@ export default class FetchCoordinator {
     this.metadataExtractor = metadataExtractor;
     this.dataProcessor = dataProcessor;
     this.performanceTracker = performanceTracker;
+    this.historyStore = historyStore;
+
+    // normalizedUrl -> in-flight background revalidation
+    this.revalidations = new Map();
   }
 
   /**
    * Execute complete fetch workflow with optimization and fallback
    * @param {string} url - Amazon book URL
+   * @param {Object} options - Fetch options
+   * @param {boolean} options.staleWhileRevalidate - Return expired cache data immediately
+   *   (flagged `stale: true` with `staleAge` ms) and refresh it in the background
+   * @param {Function} options.onRevalidated - ({ url, data?, error? }) => void, called when
+   *   the background refresh finishes
+   * @param {boolean} options.combineEditions - Total counts across sibling editions
+   *   (see fetchCombinedEditions; staleWhileRevalidate is ignored in this mode)
+   * @param {boolean} options.recordHistory - Set false to skip the history sample
+   * @param {boolean} options.interactiveTab - Skip cache and proxies; open the page in a
+   *   visible tab and wait until the user gets past a CAPTCHA / sign-in page
+   * @param {string} options.context - FETCH_CONTEXTS value picking the proxy strategy
+   *   (default interactive; scheduled refreshes pass background)
    * @returns {Promise<Object>} Parsed book data
    */
-  async fetchBookData(url) {
+  async fetchBookData(url, options = {}) {
+    if (options.combineEditions) {
+      return this.fetchCombinedEditions(url, { context: options.context });
+    }
+
     const fetchStartTime = Date.now();
     this.performanceTracker.recordRequestStart();
 
@@ -36,9 +67,16 @@ export default class FetchCoordinator {
         throw new Error('Invalid Amazon URL - could not normalize');
       }
 
+      // 1b. User-driven tab: always fresh, the point is to get past the block
+      if (options.interactiveTab) {
+        console.log('🧑 Interactive tab fetch for:', normalizedUrl);
+        return await this.fetchFresh(normalizedUrl, fetchStartTime, { interactiveTab: true });
+      }
+
       console.log('⚡ Speed-optimized fetch for:', normalizedUrl);
 
-      // 2. Cache Check
+      // 2. Cache Check (entries persisted by a previous worker are restored first)
+      await this.cache.whenReady?.();
       const cachedData = this.cache.get(normalizedUrl);
       if (cachedData) {
         const totalDuration = Date.now() - fetchStartTime;
@@ -47,57 +85,249 @@ export default class FetchCoordinator {
         return cachedData;
       }
 
-      // 3. HTML Fetching (Proxies → Fallback: direct tab)
-      const html = await this.fetchHtmlWithFallback(normalizedUrl);
+      // 2b. Stale-while-revalidate: last known data now, fresh data later
+      const staleEntry = options.staleWhileRevalidate ? this.cache.peek?.(normalizedUrl) : null;
+      if (staleEntry) {
+        this.revalidate(normalizedUrl, options.onRevalidated);
+        const totalDuration = Date.now() - fetchStartTime;
+        this.performanceTracker.recordCacheHit(totalDuration);
+        console.log(`🕰️ Serving stale data (age: ${(staleEntry.age / 1000).toFixed(0)}s) while revalidating`);
+        return { ...staleEntry.data, stale: true, staleAge: staleEntry.age, revalidating: true };
+      }
+
+      return await this.fetchFresh(normalizedUrl, fetchStartTime, { recordHistory: options.recordHistory, context: options.context });
+
+    } catch (error) {
+      this.performanceTracker.recordFailedFetch();
+      console.error('❌ Amazon fetch failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Refresh a URL in the background (one in flight per URL)
+   * @param {string} normalizedUrl - Normalized Amazon URL
+   * @param {Function|null} onRevalidated - Completion callback ({ url, data?, error? })
+   * @returns {Promise<Object|null>} Fresh data or null on failure
+   */
+  revalidate(normalizedUrl, onRevalidated = null) {
+    const notify = (payload) => {
+      if (typeof onRevalidated !== 'function') return;
+      try {
+        onRevalidated({ url: normalizedUrl, ...payload });
+      } catch (error) {
+        console.warn('Revalidation callback failed:', error?.message || error);
+      }
+    };
+
+    let pending = this.revalidations.get(normalizedUrl);
+    if (!pending) {
+      this.performanceTracker.recordRequestStart();
+      pending = this.fetchFresh(normalizedUrl, Date.now())
+        .catch(error => {
+          this.performanceTracker.recordFailedFetch();
+          console.warn('🕰️ Background revalidation failed:', error?.message || error);
+          throw error;
+        })
+        .finally(() => this.revalidations.delete(normalizedUrl));
+      this.revalidations.set(normalizedUrl, pending);
+    }
+
+    return pending.then(
+      data => { notify({ data }); return data; },
+      error => { notify({ error: error?.message || String(error) }); return null; }
+    );
+  }
+
+  /**
+   * Fetch, parse, cache and record a URL, bypassing the cache
+   * @private
+   * @param {string} normalizedUrl - Normalized Amazon URL
+   * @param {number} fetchStartTime - Start timestamp for metrics
+   * @param {Object} options - { recordHistory?: boolean, interactiveTab?: boolean, context?: string }
+   * @returns {Promise<Object>} Parsed book data
+   */
+  async fetchFresh(normalizedUrl, fetchStartTime, options = {}) {
+    // 3. Page Fetching (Open tab → Proxies → Fallback: worker tab; interactive: visible tab only)
+    const page = options.interactiveTab
+      ? await this.htmlFetcher.fetchPageViaTab(normalizedUrl, { interactive: true })
+      : await this.fetchPageWithFallback(normalizedUrl, options.context);
+    const { html } = page;
+
+    // 4. Parse HTML through multiple parsers
+    const parseResults = await this.parseHtmlContent(html, normalizedUrl);
+
+    // 5. Process and combine results
+    const result = this.dataProcessor.processBookData(
+      parseResults.basic,
+      parseResults.meta,
+      html,
+      normalizedUrl,
+      fetchStartTime,
+      page.dom
+    );
+    result.extraction.fetchedVia = page.via;
+
+    // 6. Validate processed data
+    if (!this.dataProcessor.validateProcessedData(result)) {
+      throw new Error('Data validation failed after processing');
+    }
+
+    // 7. Cache successful result
+    this.cache.set(normalizedUrl, result);
+
+    // 7b. Append to review history (cache hits are not new samples)
+    if (options.recordHistory !== false) {
+      await this.recordHistory(result);
+    }
+
+    // 8. Record success metrics
+    const totalDuration = Date.now() - fetchStartTime;
+    this.performanceTracker.recordSuccessfulFetch(totalDuration);
 
-      // 4. Parse HTML through multiple parsers
-      const parseResults = await this.parseHtmlContent(html, normalizedUrl);
+    console.log(`✅ Amazon data fetched successfully in ${result.fetchTime}ms`);
+    return result;
+  }
+
+  // ============================================================================
+  // COMBINED EDITIONS
+  // ============================================================================
 
-      // 5. Process and combine results
-      const result = this.dataProcessor.processBookData(
-        parseResults.basic,
-        parseResults.meta,
-        html,
-        normalizedUrl,
-        fetchStartTime
-      );
+  /**
+   * Fetch the requested edition and its siblings, then total their counts
+   * Amazon often shows one shared review pool on several formats; editions with
+   * identical counts, average rating and histogram are treated as one pool.
+   * The top-level counts of the result are the totals; `combined` has the breakdown.
+   * @param {string} url - Amazon book URL (any edition)
+   * @param {Object} [options] - { context } proxy strategy context for every edition
+   * @returns {Promise<Object>} Book data of the requested edition with combined counts
+   */
+  async fetchCombinedEditions(url, options = {}) {
+    const primary = await this.fetchBookData(url, { recordHistory: false, context: options.context });
+    const origin = new URL(primary.normalizedUrl).origin;
+    const siblings = (primary.editions || [])
+      .filter(e => e.asin && e.asin !== primary.asin)
+      .slice(0, MAX_SIBLING_EDITIONS);
 
-      // 6. Validate processed data
-      if (!this.dataProcessor.validateProcessedData(result)) {
-        throw new Error('Data validation failed after processing');
+    const editions = [this.summarizeEdition(primary.asin, primary.format, primary)];
+    // One at a time: each edition is a full page fetch
+    for (const edition of siblings) {
+      try {
+        const data = await this.fetchBookData(`${origin}/dp/${edition.asin}`, { recordHistory: false, context: options.context });
+        editions.push(this.summarizeEdition(edition.asin, edition.format, data));
+      } catch (error) {
+        console.warn(`Edition ${edition.asin} fetch failed:`, error?.message || error);
+        editions.push({ ...this.summarizeEdition(edition.asin, edition.format, {}), error: error?.message || String(error) });
       }
+    }
+
+    const combined = this.combineEditionCounts(editions);
+    const result = {
+      ...primary,
+      reviewCount: combined.reviewCount,
+      currentReviews: combined.reviewCount,
+      ratingsCount: combined.ratingsCount,
+      writtenReviewCount: combined.writtenReviewCount,
+      combined,
+      timestamp: Date.now()
+    };
+
+    console.log(`📚 Combined ${editions.length} editions into ${combined.pools} review pools:`, combined.reviewCount);
+    await this.recordHistory(result);
+    return result;
+  }
 
-      // 7. Cache successful result
-      this.cache.set(normalizedUrl, result);
+  /**
+   * Per-edition counts plus the signature used to detect shared pools
+   * @private
+   */
+  summarizeEdition(asin, format, data) {
+    const count = (value) => (Number.isFinite(value) ? value : null);
+    const summary = {
+      asin,
+      format: format || data.format || 'other',
+      reviewCount: count(data.reviewCount),
+      ratingsCount: count(data.ratingsCount),
+      writtenReviewCount: count(data.writtenReviewCount),
+      pool: null
+    };
+    summary.poolKey = JSON.stringify([
+      summary.reviewCount, summary.ratingsCount, summary.writtenReviewCount,
+      count(data.averageRating), data.ratingHistogram || null
+    ]);
+    return summary;
+  }
+
+  /**
+   * Sum counts over distinct review pools
+   * A total is null unless every pool has that count (a partial sum would mislead).
+   * @private
+   */
+  combineEditionCounts(editions) {
+    const pools = [];
+    editions.forEach(edition => {
+      const { poolKey } = edition;
+      delete edition.poolKey;
+      if (edition.error || edition.reviewCount === null) return;
+      let index = pools.findIndex(p => p.key === poolKey);
+      if (index < 0) {
+        pools.push({ key: poolKey, edition });
+        index = pools.length - 1;
+      }
+      edition.pool = index;
+    });
 
-      // 8. Record success metrics
-      const totalDuration = Date.now() - fetchStartTime;
-      this.performanceTracker.recordSuccessfulFetch(totalDuration);
+    const total = (field) => {
+      const values = pools.map(p => p.edition[field]);
+      return values.length > 0 && values.every(Number.isFinite) ? values.reduce((a, b) => a + b, 0) : null;
+    };
 
-      console.log(`✅ Amazon data fetched successfully in ${result.fetchTime}ms`);
-      return result;
+    return {
+      reviewCount: total('reviewCount') ?? 0,
+      ratingsCount: total('ratingsCount'),
+      writtenReviewCount: total('writtenReviewCount'),
+      pools: pools.length,
+      editions
+    };
+  }
 
+  /**
+   * Append a fresh result to review history; failures never fail the fetch
+   * @param {Object} result - Processed book data
+   */
+  async recordHistory(result) {
+    if (!this.historyStore) return;
+    try {
+      await this.historyStore.recordFetchResult(result);
     } catch (error) {
-      this.performanceTracker.recordFailedFetch();
-      console.error('❌ Amazon fetch failed:', error);
-      throw error;
+      console.warn('Review history append failed:', error?.message || error);
     }
   }
 
   /**
-   * Fetch HTML with proxy fallback to direct tab
+   * Fetch the page: a tab the user has open, else proxies with fallback to the worker tab
    * @param {string} normalizedUrl - Normalized Amazon URL
-   * @returns {Promise<string>} HTML content
+   * @param {string} [context] - FETCH_CONTEXTS value (proxy strategy)
+   * @returns {Promise<{html: string, dom: Object|null, via: string}>} Page (dom only from tabs)
+   * @throws {AmazonPageError} When the page is missing or the tab is blocked too
    */
-  async fetchHtmlWithFallback(normalizedUrl) {
+  async fetchPageWithFallback(normalizedUrl, context) {
+    // Already open and recent: no request to Amazon at all
+    const openTab = await this.htmlFetcher.readOpenTab(normalizedUrl);
+    if (openTab) return openTab;
+
     try {
       // Primary: Try proxy-based fetching
-      return await this.htmlFetcher.fetchHtmlWithProxies(normalizedUrl);
+      const html = await this.htmlFetcher.fetchHtmlWithProxies(normalizedUrl, { context });
+      return { html, dom: null, via: 'proxy' };
     } catch (proxyError) {
+      // A missing product looks the same from the browser
+      if (proxyError?.pageType === PAGE_TYPES.notFound) throw proxyError;
+
       console.warn('Proxy fetching failed, trying direct tab fallback:', proxyError?.message || proxyError);
       
-      // Fallback: Direct tab fetching
-      return await this.htmlFetcher.fetchHtmlViaTab(normalizedUrl);
+      // Fallback: Direct fetch in the reusable worker tab
+      return await this.htmlFetcher.fetchPageViaTab(normalizedUrl);
     }
   }
 
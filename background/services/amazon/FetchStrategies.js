@@ -0,0 +1,155 @@
+/**
+ * FetchStrategies - How many proxies a fetch asks, and when
+ *
+ * Responsibilities:
+ * - Define the selectable strategies and their per-context defaults
+ * - Normalize strategy settings coming from the options page
+ * - Run proxy attempts according to a strategy and report every start / result
+ *
+ * Strategies:
+ * - race_all:   every proxy at once, first product page wins (fastest, noisiest)
+ * - race_top_n: the N best-ranked proxies at once; a failure starts the next one
+ * - sequential: one proxy at a time; a failure starts the next one at once, and a
+ *               proxy that is still silent after hedgeDelayMs gets a second one
+ *               alongside (hedging), so a hanging proxy does not stall the fetch
+ *
+ * Notes:
+ * - Pure: no fetch, chrome.* or DOM access. HtmlFetcher supplies the attempt
+ *   function and turns the events into a PerformanceTracker timeline.
+ * - Attempts that lose the race keep running; their results still feed
+ *   ProxyManagerService, but they no longer start further attempts.
+ */
+
+export const FETCH_STRATEGIES = Object.freeze({
+  raceAll: 'race_all',
+  raceTopN: 'race_top_n',
+  sequential: 'sequential'
+});
+
+export const FETCH_CONTEXTS = Object.freeze({
+  interactive: 'interactive', // Popup fetch, the user is waiting
+  background: 'background'    // Scheduled refresh, nobody is waiting
+});
+
+export const STRATEGY_LIMITS = Object.freeze({
+  topN: { min: 1, max: 10 },
+  hedgeDelayMs: { min: 500, max: 15000 }
+});
+
+// Interactive keeps the original all-proxies race; background refreshes are polite
+export const DEFAULT_FETCH_STRATEGIES = Object.freeze({
+  [FETCH_CONTEXTS.interactive]: Object.freeze({ strategy: FETCH_STRATEGIES.raceAll, topN: 3, hedgeDelayMs: 3000 }),
+  [FETCH_CONTEXTS.background]: Object.freeze({ strategy: FETCH_STRATEGIES.sequential, topN: 3, hedgeDelayMs: 5000 })
+});
+
+// Whole-fetch deadline; sequential needs room for several proxies in a row
+const OVERALL_TIMEOUTS = {
+  [FETCH_STRATEGIES.raceAll]: 15000,
+  [FETCH_STRATEGIES.raceTopN]: 20000,
+  [FETCH_STRATEGIES.sequential]: 30000
+};
+
+/**
+ * Fill gaps with the context defaults and clamp numbers
+ * @param {Object|undefined} raw - Stored strategy settings for one context
+ * @param {string} context - One of FETCH_CONTEXTS
+ * @returns {{strategy: string, topN: number, hedgeDelayMs: number}}
+ */
+export function normalizeStrategyConfig(raw, context = FETCH_CONTEXTS.interactive) {
+  const defaults = DEFAULT_FETCH_STRATEGIES[context] || DEFAULT_FETCH_STRATEGIES[FETCH_CONTEXTS.interactive];
+  if (!raw || typeof raw !== 'object') return { ...defaults };
+
+  const clamp = (value, { min, max }, fallback) => {
+    const number = Math.round(Number(value));
+    return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+  };
+
+  return {
+    strategy: Object.values(FETCH_STRATEGIES).includes(raw.strategy) ? raw.strategy : defaults.strategy,
+    topN: clamp(raw.topN, STRATEGY_LIMITS.topN, defaults.topN),
+    hedgeDelayMs: clamp(raw.hedgeDelayMs, STRATEGY_LIMITS.hedgeDelayMs, defaults.hedgeDelayMs)
+  };
+}
+
+/**
+ * Run attempts over a ranked proxy list according to a strategy
+ * @param {string[]} proxies - Proxies, best first
+ * @param {Function} attempt - (proxy, index) => Promise; resolves with the page
+ * @param {Object} config - Normalized strategy config
+ * @param {Object} [options]
+ * @param {Function} [options.onEvent] - ({ type: 'start'|'success'|'failure'|'timeout', proxy?, index?, reason?, error? }) => void
+ * @param {number} [options.overallTimeout] - Override the strategy's deadline
+ * @returns {Promise<{value: *, proxy: string, index: number}>}
+ *   Rejects with an AggregateError of all attempt errors, or an Error on the deadline
+ */
+export function runFetchStrategy(proxies, attempt, config, options = {}) {
+  const onEvent = options.onEvent || (() => {});
+  const overallTimeout = options.overallTimeout || OVERALL_TIMEOUTS[config.strategy] || OVERALL_TIMEOUTS[FETCH_STRATEGIES.raceAll];
+  const initial = config.strategy === FETCH_STRATEGIES.raceAll ? proxies.length
+    : config.strategy === FETCH_STRATEGIES.raceTopN ? config.topN
+      : 1;
+  const hedging = config.strategy === FETCH_STRATEGIES.sequential;
+
+  return new Promise((resolve, reject) => {
+    const errors = [];
+    let next = 0;
+    let inFlight = 0;
+    let settled = false;
+    let hedgeTimer = null;
+
+    const finish = (settle) => {
+      settled = true;
+      clearTimeout(hedgeTimer);
+      clearTimeout(deadline);
+      settle();
+    };
+
+    const scheduleHedge = () => {
+      if (!hedging) return;
+      clearTimeout(hedgeTimer);
+      hedgeTimer = setTimeout(() => launch('hedge'), config.hedgeDelayMs);
+    };
+
+    const failIfExhausted = () => {
+      if (!settled && inFlight === 0 && next >= proxies.length) {
+        finish(() => reject(new AggregateError(errors, 'All proxy attempts failed')));
+      }
+    };
+
+    const launch = (reason) => {
+      if (settled || next >= proxies.length) return;
+      const index = next++;
+      const proxy = proxies[index];
+      inFlight++;
+      onEvent({ type: 'start', proxy, index, reason });
+      scheduleHedge();
+
+      Promise.resolve()
+        .then(() => attempt(proxy, index))
+        .then(
+          (value) => {
+            inFlight--;
+            onEvent({ type: 'success', proxy, index, late: settled });
+            if (!settled) finish(() => resolve({ value, proxy, index }));
+          },
+          (error) => {
+            inFlight--;
+            errors.push(error);
+            onEvent({ type: 'failure', proxy, index, error, late: settled });
+            if (settled) return;
+            launch('failover');
+            failIfExhausted();
+          }
+        );
+    };
+
+    const deadline = setTimeout(() => {
+      if (settled) return;
+      onEvent({ type: 'timeout' });
+      finish(() => reject(new Error('Overall race timeout')));
+    }, overallTimeout);
+
+    for (let i = 0; i < initial; i++) launch('initial');
+    failIfExhausted();
+  });
+}
@@ -1,142 +1,459 @@
 /**
  * HtmlFetcher - Amazon HTML fetching via proxies or background tab
  * Behavior preserved from AmazonScrapingService's methods.
+ * Every fetched page is classified (PageClassifier.js); robot checks and other
+ * non-product pages are rejected with AmazonPageError instead of being parsed.
+ * How many proxies a fetch asks follows the context's strategy (FetchStrategies.js);
+ * each run's attempt timeline goes to PerformanceTracker.
+ * A user-registered endpoint (CustomEndpoint.js) is asked first; the proxies
+ * only run when it is missing, disabled or fails.
+ * Direct mode reads the page in a browser tab (LivePageExtractor.js): a tab the
+ * user already has open on the product, else the reusable pinned WorkerTab.
+ * Tab reads return the live DOM values alongside the HTML.
  */
 
+import {
+  PAGE_TYPES,
+  AmazonPageError,
+  classifyAmazonPage,
+  isProxyFault,
+  isUserResolvable
+} from './PageClassifier.js';
+import { acceptLanguageFor } from '../../../shared/MarketplaceRegistry.js';
+import {
+  FETCH_CONTEXTS,
+  normalizeStrategyConfig,
+  runFetchStrategy
+} from './FetchStrategies.js';
+import {
+  buildEndpointRequest,
+  readEndpointResponse,
+  describeEndpoint
+} from './CustomEndpoint.js';
+import { extractLivePage, findProductTabs, isRecentLivePage } from './LivePageExtractor.js';
+import WorkerTab from './WorkerTab.js';
+
+// How long a visible tab waits for the user to solve a CAPTCHA / sign in
+const INTERACTIVE_TAB_TIMEOUT = 3 * 60 * 1000;
+
 export default class HtmlFetcher {
-  constructor(proxyManager) {
+  constructor(proxyManager, performanceTracker = null) {
     this.proxyManager = proxyManager;
+    this.performanceTracker = performanceTracker;
+
+    // Strategy per fetch context (options page, see setFetchStrategies)
+    this.strategies = {};
+    this.setFetchStrategies();
+
+    // User-registered endpoint (CustomEndpointStore), tried before the proxies
+    this.customEndpoint = null;
+
+    // Reusable pinned tab for direct fetches
+    this.workerTab = new WorkerTab();
+  }
+
+  /**
+   * Apply the custom endpoint (null removes it)
+   * @param {Object|null} config - Normalized CustomEndpoint config
+   */
+  setCustomEndpoint(config) {
+    this.customEndpoint = config || null;
+    console.log(config?.enabled
+      ? `🛰️ Custom endpoint active: ${describeEndpoint(config)}`
+      : '🛰️ Custom endpoint off');
+  }
+
+  /**
+   * Apply per-context strategy settings (missing contexts take their defaults)
+   * @param {Object} [strategies] - { interactive?: {...}, background?: {...} }
+   */
+  setFetchStrategies(strategies = {}) {
+    Object.values(FETCH_CONTEXTS).forEach(context => {
+      this.strategies[context] = normalizeStrategyConfig(strategies?.[context], context);
+    });
   }
 
   /**
-   * Fetch HTML content using proxy services (parallel race, fast-first)
+   * @param {string} context - One of FETCH_CONTEXTS
+   * @returns {{strategy: string, topN: number, hedgeDelayMs: number}}
+   */
+  getFetchStrategy(context) {
+    return this.strategies[context] || this.strategies[FETCH_CONTEXTS.interactive];
+  }
+
+  /**
+   * Fetch HTML content via the custom endpoint, then proxy services (strategy of the fetch context)
    * @param {string} url
+   * @param {Object} [options] - { context: FETCH_CONTEXTS value, default interactive }
    * @returns {Promise<string>} HTML string
+   * @throws {AmazonPageError} When no source got a product page and at least one got a classified page
    */
-  async fetchHtmlWithProxies(url) {
+  async fetchHtmlWithProxies(url, options = {}) {
+    const context = options.context || FETCH_CONTEXTS.interactive;
+    const config = this.getFetchStrategy(context);
+
+    const startedAt = Date.now();
+    const timeline = [];
+    const onEvent = ({ type, proxy, reason, error, late }) => {
+      timeline.push({
+        at: Date.now() - startedAt,
+        type,
+        ...(proxy ? { proxy: String(proxy).split('/')[2] } : {}),
+        ...(reason ? { reason } : {}),
+        ...(error ? { error: error?.message || String(error) } : {}),
+        ...(late ? { late: true } : {})
+      });
+    };
+    const record = (success, winner = null) => {
+      this.performanceTracker?.recordFetchRun({
+        url,
+        context,
+        strategy: config.strategy,
+        success,
+        durationMs: Date.now() - startedAt,
+        requests: timeline.filter(event => event.type === 'start').length,
+        winner,
+        timeline
+      });
+    };
+
+    // The user's own endpoint first; a missing product is final, anything else falls through
+    let endpointError = null;
+    const endpoint = this.customEndpoint?.enabled ? this.customEndpoint : null;
+    if (endpoint) {
+      const proxy = buildEndpointRequest(endpoint, url).url;
+      onEvent({ type: 'start', proxy, reason: 'custom' });
+      try {
+        const html = await this.fetchViaCustomEndpoint(url);
+        onEvent({ type: 'success', proxy });
+        record(true, proxy.split('/')[2]);
+        return html;
+      } catch (error) {
+        onEvent({ type: 'failure', proxy, error });
+        if (error instanceof AmazonPageError && !isProxyFault(error.pageType)) {
+          record(false);
+          throw error;
+        }
+        console.warn(`🛰️ Custom endpoint failed (${error?.message || error}), falling back to proxies`);
+        endpointError = error;
+      }
+    }
+
     const proxies = this.proxyManager.getOptimizedProxyList();
-    const createProxyFetch = (proxy, index) => {
-      return new Promise(async (resolve, reject) => {
-        const start = Date.now();
-        const controller = new AbortController();
-        try {
-          const timeout = this.proxyManager.getRecommendedTimeout
-            ? this.proxyManager.getRecommendedTimeout(proxy)
-            : 8000;
-          const timeoutId = setTimeout(() => {
-            controller.abort();
-            reject(new Error(`Timeout after ${timeout}ms`));
-          }, timeout);
-
-          const proxyUrl = this.buildProxyUrl(proxy, url);
-          const response = await fetch(proxyUrl, {
-            method: 'GET',
-            headers: {
-              'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-              'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-              'Accept-Language': 'ja,en-US;q=0.7,en;q=0.3',
-              'Cache-Control': 'no-cache'
-            },
-            signal: controller.signal
-          });
-
-          clearTimeout(timeoutId);
-          const took = Date.now() - start;
-          if (!response.ok) {
-            this.proxyManager.recordAttempt(proxy, false, took);
-            return reject(new Error(`HTTP ${response.status}`));
-          }
+    try {
+      const { value } = await runFetchStrategy(
+        proxies,
+        (proxy, index) => this.fetchViaProxy(proxy, url, index),
+        config,
+        { onEvent }
+      );
+      record(true, String(value.proxy).split('/')[2]);
+      return value.html;
+    } catch (error) {
+      record(false);
+      const errors = [endpointError, ...(error?.errors || [])].filter(Boolean);
+      throw this.pickPageError(errors) || error;
+    }
+  }
 
-          let htmlContent;
-          const ct = response.headers.get('content-type');
-          if (ct && ct.includes('application/json')) {
-            const data = await response.json();
-            htmlContent = data.contents || data.response || data.data || data;
-          } else {
-            htmlContent = await response.text();
-          }
+  /**
+   * Fetch a page through the custom endpoint
+   * Same classification and validation as a proxy attempt; not recorded in
+   * ProxyManagerService (the endpoint has no breaker, the user owns it).
+   * @param {string} url - Amazon URL
+   * @returns {Promise<string>} HTML string
+   * @throws {AmazonPageError|Error} Non-product page, HTTP error, timeout or unreadable response
+   */
+  async fetchViaCustomEndpoint(url) {
+    const endpoint = this.customEndpoint;
+    if (!endpoint) throw new Error('No custom endpoint configured');
 
-          if (htmlContent && typeof htmlContent === 'string' && htmlContent.length > 1000 && this.isValidAmazonHtml(htmlContent)) {
-            this.proxyManager.recordAttempt(proxy, true, took);
-            return resolve({ html: htmlContent, proxy, took, index });
-          } else {
-            this.proxyManager.recordAttempt(proxy, false, took);
-            return reject(new Error('Invalid content'));
-          }
-        } catch (error) {
-          const took = Date.now() - start;
-          this.proxyManager.recordAttempt(proxy, false, took);
+    const request = buildEndpointRequest(endpoint, url);
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), endpoint.timeoutMs);
+    let html;
+    try {
+      const response = await fetch(request.url, {
+        method: 'GET',
+        headers: {
+          'Accept': 'text/html,application/json;q=0.9,*/*;q=0.8',
+          'Accept-Language': acceptLanguageFor(url),
+          ...request.headers
+        },
+        credentials: 'omit',
+        signal: controller.signal
+      });
+      if (!response.ok) {
+        throw new Error(`Custom endpoint HTTP ${response.status}`);
+      }
+      html = await readEndpointResponse(endpoint, response);
+    } catch (error) {
+      if (error?.name === 'AbortError') {
+        throw new Error(`Custom endpoint timeout after ${endpoint.timeoutMs}ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    const page = classifyAmazonPage(html, url);
+    if (page.type !== PAGE_TYPES.product && page.type !== PAGE_TYPES.unknown) {
+      throw new AmazonPageError(page.type, { url, via: 'custom', reason: page.reason });
+    }
+    if (html.length > 1000 && this.isValidAmazonHtml(html, url)) {
+      return html;
+    }
+    throw new Error('Custom endpoint returned invalid content');
+  }
+
+  /**
+   * Probe one proxy with a real product page (scheduled health check)
+   * Same request, classification and validation as a fetch, so the result is
+   * recorded in the proxy's stats and breaker like any other attempt.
+   * @param {string} proxy - Proxy URL
+   * @param {string} url - Known-good Amazon product URL
+   * @returns {Promise<{took: number}>} Rejects when the proxy did not deliver the product page
+   */
+  async probeProxy(proxy, url) {
+    const { took } = await this.fetchViaProxy(proxy, url, 0, { probe: true });
+    return { took };
+  }
+
+  /**
+   * Fetch a page through one proxy and record the outcome in ProxyManagerService
+   * Claims the proxy first (a half-open breaker hands out a single trial);
+   * probes are claimed when ProxyManagerService picks their targets.
+   * @private
+   * @param {string} proxy - Proxy URL
+   * @param {string} url - Amazon URL
+   * @param {number} index - Position in the race (logging)
+   * @param {Object} [details] - Extra fields passed to recordAttempt ({ probe })
+   * @returns {Promise<{html: string, proxy: string, took: number, index: number}>}
+   */
+  fetchViaProxy(proxy, url, index = 0, details = {}) {
+    if (!details.probe && this.proxyManager.claimProxy && !this.proxyManager.claimProxy(proxy)) {
+      return Promise.reject(new Error('Breaker trial already in flight'));
+    }
+    return new Promise(async (resolve, reject) => {
+      const start = Date.now();
+      const controller = new AbortController();
+      const fail = (error, took = Date.now() - start) => {
+        this.proxyManager.recordAttempt(proxy, false, took, { ...details, error: error.message });
+        reject(error);
+      };
+      try {
+        const timeout = this.proxyManager.getRecommendedTimeout
+          ? this.proxyManager.getRecommendedTimeout(proxy)
+          : 8000;
+        const timeoutId = setTimeout(() => {
+          controller.abort();
+          reject(new Error(`Timeout after ${timeout}ms`));
+        }, timeout);
+
+        const proxyUrl = this.buildProxyUrl(proxy, url);
+        const response = await fetch(proxyUrl, {
+          method: 'GET',
+          headers: {
+            'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+            'Accept-Language': acceptLanguageFor(url),
+            'Cache-Control': 'no-cache'
+          },
+          signal: controller.signal
+        });
+
+        clearTimeout(timeoutId);
+        const took = Date.now() - start;
+        if (!response.ok) {
+          return fail(new Error(`HTTP ${response.status}`), took);
+        }
+
+        let htmlContent;
+        const ct = response.headers.get('content-type');
+        if (ct && ct.includes('application/json')) {
+          const data = await response.json();
+          htmlContent = data.contents || data.response || data.data || data;
+        } else {
+          htmlContent = await response.text();
+        }
+
+        // Amazon answered with something else than the product page
+        const page = typeof htmlContent === 'string' ? classifyAmazonPage(htmlContent, url) : null;
+        if (page && page.type !== PAGE_TYPES.product && page.type !== PAGE_TYPES.unknown) {
+          // Only blocking pages count against the proxy (a missing product is not its fault)
+          const error = new AmazonPageError(page.type, { url, via: 'proxy', reason: page.reason });
+          this.proxyManager.recordAttempt(proxy, !isProxyFault(page.type), took, { ...details, pageType: page.type, error: error.message });
+          console.warn(`🚧 ${String(proxy).split('/')[2]} got a ${page.type} page (${page.reason})`);
           return reject(error);
         }
-      });
-    };
 
-    const attempts = proxies.map(createProxyFetch);
-    const anySuccess = Promise.any(attempts).catch(() => null);
-    const timeout = new Promise((_, reject) => setTimeout(() => reject(new Error('Overall race timeout')), 15000));
-    const result = await Promise.race([anySuccess, timeout]);
-    if (!result) throw new Error('All proxy attempts failed');
-    return result.html;
+        if (htmlContent && typeof htmlContent === 'string' && htmlContent.length > 1000 && this.isValidAmazonHtml(htmlContent, url)) {
+          this.proxyManager.recordAttempt(proxy, true, took, details);
+          return resolve({ html: htmlContent, proxy, took, index });
+        }
+        return fail(new Error('Invalid content'), took);
+      } catch (error) {
+        return fail(error);
+      }
+    });
+  }
+
+  /**
+   * Most telling page error among failed proxy attempts
+   * A page that every IP gets (not found, adult gate) beats a blocked proxy.
+   * @private
+   * @param {Error[]} errors - Rejections from the proxy race
+   * @returns {AmazonPageError|null}
+   */
+  pickPageError(errors) {
+    const pageErrors = errors.filter(e => e instanceof AmazonPageError);
+    return pageErrors.find(e => !isProxyFault(e.pageType)) || pageErrors[0] || null;
   }
 
   /**
-   * Fallback: Open Amazon page in a background tab and extract HTML via scripting
+   * Product page the user already has open in a tab, read in place
+   * Only a tab loaded within OPEN_TAB_MAX_AGE counts (older counts may be stale);
+   * nothing is fetched, so failures just return null. A tab that cannot be
+   * injected (closed meanwhile, error page) is skipped for the next one.
+   * @param {string} url - Normalized Amazon URL
+   * @returns {Promise<{html: string, dom: Object, via: string}|null>}
+   */
+  async readOpenTab(url) {
+    if (typeof chrome === 'undefined' || !chrome.tabs?.query) return null;
+    let tabs;
+    try {
+      tabs = findProductTabs(await chrome.tabs.query({}), url);
+    } catch (error) {
+      console.warn('Open tab lookup failed:', error?.message || error);
+      return null;
+    }
+
+    for (const tab of tabs) {
+      try {
+        const [injection] = await chrome.scripting.executeScript({ target: { tabId: tab.id }, func: extractLivePage });
+        const page = injection?.result;
+        if (!page || !isRecentLivePage(page) || !this.isValidAmazonHtml(page.html, url)) continue;
+        console.log(`🪟 Reading the product page already open in tab ${tab.id}`);
+        return { html: page.html, dom: page.dom, via: 'open_tab' };
+      } catch (error) {
+        console.warn(`Open tab ${tab.id} read failed:`, error?.message || error);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Open the Amazon page in a tab and read it with the live DOM
+   * Default: the reusable pinned worker tab (proxy fallback).
+   * Interactive: visible tab that stays open; waits while the user solves a
+   * CAPTCHA, signs in or confirms their age, until a product page loads.
    * @param {string} url
+   * @param {Object} [options] - { interactive?: boolean, timeoutMs?: number }
+   * @returns {Promise<{html: string, dom: Object, via: string}>}
+   * @throws {AmazonPageError} When the tab shows a non-product page (interactive: one the user cannot get past)
+   */
+  async fetchPageViaTab(url, options = {}) {
+    if (!options.interactive) {
+      const page = await this.workerTab.load(url, { timeoutMs: options.timeoutMs });
+      if (this.isValidAmazonHtml(page.html, url)) {
+        return { html: page.html, dom: page.dom, via: 'worker_tab' };
+      }
+      const { type, reason } = classifyAmazonPage(page.html, url);
+      if (type === PAGE_TYPES.unknown) throw new Error('Worker tab returned invalid content');
+      throw new AmazonPageError(type, { url, via: 'tab', reason });
+    }
+    return this.fetchPageViaVisibleTab(url, options.timeoutMs || INTERACTIVE_TAB_TIMEOUT);
+  }
+
+  /**
+   * HTML only (see fetchPageViaTab)
+   * @param {string} url
+   * @param {Object} [options] - { interactive?: boolean, timeoutMs?: number }
    * @returns {Promise<string>} HTML string
    */
-  async fetchHtmlViaTab(url) {
+  async fetchHtmlViaTab(url, options = {}) {
+    return (await this.fetchPageViaTab(url, options)).html;
+  }
+
+  /**
+   * Alarm listener entry point (worker tab idle close)
+   * @param {chrome.alarms.Alarm} alarm - Fired alarm
+   */
+  async handleAlarm(alarm) {
+    await this.workerTab.handleAlarm(alarm);
+  }
+
+  /**
+   * Visible tab the user can get past a block in; stays open afterwards
+   * @private
+   * @param {string} url
+   * @param {number} timeoutMs
+   * @returns {Promise<{html: string, dom: Object, via: string}>}
+   */
+  fetchPageViaVisibleTab(url, timeoutMs) {
     return new Promise((resolve, reject) => {
       try {
-        chrome.tabs.create({ url, active: false }, (tab) => {
+        chrome.tabs.create({ url, active: true }, (tab) => {
           if (chrome.runtime.lastError || !tab?.id) {
             return reject(new Error(chrome.runtime.lastError?.message || 'Failed to create tab'));
           }
 
           const tabId = tab.id;
-          const timeoutMs = 15000;
           let done = false;
+          let lastPage = null;
 
-          const cleanup = () => {
-            try { chrome.tabs.remove(tabId); } catch {}
+          const finish = (error, page) => {
+            if (done) return;
+            done = true;
+            clearTimeout(onTimeout);
             chrome.tabs.onUpdated.removeListener(onUpdated);
+            chrome.tabs.onRemoved.removeListener(onRemoved);
+            // The tab belongs to the user now; it stays open
+            if (error) reject(error);
+            else resolve(page);
           };
 
           const onTimeout = setTimeout(() => {
-            if (!done) {
-              done = true;
-              cleanup();
-              reject(new Error('Direct tab fetch timeout'));
-            }
+            finish(lastPage
+              ? new AmazonPageError(lastPage.type, { url, via: 'tab', reason: lastPage.reason })
+              : new Error('Direct tab fetch timeout'));
           }, timeoutMs);
 
+          const onRemoved = (removedTabId) => {
+            if (removedTabId === tabId) finish(new Error('Amazon tab was closed before the product page loaded'));
+          };
+
           const onUpdated = (updatedTabId, changeInfo) => {
-            if (updatedTabId === tabId && changeInfo.status === 'complete') {
-              try {
-                chrome.scripting.executeScript(
-                  { target: { tabId }, func: () => document.documentElement.outerHTML },
-                  (results) => {
-                    if (done) return;
-                    done = true;
-                    clearTimeout(onTimeout);
-                    cleanup();
-                    if (chrome.runtime.lastError || !results || !results[0]?.result) {
-                      return reject(new Error(chrome.runtime.lastError?.message || 'Failed to extract HTML'));
-                    }
-                    resolve(String(results[0].result));
+            if (updatedTabId !== tabId || changeInfo.status !== 'complete') return;
+            try {
+              chrome.scripting.executeScript(
+                { target: { tabId }, func: extractLivePage },
+                (results) => {
+                  if (done) return;
+                  // The user may still be on their way to the product page
+                  if (chrome.runtime.lastError || !results?.[0]?.result?.html) return;
+
+                  const { html, dom } = results[0].result;
+                  if (this.isValidAmazonHtml(html, url)) {
+                    return finish(null, { html, dom, via: 'tab' });
+                  }
+
+                  const page = classifyAmazonPage(html, url);
+                  lastPage = page;
+                  if (isUserResolvable(page.type)) {
+                    console.log(`🧑 Waiting for the user to get past the ${page.type} page in tab ${tabId}`);
+                    return;
                   }
-                );
-              } catch (e) {
-                if (!done) {
-                  done = true;
-                  clearTimeout(onTimeout);
-                  cleanup();
-                  reject(e);
+                  finish(new AmazonPageError(page.type, { url, via: 'tab', reason: page.reason }));
                 }
-              }
+              );
+            } catch {
+              // Not scriptable yet (e.g. mid-redirect); wait for the next load
             }
           };
 
           chrome.tabs.onUpdated.addListener(onUpdated);
+          chrome.tabs.onRemoved.addListener(onRemoved);
         });
       } catch (e) {
         reject(e);
@@ -148,6 +465,11 @@ export default class HtmlFetcher {
    * Build proxy URL depending on proxy style
    */
   buildProxyUrl(proxy, url) {
+    // Style configured in the options page wins over the host list
+    const style = this.proxyManager?.getProxyStyle?.(proxy);
+    if (style === 'path') return proxy + url;
+    if (style === 'query') return proxy + encodeURIComponent(url);
+
     const lower = String(proxy).toLowerCase();
     const pathStyleHosts = [
       'cors-anywhere.herokuapp.com/',
@@ -161,9 +483,17 @@ export default class HtmlFetcher {
   }
 
   /**
-   * Validate fetched HTML looks like an Amazon page
+   * Validate fetched HTML looks like an Amazon product page
+   * Classified pages decide directly; only unrecognised pages fall back to the
+   * title heuristics below.
+   * @param {string} html
+   * @param {string} [url] - Requested URL (enables the region redirect check)
    */
-  isValidAmazonHtml(html) {
+  isValidAmazonHtml(html, url = null) {
+    const { type } = classifyAmazonPage(html, url);
+    if (type === PAGE_TYPES.product) return true;
+    if (type !== PAGE_TYPES.unknown) return false;
+
     const requiredPatterns = [/amazon/i, /<title/i, /<body/i];
     const suspiciousPatterns = [/error/i, /not found/i, /access denied/i, /blocked/i];
     const hasRequired = requiredPatterns.every(pattern => pattern.test(html));
@@ -0,0 +1,158 @@
+/**
+ * LivePageExtractor - Read a product page that is rendered in a browser tab
+ *
+ * Responsibilities:
+ * - extractLivePage(): injected into the tab (chrome.scripting.executeScript);
+ *   reads the live DOM with querySelector and returns it with the page HTML
+ * - Pick which open tab shows a requested product, and whether it is recent enough
+ *
+ * Notes:
+ * - extractLivePage runs in the page: it must stay self-contained (no imports,
+ *   no closures over module state) and return structured-cloneable data.
+ * - DOM values are raw (counts as integers, price, written-review and rank lines
+ *   as page text); DataProcessor parses the text with the store's keywords and
+ *   scores the values against the regex parsers as the 'dom' source.
+ * - Everything except extractLivePage is pure and runs in the service worker.
+ */
+
+import { normalizeUrl } from './UrlUtils.js';
+import { marketplaceKey } from '../../../shared/MarketplaceRegistry.js';
+
+// An open tab loaded longer ago than this may show outdated counts
+export const OPEN_TAB_MAX_AGE = 10 * 60 * 1000;
+
+/**
+ * @typedef {Object} LivePage
+ * @property {string} href - URL the tab ended up on
+ * @property {number} loadedAt - When the document started loading (epoch ms)
+ * @property {string} html - document.documentElement.outerHTML
+ * @property {Object} dom - { title, author, imageUrl, ratingsCount, averageRating, reviewsText,
+ *   histogram, price } (null when missing) and rankLines (texts, [] when missing)
+ */
+
+/**
+ * Injected into the product tab; returns a LivePage
+ * @returns {LivePage}
+ */
+export function extractLivePage() {
+  const text = (el) => (el ? el.textContent.replace(/\s+/g, ' ').trim() : '') || null;
+  const first = (...selectors) => {
+    for (const selector of selectors) {
+      const el = document.querySelector(selector);
+      if (el) return el;
+    }
+    return null;
+  };
+  const httpUrl = (value) => (/^https?:\/\//.test(value || '') ? value : null);
+
+  // Cover: full-size attribute, then the largest dynamic-image entry, then what is shown
+  const image = first('#landingImage', '#ebooksImgBlkFront', '#imgBlkFront', '#main-image');
+  let imageUrl = httpUrl(image?.getAttribute('data-old-hires'));
+  if (!imageUrl && image?.getAttribute('data-a-dynamic-image')) {
+    try {
+      const sizes = JSON.parse(image.getAttribute('data-a-dynamic-image'));
+      const area = (url) => (sizes[url]?.[0] || 0) * (sizes[url]?.[1] || 0);
+      imageUrl = httpUrl(Object.keys(sizes).sort((a, b) => area(b) - area(a))[0]);
+    } catch {
+      // Malformed attribute: fall through to the displayed source
+    }
+  }
+  if (!imageUrl) imageUrl = httpUrl(image?.currentSrc || image?.src);
+
+  // Byline: linked contributor names only ("フォロー" and role labels excluded)
+  const authors = [...document.querySelectorAll('#bylineInfo .author a.a-link-normal, #bylineInfo .author .contributorNameID')]
+    .map(text)
+    .filter(Boolean);
+
+  // "1,284個の評価" / "3.907 Sternebewertungen": every digit belongs to the count
+  const countText = text(first('#acrCustomerReviewText'));
+  const countDigits = countText ? countText.replace(/\D/g, '') : '';
+
+  // "5つ星のうち4.4" / "4.6 out of 5 stars" / "4,6 von 5 Sternen"
+  const ratingText = first('#acrPopover')?.getAttribute('title')
+    || text(first('#averageCustomerReviews .a-icon-alt', '[data-hook="rating-out-of-text"]'));
+  const rating = ratingText?.match(/(\d+[.,]\d)/);
+
+  // "212件のグローバルレビュー": raw text, the store's wording is matched in the service worker
+  const reviewsText = text(first('[data-hook="cr-filter-info-review-rating-count"]'));
+
+  // Star distribution: five rows from 5★ down, each a meter value or a "68%" in its text
+  const percents = [...document.querySelectorAll('#histogramTable tr, #histogramTable > li')].map(row => {
+    const value = row.querySelector('[aria-valuenow]')?.getAttribute('aria-valuenow')
+      ?? text(row)?.match(/(\d{1,3})\s*%/)?.[1];
+    return value === undefined || value === null ? null : Number(value);
+  });
+  const histogram = percents.length === 5 && percents.every(Number.isFinite)
+    ? { 5: percents[0], 4: percents[1], 3: percents[2], 2: percents[3], 1: percents[4] }
+    : null;
+
+  // Best Sellers Rank: one line per list item, without its bold label, nested
+  // sub-category list or "(… see top 100)" link
+  const rankItems = new Set([...document.querySelectorAll('a[href*="/gp/bestsellers/"]')]
+    .map(link => link.closest('li'))
+    .filter(Boolean));
+  const rankLines = [...rankItems].map(item => {
+    const line = item.cloneNode(true);
+    line.querySelectorAll('ul, .a-text-bold').forEach(el => el.remove());
+    line.querySelectorAll('a').forEach(link => {
+      if (/\(\s*$/.test(link.previousSibling?.textContent || '')) link.remove();
+    });
+    return text(line)?.replace(/\(\s*\)/g, '').trim() || null;
+  }).filter(Boolean);
+
+  return {
+    href: location.href,
+    loadedAt: Math.round(performance.timeOrigin),
+    html: document.documentElement.outerHTML,
+    dom: {
+      title: text(first('#productTitle', '#ebooksProductTitle')),
+      author: authors.length > 0 ? [...new Set(authors)].join('、') : null,
+      imageUrl,
+      ratingsCount: countDigits ? Number(countDigits) : null,
+      averageRating: rating ? Number(rating[1].replace(',', '.')) : null,
+      reviewsText,
+      histogram,
+      rankLines,
+      price: text(first(
+        '#corePrice_feature_div .a-price .a-offscreen',
+        '#kindle-price-block .a-price .a-offscreen',
+        '#kindle-price',
+        '.a-price .a-offscreen'
+      ))
+    }
+  };
+}
+
+/**
+ * Same store and product (subdomain, path decorations and query ignored)
+ * @param {string} a - URL
+ * @param {string} b - URL
+ * @returns {boolean}
+ */
+export function isSameProduct(a, b) {
+  const left = normalizeUrl(a);
+  const right = normalizeUrl(b);
+  if (!left || !right) return false;
+  return marketplaceKey(left) === marketplaceKey(right) && new URL(left).pathname === new URL(right).pathname;
+}
+
+/**
+ * Open tabs showing the product, most recently used first
+ * @param {chrome.tabs.Tab[]} tabs - chrome.tabs.query() result
+ * @param {string} url - Requested product URL
+ * @returns {chrome.tabs.Tab[]} Loaded, not discarded tabs
+ */
+export function findProductTabs(tabs, url) {
+  return (tabs || [])
+    .filter(tab => tab.id !== undefined && tab.status === 'complete' && !tab.discarded && isSameProduct(tab.url, url))
+    .sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0));
+}
+
+/**
+ * @param {LivePage} page - extractLivePage() result
+ * @param {number} [now]
+ * @returns {boolean} Loaded within OPEN_TAB_MAX_AGE
+ */
+export function isRecentLivePage(page, now = Date.now()) {
+  return Number.isFinite(page?.loadedAt) && now - page.loadedAt <= OPEN_TAB_MAX_AGE;
+}
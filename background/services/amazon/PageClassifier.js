@@ -0,0 +1,186 @@
+/**
+ * Amazon PageClassifier - Tell a product page from the pages Amazon serves instead
+ *
+ * Responsibilities:
+ * - Classify fetched HTML: product page, CAPTCHA / robot check, sign-in wall,
+ *   404 "dog" page, region redirect, adult-content gate
+ * - Say whether a page type is the proxy's fault (its IP is blocked or located
+ *   elsewhere) and whether the user can get past it in a browser tab
+ * - AmazonPageError: typed error carrying the page type to the popup
+ *
+ * Notes:
+ * - Checked in order; a robot check can contain product markup (amzn-r=/dp/...),
+ *   so blocking pages are tested before product markers.
+ * - 'unknown' is neither accepted nor rejected here; HtmlFetcher falls back to
+ *   its title heuristics for it.
+ */
+
+import { marketplaceFromUrl } from '../../parsers/SelectorRules.js';
+
+export const PAGE_TYPES = Object.freeze({
+  product: 'product',
+  captcha: 'captcha',
+  signIn: 'sign_in',
+  notFound: 'not_found',
+  regionRedirect: 'region_redirect',
+  adultGate: 'adult_gate',
+  unknown: 'unknown'
+});
+
+// Blocking page types, tested in this order
+const PAGE_SIGNATURES = [
+  {
+    type: PAGE_TYPES.captcha,
+    patterns: [
+      /\/errors\/validateCaptcha/i,
+      /id=["']captchacharacters["']/i,
+      /Type the characters you see in this image/i,
+      /Enter the characters you see below/i,
+      /ロボットではないことを確認/,
+      /表示されている文字を入力してください/,
+      /To discuss automated access to Amazon data/i
+    ]
+  },
+  {
+    type: PAGE_TYPES.signIn,
+    patterns: [
+      /<form[^>]+name=["']signIn["']/i,
+      /id=["']ap_email["']/i,
+      /<title[^>]*>\s*(?:Amazon Sign-In|Amazonサインイン)\s*</i
+    ]
+  },
+  {
+    type: PAGE_TYPES.adultGate,
+    patterns: [
+      /black-curtain/i,
+      /id=["']adultWarning/i,
+      /18歳以上のお客様/,
+      /This item contains adult content/i
+    ]
+  },
+  {
+    type: PAGE_TYPES.notFound,
+    patterns: [
+      /<title[^>]*>[^<]*(?:Page Not Found|ページが見つかりません)/i,
+      /Sorry! We couldn't find that page/i,
+      /お探しのページは見つかりませんでした/,
+      /お探しの商品は見つかりません/,
+      /dogsofamazon/i,
+      /\/error-image\/kailey-kitty/i
+    ]
+  }
+];
+
+const PRODUCT_PATTERNS = [
+  /id=["']productTitle["']/i,
+  /id=["']dp-container["']/i,
+  /id=["']ebooksProductTitle["']/i,
+  /<input[^>]+name=["']ASIN["']/i
+];
+
+const REDIRECT_PATTERNS = [
+  /id=["']redir-overlay["']/i,
+  /You are being redirected to Amazon\.\w/i,
+  /Amazon\.[\w.]+ へ移動します/
+];
+
+// Page types caused by the fetching IP rather than the page itself
+const PROXY_FAULT_TYPES = new Set([PAGE_TYPES.captcha, PAGE_TYPES.signIn, PAGE_TYPES.regionRedirect]);
+
+// Page types the user can get past in a visible tab (solve, sign in, confirm age)
+const USER_RESOLVABLE_TYPES = new Set([PAGE_TYPES.captcha, PAGE_TYPES.signIn, PAGE_TYPES.adultGate, PAGE_TYPES.regionRedirect]);
+
+const PAGE_MESSAGES = {
+  [PAGE_TYPES.captcha]: 'Amazonのロボット確認（CAPTCHA）ページが返されました',
+  [PAGE_TYPES.signIn]: 'Amazonのサインインページが返されました',
+  [PAGE_TYPES.notFound]: 'Amazonに商品ページが見つかりません（URLを確認してください）',
+  [PAGE_TYPES.regionRedirect]: '別の国のAmazonへリダイレクトされました',
+  [PAGE_TYPES.adultGate]: 'Amazonの年齢確認ページが返されました',
+  [PAGE_TYPES.unknown]: 'Amazonの商品ページではありません'
+};
+
+/**
+ * @typedef {Object} PageClassification
+ * @property {string} type - One of PAGE_TYPES
+ * @property {string|null} reason - Pattern or host that decided it (for logs)
+ */
+
+/**
+ * Classify fetched Amazon HTML
+ * @param {string} html - Page HTML
+ * @param {string} [requestedUrl] - URL that was asked for (enables region redirect check)
+ * @returns {PageClassification}
+ */
+export function classifyAmazonPage(html, requestedUrl = null) {
+  if (typeof html !== 'string' || html.length === 0) {
+    return { type: PAGE_TYPES.unknown, reason: 'empty' };
+  }
+
+  for (const { type, patterns } of PAGE_SIGNATURES) {
+    const hit = patterns.find(pattern => pattern.test(html));
+    if (hit) return { type, reason: String(hit) };
+  }
+
+  const redirect = REDIRECT_PATTERNS.find(pattern => pattern.test(html));
+  if (redirect) return { type: PAGE_TYPES.regionRedirect, reason: String(redirect) };
+
+  const servedHost = canonicalMarketplace(html);
+  const requestedHost = requestedUrl ? marketplaceFromUrl(requestedUrl) : null;
+  if (servedHost && requestedHost && servedHost !== requestedHost) {
+    return { type: PAGE_TYPES.regionRedirect, reason: `${requestedHost} -> ${servedHost}` };
+  }
+
+  const product = PRODUCT_PATTERNS.find(pattern => pattern.test(html));
+  if (product) return { type: PAGE_TYPES.product, reason: String(product) };
+
+  return { type: PAGE_TYPES.unknown, reason: null };
+}
+
+/**
+ * Marketplace host of the page's canonical / og:url link
+ * @private
+ */
+function canonicalMarketplace(html) {
+  const match = html.match(/<link[^>]+rel=["']canonical["'][^>]*href=["']([^"']+)["']/i)
+    || html.match(/<meta[^>]+property=["']og:url["'][^>]*content=["']([^"']+)["']/i);
+  if (!match) return null;
+  const host = marketplaceFromUrl(match[1]);
+  return host && host.startsWith('amazon.') ? host : null;
+}
+
+/**
+ * @param {string} pageType - One of PAGE_TYPES
+ * @returns {boolean} True when another proxy (IP) may get the real page
+ */
+export function isProxyFault(pageType) {
+  return PROXY_FAULT_TYPES.has(pageType);
+}
+
+/**
+ * @param {string} pageType - One of PAGE_TYPES
+ * @returns {boolean} True when the user can get past the page in a visible tab
+ */
+export function isUserResolvable(pageType) {
+  return USER_RESOLVABLE_TYPES.has(pageType);
+}
+
+/**
+ * Fetched page is not a product page
+ * MessageRouter forwards `code`, `pageType` and `userResolvable` to the popup.
+ */
+export class AmazonPageError extends Error {
+  /**
+   * @param {string} pageType - One of PAGE_TYPES
+   * @param {Object} [details] - { url, via: 'proxy'|'custom'|'tab', reason }
+   */
+  constructor(pageType, details = {}) {
+    super(PAGE_MESSAGES[pageType] || PAGE_MESSAGES[PAGE_TYPES.unknown]);
+    this.name = 'AmazonPageError';
+    this.pageType = pageType;
+    this.code = `AMAZON_PAGE_${String(pageType).toUpperCase()}`;
+    this.userResolvable = isUserResolvable(pageType);
+    this.url = details.url || null;
+    this.via = details.via || null;
+    this.reason = details.reason || null;
+  }
+}
@@ -7,10 +7,17 @@
  * - Monitor average response times
  * - Provide performance insights and debugging info
  * - Cache hit rate optimization metrics
+ * - Per-strategy proxy fetch stats and the attempt timelines of recent runs
  */
 
+const MAX_RECENT_FETCH_RUNS = 20;
+
 export default class PerformanceTracker {
   constructor() {
+    // `${context}/${strategy}` -> { runs, successes, totalDuration, requests }
+    this.strategyStats = {};
+    this.recentFetchRuns = [];
+
     this.stats = {
       totalRequests: 0,
       cacheHits: 0,
@@ -56,6 +63,32 @@ export default class PerformanceTracker {
     this.stats.failedFetches++;
   }
 
+  /**
+   * Record one proxy fetch run (HtmlFetcher)
+   * The timeline array is kept by reference: attempts that lose the race append
+   * their late results to it afterwards.
+   * @param {Object} run - { url, context, strategy, success, durationMs, requests, winner, timeline }
+   */
+  recordFetchRun(run) {
+    const key = `${run.context}/${run.strategy}`;
+    const stats = this.strategyStats[key] || (this.strategyStats[key] = { runs: 0, successes: 0, totalDuration: 0, requests: 0 });
+    stats.runs++;
+    if (run.success) stats.successes++;
+    stats.totalDuration += run.durationMs;
+    stats.requests += run.requests;
+
+    this.recentFetchRuns.unshift({ ...run, at: Date.now() });
+    this.recentFetchRuns.length = Math.min(this.recentFetchRuns.length, MAX_RECENT_FETCH_RUNS);
+  }
+
+  /**
+   * @param {number} [limit] - Maximum number of runs
+   * @returns {Array<Object>} Recent fetch runs, newest first
+   */
+  getRecentFetchRuns(limit = MAX_RECENT_FETCH_RUNS) {
+    return this.recentFetchRuns.slice(0, limit);
+  }
+
   /**
    * Update average response time statistics
    * @param {number} duration - Duration of the request
@@ -111,6 +144,14 @@ export default class PerformanceTracker {
       requestsPerMinute: uptime > 0 ? 
         Math.round(this.stats.totalRequests / (uptime / 60000)) : 0,
       
+      // Proxy fetch strategies (requests per run shows how much traffic each one sends)
+      fetchStrategies: Object.fromEntries(Object.entries(this.strategyStats).map(([key, s]) => [key, {
+        runs: s.runs,
+        successRate: `${(s.successes / s.runs * 100).toFixed(1)}%`,
+        averageDuration: Math.round(s.totalDuration / s.runs),
+        requestsPerRun: Number((s.requests / s.runs).toFixed(1))
+      }])),
+      
       // Operational status
       uptime: this.formatUptime(uptime),
       isHealthy: this.isServiceHealthy()
@@ -197,6 +238,8 @@ export default class PerformanceTracker {
       slowestResponse: null,
       startTime: Date.now()
     };
+    this.strategyStats = {};
+    this.recentFetchRuns = [];
   }
 
   /**
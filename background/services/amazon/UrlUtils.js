@@ -1,8 +1,11 @@
 /**
  * Amazon UrlUtils - URL normalization and validation helpers
  * Behavior preserved from AmazonScrapingService.normalizeUrl
+ * Supported hosts come from MarketplaceRegistry.js.
  */
 
+import { isSupportedAmazonHost } from '../../../shared/MarketplaceRegistry.js';
+
 export function normalizeUrl(url) {
   try {
     if (!url || typeof url !== 'string' || url.trim().length === 0) {
@@ -13,15 +16,8 @@ export function normalizeUrl(url) {
     const withProtocol = (/^https?:\/\//i.test(trimmed)) ? trimmed : ('https://' + trimmed);
     const u = new URL(withProtocol);
 
-    // Accept broad Amazon hosts (same as origin/main behavior)
-    const amazonHosts = [
-      'amazon.co.jp', 'amazon.com', 'amazon.ca', 'amazon.co.uk',
-      'amazon.de', 'amazon.fr', 'amazon.it', 'amazon.es',
-      'www.amazon.co.jp', 'www.amazon.com', 'www.amazon.ca', 'www.amazon.co.uk',
-      'www.amazon.de', 'www.amazon.fr', 'www.amazon.it', 'www.amazon.es'
-    ];
-    const isAmazon = amazonHosts.some(host => u.hostname === host || u.hostname.endsWith('.' + host));
-    if (!isAmazon) return null;
+    // Any registered store, any subdomain (www., smile., ...)
+    if (!isSupportedAmazonHost(u.hostname)) return null;
 
     // Extract ASIN from multiple patterns
     const patterns = [
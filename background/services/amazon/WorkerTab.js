@@ -0,0 +1,183 @@
+/**
+ * WorkerTab - One reusable pinned tab for direct page fetches
+ *
+ * Responsibilities:
+ * - Navigate a single pinned, inactive, muted tab to each requested page
+ *   instead of opening (and closing) a new tab per fetch
+ * - Run extractLivePage in it once the page has loaded
+ * - Serialize fetches (one page at a time) and close the tab after it idles
+ *
+ * Notes:
+ * - Why a tab and not an offscreen document: Amazon refuses to be framed
+ *   (X-Frame-Options), and a fetched-then-parsed copy would not run the page's
+ *   scripts or carry the user's session, which is what direct mode is for.
+ * - The tab id lives in chrome.storage.session so a restarted service worker
+ *   reuses the tab; the idle close is a chrome.alarms alarm for the same reason.
+ * - A tab the user has switched to or navigated away from Amazon is left alone
+ *   and replaced.
+ */
+
+import { extractLivePage } from './LivePageExtractor.js';
+import { isSupportedAmazonHost } from '../../../shared/MarketplaceRegistry.js';
+
+export const WORKER_TAB_ALARM_NAME = 'krm_worker_tab_idle';
+
+const WORKER_TAB_STORAGE_KEY = 'krmWorkerTabId';
+const IDLE_CLOSE_MINUTES = 2;
+const DEFAULT_TIMEOUT = 20000;
+
+export default class WorkerTab {
+  constructor() {
+    this.tabId = null;
+    this.queue = Promise.resolve();
+    this.lastUsedAt = 0;
+  }
+
+  /**
+   * Load a page in the worker tab and extract it
+   * @param {string} url - Amazon product URL
+   * @param {Object} [options] - { timeoutMs }
+   * @returns {Promise<import('./LivePageExtractor.js').LivePage>}
+   */
+  load(url, options = {}) {
+    return this.enqueue(() => this.navigateAndExtract(url, options.timeoutMs || DEFAULT_TIMEOUT));
+  }
+
+  /**
+   * Alarm listener entry point: close the tab once it has idled
+   * The close joins the live queue, so a fetch queued meanwhile finishes first
+   * and then keeps the tab open (it re-armed the alarm).
+   * @param {chrome.alarms.Alarm} alarm - Fired alarm
+   */
+  handleAlarm(alarm) {
+    if (alarm?.name !== WORKER_TAB_ALARM_NAME) return Promise.resolve();
+    const armedAt = alarm.scheduledTime - IDLE_CLOSE_MINUTES * 60 * 1000;
+    return this.enqueue(async () => {
+      // Used after this alarm was armed: that fetch armed a newer one
+      if (this.lastUsedAt > armedAt) return;
+      await this.close();
+    });
+  }
+
+  /**
+   * Close the worker tab (unless the user is looking at it)
+   */
+  async close() {
+    const tab = await this.getTab();
+    if (tab && !tab.active) {
+      try { await chrome.tabs.remove(tab.id); } catch {}
+      console.log('🗂️ Worker tab closed after idling');
+    }
+    await this.forget();
+  }
+
+  /**
+   * Run a task after everything queued so far
+   * @private
+   */
+  enqueue(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * @private
+   */
+  async navigateAndExtract(url, timeoutMs) {
+    try {
+      const tabId = await this.waitForLoad(timeoutMs, async () => {
+        const existing = await this.getTab();
+        if (!existing) return (await this.createTab(url)).id;
+        await chrome.tabs.update(existing.id, { url });
+        return existing.id;
+      });
+      const [injection] = await chrome.scripting.executeScript({ target: { tabId }, func: extractLivePage });
+      if (!injection?.result) throw new Error('Failed to extract the page from the worker tab');
+      return injection.result;
+    } finally {
+      this.lastUsedAt = Date.now();
+      chrome.alarms?.create(WORKER_TAB_ALARM_NAME, { delayInMinutes: IDLE_CLOSE_MINUTES });
+    }
+  }
+
+  /**
+   * Resolve with the tab id once the navigation started by `navigate` has loaded
+   * Listeners go up first: a fast page may complete before navigate() resolves.
+   * @private
+   * @param {number} timeoutMs
+   * @param {Function} navigate - async () => tabId
+   * @returns {Promise<number>} Tab id
+   */
+  waitForLoad(timeoutMs, navigate) {
+    return new Promise((resolve, reject) => {
+      let tabId = null;
+      const completedEarly = new Set();
+      const finish = (error) => {
+        clearTimeout(timer);
+        chrome.tabs.onUpdated.removeListener(onUpdated);
+        chrome.tabs.onRemoved.removeListener(onRemoved);
+        if (error) reject(error);
+        else resolve(tabId);
+      };
+      const timer = setTimeout(() => finish(new Error('Worker tab load timeout')), timeoutMs);
+      const onUpdated = (updatedTabId, changeInfo) => {
+        if (changeInfo.status !== 'complete') return;
+        if (tabId === null) completedEarly.add(updatedTabId);
+        else if (updatedTabId === tabId) finish(null);
+      };
+      const onRemoved = (removedTabId) => {
+        if (removedTabId === tabId) finish(new Error('Worker tab was closed'));
+      };
+      chrome.tabs.onUpdated.addListener(onUpdated);
+      chrome.tabs.onRemoved.addListener(onRemoved);
+
+      navigate().then((id) => {
+        tabId = id;
+        if (completedEarly.has(id)) finish(null);
+      }, finish);
+    });
+  }
+
+  /**
+   * Still-usable worker tab, or null
+   * @private
+   */
+  async getTab() {
+    if (this.tabId === null) {
+      const stored = await chrome.storage.session?.get([WORKER_TAB_STORAGE_KEY]);
+      this.tabId = stored?.[WORKER_TAB_STORAGE_KEY] ?? null;
+    }
+    if (this.tabId === null) return null;
+
+    try {
+      const tab = await chrome.tabs.get(this.tabId);
+      const host = new URL(tab.url || tab.pendingUrl || 'about:blank').hostname;
+      if (tab.pinned && !tab.active && isSupportedAmazonHost(host)) return tab;
+    } catch {
+      // Closed by the user or the browser
+    }
+    await this.forget();
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  async createTab(url) {
+    const tab = await chrome.tabs.create({ url, active: false, pinned: true });
+    await chrome.tabs.update(tab.id, { muted: true }).catch(() => {});
+    this.tabId = tab.id;
+    await chrome.storage.session?.set({ [WORKER_TAB_STORAGE_KEY]: tab.id });
+    console.log(`🗂️ Worker tab ${tab.id} created`);
+    return tab;
+  }
+
+  /**
+   * @private
+   */
+  async forget() {
+    this.tabId = null;
+    await chrome.storage.session?.remove(WORKER_TAB_STORAGE_KEY);
+  }
+}
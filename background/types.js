@@ -5,14 +5,62 @@
  * @property {string|null} imageUrl - Product cover image URL
  * @property {number} reviewCount - Current review count
  * @property {number} currentReviews - Same as reviewCount (UI compatibility)
+ * @property {number|null} [ratingsCount] - Star rating count (個の評価 / global ratings)
+ * @property {number|null} [writtenReviewCount] - Written review count (件のレビュー / global reviews)
  * @property {number} [averageRating] - Average star rating (0-5)
+ * @property {{5: number, 4: number, 3: number, 2: number, 1: number}|null} [ratingHistogram] - Percent of ratings per star
  * @property {number} [price] - Price in JPY (number)
  * @property {string|null} [asin] - ASIN if detected
+ * @property {string|null} [isbn] - ISBN-10/13 digits (print editions)
+ * @property {string|null} [publisher] - Publisher name
+ * @property {string|null} [publicationDate] - Publication date as shown on the page (e.g. '2024/5/20')
+ * @property {number|null} [pageCount] - Page count
+ * @property {string|null} [language] - Language (e.g. '日本語')
+ * @property {string|null} [currency] - Price currency code ('JPY' | 'USD')
+ * @property {string[]} [categories] - Category breadcrumb (broad → specific)
+ * @property {BestSellersRank|null} [bestSellersRank] - Amazon 売れ筋ランキング / Best Sellers Rank
+ * @property {string|null} [format] - Edition format ('kindle' | 'paperback' | 'hardcover' | 'audible' | 'other')
+ * @property {boolean|null} [kindleUnlimited] - Readable with Kindle Unlimited (null = unknown)
+ * @property {Edition[]} [editions] - Sibling editions from the format selector
+ * @property {CombinedEditions} [combined] - Per-edition breakdown (combined-editions mode only)
  * @property {string} amazonUrl - Normalized Amazon URL
  * @property {string} normalizedUrl - Same as amazonUrl
  * @property {number} timestamp - Unix ms of fetch
  * @property {number} fetchTime - Duration ms of fetch operation
  * @property {string} source - Provider id (e.g., 'amazon_scraping_service')
+ * @property {Extraction} [extraction] - Where each value came from and how sure we are
+ */
+
+/**
+ * @typedef {Object} Extraction
+ * @property {string} reviewCountSource - Winning source of reviewCount ('none' when not found)
+ * @property {Object<string, import('./services/amazon/ExtractionConfidence.js').FieldScore>} [fields] - Per-field value, confidence (0-1) and candidates
+ * @property {string[]} [disagreements] - Fields whose trusted strategies returned different values
+ */
+
+/**
+ * @typedef {Object} BestSellersRank
+ * @property {{rank: number, category: string}|null} overall - Store-wide rank (e.g. Kindleストア)
+ * @property {Array<{rank: number, category: string}>} categories - Per-category ranks (max 5)
+ */
+
+/**
+ * @typedef {Object} Edition
+ * @property {string} asin - Edition ASIN
+ * @property {string} format - Format key (see `format` above)
+ * @property {string} label - Label shown on the format selector (e.g. 'Kindle版 (電子書籍)', '文庫')
+ * @property {boolean} selected - The edition of the fetched page
+ */
+
+/**
+ * @typedef {Object} CombinedEditions
+ * Top-level counts of a combined result are these totals.
+ * @property {number} reviewCount - Total over distinct review pools
+ * @property {number|null} ratingsCount - Total star ratings over distinct pools
+ * @property {number|null} writtenReviewCount - Total written reviews over distinct pools
+ * @property {number} pools - Number of distinct review pools counted
+ * @property {Array<{asin: string, format: string, reviewCount: number|null, ratingsCount: number|null, writtenReviewCount: number|null, pool: number|null, error?: string}>} editions
+ *   - Per-edition counts; editions sharing a pool carry the same `pool` index
  */
 
 // This file documents shared data shapes for background <-> popup messaging.
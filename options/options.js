@@ -0,0 +1,634 @@
+/**
+ * Options page - proxies, cache TTL, selector rules and debug logging
+ *
+ * Responsibilities:
+ * - Edit the proxy list (add / remove / reorder / enable, query vs path style)
+ * - Show each proxy's health and circuit breaker state; release open breakers
+ * - Edit the proxy fetch strategy per context (popup fetch / scheduled refresh)
+ * - Register a custom fetch endpoint (URL template, auth headers, response shape)
+ * - Edit cache TTL and debug mode
+ * - Load / clear a selector rule override file and export the bundled rules
+ * - Save through SettingsService (chrome.storage.sync), SelectorRulesStore and
+ *   CustomEndpointStore (chrome.storage.local); the service worker applies
+ *   changes live via storage.onChanged
+ */
+
+import {
+  SettingsService,
+  PROXY_STYLES,
+  inferProxyStyle
+} from '../background/services/SettingsService.js';
+import { SelectorRulesStore } from '../background/services/SelectorRulesStore.js';
+import { CustomEndpointStore } from '../background/services/CustomEndpointStore.js';
+import { FETCH_STRATEGIES } from '../background/services/amazon/FetchStrategies.js';
+import { RESPONSE_TYPES, normalizeCustomEndpoint, buildEndpointRequest } from '../background/services/amazon/CustomEndpoint.js';
+import { DEFAULT_SELECTOR_RULES } from '../background/parsers/SelectorRules.js';
+
+const TEMPLATES = {
+  [PROXY_STYLES.query]: 'https://example.com/?url=',
+  [PROXY_STYLES.path]: 'https://example.com/'
+};
+
+// ProxyManagerService status -> label
+const HEALTH_LABELS = {
+  healthy: '🟢 良好',
+  degraded: '🟠 不安定',
+  blocked: '🚧 Amazonにブロック',
+  failed: '🔴 応答なし',
+  unknown: '⚪ 実績なし'
+};
+
+class OptionsPage {
+  constructor(settingsService, rulesStore, endpointStore) {
+    this.settingsService = settingsService;
+    this.rulesStore = rulesStore;
+    this.endpointStore = endpointStore;
+    this.settings = null;
+    this.rulesOverride = null;
+    this.endpoint = null;
+    this.proxyHealth = new Map(); // url -> getStatusSummary() row
+    this.el = {
+      proxyList: document.getElementById('proxyList'),
+      proxyEmpty: document.getElementById('proxyEmpty'),
+      proxyTemplate: document.getElementById('proxyTemplate'),
+      proxyUrl: document.getElementById('proxyUrl'),
+      addProxyBtn: document.getElementById('addProxyBtn'),
+      resetHealthBtn: document.getElementById('resetHealthBtn'),
+      probeProxiesBtn: document.getElementById('probeProxiesBtn'),
+      strategyRows: document.querySelectorAll('.strategy-row'),
+      endpointEnabled: document.getElementById('endpointEnabled'),
+      endpointUrl: document.getElementById('endpointUrl'),
+      endpointResponseType: document.getElementById('endpointResponseType'),
+      endpointJsonPath: document.getElementById('endpointJsonPath'),
+      endpointTimeout: document.getElementById('endpointTimeout'),
+      endpointHeaders: document.getElementById('endpointHeaders'),
+      addEndpointHeaderBtn: document.getElementById('addEndpointHeaderBtn'),
+      saveEndpointBtn: document.getElementById('saveEndpointBtn'),
+      clearEndpointBtn: document.getElementById('clearEndpointBtn'),
+      endpointStatus: document.getElementById('endpointStatus'),
+      cacheTTL: document.getElementById('cacheTTL'),
+      probeUrl: document.getElementById('probeUrl'),
+      debugMode: document.getElementById('debugMode'),
+      rulesInfo: document.getElementById('rulesInfo'),
+      rulesFile: document.getElementById('rulesFile'),
+      loadRulesBtn: document.getElementById('loadRulesBtn'),
+      exportRulesBtn: document.getElementById('exportRulesBtn'),
+      clearRulesBtn: document.getElementById('clearRulesBtn'),
+      rulesStatus: document.getElementById('rulesStatus'),
+      saveBtn: document.getElementById('saveBtn'),
+      resetBtn: document.getElementById('resetBtn'),
+      status: document.getElementById('status')
+    };
+
+    this.setupEventListeners();
+  }
+
+  async initialize() {
+    this.settings = await this.settingsService.load();
+    this.rulesOverride = await this.rulesStore.load();
+    this.endpoint = await this.endpointStore.load();
+    this.render();
+    this.renderRules();
+    this.renderEndpoint();
+    await this.loadProxyHealth();
+  }
+
+  // ============================================================================
+  // EVENTS
+  // ============================================================================
+
+  setupEventListeners() {
+    this.el.proxyTemplate.addEventListener('change', () => {
+      this.el.proxyUrl.value = TEMPLATES[this.el.proxyTemplate.value];
+      this.el.proxyUrl.focus();
+    });
+
+    this.el.addProxyBtn.addEventListener('click', () => this.addProxy());
+    this.el.resetHealthBtn.addEventListener('click', () => this.resetProxyBreakers());
+    this.el.probeProxiesBtn.addEventListener('click', () => this.probeProxies());
+    this.el.proxyUrl.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.addProxy();
+    });
+
+    // Row buttons (delegated)
+    this.el.proxyList.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-action]');
+      if (!button) return;
+      const index = Number(button.closest('.proxy-row').dataset.index);
+      const { action } = button.dataset;
+      if (action === 'up') this.moveProxy(index, -1);
+      else if (action === 'down') this.moveProxy(index, 1);
+      else if (action === 'remove') this.removeProxy(index);
+    });
+
+    this.el.proxyList.addEventListener('change', (e) => {
+      const row = e.target.closest('.proxy-row');
+      if (!row) return;
+      const proxy = this.settings.proxies[Number(row.dataset.index)];
+      if (e.target.name === 'style') proxy.style = e.target.value;
+      if (e.target.name === 'enabled') proxy.enabled = e.target.checked;
+      this.renderProxies();
+    });
+
+    this.el.strategyRows.forEach(row => {
+      row.querySelector('[name="strategy"]').addEventListener('change', () => this.updateStrategyInputs(row));
+    });
+
+    this.el.endpointResponseType.addEventListener('change', () => this.updateEndpointInputs());
+    this.el.addEndpointHeaderBtn.addEventListener('click', () => {
+      this.el.endpointHeaders.append(this.createHeaderRow({ name: '', value: '' }));
+    });
+    this.el.endpointHeaders.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-action="remove"]');
+      if (button) button.closest('.endpoint-header').remove();
+    });
+    this.el.saveEndpointBtn.addEventListener('click', () => this.saveEndpoint());
+    this.el.clearEndpointBtn.addEventListener('click', () => this.clearEndpoint());
+
+    this.el.loadRulesBtn.addEventListener('click', () => this.el.rulesFile.click());
+    this.el.rulesFile.addEventListener('change', () => this.loadRulesFile());
+    this.el.exportRulesBtn.addEventListener('click', () => this.exportBundledRules());
+    this.el.clearRulesBtn.addEventListener('click', () => this.clearRules());
+
+    this.el.saveBtn.addEventListener('click', () => this.save());
+    this.el.resetBtn.addEventListener('click', () => this.reset());
+  }
+
+  addProxy() {
+    const url = this.el.proxyUrl.value.trim();
+    if (!url) return;
+    if (this.settings.proxies.some(p => p.url === url)) {
+      this.showStatus('同じプロキシが既に登録されています', 'error');
+      return;
+    }
+
+    this.settings.proxies.push({
+      url,
+      style: this.el.proxyTemplate.value || inferProxyStyle(url),
+      enabled: true
+    });
+    this.el.proxyUrl.value = '';
+    this.renderProxies();
+    this.showStatus('追加しました（保存すると反映されます）');
+  }
+
+  moveProxy(index, delta) {
+    const proxies = this.settings.proxies;
+    const target = index + delta;
+    if (target < 0 || target >= proxies.length) return;
+    [proxies[index], proxies[target]] = [proxies[target], proxies[index]];
+    this.renderProxies();
+  }
+
+  removeProxy(index) {
+    this.settings.proxies.splice(index, 1);
+    this.renderProxies();
+  }
+
+  // ============================================================================
+  // PROXY HEALTH
+  // ============================================================================
+
+  /**
+   * Fetch health / breaker state from the service worker (best effort)
+   */
+  async loadProxyHealth() {
+    this.applyProxyHealth(await this.sendProxyMessage('getProxyStatus'));
+  }
+
+  async resetProxyBreakers() {
+    const summary = await this.sendProxyMessage('resetProxyBreakers');
+    if (!summary) {
+      this.showStatus('プロキシの状態を更新できませんでした', 'error');
+      return;
+    }
+    this.applyProxyHealth(summary);
+    this.showStatus('休止中のプロキシを復帰させました', 'success');
+  }
+
+  /**
+   * Probe every enabled proxy with a product page now
+   */
+  async probeProxies() {
+    this.el.probeProxiesBtn.disabled = true;
+    this.showStatus('プロキシを確認しています…');
+    try {
+      const summary = await this.sendProxyMessage('probeProxies');
+      if (!summary) {
+        this.showStatus('プロキシを確認できませんでした', 'error');
+        return;
+      }
+      this.applyProxyHealth(summary);
+      const probed = summary.proxies.filter(row => row.enabled);
+      const healthy = probed.filter(row => row.lastProbeOk).length;
+      this.showStatus(`確認しました（${healthy}/${probed.length}件が商品ページを取得）`, 'success');
+    } finally {
+      this.el.probeProxiesBtn.disabled = false;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async sendProxyMessage(action) {
+    try {
+      const response = await chrome.runtime.sendMessage({ action });
+      return response?.success ? response.data : null;
+    } catch (error) {
+      console.warn(`Options: ${action} failed:`, error?.message || error);
+      return null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  applyProxyHealth(summary) {
+    if (!summary) return;
+    this.proxyHealth = new Map((summary.proxies || []).map(row => [row.url, row]));
+    this.el.resetHealthBtn.disabled = (summary.breakers?.open || 0) + (summary.breakers?.half_open || 0) === 0;
+    this.renderProxies();
+  }
+
+  async save() {
+    const settings = {
+      ...this.settings,
+      fetchStrategies: this.readStrategies(),
+      probeUrl: this.el.probeUrl.value.trim(),
+      cacheTTLMinutes: Number(this.el.cacheTTL.value),
+      debugMode: this.el.debugMode.checked
+    };
+
+    // Must run inside the click gesture, before any await
+    const granted = await this.requestHostPermissions(settings.proxies);
+    if (!granted) {
+      this.showStatus('プロキシへのアクセス許可が必要です', 'error');
+      return;
+    }
+
+    try {
+      this.settings = await this.settingsService.save(settings);
+      this.render();
+      this.showStatus('保存しました', 'success');
+    } catch (error) {
+      this.showStatus(error.message, 'error');
+    }
+  }
+
+  async reset() {
+    if (!confirm('設定をデフォルトに戻しますか？')) return;
+    this.settings = await this.settingsService.reset();
+    this.render();
+    this.showStatus('デフォルトに戻しました', 'success');
+  }
+
+  // ============================================================================
+  // CUSTOM ENDPOINT
+  // ============================================================================
+
+  async saveEndpoint() {
+    const endpoint = normalizeCustomEndpoint(this.readEndpoint());
+
+    // Must run inside the click gesture, before any await
+    if (endpoint?.enabled) {
+      const granted = await this.requestEndpointPermission(endpoint);
+      if (!granted) {
+        this.showEndpointStatus('エンドポイントへのアクセス許可が必要です', 'error');
+        return;
+      }
+    }
+
+    try {
+      this.endpoint = await this.endpointStore.save(endpoint);
+      this.renderEndpoint();
+      this.showEndpointStatus(this.endpoint.enabled ? '保存しました（次の取得から使います）' : '保存しました（無効）', 'success');
+    } catch (error) {
+      this.showEndpointStatus(error.message, 'error');
+    }
+  }
+
+  async clearEndpoint() {
+    if (!this.endpoint) return;
+    if (!confirm('独自エンドポイントの登録（ヘッダーの値を含む）を削除しますか？')) return;
+    await this.endpointStore.clear();
+    this.endpoint = null;
+    this.renderEndpoint();
+    this.showEndpointStatus('削除しました', 'success');
+  }
+
+  /**
+   * @private
+   */
+  readEndpoint() {
+    return {
+      enabled: this.el.endpointEnabled.checked,
+      urlTemplate: this.el.endpointUrl.value,
+      responseType: this.el.endpointResponseType.value,
+      jsonPath: this.el.endpointJsonPath.value,
+      timeoutMs: Math.round(Number(this.el.endpointTimeout.value) * 1000),
+      headers: [...this.el.endpointHeaders.querySelectorAll('.endpoint-header')].map(row => ({
+        name: row.querySelector('[name="headerName"]').value,
+        value: row.querySelector('[name="headerValue"]').value
+      }))
+    };
+  }
+
+  /**
+   * Ask for the one origin the endpoint requests go to (manifest only lists it as optional)
+   * @private
+   */
+  async requestEndpointPermission(endpoint) {
+    let origin;
+    try {
+      origin = new URL(buildEndpointRequest(endpoint, 'https://www.amazon.co.jp/dp/B000000000').url).origin;
+    } catch {
+      return true; // Invalid template: let validation explain it
+    }
+    if (!chrome.permissions) return true;
+
+    try {
+      return await chrome.permissions.request({ origins: [`${origin}/*`] });
+    } catch (error) {
+      console.warn('Options: Permission request failed:', error);
+      return false;
+    }
+  }
+
+  renderEndpoint() {
+    const endpoint = this.endpoint;
+    this.el.endpointEnabled.checked = endpoint ? endpoint.enabled : true;
+    this.el.endpointUrl.value = endpoint?.urlTemplate || '';
+    this.el.endpointResponseType.value = endpoint?.responseType || RESPONSE_TYPES.html;
+    this.el.endpointJsonPath.value = endpoint?.jsonPath || '';
+    this.el.endpointTimeout.value = (endpoint?.timeoutMs || 10000) / 1000;
+    this.el.endpointHeaders.replaceChildren(...(endpoint?.headers || []).map(header => this.createHeaderRow(header)));
+    this.el.clearEndpointBtn.disabled = !endpoint;
+    this.updateEndpointInputs();
+  }
+
+  /**
+   * @private
+   */
+  updateEndpointInputs() {
+    this.el.endpointJsonPath.disabled = this.el.endpointResponseType.value !== RESPONSE_TYPES.json;
+  }
+
+  /**
+   * Header row; the value is a password field so API keys are not shown on screen
+   * @private
+   */
+  createHeaderRow(header) {
+    const row = document.createElement('li');
+    row.className = 'endpoint-header';
+
+    const name = document.createElement('input');
+    name.type = 'text';
+    name.name = 'headerName';
+    name.placeholder = 'X-Api-Key';
+    name.value = header.name;
+    name.setAttribute('aria-label', 'ヘッダー名');
+
+    const value = document.createElement('input');
+    value.type = 'password';
+    value.name = 'headerValue';
+    value.autocomplete = 'off';
+    value.value = header.value;
+    value.setAttribute('aria-label', 'ヘッダーの値');
+
+    const remove = this.createButton('削除', 'remove', 'ヘッダーを削除');
+    remove.className = 'btn danger';
+
+    row.append(name, value, remove);
+    return row;
+  }
+
+  showEndpointStatus(message, type = '') {
+    this.el.endpointStatus.textContent = message;
+    this.el.endpointStatus.className = `status rules-status ${type}`.trim();
+  }
+
+  // ============================================================================
+  // SELECTOR RULES
+  // ============================================================================
+
+  async loadRulesFile() {
+    const [file] = this.el.rulesFile.files;
+    this.el.rulesFile.value = '';
+    if (!file) return;
+
+    let override;
+    try {
+      override = JSON.parse(await file.text());
+    } catch {
+      this.showRulesStatus('JSONとして読み込めませんでした', 'error');
+      return;
+    }
+
+    try {
+      this.rulesOverride = await this.rulesStore.save(override);
+      this.renderRules();
+      this.showRulesStatus(`ルール ${override.version} を適用しました`, 'success');
+    } catch (error) {
+      this.showRulesStatus(error.message, 'error');
+    }
+  }
+
+  async clearRules() {
+    if (!this.rulesOverride) return;
+    await this.rulesStore.clear();
+    this.rulesOverride = null;
+    this.renderRules();
+    this.showRulesStatus('同梱ルールに戻しました', 'success');
+  }
+
+  /**
+   * Download the bundled rules as a starting point for an override file
+   * @private
+   */
+  exportBundledRules() {
+    const blob = new Blob([`${JSON.stringify(DEFAULT_SELECTOR_RULES, null, 2)}\n`], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `krm-selector-rules-${DEFAULT_SELECTOR_RULES.version}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  renderRules() {
+    const bundled = `同梱ルール: ${DEFAULT_SELECTOR_RULES.version}`;
+    this.el.rulesInfo.textContent = this.rulesOverride
+      ? `${bundled} ／ 上書き中: ${this.rulesOverride.version}`
+      : `${bundled}（上書きなし）`;
+    this.el.clearRulesBtn.disabled = !this.rulesOverride;
+  }
+
+  showRulesStatus(message, type = '') {
+    this.el.rulesStatus.textContent = message;
+    this.el.rulesStatus.className = `status rules-status ${type}`.trim();
+  }
+
+  /**
+   * Ask for host access to proxies outside the manifest host_permissions
+   * @private
+   */
+  async requestHostPermissions(proxies) {
+    const origins = [...new Set(proxies
+      .filter(p => p.enabled)
+      .map(p => {
+        try { return `${new URL(p.url).origin}/*`; } catch { return null; }
+      })
+      .filter(Boolean))];
+    if (origins.length === 0 || !chrome.permissions) return true;
+
+    try {
+      return await chrome.permissions.request({ origins });
+    } catch (error) {
+      console.warn('Options: Permission request failed:', error);
+      return false;
+    }
+  }
+
+  // ============================================================================
+  // RENDERING
+  // ============================================================================
+
+  render() {
+    this.el.cacheTTL.value = this.settings.cacheTTLMinutes;
+    this.el.probeUrl.value = this.settings.probeUrl;
+    this.el.debugMode.checked = this.settings.debugMode;
+    this.renderProxies();
+    this.renderStrategies();
+  }
+
+  renderStrategies() {
+    this.el.strategyRows.forEach(row => {
+      const config = this.settings.fetchStrategies[row.dataset.context];
+      row.querySelector('[name="strategy"]').value = config.strategy;
+      row.querySelector('[name="topN"]').value = config.topN;
+      row.querySelector('[name="hedgeDelay"]').value = config.hedgeDelayMs / 1000;
+      this.updateStrategyInputs(row);
+    });
+  }
+
+  /**
+   * Only the inputs used by the selected strategy are editable
+   * @private
+   */
+  updateStrategyInputs(row) {
+    const strategy = row.querySelector('[name="strategy"]').value;
+    row.querySelector('[name="topN"]').disabled = strategy !== FETCH_STRATEGIES.raceTopN;
+    row.querySelector('[name="hedgeDelay"]').disabled = strategy !== FETCH_STRATEGIES.sequential;
+  }
+
+  /**
+   * @private
+   */
+  readStrategies() {
+    return Object.fromEntries([...this.el.strategyRows].map(row => [row.dataset.context, {
+      strategy: row.querySelector('[name="strategy"]').value,
+      topN: Number(row.querySelector('[name="topN"]').value),
+      hedgeDelayMs: Math.round(Number(row.querySelector('[name="hedgeDelay"]').value) * 1000)
+    }]));
+  }
+
+  renderProxies() {
+    const { proxies } = this.settings;
+    this.el.proxyList.replaceChildren(...proxies.map((proxy, index) => this.createProxyRow(proxy, index, proxies.length)));
+    this.el.proxyEmpty.style.display = proxies.length === 0 ? 'block' : 'none';
+  }
+
+  /**
+   * @private
+   */
+  createProxyRow(proxy, index, total) {
+    const row = document.createElement('li');
+    row.className = `proxy-row${proxy.enabled ? '' : ' disabled'}`;
+    row.dataset.index = String(index);
+
+    const up = this.createButton('↑', 'up', '上へ');
+    up.disabled = index === 0;
+    const down = this.createButton('↓', 'down', '下へ');
+    down.disabled = index === total - 1;
+
+    const url = document.createElement('span');
+    url.className = 'proxy-url';
+    url.textContent = proxy.url;
+    url.title = proxy.url;
+
+    const style = document.createElement('select');
+    style.name = 'style';
+    [[PROXY_STYLES.query, 'クエリ形式'], [PROXY_STYLES.path, 'パス形式']].forEach(([value, label]) => {
+      style.add(new Option(label, value, false, proxy.style === value));
+    });
+
+    const enabled = document.createElement('input');
+    enabled.type = 'checkbox';
+    enabled.name = 'enabled';
+    enabled.checked = proxy.enabled;
+    enabled.title = '有効';
+
+    const remove = this.createButton('削除', 'remove', '削除');
+    remove.className = 'btn danger';
+
+    row.append(up, down, enabled, url, this.createHealthBadge(this.proxyHealth.get(proxy.url)), style, remove);
+    return row;
+  }
+
+  /**
+   * @private
+   */
+  createHealthBadge(health) {
+    const badge = document.createElement('span');
+    badge.className = 'proxy-health';
+    if (!health) return badge;
+
+    if (health.breaker === 'open') {
+      const retry = new Date(health.retryAt).toLocaleTimeString('ja-JP', { hour: '2-digit', minute: '2-digit' });
+      badge.textContent = `⛔ 休止中（${retry}に再試行）`;
+    } else if (health.breaker === 'half_open') {
+      badge.textContent = '🟡 再試行待ち';
+    } else {
+      badge.textContent = HEALTH_LABELS[health.status] || HEALTH_LABELS.unknown;
+    }
+    const details = health.attempts > 0
+      ? [`成功率 ${health.successRate}% ／ 平均 ${health.averageResponseTime}ms ／ 直近の試行 ${health.attempts}回`]
+      : ['まだ取得に使われていません'];
+    if (health.lastProbeAt) {
+      details.push(`最終確認: ${new Date(health.lastProbeAt).toLocaleString('ja-JP')}（${health.lastProbeOk ? '成功' : '失敗'}）`);
+    }
+    if (health.lastError) {
+      details.push(`直近のエラー: ${health.lastError.error}`);
+    }
+    badge.title = details.join('\n');
+    return badge;
+  }
+
+  /**
+   * @private
+   */
+  createButton(text, action, title) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn icon';
+    button.dataset.action = action;
+    button.textContent = text;
+    button.title = title;
+    return button;
+  }
+
+  showStatus(message, type = '') {
+    this.el.status.textContent = message;
+    this.el.status.className = `status ${type}`.trim();
+  }
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+  try {
+    const page = new OptionsPage(new SettingsService(), new SelectorRulesStore(), new CustomEndpointStore());
+    await page.initialize();
+  } catch (e) {
+    console.error('Options bootstrap failed:', e);
+    alert('設定画面の初期化に失敗しました: ' + (e?.message || e));
+  }
+});
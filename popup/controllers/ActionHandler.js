@@ -11,11 +11,15 @@
  * - Amazon operations delegated to AmazonActionHandler
  * - Sharing operations delegated to ShareActionHandler
  * - Data operations delegated to DataActionHandler
+ * - Extension settings delegated to SettingsActionHandler
+ * - Review history chart delegated to HistoryActionHandler
  */
 
 import AmazonActionHandler from './actions/AmazonActionHandler.js';
 import ShareActionHandler from './actions/ShareActionHandler.js';
 import DataActionHandler from './actions/DataActionHandler.js';
+import SettingsActionHandler from './actions/SettingsActionHandler.js';
+import HistoryActionHandler from './actions/HistoryActionHandler.js';
 
 export default class ActionHandler {
   constructor(bookModel, uiManager, messageHandler, stateManager) {
@@ -27,7 +31,12 @@ export default class ActionHandler {
     // Initialize specialized action handlers
     this.amazonHandler = new AmazonActionHandler(bookModel, uiManager, messageHandler, stateManager);
     this.shareHandler = new ShareActionHandler(bookModel, uiManager, messageHandler, stateManager);
-    this.dataHandler = new DataActionHandler(bookModel, uiManager, stateManager);
+    this.dataHandler = new DataActionHandler(bookModel, uiManager, messageHandler, stateManager);
+    this.settingsHandler = new SettingsActionHandler(uiManager, messageHandler);
+    this.historyHandler = new HistoryActionHandler(bookModel, uiManager, messageHandler);
+
+    // Fresh data pushed after a stale-while-revalidate fetch
+    this.messageHandler?.registerHandler?.('amazonDataRevalidated', (message) => this.handleAmazonDataRevalidated(message));
   }
 
   // Setter for stateManager to handle circular dependency
@@ -48,7 +57,9 @@ export default class ActionHandler {
   // ============================================================================
 
   async handleAmazonFetch() {
-    return this.amazonHandler.handleAmazonFetch();
+    const result = await this.amazonHandler.handleAmazonFetch();
+    this.refreshHistory();
+    return result;
   }
 
   async handleAmazonFetchSuccess(data) {
@@ -59,16 +70,25 @@ export default class ActionHandler {
     return this.amazonHandler.handleAmazonFetchError(error);
   }
 
+  async handleAmazonDataRevalidated(message) {
+    const applied = await this.amazonHandler.handleRevalidatedData(message);
+    if (applied) this.refreshHistory();
+    return applied;
+  }
+
   // ============================================================================
   // DATA OPERATIONS - Delegated to DataActionHandler
   // ============================================================================
 
   async handleSave(silent = false) {
-    return this.dataHandler.handleSave(silent);
+    const saved = await this.dataHandler.handleSave(silent);
+    if (saved) this.refreshHistory();
+    return saved;
   }
 
   async handleClear() {
-    return this.dataHandler.handleClear();
+    await this.dataHandler.handleClear();
+    return this.refreshHistory();
   }
 
   handleFormChange() {
@@ -79,6 +99,26 @@ export default class ActionHandler {
     return this.dataHandler.validateField(fieldName);
   }
 
+  /**
+   * Track ratings or written reviews for the current book
+   * @param {string} metric - REVIEW_METRICS key
+   */
+  handleGoalMetricChange(metric) {
+    this.dataHandler.handleGoalMetricChange(metric);
+    this.historyHandler.applyGoalMetric();
+    return this.dataHandler.updateProgressDisplay();
+  }
+
+  async handleSwitchBook(key) {
+    await this.dataHandler.handleSwitchBook(key);
+    return this.refreshHistory();
+  }
+
+  async handleAddBook() {
+    await this.dataHandler.handleAddBook();
+    return this.refreshHistory();
+  }
+
   clearFieldError(fieldName) {
     return this.dataHandler.clearFieldError(fieldName);
   }
@@ -100,6 +140,30 @@ export default class ActionHandler {
   }
 
 
+  // ============================================================================
+  // HISTORY OPERATIONS - Delegated to HistoryActionHandler
+  // ============================================================================
+
+  async handleHistoryRangeChange(range) {
+    return this.historyHandler.handleRangeChange(range);
+  }
+
+  handleHistoryMetricChange(metric) {
+    return this.historyHandler.handleMetricChange(metric);
+  }
+
+  // ============================================================================
+  // SETTINGS OPERATIONS - Delegated to SettingsActionHandler
+  // ============================================================================
+
+  async handleRefreshSettingsChange() {
+    return this.settingsHandler.handleRefreshSettingsChange();
+  }
+
+  async handleMilestoneSettingsChange() {
+    return this.settingsHandler.handleMilestoneSettingsChange();
+  }
+
   // ============================================================================
   // PROGRESS AND DISPLAY OPERATIONS
   // ============================================================================
@@ -108,9 +172,19 @@ export default class ActionHandler {
    * Update progress display based on current data
    */
   updateProgressDisplay() {
+    this.historyHandler.redraw();
     return this.dataHandler.updateProgressDisplay();
   }
 
+  /**
+   * Reload review history, then re-render progress with the new forecast
+   * @private
+   */
+  async refreshHistory() {
+    await this.historyHandler.refreshHistory();
+    this.dataHandler.updateProgressDisplay();
+  }
+
   // ============================================================================
   // LIFECYCLE OPERATIONS
   // ============================================================================
@@ -124,6 +198,11 @@ export default class ActionHandler {
       
       // Load saved data
       await this.dataHandler.loadSavedData();
+
+      // Load extension settings (non-blocking for the form)
+      this.settingsHandler.loadRefreshSettings();
+      this.settingsHandler.loadMilestoneSettings();
+      this.refreshHistory();
       
       // Check for pending URL from context menu
       await this.checkPendingUrl();
@@ -26,6 +26,9 @@ export default class EventHandlerManager {
    */
   setupEventListeners() {
     this.setupButtonListeners();
+    this.setupBookSwitcherListener();
+    this.setupSettingsListeners();
+    this.setupHistoryChartListeners();
     this.setupFormChangeListeners();
     this.setupKeyboardShortcuts();
     this.setupAccessibilityEvents();
@@ -39,6 +42,11 @@ export default class EventHandlerManager {
    */
   setupButtonListeners() {
     const buttonConfigs = [
+      {
+        id: 'addBookBtn',
+        handler: () => this.actionHandler.handleAddBook(),
+        description: 'Add book button'
+      },
       {
         id: 'fetchAmazonBtn',
         handler: () => this.actionHandler.handleAmazonFetch(),
@@ -79,6 +87,63 @@ export default class EventHandlerManager {
     });
   }
 
+  /**
+   * Setup tracked-book switcher listener
+   * @private
+   */
+  setupBookSwitcherListener() {
+    const select = document.getElementById('bookSelect');
+    if (!select) {
+      console.warn("EventHandlerManager: Book switcher 'bookSelect' not found");
+      return;
+    }
+
+    const listener = () => this.actionHandler.handleSwitchBook(select.value);
+    select.addEventListener('change', listener);
+    this.eventListeners.set('bookSelect-switch', { element: select, event: 'change', listener });
+  }
+
+  /**
+   * Setup listeners for extension-wide settings (not part of book data)
+   * @private
+   */
+  setupSettingsListeners() {
+    const settingsElements = {
+      refreshInterval: () => this.actionHandler.handleRefreshSettingsChange(),
+      refreshEnabled: () => this.actionHandler.handleRefreshSettingsChange(),
+      milestoneStep: () => this.actionHandler.handleMilestoneSettingsChange(),
+      milestonePercents: () => this.actionHandler.handleMilestoneSettingsChange(),
+      milestoneEnabled: () => this.actionHandler.handleMilestoneSettingsChange()
+    };
+
+    Object.entries(settingsElements).forEach(([elementName, listener]) => {
+      const element = document.getElementById(elementName);
+      if (element) {
+        element.addEventListener('change', listener);
+        this.eventListeners.set(`${elementName}-settings`, { element, event: 'change', listener });
+      } else {
+        console.warn(`EventHandlerManager: Settings element '${elementName}' not found`);
+      }
+    });
+  }
+
+  /**
+   * Setup history chart range buttons
+   * @private
+   */
+  setupHistoryChartListeners() {
+    document.querySelectorAll('.chart-range-btn').forEach(button => {
+      const listener = () => this.actionHandler.handleHistoryRangeChange(button.dataset.range);
+      button.addEventListener('click', listener);
+      this.eventListeners.set(`chartRange-${button.dataset.range}-click`, { element: button, event: 'click', listener });
+    });
+    document.querySelectorAll('.chart-metric-btn').forEach(button => {
+      const listener = () => this.actionHandler.handleHistoryMetricChange(button.dataset.metric);
+      button.addEventListener('click', listener);
+      this.eventListeners.set(`chartMetric-${button.dataset.metric}-click`, { element: button, event: 'click', listener });
+    });
+  }
+
   /**
    * Setup form change listeners
    * @private
@@ -86,7 +151,9 @@ export default class EventHandlerManager {
   setupFormChangeListeners() {
     const formElements = [
       'amazonUrl', 'title', 'author', 'imageUrl',
-      'reviewCount', 'targetReviews', 'associateTag', 'associateEnabled'
+      'reviewCount', 'goalMetric', 'targetReviews', 'stretchReviews', 'milestoneTiers',
+      'associateTag', 'associateEnabled', 'combineEditions',
+      'includeForecastInTweet', 'includeRankInShare', 'includeHistogramInImage', 'tweetTemplate', 'imageCaptionTemplate'
     ];
     
     formElements.forEach(elementName => {
@@ -112,6 +179,14 @@ export default class EventHandlerManager {
     
     // Special handling for progress-related fields
     this.setupProgressUpdateListeners();
+
+    // Goal metric swaps the tracked count, labels and history series
+    const goalMetric = document.getElementById('goalMetric');
+    if (goalMetric) {
+      const metricListener = () => this.actionHandler.handleGoalMetricChange(goalMetric.value);
+      goalMetric.addEventListener('change', metricListener);
+      this.eventListeners.set('goalMetric-metric', { element: goalMetric, event: 'change', listener: metricListener });
+    }
     
     console.log(`EventHandlerManager: Form change listeners setup for ${formElements.length} elements`);
   }
@@ -121,7 +196,7 @@ export default class EventHandlerManager {
    * @private
    */
   setupProgressUpdateListeners() {
-    const progressElements = ['targetReviews', 'reviewCount'];
+    const progressElements = ['targetReviews', 'reviewCount', 'stretchReviews', 'milestoneTiers'];
     
     progressElements.forEach(elementName => {
       const element = document.getElementById(elementName);
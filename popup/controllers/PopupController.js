@@ -28,12 +28,12 @@ import ActionHandler from './ActionHandler.js';
 import StateManager from './StateManager.js';
 
 export default class PopupController {
-  constructor(storageService, toastService) {
-    this.storageService = storageService;
+  constructor(libraryService, toastService) {
+    this.libraryService = libraryService;
     this.toastService = toastService;
     
     // Initialize Model and View
-    this.bookModel = new BookDataModel(storageService);
+    this.bookModel = new BookDataModel(libraryService);
     this.uiManager = new UIManager(toastService);
     
     // Initialize specialized services
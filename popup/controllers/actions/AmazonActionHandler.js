@@ -7,14 +7,25 @@
  * - Success and error handling for Amazon operations
  * - Data validation and UI updates after fetch
  * - Integration with background Amazon scraping service
+ * - Apply fresh data pushed after a stale-while-revalidate fetch
+ * - Warn about conflicting, low-confidence or implausible fetched values
+ * - Offer a visible Amazon tab when a CAPTCHA / sign-in page blocked the fetch
  */
 
+import { AMAZON_PRODUCT_URL_PATTERN } from '../../../shared/MarketplaceRegistry.js';
+
+// The user solves the CAPTCHA in the tab; the background waits up to 3 minutes
+const TAB_FETCH_TIMEOUT = 200000;
+
 export default class AmazonActionHandler {
   constructor(bookModel, uiManager, messageHandler, stateManager) {
     this.bookModel = bookModel;
     this.uiManager = uiManager;
     this.messageHandler = messageHandler;
     this.stateManager = stateManager;
+
+    // URL whose background revalidation result we are waiting for
+    this.pendingRevalidationUrl = null;
   }
 
   /**
@@ -40,16 +51,20 @@ export default class AmazonActionHandler {
       
       console.log('AmazonActionHandler: Fetching Amazon data for:', amazonUrl);
       
-      // Send message to background script
+      // Send message to background script (combined mode fetches every edition: allow more time)
+      const combineEditions = !!this.bookModel.getData().combineEditions;
       const response = await this.messageHandler.sendMessageToBackground({
         action: 'fetchAmazonData',
-        url: amazonUrl
-      });
+        url: amazonUrl,
+        staleWhileRevalidate: true,
+        combineEditions
+      }, combineEditions ? 90000 : 30000);
       
       if (response.success && response.data) {
+        this.pendingRevalidationUrl = response.data.revalidating ? amazonUrl : null;
         await this.handleAmazonFetchSuccess(response.data);
       } else {
-        this.handleAmazonFetchError(response.error);
+        this.handleAmazonFetchError(response.error, response, amazonUrl);
       }
       
     } catch (error) {
@@ -74,45 +89,124 @@ export default class AmazonActionHandler {
       this.uiManager.setFormData(this.bookModel.getData());
       this.updateProgressDisplay();
       
-      this.uiManager.showSuccess('Amazon書籍データを取得しました');
-
-      // Warn if review count could not be detected
-      if (data.extraction && data.extraction.reviewCountSource === 'none') {
-        this.uiManager.showWarning('レビュー数を検出できませんでした。ページ構造の変更の可能性があります。');
+      if (data.stale) {
+        const minutes = Math.max(1, Math.round((data.staleAge || 0) / 60000));
+        this.uiManager.showInfo(`前回の取得データ（${minutes}分前）を表示中。最新データを取得しています…`);
+      } else if (data.combined) {
+        const { editions, pools } = data.combined;
+        this.uiManager.showSuccess(`${editions.length}エディションのレビューを合算しました（共有レビューを除いて${pools}件分）`);
+      } else {
+        this.uiManager.showSuccess('Amazon書籍データを取得しました');
       }
+
+      // Missing / conflicting / implausible values
+      this.showFetchWarnings(updateResult.warnings);
       
-      // Auto-save after successful fetch
+      // Auto-save after successful fetch (creates the library entry for new ASINs)
       await this.autoSaveAfterFetch();
+      if (this.uiManager.renderBookSwitcher) {
+        this.uiManager.renderBookSwitcher(this.bookModel.listBooks(), this.bookModel.getSelectedKey());
+      }
     } else {
       this.uiManager.displayValidationErrors(updateResult.errors);
     }
   }
 
+  /**
+   * Apply fresh data pushed by the background after a stale response
+   * @param {Object} message - { requestUrl, data, error }
+   */
+  async handleRevalidatedData(message) {
+    if (!this.pendingRevalidationUrl || message?.requestUrl !== this.pendingRevalidationUrl) {
+      return false;
+    }
+    this.pendingRevalidationUrl = null;
+
+    if (message.error || !message.data) {
+      this.uiManager.showWarning('最新データを取得できませんでした。前回の取得データを表示しています。');
+      return false;
+    }
+
+    // The user may have switched to another book meanwhile
+    const currentAsin = this.bookModel.getData().asin;
+    if (currentAsin && message.data.asin && currentAsin !== message.data.asin) {
+      return false;
+    }
+
+    const updateResult = this.bookModel.updateFromAmazonData(message.data);
+    if (!updateResult.isValid) {
+      console.warn('AmazonActionHandler: Revalidated data rejected:', updateResult.errors);
+      return false;
+    }
+
+    this.uiManager.setFormData(this.bookModel.getData());
+    this.updateProgressDisplay();
+    await this.autoSaveAfterFetch();
+    this.uiManager.showSuccess('最新のAmazon書籍データに更新しました');
+    this.showFetchWarnings(updateResult.warnings);
+    return true;
+  }
+
+  /**
+   * Show warnings about doubtful fetched values
+   * @private
+   * @param {string[]} [warnings] - Messages from BookDataModel.updateFromAmazonData
+   */
+  showFetchWarnings(warnings = []) {
+    warnings.forEach(message => {
+      console.warn('AmazonActionHandler: Fetch warning:', message);
+      this.uiManager.showWarning(message);
+    });
+  }
+
   /**
    * Handle Amazon data fetch error
    * @param {string} error - Error message
+   * @param {Object} [response] - Full response ({ errorCode, pageType, userResolvable } for blocked pages)
+   * @param {string} [amazonUrl] - URL that was fetched
    */
-  handleAmazonFetchError(error) {
+  handleAmazonFetchError(error, response = {}, amazonUrl = null) {
     const errorMsg = error || 'Amazon書籍データの取得に失敗しました';
+    if (response?.userResolvable && amazonUrl) {
+      this.uiManager.showError(`${errorMsg}。ブラウザでページを開いて確認すると取得できます。`, {
+        duration: 0,
+        action: { label: '🌐 ブラウザで開いて確認', onClick: () => this.handleFetchInTab(amazonUrl) }
+      });
+      return;
+    }
     this.uiManager.showError(errorMsg);
   }
 
+  /**
+   * Fetch through a visible Amazon tab the user can unblock (CAPTCHA / sign-in)
+   * Opening the tab closes the popup; the background caches the result and shows a
+   * notification, so the next fetch is a cache hit. If the popup stays open, the
+   * pushed result is applied like a revalidation.
+   * @param {string} amazonUrl - URL to open
+   */
+  handleFetchInTab(amazonUrl) {
+    this.pendingRevalidationUrl = amazonUrl;
+    this.messageHandler.sendMessageToBackground({
+      action: 'fetchAmazonDataInTab',
+      url: amazonUrl
+    }, TAB_FETCH_TIMEOUT, 0)
+      .then(response => {
+        if (response?.success) return;
+        this.pendingRevalidationUrl = null;
+        this.handleAmazonFetchError(response?.error);
+      })
+      .catch(error => {
+        console.warn('AmazonActionHandler: Tab fetch did not finish:', error?.message || error);
+      });
+  }
+
   /**
    * Update progress display after Amazon data fetch
    * @private
    */
   updateProgressDisplay() {
-    // This method should be provided by the main ActionHandler
-    // or delegated to a progress display service
-    const progressData = this.bookModel.getProgressPercentage();
-    const remainingData = this.bookModel.getRemainingReviews();
-    
     if (this.uiManager.updateProgressDisplay) {
-      this.uiManager.updateProgressDisplay({
-        percentage: progressData,
-        remaining: remainingData,
-        achieved: this.bookModel.isGoalAchieved()
-      });
+      this.uiManager.updateProgressDisplay(this.bookModel.getProgressDisplayData());
     }
   }
 
@@ -123,7 +217,7 @@ export default class AmazonActionHandler {
   async autoSaveAfterFetch() {
     try {
       const result = await this.bookModel.save();
-      if (result.success) {
+      if (result) {
         console.log('AmazonActionHandler: Auto-saved after Amazon fetch');
       }
     } catch (error) {
@@ -132,13 +226,12 @@ export default class AmazonActionHandler {
   }
 
   /**
-   * Validate Amazon URL format
+   * Validate Amazon URL format (product URL on any supported store)
    * @param {string} url - URL to validate
    * @returns {boolean} Whether URL is valid Amazon format
    */
   isValidAmazonUrl(url) {
-    const amazonUrlPattern = /^https?:\/\/(?:www\.)?amazon\.co\.jp\/(?:dp\/|gp\/product\/)([A-Z0-9]{10})(?:\/|$|\?)/i;
-    return amazonUrlPattern.test(url);
+    return AMAZON_PRODUCT_URL_PATTERN.test(url);
   }
 
   /**
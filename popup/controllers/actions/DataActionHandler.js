@@ -5,14 +5,19 @@
  * Responsibilities:
  * - Data saving and loading operations
  * - Form data validation and management
- * - Data clearing and reset operations
+ * - Data clearing and reset operations (a removed book's review history goes too)
+ * - Book library switching (select / add tracked books)
+ * - Review history samples for manual count edits
  * - UI state synchronization with data model
  */
 
+import { NEW_BOOK_OPTION } from '../../views/BookSwitcherView.js';
+
 export default class DataActionHandler {
-  constructor(bookModel, uiManager, stateManager) {
+  constructor(bookModel, uiManager, messageHandler, stateManager) {
     this.bookModel = bookModel;
     this.uiManager = uiManager;
+    this.messageHandler = messageHandler;
     this.stateManager = stateManager;
   }
 
@@ -24,6 +29,7 @@ export default class DataActionHandler {
   async handleSave(silent = false) {
     try {
       // Get form data and update model
+      const previousCount = this.bookModel.getSavedReviewCount();
       const formData = this.uiManager.getFormData();
       const validationResult = this.bookModel.setData(formData, true);
       
@@ -32,12 +38,20 @@ export default class DataActionHandler {
         return false;
       }
       
+      // The URL now points to another tracked book: offer that entry instead of overwriting it
+      const conflictKey = this.bookModel.getSaveConflict();
+      if (conflictKey) {
+        return this.handleSaveConflict(conflictKey, silent);
+      }
+
       // Save to storage
       const saveResult = await this.bookModel.save();
       
       if (saveResult) {
         this.stateManager.recordSaveTime();
         this.uiManager.setDirty(false);
+        this.refreshBookSwitcher();
+        this.recordManualReviewSample(previousCount);
         
         if (!silent) {
           this.uiManager.showSuccess('データを保存しました');
@@ -61,12 +75,68 @@ export default class DataActionHandler {
     }
   }
 
+  /**
+   * A save would overwrite another tracked book: ask to switch to it, else keep both as stored
+   * @private
+   * @param {string} conflictKey - Library key of the other book
+   * @param {boolean} silent - Auto-save; never prompts, just skips the save
+   * @returns {Promise<boolean>} Always false (nothing was saved)
+   */
+  async handleSaveConflict(conflictKey, silent) {
+    if (silent) {
+      console.warn('DataActionHandler: Auto-save skipped, URL belongs to tracked book', conflictKey);
+      return false;
+    }
+
+    const confirmed = confirm('このURLの書籍はすでに追跡リストにあります。その書籍に切り替えますか？\n（この書籍への変更は保存されません）');
+    if (!confirmed) {
+      this.uiManager.showError('別の追跡中の書籍と同じURLのため保存しませんでした');
+      return false;
+    }
+
+    await this.bookModel.selectBook(conflictKey);
+    this.uiManager.setFormData(this.bookModel.getData());
+    this.refreshBookSwitcher();
+    this.updateProgressDisplay();
+    console.log('DataActionHandler: Switched to the tracked book for the edited URL:', conflictKey);
+    return false;
+  }
+
+  /**
+   * Append a manual review count edit to the book's history (fire-and-forget)
+   * @private
+   * @param {number|null} previousCount - Count before this save
+   */
+  recordManualReviewSample(previousCount) {
+    const data = this.bookModel.getData();
+    if (!data.asin || !this.messageHandler || data.currentReviews === previousCount) {
+      return;
+    }
+
+    this.messageHandler.sendMessageToBackground({
+      action: 'recordReviewSample',
+      asin: data.asin,
+      count: data.currentReviews,
+      metric: data.goalMetric,
+      combined: !!data.combineEditions,
+      source: 'manual'
+    }).catch(error => {
+      console.warn('DataActionHandler: Failed to record review sample:', error);
+    });
+  }
+
   /**
    * Handle data clear operation with confirmation
+   * Removes the selected book from the library.
    */
   async handleClear() {
-    // Confirm if there are unsaved changes
-    if (this.uiManager.isDirty()) {
+    // Stored books are removed from the library, so always confirm those
+    if (this.bookModel.getSelectedKey()) {
+      const confirmed = confirm('この書籍を追跡リストから削除しますか？');
+      if (!confirmed) {
+        return;
+      }
+    } else if (this.uiManager.isDirty()) {
       const confirmed = confirm('未保存の変更があります。本当にクリアしますか？');
       if (!confirmed) {
         return;
@@ -74,11 +144,16 @@ export default class DataActionHandler {
     }
     
     try {
-      // Clear model data
-      await this.bookModel.clear();
+      // Clear model data (next tracked book, if any, becomes selected)
+      const removedAsin = this.bookModel.getSelectedKey() ? this.bookModel.getData().asin : null;
+      const cleared = await this.bookModel.clear();
+      if (cleared && removedAsin) {
+        await this.clearReviewHistory(removedAsin);
+      }
       
-      // Clear UI form
-      this.uiManager.clearForm();
+      // Show next book or an empty form
+      this.uiManager.setFormData(this.bookModel.getData());
+      this.refreshBookSwitcher();
       
       // Update progress display
       this.updateProgressDisplay();
@@ -92,6 +167,21 @@ export default class DataActionHandler {
     }
   }
 
+  /**
+   * Drop a removed book's review history in the background (both series), so
+   * adding the book again starts a fresh chart
+   * @private
+   * @param {string} asin - Removed book's ASIN
+   */
+  async clearReviewHistory(asin) {
+    if (!this.messageHandler) return;
+    try {
+      await this.messageHandler.sendMessageToBackground({ action: 'clearReviewHistory', asin });
+    } catch (error) {
+      console.warn('DataActionHandler: Failed to clear review history:', error);
+    }
+  }
+
   /**
    * Handle form change events and update model
    */
@@ -112,6 +202,17 @@ export default class DataActionHandler {
     }
   }
 
+  /**
+   * Switch the goal metric and show that count in the form
+   * @param {string} metric - REVIEW_METRICS key ('ratings' | 'reviews')
+   */
+  handleGoalMetricChange(metric) {
+    this.bookModel.setGoalMetric(metric);
+    // setFormData marks the form clean; the new metric still needs saving
+    this.uiManager.setFormData(this.bookModel.getData());
+    this.uiManager.setDirty(true);
+  }
+
   /**
    * Validate specific field
    * @param {string} fieldName - Field name to validate
@@ -145,6 +246,7 @@ export default class DataActionHandler {
       const loaded = await this.bookModel.load();
       if (loaded) {
         this.uiManager.setFormData(this.bookModel.getData());
+        this.refreshBookSwitcher();
         this.updateProgressDisplay();
         this.uiManager.setDirty(false);
         console.log('DataActionHandler: Data loaded successfully');
@@ -154,19 +256,70 @@ export default class DataActionHandler {
     }
   }
 
+  // ============================================================================
+  // BOOK LIBRARY
+  // ============================================================================
+
+  /**
+   * Switch the popup to another tracked book
+   * @param {string} key - Library key chosen in the switcher
+   */
+  async handleSwitchBook(key) {
+    if (key === NEW_BOOK_OPTION) {
+      return this.handleAddBook();
+    }
+    if (key === this.bookModel.getSelectedKey()) {
+      return;
+    }
+
+    try {
+      // Keep edits to the current book before leaving it
+      if (this.uiManager.isDirty() && this.bookModel.isComplete()) {
+        await this.handleSave(true);
+      }
+
+      await this.bookModel.selectBook(key);
+      this.uiManager.setFormData(this.bookModel.getData());
+      this.refreshBookSwitcher();
+      this.updateProgressDisplay();
+      console.log('DataActionHandler: Switched book to', key);
+    } catch (error) {
+      console.error('DataActionHandler: Book switch failed:', error);
+      this.uiManager.showError('書籍の切り替えに失敗しました');
+    }
+  }
+
+  /**
+   * Start tracking a new book (empty form, shared associate settings)
+   */
+  async handleAddBook() {
+    if (this.uiManager.isDirty() && this.bookModel.isComplete()) {
+      await this.handleSave(true);
+    }
+
+    this.bookModel.startNewBook();
+    this.uiManager.setFormData(this.bookModel.getData());
+    this.refreshBookSwitcher();
+    this.updateProgressDisplay();
+    this.uiManager.focusField('amazonUrl');
+  }
+
+  /**
+   * Re-render switcher options from the library
+   */
+  refreshBookSwitcher() {
+    if (this.uiManager.renderBookSwitcher) {
+      this.uiManager.renderBookSwitcher(this.bookModel.listBooks(), this.bookModel.getSelectedKey());
+    }
+  }
+
   /**
    * Update progress display with current data
    * @private
    */
   updateProgressDisplay() {
-    const progressData = {
-      percentage: this.bookModel.getProgressPercentage(),
-      remaining: this.bookModel.getRemainingReviews(),
-      achieved: this.bookModel.isGoalAchieved(),
-      current: this.bookModel.getData().currentReviews,
-      target: this.bookModel.getData().targetReviews
-    };
-    
+    const progressData = this.bookModel.getProgressDisplayData();
+
     if (this.uiManager.updateProgressDisplay) {
       this.uiManager.updateProgressDisplay(progressData);
     }
@@ -0,0 +1,111 @@
+/**
+ * HistoryActionHandler - Review history chart operations
+ *
+ * Responsibilities:
+ * - Query review history for the selected book from the background
+ * - Track the selected chart range (7d / 30d / 90d / all) and metric (count / rank)
+ * - Read each sample's count in the book's goal metric (ratings / written reviews)
+ * - Hand samples and the current target to the chart view
+ * - Share the full history with the model for goal ETA forecasting
+ */
+
+import { CHART_RANGES, CHART_METRICS } from '../../views/ProgressChartView.js';
+import { getSampleCount, getReviewMetricLabels } from '../../../shared/ReviewMetrics.js';
+
+export default class HistoryActionHandler {
+  constructor(bookModel, uiManager, messageHandler) {
+    this.bookModel = bookModel;
+    this.uiManager = uiManager;
+    this.messageHandler = messageHandler;
+    this.range = '30d';
+    this.metric = 'count';
+    this.samples = [];
+    this.rawSamples = [];
+  }
+
+  /**
+   * Reload history for the current book and redraw
+   */
+  async refreshHistory() {
+    const { asin, combineEditions } = this.bookModel.getData();
+    if (!asin) {
+      this.samples = [];
+      this.rawSamples = [];
+      this.bookModel.setHistory([]);
+      this.uiManager.hideHistoryChart();
+      return;
+    }
+
+    try {
+      // Full history: the forecast needs more than the visible range.
+      // Combined-editions totals are a separate series (see ReviewHistoryService)
+      const response = await this.messageHandler.sendMessageToBackground({
+        action: 'getReviewHistory',
+        asin,
+        combined: !!combineEditions
+      }, 5000, 0);
+
+      this.rawSamples = (response?.success && Array.isArray(response.data)) ? response.data : [];
+    } catch (error) {
+      console.warn('HistoryActionHandler: Failed to load review history:', error);
+      this.rawSamples = [];
+    }
+
+    this.applyGoalMetric();
+  }
+
+  /**
+   * Re-read sample counts after the goal metric changed (no reload needed)
+   */
+  applyGoalMetric() {
+    const { goalMetric } = this.bookModel.getData();
+    this.samples = this.rawSamples.map(s => ({ ...s, count: getSampleCount(s, goalMetric) }));
+    this.bookModel.setHistory(this.samples.filter(s => s.count !== null));
+    this.redraw();
+  }
+
+  /**
+   * Change the chart range and reload
+   * @param {string} range - One of CHART_RANGES keys
+   */
+  async handleRangeChange(range) {
+    if (!(range in CHART_RANGES) || range === this.range) return;
+    this.range = range;
+    this.redraw();
+  }
+
+  /**
+   * Switch the plotted metric (review count / best-seller rank)
+   * @param {string} metric - One of CHART_METRICS keys
+   */
+  handleMetricChange(metric) {
+    if (!(metric in CHART_METRICS) || metric === this.metric) return;
+    this.metric = metric;
+    this.redraw();
+  }
+
+  /**
+   * Redraw with the current samples (e.g. target edited in the form)
+   */
+  redraw() {
+    const { asin, targetReviews, goalMetric } = this.bookModel.getData();
+    if (!asin) return;
+    this.uiManager.renderHistoryChart(this.getVisibleSamples(), {
+      target: targetReviews,
+      range: this.range,
+      metric: this.metric,
+      countNoun: getReviewMetricLabels(goalMetric).noun
+    });
+  }
+
+  /**
+   * Samples inside the selected chart range
+   * @private
+   */
+  getVisibleSamples() {
+    const days = CHART_RANGES[this.range];
+    if (!days) return this.samples;
+    const from = Date.now() - days * 86400000;
+    return this.samples.filter(s => s.timestamp >= from);
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * SettingsActionHandler - Extension-wide settings shown in the popup
+ *
+ * Responsibilities:
+ * - Load scheduled refresh settings (interval / pause) from the background
+ * - Load milestone notification settings (step / percents / on-off)
+ * - Push setting changes to the background service worker
+ * - Keep the refresh status line in sync
+ */
+
+export default class SettingsActionHandler {
+  constructor(uiManager, messageHandler) {
+    this.uiManager = uiManager;
+    this.messageHandler = messageHandler;
+  }
+
+  /**
+   * Load refresh settings into the form
+   */
+  async loadRefreshSettings() {
+    try {
+      const response = await this.messageHandler.sendMessageToBackground({ action: 'getRefreshSettings' }, 5000, 0);
+      if (response?.success && response.data) {
+        this.uiManager.setRefreshSettings(response.data);
+      }
+    } catch (error) {
+      console.warn('SettingsActionHandler: Failed to load refresh settings:', error);
+    }
+  }
+
+  /**
+   * Persist refresh settings after a form change
+   */
+  async handleRefreshSettingsChange() {
+    const settings = this.uiManager.getRefreshSettings();
+    try {
+      const response = await this.messageHandler.sendMessageToBackground({
+        action: 'updateRefreshSettings',
+        settings
+      }, 5000, 0);
+
+      if (!response?.success) {
+        throw new Error(response?.error || 'update failed');
+      }
+
+      this.uiManager.showSuccess(settings.enabled ? '自動更新を設定しました' : '自動更新を一時停止しました');
+      await this.loadRefreshSettings();
+    } catch (error) {
+      console.error('SettingsActionHandler: Failed to update refresh settings:', error);
+      this.uiManager.showError('自動更新の設定に失敗しました');
+    }
+  }
+
+  /**
+   * Load milestone notification settings into the form
+   */
+  async loadMilestoneSettings() {
+    try {
+      const response = await this.messageHandler.sendMessageToBackground({ action: 'getMilestoneSettings' }, 5000, 0);
+      if (response?.success && response.data) {
+        this.uiManager.setMilestoneSettings(response.data);
+      }
+    } catch (error) {
+      console.warn('SettingsActionHandler: Failed to load milestone settings:', error);
+    }
+  }
+
+  /**
+   * Persist milestone notification settings after a form change
+   */
+  async handleMilestoneSettingsChange() {
+    const settings = this.uiManager.getMilestoneSettings();
+    try {
+      const response = await this.messageHandler.sendMessageToBackground({
+        action: 'updateMilestoneSettings',
+        settings
+      }, 5000, 0);
+
+      if (!response?.success) {
+        throw new Error(response?.error || 'update failed');
+      }
+
+      this.uiManager.setMilestoneSettings(response.data);
+      this.uiManager.showSuccess(settings.enabled ? 'マイルストーン通知を設定しました' : 'マイルストーン通知をオフにしました');
+    } catch (error) {
+      console.error('SettingsActionHandler: Failed to update milestone settings:', error);
+      this.uiManager.showError('マイルストーン通知の設定に失敗しました');
+    }
+  }
+}
@@ -89,6 +89,14 @@
       const overflowRatio = hasTarget ? Math.max(progress - 1, 0) : 0; // 1.0を超えた分
       const overflowPercent = Math.round(overflowRatio * 100);
       const remaining = hasTarget ? Math.max(target - current, 0) : 0;
+      // 段階目標（中間目標・目標・ストレッチ目標）。バーは最上位の段階までを表す
+      const tiers = hasTarget && Array.isArray(d.tiers) ? d.tiers.filter(t => Number(t?.reviews) > 0) : [];
+      const barMax = hasTarget ? Math.max(target, ...tiers.map(t => Number(t.reviews))) : 0;
+      const barPercent = hasTarget ? Math.min(Math.round((current / barMax) * 100), 100) : 0;
+      const nextTierReviews = tiers.map(t => Number(t.reviews)).filter(r => r > current).sort((a, b) => a - b)[0] || 0;
+      // 達成予測（履歴がある場合のみ。右の統計カードに日付を添える）
+      const etaTs = (hasTarget && remaining > 0 && d.forecast?.hasForecast) ? Number(d.forecast.etaTimestamp) : NaN;
+      const etaText = Number.isFinite(etaTs) ? `${new Date(etaTs).getMonth() + 1}/${new Date(etaTs).getDate()}ごろ達成見込み` : '';
 
       const canvas = document.createElement('canvas');
       const ctx = canvas.getContext('2d');
@@ -175,9 +183,20 @@
       // Safe content bounds
       const pad = 32; const left = cardX + pad, right = cardX + cardW - pad;
 
+      // Best-seller rank (above the cover, only when the user shares it)
+      if (d.rankText) {
+        ctx.fillStyle = '#7c3aed'; ctx.font = 'bold 11px -apple-system, BlinkMacSystemFont, sans-serif';
+        ctx.textAlign = 'center'; ctx.textBaseline = 'alphabetic';
+        let rankLine = `🏆 ${d.rankText}`;
+        while (rankLine.length > 1 && ctx.measureText(rankLine).width > right - left) rankLine = rankLine.slice(0, -2) + '…';
+        ctx.fillText(rankLine, BASE_W / 2, cardY + 28);
+      }
+
       // Cover
       const coverW = 150, coverH = 225;
-      const coverX = (BASE_W - coverW) / 2;
+      const histogram = d.ratingHistogram && typeof d.ratingHistogram === 'object' ? d.ratingHistogram : null;
+      // With the rating panel the cover moves left to make room on its right
+      const coverX = histogram ? left + 8 : (BASE_W - coverW) / 2;
       const coverY = cardY + 40;
       if (d.imageUrl && d.imageUrl.trim()) {
         let objUrl = null;
@@ -196,6 +215,38 @@
 
       // 書影外枠の色変更は行わない（従来どおり）
 
+      // Rating distribution panel (optional, right of the cover)
+      if (histogram) {
+        const px = coverX + coverW + 20, pw = right - px;
+        let py = coverY + 24;
+        ctx.save();
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#1a202c'; ctx.font = 'bold 12px -apple-system, BlinkMacSystemFont, sans-serif'; ctx.textAlign = 'left';
+        ctx.fillText('評価の分布', px, py);
+        const avg = Number(d.averageRating);
+        if (avg > 0) {
+          ctx.fillStyle = '#f59e0b'; ctx.textAlign = 'right';
+          ctx.fillText(`★${avg.toFixed(1)}`, right, py);
+        }
+        py += 28;
+        const labelW = 22, valueW = 30, rowH = 22, barH = 8;
+        const barX = px + labelW, barW = pw - labelW - valueW;
+        [5, 4, 3, 2, 1].forEach(star => {
+          const pct = Math.max(0, Math.min(100, Number(histogram[star]) || 0));
+          ctx.font = '10px -apple-system, BlinkMacSystemFont, sans-serif';
+          ctx.fillStyle = '#4a5568'; ctx.textAlign = 'left';
+          ctx.fillText(`★${star}`, px, py);
+          ctx.fillStyle = 'rgba(148,163,184,0.25)'; roundRect(ctx, barX, py - barH / 2, barW, barH, 4); ctx.fill();
+          if (pct > 0) {
+            ctx.fillStyle = '#f59e0b'; roundRect(ctx, barX, py - barH / 2, Math.max(barW * pct / 100, barH), barH, 4); ctx.fill();
+          }
+          ctx.fillStyle = '#4a5568'; ctx.textAlign = 'right';
+          ctx.fillText(`${pct}%`, right, py);
+          py += rowH;
+        });
+        ctx.restore();
+      }
+
       // Title / Author (centered and bounded)
       const centerX = (left + right)/2;
       const titleTop = coverY + coverH + 20;
@@ -206,6 +257,14 @@
       ctx.fillStyle = '#4a5568'; ctx.font = '11px -apple-system, BlinkMacSystemFont, sans-serif';
       const authorLast = wrapTextBoundedCenter(ctx, d.author || '著者未設定', centerX, authorTop, left, right, 14);
       const authorLines = Math.max(1, Math.floor((authorLast - authorTop) / 14) + 1);
+      // Caption (publisher / date / pages or the user's caption template), one line
+      if (d.caption) {
+        ctx.fillStyle = '#718096'; ctx.font = '10px -apple-system, BlinkMacSystemFont, sans-serif';
+        ctx.textAlign = 'center'; ctx.textBaseline = 'alphabetic';
+        let caption = String(d.caption).replace(/\s*\n\s*/g, ' ');
+        while (caption.length > 1 && ctx.measureText(caption).width > right - left) caption = caption.slice(0, -2) + '…';
+        ctx.fillText(caption, centerX, authorLast + 16);
+      }
       let y = authorLast + 36;
       // Evidence logs
       console.log('[ImageGen] wrap metrics:', { titleLines, authorLines, titleTop, titleLast, authorTop, authorLast, yStartForNumber: y });
@@ -237,15 +296,15 @@
 
       // Label
       ctx.font = 'bold 14px -apple-system, BlinkMacSystemFont, sans-serif'; ctx.fillStyle = '#4a5568';
-      const labelY = y + 56 + 8; ctx.fillText('現在のレビュー数', BASE_W/2, labelY);
+      const labelY = y + 56 + 8; ctx.fillText(`現在の${d.metricLabel || 'レビュー数'}`, BASE_W/2, labelY);
 
       // Progress bar + stats (only when target set)
       if (hasTarget) {
         const barY = labelY + 28; const barW = cardW - 60; const barH = 24; const barX = (BASE_W - barW)/2;
         ctx.fillStyle = 'rgba(255,255,255,0.2)'; ctx.strokeStyle = 'rgba(255,255,255,0.3)'; ctx.lineWidth = 1;
         roundRect(ctx, barX, barY, barW, barH, 16); ctx.fill(); ctx.stroke();
-        if (clampedPercent > 0) {
-          const fillW = Math.max((barW * clampedPercent)/100, 10);
+        if (barPercent > 0) {
+          const fillW = Math.max((barW * barPercent)/100, 10);
           const pg = ctx.createLinearGradient(barX, barY, barX+barW, barY+barH);
           if (current < target) {
             // 通常: 青→シアン→緑
@@ -290,6 +349,27 @@
           }
           ctx.restore();
         }
+        // Tier markers (ticks on the bar, values just above it)
+        if (tiers.length > 1) {
+          ctx.save();
+          ctx.font = '9px -apple-system, BlinkMacSystemFont, sans-serif';
+          ctx.textBaseline = 'bottom';
+          let lastLabelX = -Infinity;
+          tiers.forEach(t => {
+            const reviews = Number(t.reviews);
+            const x = barX + barW * (reviews / barMax);
+            const achieved = current >= reviews;
+            ctx.fillStyle = achieved ? 'rgba(255,255,255,0.9)' : 'rgba(30,41,59,0.45)';
+            if (reviews < barMax) ctx.fillRect(x - 1, barY + 3, 2, barH - 6);
+            // Skip labels that would collide with the previous one
+            if (x - lastLabelX < 24) return;
+            ctx.fillStyle = achieved ? '#059669' : '#64748b';
+            ctx.textAlign = reviews === barMax ? 'right' : 'center';
+            ctx.fillText(`${t.kind === 'stretch' ? '★' : ''}${reviews}`, reviews === barMax ? barX + barW - 4 : x, barY - 2);
+            lastLabelX = x;
+          });
+          ctx.restore();
+        }
         // Center percentage text vertically and horizontally on the bar
         ctx.font = 'bold 14px -apple-system, BlinkMacSystemFont, sans-serif';
         ctx.fillStyle = '#1a202c';
@@ -316,7 +396,7 @@
         ctx.textAlign = 'center';
         const prevBaselineStatsLeft = ctx.textBaseline;
         ctx.textBaseline = 'middle';
-        ctx.fillText(`目標: ${target} レビュー`, leftX + cardW1/2, statsY + cardH1/2);
+        ctx.fillText(`目標: ${target} ${d.metricNoun || 'レビュー'}`, leftX + cardW1/2, statsY + cardH1/2);
         ctx.textBaseline = prevBaselineStatsLeft;
         ctx.restore();
 
@@ -330,7 +410,16 @@
         ctx.textAlign = 'center';
         const prevBaselineStatsRight = ctx.textBaseline;
         ctx.textBaseline = 'middle';
-        ctx.fillText(`あと ${remaining} レビュー`, rightX + cardW1/2, statsY + cardH1/2);
+        if (etaText) {
+          ctx.fillText(`あと ${remaining} ${d.metricNoun || 'レビュー'}`, rightX + cardW1/2, statsY + cardH1/2 - 6);
+          ctx.font = '9px -apple-system, BlinkMacSystemFont, sans-serif';
+          ctx.fillStyle = '#6366f1';
+          ctx.fillText(`📅 ${etaText}`, rightX + cardW1/2, statsY + cardH1/2 + 7);
+        } else if (remaining === 0 && nextTierReviews) {
+          ctx.fillText(`次の目標まで あと ${nextTierReviews - current}`, rightX + cardW1/2, statsY + cardH1/2);
+        } else {
+          ctx.fillText(`あと ${remaining} ${d.metricNoun || 'レビュー'}`, rightX + cardW1/2, statsY + cardH1/2);
+        }
         ctx.textBaseline = prevBaselineStatsRight;
         ctx.restore();
         // Evidence: assert no overlap
@@ -1,16 +1,21 @@
 import PopupController from './controllers/PopupController.js';
 import StorageService from './services/StorageService.js';
+import BookLibraryService from './services/BookLibraryService.js';
 import ToastService from './services/ToastService.js';
 
 // Bootstrap the popup using MVC controller
 document.addEventListener('DOMContentLoaded', async () => {
   try {
-    const storage = new StorageService('kindleReviewMeter');
+    // Library of tracked books; the legacy single-book key is migrated on first load
+    const library = new BookLibraryService(
+      new StorageService('kindleReviewMeterLibrary'),
+      new StorageService('kindleReviewMeter')
+    );
     const toast = new ToastService();
 
     // Controller wires Model and View internally
     // eslint-disable-next-line no-new
-    new PopupController(storage, toast);
+    new PopupController(library, toast);
   } catch (e) {
     console.error('Popup bootstrap failed:', e);
     alert('拡張の初期化に失敗しました: ' + (e?.message || e));
@@ -3,27 +3,46 @@
  * 
  * Core Responsibilities:
  * - Manage book data state and persistence
+ * - Track the selected entry of the book library (keyed by ASIN)
  * - Coordinate between specialized service modules
  * - Handle data transformation and normalization
+ * - Track the goal metric per book (star ratings or written reviews)
  * - Provide unified API for book data operations
  * 
  * Service Delegation:
  * - Validation logic delegated to BookDataValidator
  * - Progress calculations delegated to BookProgressCalculator  
+ * - Goal ETA forecasting delegated to BookForecastCalculator
  * - Text generation delegated to BookTextGenerator
  */
 
 import BookDataValidator from './book/BookDataValidator.js';
-import BookProgressCalculator from './book/BookProgressCalculator.js';
-import BookTextGenerator from './book/BookTextGenerator.js';
+import BookProgressCalculator from '../../shared/goals/BookProgressCalculator.js';
+import BookForecastCalculator from '../../shared/goals/BookForecastCalculator.js';
+import BookTextGenerator from '../../shared/goals/BookTextGenerator.js';
+import BookLibraryService, { DRAFT_KEY } from '../services/BookLibraryService.js';
+import {
+  DEFAULT_REVIEW_METRIC,
+  normalizeReviewMetric,
+  getReviewMetricLabels,
+  pickMetricCount
+} from '../../shared/ReviewMetrics.js';
+
+// Book metadata carried over from the Amazon fetch (see BookDataDTO)
+export const METADATA_FIELDS = [
+  'isbn', 'publisher', 'publicationDate', 'pageCount', 'language',
+  'categories', 'averageRating', 'ratingHistogram', 'price', 'currency', 'bestSellersRank',
+  'format', 'kindleUnlimited', 'editions', 'combined'
+];
 
 export default class BookDataModel {
-  constructor(storageService) {
-    this.storageService = storageService;
+  constructor(libraryService) {
+    this.library = libraryService;
     
     // Initialize service modules
     this.validator = new BookDataValidator();
     this.progressCalculator = new BookProgressCalculator();
+    this.forecastCalculator = new BookForecastCalculator();
     this.textGenerator = new BookTextGenerator();
     
     // Default book data structure
@@ -32,10 +51,38 @@ export default class BookDataModel {
       author: '',
       imageUrl: '',
       amazonUrl: '',
+      asin: '',
       currentReviews: 0,
+      goalMetric: DEFAULT_REVIEW_METRIC,
+      ratingsCount: null,
+      writtenReviewCount: null,
       targetReviews: null,
+      stretchReviews: null,
+      milestoneTiers: [],
       associateTag: '',
       associateEnabled: true,
+      combineEditions: false,
+      includeForecastInTweet: false,
+      includeRankInShare: false,
+      includeHistogramInImage: false,
+      tweetTemplate: '',
+      imageCaptionTemplate: '',
+      // Metadata (from Amazon fetch)
+      isbn: null,
+      publisher: null,
+      publicationDate: null,
+      pageCount: null,
+      language: null,
+      categories: [],
+      averageRating: null,
+      ratingHistogram: null,
+      price: null,
+      currency: null,
+      bestSellersRank: null,
+      format: null,
+      kindleUnlimited: null,
+      editions: [],
+      combined: null,
       lastUpdated: null,
       extractedFrom: '',
       createdAt: null
@@ -43,6 +90,18 @@ export default class BookDataModel {
     
     // Current book data state
     this.data = { ...this.defaultData };
+
+    // Library key the current data was loaded from (null = not stored yet)
+    this.selectedKey = null;
+
+    // Draft entry the current data replaces once saved (fetch hit a tracked ASIN)
+    this.replacedKey = null;
+
+    // Review count as last persisted (detects manual edits for history)
+    this.savedReviewCount = null;
+
+    // Review history of the current book (set by the history controller)
+    this.history = [];
   }
   /**
    * Notes:
@@ -55,30 +114,39 @@ export default class BookDataModel {
   // ============================================================================
 
   /**
-   * Load book data from storage
+   * Load the selected book from the library
    * @returns {Promise<Object>} Loaded book data
    */
   async load() {
     try {
-      const savedData = await this.storageService.load();
+      await this.library.load();
+      const key = this.library.getSelectedKey();
+      const savedData = this.library.getBook(key);
+      this.history = [];
+      this.replacedKey = null;
       if (savedData && typeof savedData === 'object') {
         // Merge with default data to ensure all fields exist
         this.data = { ...this.defaultData, ...savedData };
+        this.selectedKey = key;
+        this.savedReviewCount = this.data.currentReviews;
         console.log('📚 Book data loaded:', this.getSummary());
       } else {
         this.data = { ...this.defaultData };
+        this.selectedKey = null;
+        this.savedReviewCount = null;
         console.log('📚 Using default book data (no saved data found)');
       }
       return this.data;
     } catch (error) {
       console.error('Failed to load book data:', error);
       this.data = { ...this.defaultData };
+      this.selectedKey = null;
       return this.data;
     }
   }
 
   /**
-   * Save book data to storage
+   * Save the current book into its library entry
    * @returns {Promise<boolean>} Success status
    */
   async save() {
@@ -88,9 +156,26 @@ export default class BookDataModel {
       if (!this.data.createdAt) {
         this.data.createdAt = this.data.lastUpdated;
       }
-      
-      const success = await this.storageService.save(this.data);
+
+      // Books are keyed by ASIN; entries without one stay in the draft slot
+      this.data.asin = this.resolveAsin() || '';
+      const key = this.data.asin || DRAFT_KEY;
+
+      // Never overwrite another tracked book (URL edited to its ASIN): callers switch or ask first
+      const conflict = this.getSaveConflict();
+      if (conflict) {
+        console.warn('Not saved: the URL points to another tracked book:', conflict);
+        return false;
+      }
+
+      const success = await this.library.saveBook(key, this.data, {
+        previousKey: this.selectedKey,
+        replacedKey: this.replacedKey
+      });
       if (success) {
+        this.selectedKey = key;
+        this.replacedKey = null;
+        this.savedReviewCount = this.data.currentReviews;
         console.log('💾 Book data saved:', this.getSummary());
       } else {
         console.error('Failed to save book data');
@@ -103,15 +188,25 @@ export default class BookDataModel {
   }
 
   /**
-   * Clear all book data
+   * Tracked book a save would overwrite (the URL was edited to its ASIN)
+   * @returns {string|null} That book's library key, or null when saving is safe
+   */
+  getSaveConflict() {
+    return this.library.findConflict(this.resolveAsin() || DRAFT_KEY, this.selectedKey);
+  }
+
+  /**
+   * Remove the selected book from the library and load the next one
    * @returns {Promise<boolean>} Success status
    */
   async clear() {
     try {
+      const success = await this.library.removeBook(this.selectedKey);
       this.data = { ...this.defaultData };
-      const success = await this.storageService.clear();
+      this.selectedKey = null;
       if (success) {
         console.log('🗑️ Book data cleared');
+        await this.load();
       }
       return success;
     } catch (error) {
@@ -120,6 +215,74 @@ export default class BookDataModel {
     }
   }
 
+  // ============================================================================
+  // LIBRARY SELECTION
+  // ============================================================================
+
+  /**
+   * Switch to another tracked book
+   * @param {string} key - Library key (ASIN or draft)
+   * @returns {Promise<Object>} Loaded book data
+   */
+  async selectBook(key) {
+    await this.library.select(key);
+    return this.load();
+  }
+
+  /**
+   * Start an unsaved new book entry; associate settings carry over
+   * @returns {Object} New book data
+   */
+  startNewBook() {
+    this.data = {
+      ...this.defaultData,
+      associateTag: this.data.associateTag,
+      associateEnabled: this.data.associateEnabled
+    };
+    this.selectedKey = null;
+    this.replacedKey = null;
+    this.savedReviewCount = null;
+    this.history = [];
+    console.log('📚 Started new book entry');
+    return this.getData();
+  }
+
+  /**
+   * @returns {Array<{key: string, title: string, asin: string}>} Tracked books
+   */
+  listBooks() {
+    return this.library.listBooks();
+  }
+
+  /**
+   * @returns {string|null} Library key of the current book (null if unsaved)
+   */
+  getSelectedKey() {
+    return this.selectedKey;
+  }
+
+  /**
+   * @returns {number|null} Review count as last loaded/saved (null for unsaved books)
+   */
+  getSavedReviewCount() {
+    return this.savedReviewCount;
+  }
+
+  /**
+   * Resolve the ASIN of the current book from its fields
+   * @private
+   */
+  resolveAsin() {
+    return this.getAsinFromUrl() || this.data.asin || null;
+  }
+
+  /**
+   * @private
+   */
+  getAsinFromUrl() {
+    return BookLibraryService.extractAsin(this.data.amazonUrl || this.data.extractedFrom);
+  }
+
   // ============================================================================
   // DATA ACCESS AND MANIPULATION
   // ============================================================================
@@ -164,13 +327,47 @@ export default class BookDataModel {
     return this.setData(newData, validate);
   }
 
+  /**
+   * Choose which count the goal tracks and switch currentReviews to it
+   * Keeps the current value when that count hasn't been fetched yet.
+   * @param {string} metric - REVIEW_METRICS key ('ratings' | 'reviews')
+   * @returns {Object} Validation result
+   */
+  setGoalMetric(metric) {
+    const goalMetric = normalizeReviewMetric(metric);
+    const count = pickMetricCount(this.data, goalMetric);
+    const result = this.setData({ goalMetric, currentReviews: count ?? this.data.currentReviews }, false);
+    // A fetched count shown under another metric is not a manual edit for history
+    if (count !== null && this.savedReviewCount !== null) this.savedReviewCount = count;
+    return result;
+  }
+
+  /**
+   * @returns {{noun: string, label: string}} Labels of the current goal metric
+   */
+  getMetricLabels() {
+    return getReviewMetricLabels(this.data.goalMetric);
+  }
+
   /**
    * Update from Amazon data fetch result
    * @param {Object} amazonData - Data from Amazon fetch
-   * @returns {Object} Updated data
+   * @returns {Object} Validation result, plus `warnings` (string[]) about doubtful values
    */
   updateFromAmazonData(amazonData) {
     const updates = {};
+
+    // A different or already tracked ASIN means another entry: switch instead of overwriting
+    const srcUrlForAsin = amazonData.normalizedUrl || amazonData.amazonUrl || amazonData.url;
+    const fetchedAsin = amazonData.asin || BookLibraryService.extractAsin(srcUrlForAsin);
+    const currentAsin = this.data.asin || null;
+    const tracked = fetchedAsin ? this.library.getBook(fetchedAsin) : null;
+    if (fetchedAsin && fetchedAsin !== this.selectedKey && (tracked || (currentAsin && fetchedAsin !== currentAsin))) {
+      this.switchToAsin(fetchedAsin);
+    }
+    if (fetchedAsin) {
+      updates.asin = fetchedAsin;
+    }
     
     if (amazonData.title) {
       updates.title = amazonData.title;
@@ -184,11 +381,28 @@ export default class BookDataModel {
       updates.imageUrl = amazonData.imageUrl;
     }
     
-    if (amazonData.currentReviews !== undefined) {
-      updates.currentReviews = parseInt(amazonData.currentReviews) || 0;
-    } else if (amazonData.reviewCount !== undefined) {
-      updates.currentReviews = parseInt(amazonData.reviewCount) || 0;
+    // Metadata: only overwrite with values the fetch actually found
+    METADATA_FIELDS.forEach(field => {
+      const value = amazonData[field];
+      const found = Array.isArray(value) ? value.length > 0 : (value !== null && value !== undefined && value !== '' && value !== 0);
+      if (found) updates[field] = value;
+    });
+    // The breakdown only describes combined fetches; drop it after a single-edition fetch
+    updates.combined = amazonData.combined || null;
+
+    ['ratingsCount', 'writtenReviewCount'].forEach(field => {
+      if (Number.isFinite(amazonData[field])) updates[field] = amazonData[field];
+    });
+
+    // currentReviews follows the goal metric; a page without that count keeps the old value
+    const metricCount = pickMetricCount(amazonData, this.data.goalMetric);
+    if (metricCount !== null) {
+      updates.currentReviews = metricCount;
     }
+    // Compare against the saved entry (after any ASIN switch above)
+    const warnings = this.validator.checkExtraction(amazonData.extraction);
+    const countWarning = this.validator.checkCountChange(this.savedReviewCount, metricCount, this.getMetricLabels().noun);
+    if (countWarning) warnings.push(countWarning);
     
     // Prefer normalized URL fields from background
     const srcUrl = amazonData.normalizedUrl || amazonData.amazonUrl || amazonData.extractedFrom || amazonData.url;
@@ -204,7 +418,28 @@ export default class BookDataModel {
       console.log('📚 Book data updated from Amazon:', this.getSummary());
     }
     
-    return result;
+    return { ...result, warnings };
+  }
+
+  /**
+   * Point the model at the library entry for an ASIN (or a fresh entry)
+   * @private
+   * @param {string} asin - Target ASIN
+   */
+  switchToAsin(asin) {
+    const existing = this.library.getBook(asin);
+    if (existing) {
+      // A draft (started with "＋追加") that turns out to be a tracked book is dropped on save
+      const replacedKey = this.selectedKey === DRAFT_KEY ? DRAFT_KEY : null;
+      this.data = { ...this.defaultData, ...existing };
+      this.selectedKey = asin;
+      this.replacedKey = replacedKey;
+      this.savedReviewCount = this.data.currentReviews;
+      this.history = [];
+    } else {
+      this.startNewBook();
+    }
+    console.log('📚 Switched book entry for ASIN:', asin);
   }
 
   // ============================================================================
@@ -244,14 +479,94 @@ export default class BookDataModel {
     return this.progressCalculator.isGoalAchieved(this.data.currentReviews, this.data.targetReviews);
   }
 
+  /**
+   * Ordered goal tiers (custom milestones, goal, stretch goal)
+   * @returns {Array<{reviews: number, kind: string, label: string, achieved: boolean}>}
+   */
+  getTiers() {
+    return this.progressCalculator.getTiers(this.data.currentReviews, this.data.targetReviews, this.getTierOptions());
+  }
+
+  /**
+   * @private
+   */
+  getTierOptions() {
+    return { stretchReviews: this.data.stretchReviews, milestoneTiers: this.data.milestoneTiers };
+  }
+
+  /**
+   * Set review history samples used for forecasting
+   * @param {Array<{timestamp: number, count: number}>} samples - History samples
+   */
+  setHistory(samples) {
+    this.history = Array.isArray(samples) ? samples : [];
+  }
+
+  /**
+   * Forecast when the target will be reached from review history
+   * @returns {Object} Forecast result (see BookForecastCalculator.forecast)
+   */
+  getForecast() {
+    return this.forecastCalculator.forecast(this.history, this.data.currentReviews, this.data.targetReviews);
+  }
+
+  /**
+   * Progress data in the shape ProgressView renders
+   * @returns {Object} Progress display data including the forecast
+   */
+  getProgressDisplayData() {
+    const display = this.progressCalculator.getDisplayData(this.data.currentReviews, this.data.targetReviews, this.getTierOptions());
+    return {
+      currentReviews: this.data.currentReviews,
+      targetReviews: this.data.targetReviews,
+      progressPercentage: this.getProgressPercentage(),
+      remainingReviews: this.getRemainingReviews(),
+      isGoalAchieved: this.isGoalAchieved(),
+      tiers: display.tiers,
+      nextTier: display.nextTier,
+      remainingToNextTier: display.remainingToNextTier,
+      barMax: display.barMax,
+      forecast: this.getForecast(),
+      metricNoun: this.getMetricLabels().noun
+    };
+  }
+
+  /**
+   * Book metadata for the details panel
+   * @returns {Object} Values of METADATA_FIELDS plus asin
+   */
+  getMetadata() {
+    const metadata = { asin: this.data.asin || null };
+    METADATA_FIELDS.forEach(field => { metadata[field] = this.data[field] ?? null; });
+    return metadata;
+  }
+
+  /**
+   * Values available to tweet / image caption templates
+   * @returns {Object<string, string>} Variable name → text
+   */
+  getTemplateVariables() {
+    return this.textGenerator.getTemplateVariables(this.data, this.getTextProgressData());
+  }
+
   /**
    * Generate tweet text
    * @param {Object} options - Tweet generation options
    * @returns {string} Generated tweet text
    */
   generateTweetText() {
-    const progressData = this.progressCalculator.getProgressSummary(this.data.currentReviews, this.data.targetReviews);
-    return this.textGenerator.generateTweetText(this.data, progressData);
+    return this.textGenerator.generateTweetText(this.data, this.getTextProgressData());
+  }
+
+  /**
+   * Progress data used by text generation (tiers and forecast)
+   * @private
+   */
+  getTextProgressData() {
+    return {
+      ...this.progressCalculator.getDisplayData(this.data.currentReviews, this.data.targetReviews, this.getTierOptions()),
+      forecast: this.getForecast()
+    };
   }
 
   getShareableUrl() {
@@ -283,10 +598,20 @@ export default class BookDataModel {
       // Both fields for backward compatibility with image generator
       currentReviews: this.data.currentReviews,
       reviewCount: this.data.currentReviews,
+      metricLabel: this.getMetricLabels().label,
+      metricNoun: this.getMetricLabels().noun,
       targetReviews: this.data.targetReviews,
       progressPercentage: this.getProgressPercentage(),
       remainingReviews: this.getRemainingReviews(),
       isGoalAchieved: this.isGoalAchieved(),
+      stretchReviews: this.data.stretchReviews,
+      tiers: this.getTiers(),
+      forecast: this.getForecast(),
+      metadata: this.getMetadata(),
+      caption: this.textGenerator.getImageCaption(this.data, this.getTextProgressData()),
+      rankText: this.data.includeRankInShare ? this.textGenerator.getRankText(this.data.bestSellersRank) : null,
+      averageRating: this.data.averageRating,
+      ratingHistogram: this.data.includeHistogramInImage ? this.data.ratingHistogram : null,
       url: this.getShareableUrl(),
       generateTime: new Date().toISOString()
     };
@@ -7,8 +7,26 @@
  * - Validate individual fields and complete data objects
  * - Provide detailed error messages for validation failures
  * - Handle business logic validations (e.g., target vs current reviews)
+ * - Check that goal tiers (milestones / goal / stretch) are in ascending order
+ * - Flag suspicious fetch results (extractor disagreement, low confidence, implausible count jumps)
  */
 
+import { AMAZON_PRODUCT_URL_PATTERN } from '../../../shared/MarketplaceRegistry.js';
+
+// Japanese labels for scored extraction fields (DataProcessor extraction.fields)
+const EXTRACTION_FIELD_LABELS = {
+  reviewCount: 'レビュー数',
+  ratingsCount: '評価数',
+  writtenReviewCount: '文章レビュー数',
+  averageRating: '平均評価',
+  imageUrl: '書影',
+  title: 'タイトル',
+  author: '著者',
+  price: '価格'
+};
+
+const LOW_CONFIDENCE = 0.5;
+
 export default class BookDataValidator {
   constructor() {
     // Validation rules for book data fields
@@ -39,10 +57,17 @@ export default class BookDataValidator {
         type: 'number',
         message: '目標レビュー数は1以上の数値で入力してください'
       },
+      stretchReviews: {
+        required: false,
+        min: 1,
+        max: 999999,
+        type: 'number',
+        message: 'ストレッチ目標は1以上の数値で入力してください'
+      },
       amazonUrl: {
         required: false,
-        pattern: /^https?:\/\/(?:www\.)?amazon\.co\.jp\/(?:dp\/|gp\/product\/)([A-Z0-9]{10})(?:\/|$|\?)/i,
-        message: '有効なAmazon.co.jpのURLを入力してください'
+        pattern: AMAZON_PRODUCT_URL_PATTERN,
+        message: '有効なAmazonの商品URL（/dp/ または /gp/product/）を入力してください'
       },
       associateTag: {
         required: false,
@@ -50,6 +75,16 @@ export default class BookDataValidator {
         minLength: 3,
         maxLength: 50,
         message: 'アソシエイトIDは3-50文字の英数字とハイフンで入力してください'
+      },
+      tweetTemplate: {
+        required: false,
+        maxLength: 500,
+        message: '投稿テンプレートは500文字以内で入力してください'
+      },
+      imageCaptionTemplate: {
+        required: false,
+        maxLength: 100,
+        message: '画像キャプションは100文字以内で入力してください'
       }
     };
   }
@@ -74,7 +109,7 @@ export default class BookDataValidator {
     // Business logic validations
     // Note: targetReviews can be any positive number (smaller than current is also valid)
     // This allows for flexible goal setting and progress tracking beyond 100%
-    // No additional validation needed - basic number validation is sufficient
+    errors.push(...this.validateTiers(dataToValidate));
     
     return {
       isValid: errors.length === 0,
@@ -165,6 +200,92 @@ export default class BookDataValidator {
     return errors;
   }
 
+  /**
+   * Validate goal tiers: milestones ascending and distinct, stretch above goal
+   * @param {Object} data - Book data (targetReviews, stretchReviews, milestoneTiers)
+   * @returns {Array} Array of error objects
+   */
+  validateTiers(data) {
+    const errors = [];
+    const target = Number(data.targetReviews) || 0;
+    const stretch = data.stretchReviews === null || data.stretchReviews === undefined || data.stretchReviews === ''
+      ? null : Number(data.stretchReviews);
+    const milestones = Array.isArray(data.milestoneTiers) ? data.milestoneTiers : [];
+
+    if (stretch !== null && target <= 0) {
+      errors.push({ field: 'stretchReviews', message: 'ストレッチ目標を設定するには目標レビュー数を入力してください' });
+    } else if (stretch !== null && stretch <= target) {
+      errors.push({ field: 'stretchReviews', message: `ストレッチ目標は目標レビュー数（${target}件）より大きくしてください` });
+    }
+
+    if (milestones.length === 0) {
+      return errors;
+    }
+
+    if (target <= 0) {
+      errors.push({ field: 'milestoneTiers', message: '中間目標を設定するには目標レビュー数を入力してください' });
+    } else if (milestones.some(m => !Number.isInteger(Number(m)) || Number(m) < 1 || Number(m) > 999999)) {
+      errors.push({ field: 'milestoneTiers', message: '中間目標は1以上の整数をカンマ区切りで入力してください' });
+    } else if (milestones.some((m, i) => i > 0 && Number(m) <= Number(milestones[i - 1]))) {
+      errors.push({ field: 'milestoneTiers', message: '中間目標は小さい順に重複なく入力してください' });
+    } else if (milestones.some(m => Number(m) === target || Number(m) === stretch)) {
+      errors.push({ field: 'milestoneTiers', message: '中間目標に目標・ストレッチ目標と同じ値は使えません' });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Warnings for a fetch result that may have picked the wrong values
+   * @param {Object} extraction - DTO `extraction` ({ reviewCountSource, fields, disagreements })
+   * @returns {string[]} Warning messages (empty when the fetch looks sound)
+   */
+  checkExtraction(extraction) {
+    if (!extraction) return [];
+    const fields = extraction.fields || {};
+    const warnings = [];
+
+    if (extraction.reviewCountSource === 'none') {
+      warnings.push('レビュー数を検出できませんでした。ページ構造の変更の可能性があります。');
+    } else if (fields.reviewCount && fields.reviewCount.confidence < LOW_CONFIDENCE) {
+      warnings.push(`レビュー数の信頼度が低い値です（${Math.round(fields.reviewCount.confidence * 100)}%）。Amazonページの表示と照合してください。`);
+    }
+
+    (extraction.disagreements || []).forEach(name => {
+      const label = EXTRACTION_FIELD_LABELS[name] || name;
+      const score = fields[name];
+      if (!score || name === 'imageUrl') {
+        warnings.push(`${label}の抽出結果が一致しません。`);
+        return;
+      }
+      const values = score.candidates.map(c => `${c.value}（${c.source}）`).join(' / ');
+      warnings.push(`${label}の抽出結果が一致しません: ${values}。${score.value}を採用しました。`);
+    });
+
+    return warnings;
+  }
+
+  /**
+   * Warning for an implausible change against the last saved count
+   * Counts rarely drop (removed reviews) and rarely double between fetches;
+   * either usually means another number on the page was picked up.
+   * @param {number|null} previous - Last saved count (null for unsaved books)
+   * @param {number|null} next - Fetched count
+   * @param {string} noun - Metric noun ('評価' / 'レビュー')
+   * @returns {string|null} Warning message or null when plausible
+   */
+  checkCountChange(previous, next, noun = 'レビュー') {
+    if (!Number.isFinite(previous) || !Number.isFinite(next) || previous <= 0) return null;
+    const delta = next - previous;
+    if (-delta > Math.max(3, previous * 0.1)) {
+      return `${noun}数が${previous}件から${next}件に減っています。取得結果が正しいか確認してください。`;
+    }
+    if (delta > Math.max(50, previous)) {
+      return `${noun}数が${previous}件から${next}件に急増しています。取得結果が正しいか確認してください。`;
+    }
+    return null;
+  }
+
   /**
    * Get validation rules for a specific field
    * @param {string} field - Field name
@@ -0,0 +1,257 @@
+/**
+ * BookLibraryService - Library of tracked books keyed by ASIN
+ *
+ * Responsibilities:
+ * - Persist multiple book records in a single library object
+ * - Track the currently selected book across popup sessions
+ * - Migrate the legacy single-book record into the library on first load
+ * - Provide in-memory access to library entries after load
+ *
+ * Storage shape:
+ *   { version, selectedKey, books: { [asin]: bookData } }
+ * Books without a known ASIN yet are stored under DRAFT_KEY until an
+ * Amazon URL is available.
+ *
+ * Notes:
+ * - The background (LibraryStore) updates single books while the popup is
+ *   open, so every write re-reads storage and applies only this popup's change.
+ */
+
+export const DRAFT_KEY = '__draft__';
+const LIBRARY_VERSION = 1;
+
+export default class BookLibraryService {
+  /**
+   * @param {import('./StorageService.js').default} storage - Storage for the library object
+   * @param {import('./StorageService.js').default} [legacyStorage] - Storage holding the pre-library single record
+   */
+  constructor(storage, legacyStorage = null) {
+    this.storage = storage;
+    this.legacyStorage = legacyStorage;
+    this.library = null;
+  }
+
+  // ============================================================================
+  // LOADING AND MIGRATION
+  // ============================================================================
+
+  /**
+   * Load the library from storage (migrating legacy data when needed)
+   * @returns {Promise<Object>} Library object
+   */
+  async load() {
+    const saved = this.fromSaved(await this.storage.load());
+    if (saved) {
+      this.library = saved;
+    } else {
+      this.library = this.createEmptyLibrary();
+      await this.migrateLegacyData();
+    }
+    return this.library;
+  }
+
+  /**
+   * Move the legacy single-book record into the library
+   * @private
+   */
+  async migrateLegacyData() {
+    if (!this.legacyStorage) return;
+    try {
+      const legacy = await this.legacyStorage.load();
+      if (!legacy || typeof legacy !== 'object' || !(legacy.title || legacy.amazonUrl)) {
+        return;
+      }
+      const asin = legacy.asin || BookLibraryService.extractAsin(legacy.amazonUrl || legacy.extractedFrom);
+      const key = asin || DRAFT_KEY;
+      this.library.books[key] = { ...legacy, asin: asin || '' };
+      this.library.selectedKey = key;
+
+      if (await this.persist()) {
+        await this.legacyStorage.clear();
+        console.log('📚 Legacy book data migrated into library:', key);
+      }
+    } catch (error) {
+      console.warn('BookLibraryService: Legacy migration failed:', error);
+    }
+  }
+
+  // ============================================================================
+  // LIBRARY ACCESS
+  // ============================================================================
+
+  /**
+   * Get the selected library key
+   * @returns {string|null} Selected key
+   */
+  getSelectedKey() {
+    return this.library?.selectedKey || null;
+  }
+
+  /**
+   * Get a stored book by key
+   * @param {string} key - ASIN or DRAFT_KEY
+   * @returns {Object|null} Book data copy
+   */
+  getBook(key) {
+    const book = key ? this.library?.books[key] : null;
+    return book ? { ...book } : null;
+  }
+
+  /**
+   * List tracked books for the switcher, oldest first
+   * @returns {Array<{key: string, title: string, asin: string}>}
+   */
+  listBooks() {
+    if (!this.library) return [];
+    return BookLibraryService.sortBooks(this.library.books);
+  }
+
+  // ============================================================================
+  // LIBRARY MUTATION
+  // ============================================================================
+
+  /**
+   * Save a book and mark it as selected
+   * Another stored book is never overwritten: a save under a key the entry did
+   * not have before (new book, URL edited to another ASIN) fails when that key
+   * is taken. The draft slot is the exception; it holds one unsaved book.
+   * @param {string} key - Target key (ASIN or DRAFT_KEY)
+   * @param {Object} data - Book data
+   * @param {Object} [options]
+   * @param {string|null} [options.previousKey] - Key the book was stored under (null for a new
+   *   entry); removed when it differs from key (draft re-keying, edited URL)
+   * @param {string|null} [options.replacedKey] - Draft this save supersedes; removed as well
+   * @returns {Promise<boolean>} Success status (false when key belongs to another book)
+   */
+  async saveBook(key, data, options = {}) {
+    const { previousKey = null, replacedKey = null } = options;
+    let conflict = false;
+    const success = await this.commit((library) => {
+      if (key !== DRAFT_KEY && key !== previousKey && library.books[key]) {
+        conflict = true;
+        return false;
+      }
+      [previousKey, replacedKey].forEach(old => {
+        if (old && old !== key) delete library.books[old];
+      });
+      library.books[key] = { ...data };
+      library.selectedKey = key;
+    });
+    if (conflict) {
+      console.warn('BookLibraryService: Not saved, another book is stored under', key);
+      return false;
+    }
+    return success;
+  }
+
+  /**
+   * Key of another stored book that a save under `key` would overwrite
+   * @param {string|null} key - Target key
+   * @param {string|null} currentKey - Key the book is stored under now (null if unsaved)
+   * @returns {string|null} The taken key, or null when saving is safe
+   */
+  findConflict(key, currentKey) {
+    if (!key || key === DRAFT_KEY || key === currentKey) return null;
+    return this.library?.books[key] ? key : null;
+  }
+
+  /**
+   * Change the selected book
+   * @param {string|null} key - Key to select
+   * @returns {Promise<boolean>} Success status
+   */
+  async select(key) {
+    return this.commit((library) => {
+      library.selectedKey = (key && library.books[key]) ? key : null;
+    });
+  }
+
+  /**
+   * Remove a book; selection moves to the first remaining entry
+   * @param {string} key - Key to remove
+   * @returns {Promise<boolean>} Success status
+   */
+  async removeBook(key) {
+    return this.commit((library) => {
+      if (key) delete library.books[key];
+      if (!library.selectedKey || !library.books[library.selectedKey]) {
+        library.selectedKey = BookLibraryService.sortBooks(library.books)[0]?.key || null;
+      }
+    });
+  }
+
+  /**
+   * Apply a change to the stored library and write it back
+   * Storage is re-read first so books the background updated meanwhile keep
+   * their new values; only the entries `mutate` touches change.
+   * @private
+   * @param {Function} mutate - (library) => void | false
+   * @returns {Promise<boolean>} Success status
+   */
+  async commit(mutate) {
+    if (!this.library) await this.load();
+    this.library = this.fromSaved(await this.storage.load()) || this.library;
+    // Returning false from mutate cancels the write
+    if (mutate(this.library) === false) return false;
+    return this.persist();
+  }
+
+  /**
+   * Write the in-memory library to storage
+   * @private
+   */
+  async persist() {
+    return this.storage.save(this.library);
+  }
+
+  /**
+   * Library object from a stored value (null when nothing usable is stored)
+   * @private
+   */
+  fromSaved(saved) {
+    if (!saved || typeof saved !== 'object' || !saved.books) return null;
+    return {
+      version: saved.version || LIBRARY_VERSION,
+      selectedKey: saved.selectedKey || null,
+      books: { ...saved.books }
+    };
+  }
+
+  /**
+   * @private
+   */
+  createEmptyLibrary() {
+    return { version: LIBRARY_VERSION, selectedKey: null, books: {} };
+  }
+
+  // ============================================================================
+  // UTILITIES
+  // ============================================================================
+
+  /**
+   * Switcher entries of a books map, oldest first
+   * @param {Object} books - { [key]: bookData }
+   * @returns {Array<{key: string, title: string, asin: string}>}
+   */
+  static sortBooks(books) {
+    return Object.entries(books)
+      .map(([key, book]) => ({
+        key,
+        asin: book.asin || '',
+        title: book.title || '',
+        createdAt: book.createdAt || ''
+      }))
+      .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+  }
+
+  /**
+   * Extract ASIN from an Amazon URL
+   * @param {string} url - Amazon URL
+   * @returns {string|null} Upper-cased ASIN or null
+   */
+  static extractAsin(url) {
+    if (!url || typeof url !== 'string') return null;
+    const match = url.match(/\/(?:dp|gp\/product)\/([A-Z0-9]{10})/i);
+    return match ? match[1].toUpperCase() : null;
+  }
+}
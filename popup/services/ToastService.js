@@ -1,5 +1,9 @@
 /**
  * ToastService - Simple toast notifications
+ *
+ * Notes:
+ * - Title and message are set as text: messages can quote fetched page or
+ *   proxy content (extraction warnings, error messages), never markup.
  */
 export default class ToastService {
   constructor() {
@@ -15,23 +19,39 @@ export default class ToastService {
     }
   }
 
+  /**
+   * @param {string} message
+   * @param {string} type - success | error | warning | info
+   * @param {Object} options - { title, duration (0 = stay), closable, action: { label, onClick } }
+   */
   show(message, type = 'info', options = {}) {
     this.ensureContainer();
-    const { title = this.titleFor(type), duration = 4000, closable = true } = options;
+    const { title = this.titleFor(type), duration = 4000, closable = true, action = null } = options;
     const toast = document.createElement('div');
     toast.className = `toast toast-${type}`;
     toast.innerHTML = `
       <div class="toast-content">
         <div class="toast-icon">${this.iconFor(type)}</div>
         <div class="toast-body">
-          <div class="toast-title">${title}</div>
-          <div class="toast-message">${message}</div>
+          <div class="toast-title"></div>
+          <div class="toast-message"></div>
+          ${action ? '<button class="toast-action"></button>' : ''}
         </div>
         ${closable ? '<button class="toast-close" aria-label="Close">×</button>' : ''}
       </div>`;
+    toast.querySelector('.toast-title').textContent = title;
+    toast.querySelector('.toast-message').textContent = String(message ?? '');
     if (closable) {
       toast.querySelector('.toast-close')?.addEventListener('click', () => toast.remove());
     }
+    if (action) {
+      const button = toast.querySelector('.toast-action');
+      button.textContent = action.label;
+      button.addEventListener('click', () => {
+        toast.remove();
+        action.onClick?.();
+      });
+    }
     this.container.appendChild(toast);
     requestAnimationFrame(() => toast.classList.add('show'));
     if (duration > 0) setTimeout(() => toast.remove(), duration);
@@ -0,0 +1,131 @@
+/**
+ * BookDetailsView - Render book metadata into the collapsible details panel
+ * Notes: Pure rendering; values come from BookDataModel.getMetadata().
+ * Includes the star-rating distribution as horizontal bars.
+ * Editions list the sibling formats; after a combined fetch each one shows its count.
+ */
+
+import { formatPrice } from '../../shared/MarketplaceRegistry.js';
+
+const FORMAT_LABELS = {
+  kindle: 'Kindle版',
+  paperback: '紙の本',
+  hardcover: 'ハードカバー',
+  audible: 'Audible版',
+  other: 'その他'
+};
+
+const FIELDS = [
+  ['format', '形式', v => FORMAT_LABELS[v] || v],
+  ['kindleUnlimited', 'Kindle Unlimited', v => (v ? '読み放題対象' : '対象外'), v => typeof v === 'boolean'],
+  ['editions', 'エディション', formatEditions],
+  ['combined', '合算', formatCombined],
+  ['publisher', '出版社'],
+  ['publicationDate', '発売日'],
+  ['pageCount', 'ページ数', v => `${v}ページ`],
+  ['language', '言語'],
+  ['categories', 'カテゴリ', v => v.join(' > ')],
+  ['averageRating', '平均評価', v => `★${Number(v).toFixed(1)}`],
+  ['price', '価格', (v, m) => formatPrice(v, m.currency)],
+  ['bestSellersRank', '売れ筋ランキング', formatRanks],
+  ['isbn', 'ISBN'],
+  ['asin', 'ASIN']
+];
+
+/**
+ * Render metadata rows; rows without a value are omitted
+ * @param {Object} elements - Cached DOM elements (expects bookDetailsList, bookDetailsEmpty)
+ * @param {Object} metadata - Book metadata
+ */
+export function renderBookDetails(elements, metadata = {}) {
+  const list = elements?.bookDetailsList;
+  if (!list) return;
+
+  list.textContent = '';
+  let rows = 0;
+
+  FIELDS.forEach(([field, label, format, isPresent = hasValue]) => {
+    const value = metadata[field];
+    if (!isPresent(value)) return;
+
+    const dt = document.createElement('dt');
+    dt.textContent = label;
+    const dd = document.createElement('dd');
+    dd.textContent = format ? format(value, metadata) : String(value);
+    list.append(dt, dd);
+    rows++;
+  });
+
+  renderHistogram(elements.ratingHistogram, metadata.ratingHistogram);
+
+  // ASIN alone (manual entry) does not count as fetched details
+  const fetched = rows > (hasValue(metadata.asin) ? 1 : 0);
+  if (elements.bookDetailsEmpty) elements.bookDetailsEmpty.style.display = fetched ? 'none' : 'block';
+}
+
+/**
+ * Render 5★…1★ rows (label, bar, percent)
+ * @param {HTMLElement|null} container - Histogram container
+ * @param {Object|null} histogram - { 5: pct, ..., 1: pct }
+ */
+function renderHistogram(container, histogram) {
+  if (!container) return;
+  container.textContent = '';
+  container.style.display = histogram ? '' : 'none';
+  if (!histogram) return;
+
+  [5, 4, 3, 2, 1].forEach(star => {
+    const percent = Math.max(0, Math.min(100, Number(histogram[star]) || 0));
+    const row = document.createElement('div');
+    row.className = 'histogram-row';
+
+    const label = document.createElement('span');
+    label.className = 'histogram-label';
+    label.textContent = `★${star}`;
+
+    const bar = document.createElement('div');
+    bar.className = 'histogram-bar';
+    const fill = document.createElement('div');
+    fill.className = 'histogram-fill';
+    fill.style.width = `${percent}%`;
+    bar.appendChild(fill);
+
+    const value = document.createElement('span');
+    value.className = 'histogram-value';
+    value.textContent = `${percent}%`;
+
+    row.append(label, bar, value);
+    container.appendChild(row);
+  });
+}
+
+function formatRanks(bsr) {
+  return [bsr.overall, ...(bsr.categories || [])]
+    .filter(Boolean)
+    .map(r => `${r.category} ${r.rank.toLocaleString('ja-JP')}位`)
+    .join('\n');
+}
+
+function formatEditions(editions, metadata) {
+  const counts = new Map((metadata.combined?.editions || []).map(e => [e.asin, e]));
+  const poolSizes = new Map();
+  counts.forEach(e => { if (e.pool !== null) poolSizes.set(e.pool, (poolSizes.get(e.pool) || 0) + 1); });
+
+  return editions.map(edition => {
+    let line = `${edition.label || FORMAT_LABELS[edition.format] || edition.format} ${edition.asin}`;
+    if (edition.selected) line += '（表示中）';
+    const count = counts.get(edition.asin);
+    if (count?.error) line += ' 取得失敗';
+    else if (count) line += ` ${count.reviewCount ?? '-'}件${poolSizes.get(count.pool) > 1 ? '（共有）' : ''}`;
+    return line;
+  }).join('\n');
+}
+
+function formatCombined(combined) {
+  return `${combined.reviewCount.toLocaleString('ja-JP')}件（${combined.editions.length}エディション・共有レビューを除き${combined.pools}グループ）`;
+}
+
+function hasValue(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== null && value !== undefined && value !== '' && value !== 0;
+}
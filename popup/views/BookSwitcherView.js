@@ -0,0 +1,43 @@
+/**
+ * BookSwitcherView - Render the tracked-book selector for the popup
+ * Notes: Pure rendering; selection changes are handled by the controller.
+ */
+
+export const NEW_BOOK_OPTION = '__new__';
+
+/**
+ * Render library entries into the switcher <select>
+ * @param {Object} elements - Cached DOM elements (expects bookSelect)
+ * @param {Array<{key: string, title: string, asin: string}>} books - Tracked books
+ * @param {string|null} selectedKey - Key of the current book (null = unsaved new book)
+ */
+export function renderBookSwitcher(elements, books, selectedKey) {
+  const select = elements?.bookSelect;
+  if (!select) return;
+
+  select.textContent = '';
+
+  books.forEach((book) => {
+    const option = document.createElement('option');
+    option.value = book.key;
+    option.textContent = formatLabel(book);
+    select.appendChild(option);
+  });
+
+  // Unsaved entry placeholder (first run or after "add book")
+  if (!selectedKey) {
+    const option = document.createElement('option');
+    option.value = NEW_BOOK_OPTION;
+    option.textContent = '（新しい書籍）';
+    select.appendChild(option);
+  }
+
+  select.value = selectedKey || NEW_BOOK_OPTION;
+  select.disabled = books.length === 0 && !selectedKey;
+}
+
+function formatLabel(book) {
+  const title = book.title || 'タイトル未設定';
+  const short = title.length > 32 ? `${title.slice(0, 31)}…` : title;
+  return book.asin ? `${short} (${book.asin})` : short;
+}
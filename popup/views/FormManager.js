@@ -2,6 +2,13 @@
  * FormManager - Manage form data read/write for popup UI
  * Notes: Kept minimal and behavior-compatible with prior UIManager logic.
  */
+import {
+  DEFAULT_REVIEW_METRIC,
+  REVIEW_METRICS,
+  normalizeReviewMetric,
+  getReviewMetricLabels
+} from '../../shared/ReviewMetrics.js';
+
 export class FormManager {
   constructor(elements) {
     this.el = elements;
@@ -17,15 +24,27 @@ export class FormManager {
     const currentReviews = Number.isFinite(num(e.reviewCount)) ? Number(num(e.reviewCount)) : 0;
     const targetRaw = num(e.targetReviews);
     const targetReviews = Number.isFinite(targetRaw) && targetRaw > 0 ? Number(targetRaw) : null;
+    // Blank stays null; anything else goes to the validator as a number
+    const stretchReviews = val(e.stretchReviews) === '' ? null : num(e.stretchReviews);
+    const milestoneTiers = val(e.milestoneTiers).split(/[,、\s]+/).filter(Boolean).map(Number);
     return {
       title: val(e.title),
       author: val(e.author),
       imageUrl: val(e.imageUrl),
       amazonUrl: val(e.amazonUrl),
       currentReviews,
+      goalMetric: normalizeReviewMetric(e.goalMetric?.value),
       targetReviews,
+      stretchReviews,
+      milestoneTiers,
       associateTag: val(e.associateTag),
-      associateEnabled: !!(e.associateEnabled?.checked)
+      associateEnabled: !!(e.associateEnabled?.checked),
+      combineEditions: !!(e.combineEditions?.checked),
+      includeForecastInTweet: !!(e.includeForecastInTweet?.checked),
+      includeRankInShare: !!(e.includeRankInShare?.checked),
+      includeHistogramInImage: !!(e.includeHistogramInImage?.checked),
+      tweetTemplate: (e.tweetTemplate?.value || '').trim(),
+      imageCaptionTemplate: val(e.imageCaptionTemplate)
     };
   }
 
@@ -37,12 +56,50 @@ export class FormManager {
     set(e.author, data.author || '');
     set(e.imageUrl, data.imageUrl || '');
     set(e.reviewCount, (data.currentReviews ?? 0));
+    set(e.goalMetric, normalizeReviewMetric(data.goalMetric));
+    this.renderGoalMetric(data);
     set(e.targetReviews, data.targetReviews ?? '');
+    set(e.stretchReviews, data.stretchReviews ?? '');
+    set(e.milestoneTiers, Array.isArray(data.milestoneTiers) ? data.milestoneTiers.join(',') : '');
     set(e.associateTag, data.associateTag || '');
+    set(e.tweetTemplate, data.tweetTemplate || '');
+    set(e.imageCaptionTemplate, data.imageCaptionTemplate || '');
     if (e.associateEnabled) {
       const enabled = (data.associateEnabled !== undefined) ? !!data.associateEnabled : true;
       e.associateEnabled.checked = enabled;
     }
+    if (e.combineEditions) {
+      e.combineEditions.checked = !!data.combineEditions;
+    }
+    if (e.includeForecastInTweet) {
+      e.includeForecastInTweet.checked = !!data.includeForecastInTweet;
+    }
+    if (e.includeRankInShare) {
+      e.includeRankInShare.checked = !!data.includeRankInShare;
+    }
+    if (e.includeHistogramInImage) {
+      e.includeHistogramInImage.checked = !!data.includeHistogramInImage;
+    }
+  }
+
+  /**
+   * Label the count fields with the goal metric and show both fetched counts
+   * @param {Object} data - Book data (goalMetric, ratingsCount, writtenReviewCount)
+   */
+  renderGoalMetric(data) {
+    const e = this.el;
+    const { label } = getReviewMetricLabels(data.goalMetric);
+    if (e.reviewCountLabel) e.reviewCountLabel.textContent = `現在の${label}`;
+    if (e.targetReviewsLabel) e.targetReviewsLabel.textContent = `目標${label}`;
+    if (!e.reviewCountsHint) return;
+
+    const counts = [
+      [REVIEW_METRICS.ratings.label, data.ratingsCount],
+      [REVIEW_METRICS.reviews.label, data.writtenReviewCount]
+    ].filter(([, count]) => Number.isFinite(count));
+    e.reviewCountsHint.textContent = counts.length > 0
+      ? `取得値: ${counts.map(([name, count]) => `${name} ${count.toLocaleString('ja-JP')}件`).join(' ／ ')}`
+      : 'Amazonから取得すると評価数とレビュー数を個別に表示します。';
   }
 
   clearForm() {
@@ -52,9 +109,18 @@ export class FormManager {
       author: '',
       imageUrl: '',
       currentReviews: 0,
+      goalMetric: DEFAULT_REVIEW_METRIC,
       targetReviews: null,
+      stretchReviews: null,
+      milestoneTiers: [],
       associateTag: '',
-      associateEnabled: true
+      associateEnabled: true,
+      combineEditions: false,
+      includeForecastInTweet: false,
+      includeRankInShare: false,
+      includeHistogramInImage: false,
+      tweetTemplate: '',
+      imageCaptionTemplate: ''
     });
   }
 }
@@ -7,7 +7,7 @@ export class LoadingManager {
   }
 
   setLoading(loading, message = 'Loading...') {
-    const names = ['amazonUrl','title','author','imageUrl','reviewCount','targetReviews','associateTag','associateEnabled'];
+    const names = ['amazonUrl','title','author','imageUrl','reviewCount','goalMetric','targetReviews','stretchReviews','milestoneTiers','associateTag','associateEnabled','combineEditions','includeForecastInTweet','includeRankInShare','includeHistogramInImage','tweetTemplate','imageCaptionTemplate'];
     names.forEach(n => { if (this.el[n]) this.el[n].disabled = !!loading; });
     if (loading) this.showLoadingIndicator(message); else this.hideLoadingIndicator();
   }
@@ -0,0 +1,435 @@
+/**
+ * ProgressChartView - Canvas chart of review history for the popup
+ *
+ * Responsibilities:
+ * - Draw review count over time, target line and rating trend on a <canvas>
+ * - Alternatively draw the best-seller rank (log scale, #1 at the top)
+ * - Show hover tooltips for the nearest sample
+ * - Reflect the selected range (7d / 30d / 90d / all) and metric in the buttons
+ *
+ * Notes:
+ * - Plain Canvas 2D API only (extension CSP is `script-src 'self'`).
+ * - The view only renders; loading samples is the controller's job.
+ */
+
+export const CHART_RANGES = {
+  '7d': 7,
+  '30d': 30,
+  '90d': 90,
+  all: null
+};
+
+export const CHART_METRICS = {
+  count: 'レビュー数',
+  rank: '売れ筋順位'
+};
+
+const COLORS = {
+  count: '#3b82f6',
+  rank: '#8b5cf6',
+  countFill: 'rgba(59, 130, 246, 0.12)',
+  target: '#ef4444',
+  rating: '#f59e0b',
+  grid: 'rgba(148, 163, 184, 0.25)',
+  axis: '#718096'
+};
+
+const PADDING = { top: 14, right: 34, bottom: 24, left: 40 };
+
+export class ProgressChartView {
+  constructor(elements) {
+    this.el = elements;
+    this.points = [];
+    this.state = { samples: [], target: null, range: '30d', metric: 'count', countNoun: 'レビュー' };
+
+    this.setupHover();
+  }
+
+  // ============================================================================
+  // PUBLIC API
+  // ============================================================================
+
+  /**
+   * Render samples into the chart
+   * @param {Array<{timestamp: number, count: number, rating: number|null, rank: number|null, source: string}>} samples
+   * @param {Object} options - { target: number|null, range: string, metric: 'count' | 'rank', countNoun?: string }
+   */
+  render(samples, options = {}) {
+    const metric = (options.metric in CHART_METRICS) ? options.metric : this.state.metric;
+    const all = Array.isArray(samples) ? samples : [];
+    this.state = {
+      // Each mode only plots samples that carry its value (older samples lack written review counts)
+      samples: metric === 'rank' ? all.filter(s => Number(s.rank) > 0) : all.filter(s => Number.isFinite(s.count)),
+      target: Number(options.target) > 0 ? Number(options.target) : null,
+      range: options.range || this.state.range,
+      metric,
+      countNoun: options.countNoun || this.state.countNoun
+    };
+
+    this.updateRangeButtons();
+    if (this.el.historyCard) this.el.historyCard.dataset.metric = metric;
+    this.hideTooltip();
+
+    const { historyChart, historyEmpty } = this.el;
+    if (!historyChart) return;
+
+    const hasData = this.state.samples.length > 0;
+    historyChart.style.display = hasData ? 'block' : 'none';
+    if (historyEmpty) historyEmpty.style.display = hasData ? 'none' : 'block';
+    if (!hasData) {
+      this.points = [];
+      return;
+    }
+
+    this.draw();
+  }
+
+  /**
+   * Hide the whole chart card (e.g. book without ASIN)
+   * @param {boolean} visible - Whether the card is shown
+   */
+  setVisible(visible) {
+    if (this.el.historyCard) {
+      this.el.historyCard.style.display = visible ? '' : 'none';
+    }
+  }
+
+  // ============================================================================
+  // DRAWING
+  // ============================================================================
+
+  /**
+   * @private
+   */
+  draw(hoverIndex = null) {
+    const canvas = this.el.historyChart;
+    const ctx = canvas.getContext('2d');
+    const dpr = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth || 360;
+    const height = canvas.clientHeight || 180;
+
+    if (canvas.width !== Math.round(width * dpr) || canvas.height !== Math.round(height * dpr)) {
+      canvas.width = Math.round(width * dpr);
+      canvas.height = Math.round(height * dpr);
+    }
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const { samples, target, metric } = this.state;
+    const plot = {
+      x: PADDING.left,
+      y: PADDING.top,
+      w: width - PADDING.left - PADDING.right,
+      h: height - PADDING.top - PADDING.bottom
+    };
+
+    const scales = this.computeScales(samples, target, plot);
+    this.points = samples.map(s => ({ sample: s, x: scales.x(s.timestamp), y: scales.y(this.getValue(s)) }));
+
+    this.drawGrid(ctx, plot, scales);
+    if (metric === 'count') {
+      if (target) this.drawTargetLine(ctx, plot, scales, target);
+      this.drawRatingLine(ctx, samples, scales);
+    }
+    this.drawCountSeries(ctx, plot);
+    if (hoverIndex !== null) this.drawHover(ctx, plot, hoverIndex);
+  }
+
+  /**
+   * @private
+   */
+  computeScales(samples, target, plot) {
+    const times = samples.map(s => s.timestamp);
+
+    let tMin = Math.min(...times);
+    let tMax = Math.max(...times);
+    const days = CHART_RANGES[this.state.range];
+    if (days) {
+      tMax = Math.max(tMax, Date.now());
+      tMin = Math.min(tMin, tMax - days * 86400000);
+    }
+    if (tMax === tMin) {
+      tMin -= 43200000;
+      tMax += 43200000;
+    }
+
+    const x = (t) => plot.x + ((t - tMin) / (tMax - tMin)) * plot.w;
+    const ratingY = (r) => plot.y + plot.h - ((r - 1) / 4) * plot.h;
+
+    if (this.state.metric === 'rank') {
+      // Log scale, best rank at the top
+      const ranks = samples.map(s => s.rank);
+      const lMin = Math.log10(Math.max(1, Math.min(...ranks) / 1.5));
+      const lMax = Math.log10(Math.max(...ranks) * 1.5);
+      return {
+        tMin, tMax, x, ratingY,
+        cMin: 10 ** lMin,
+        cMax: 10 ** lMax,
+        y: (c) => plot.y + ((Math.log10(c) - lMin) / (lMax - lMin)) * plot.h,
+        valueAt: (f) => 10 ** (lMax - (lMax - lMin) * f)
+      };
+    }
+
+    const counts = samples.map(s => s.count);
+    let cMin = Math.min(...counts);
+    let cMax = Math.max(...counts, target || 0);
+    // Keep the target visible only when it is near the data
+    if (target && target > cMax * 3) cMax = Math.max(...counts);
+    const margin = Math.max(1, Math.round((cMax - cMin) * 0.1));
+    cMin = Math.max(0, cMin - margin);
+    cMax = cMax + margin;
+
+    return {
+      tMin, tMax, cMin, cMax, x, ratingY,
+      y: (c) => plot.y + plot.h - ((c - cMin) / (cMax - cMin)) * plot.h,
+      valueAt: (f) => cMin + (cMax - cMin) * f
+    };
+  }
+
+  /**
+   * Plotted value of a sample for the current metric
+   * @private
+   */
+  getValue(sample) {
+    return this.state.metric === 'rank' ? sample.rank : sample.count;
+  }
+
+  /**
+   * @private
+   */
+  drawGrid(ctx, plot, scales) {
+    ctx.font = '10px sans-serif';
+    ctx.fillStyle = COLORS.axis;
+    ctx.strokeStyle = COLORS.grid;
+    ctx.lineWidth = 1;
+
+    // Horizontal grid + count labels (left axis)
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    const steps = 4;
+    const isRank = this.state.metric === 'rank';
+    for (let i = 0; i <= steps; i++) {
+      const value = scales.valueAt(i / steps);
+      const y = scales.y(value);
+      ctx.beginPath();
+      ctx.moveTo(plot.x, y);
+      ctx.lineTo(plot.x + plot.w, y);
+      ctx.stroke();
+      ctx.fillText(isRank ? this.formatRank(value) : String(Math.round(value)), plot.x - 6, y);
+    }
+
+    // Rating labels (right axis, 1-5)
+    if (!isRank) {
+      ctx.textAlign = 'left';
+      ctx.fillStyle = COLORS.rating;
+      [1, 3, 5].forEach(r => ctx.fillText(`★${r}`, plot.x + plot.w + 4, scales.ratingY(r)));
+    }
+
+    // Date labels (start / end)
+    ctx.fillStyle = COLORS.axis;
+    ctx.textBaseline = 'top';
+    ctx.textAlign = 'left';
+    ctx.fillText(this.formatDate(scales.tMin), plot.x, plot.y + plot.h + 6);
+    ctx.textAlign = 'right';
+    ctx.fillText(this.formatDate(scales.tMax), plot.x + plot.w, plot.y + plot.h + 6);
+  }
+
+  /**
+   * @private
+   */
+  drawTargetLine(ctx, plot, scales, target) {
+    if (target < scales.cMin || target > scales.cMax) return;
+    const y = scales.y(target);
+    ctx.save();
+    ctx.strokeStyle = COLORS.target;
+    ctx.setLineDash([5, 4]);
+    ctx.beginPath();
+    ctx.moveTo(plot.x, y);
+    ctx.lineTo(plot.x + plot.w, y);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.fillStyle = COLORS.target;
+    ctx.font = '10px sans-serif';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(`目標 ${target}`, plot.x + 4, y - 2);
+    ctx.restore();
+  }
+
+  /**
+   * @private
+   */
+  drawRatingLine(ctx, samples, scales) {
+    const rated = samples.filter(s => typeof s.rating === 'number');
+    if (rated.length < 2) return;
+    ctx.save();
+    ctx.strokeStyle = COLORS.rating;
+    ctx.lineWidth = 1.5;
+    ctx.setLineDash([2, 3]);
+    ctx.beginPath();
+    rated.forEach((s, i) => {
+      const x = scales.x(s.timestamp);
+      const y = scales.ratingY(Math.min(5, Math.max(1, s.rating)));
+      if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+    });
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  /**
+   * @private
+   */
+  drawCountSeries(ctx, plot) {
+    const pts = this.points;
+    const color = this.state.metric === 'rank' ? COLORS.rank : COLORS.count;
+    ctx.save();
+
+    // Area fill under the step line (counts only; a rank area has no meaning)
+    if (this.state.metric === 'count') {
+      ctx.fillStyle = COLORS.countFill;
+      ctx.beginPath();
+      ctx.moveTo(pts[0].x, plot.y + plot.h);
+      pts.forEach((p, i) => {
+        if (i > 0) ctx.lineTo(p.x, pts[i - 1].y);
+        ctx.lineTo(p.x, p.y);
+      });
+      ctx.lineTo(pts[pts.length - 1].x, plot.y + plot.h);
+      ctx.closePath();
+      ctx.fill();
+    }
+
+    // Step line: values hold until the next sample
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    pts.forEach((p, i) => {
+      if (i === 0) ctx.moveTo(p.x, p.y);
+      else {
+        ctx.lineTo(p.x, pts[i - 1].y);
+        ctx.lineTo(p.x, p.y);
+      }
+    });
+    ctx.stroke();
+
+    ctx.fillStyle = color;
+    pts.forEach(p => {
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, 2.5, 0, Math.PI * 2);
+      ctx.fill();
+    });
+    ctx.restore();
+  }
+
+  /**
+   * @private
+   */
+  drawHover(ctx, plot, index) {
+    const p = this.points[index];
+    if (!p) return;
+    ctx.save();
+    ctx.strokeStyle = 'rgba(26, 32, 44, 0.3)';
+    ctx.beginPath();
+    ctx.moveTo(p.x, plot.y);
+    ctx.lineTo(p.x, plot.y + plot.h);
+    ctx.stroke();
+    ctx.fillStyle = '#fff';
+    ctx.strokeStyle = this.state.metric === 'rank' ? COLORS.rank : COLORS.count;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(p.x, p.y, 4.5, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  // ============================================================================
+  // INTERACTION
+  // ============================================================================
+
+  /**
+   * @private
+   */
+  setupHover() {
+    const canvas = this.el.historyChart;
+    if (!canvas) return;
+
+    canvas.addEventListener('mousemove', (e) => {
+      if (this.points.length === 0) return;
+      const rect = canvas.getBoundingClientRect();
+      const x = e.clientX - rect.left;
+
+      let nearest = 0;
+      this.points.forEach((p, i) => {
+        if (Math.abs(p.x - x) < Math.abs(this.points[nearest].x - x)) nearest = i;
+      });
+
+      this.draw(nearest);
+      this.showTooltip(this.points[nearest]);
+    });
+
+    canvas.addEventListener('mouseleave', () => {
+      if (this.points.length === 0) return;
+      this.draw();
+      this.hideTooltip();
+    });
+  }
+
+  /**
+   * @private
+   */
+  showTooltip(point) {
+    const tip = this.el.historyTooltip;
+    if (!tip || !point) return;
+    const { sample } = point;
+
+    const lines = [
+      new Date(sample.timestamp).toLocaleString('ja-JP', { year: 'numeric', month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' }),
+      ...(Number.isFinite(sample.count) ? [`${this.state.countNoun}: ${sample.count}件`] : [])
+    ];
+    if (typeof sample.rating === 'number') lines.push(`評価: ★${sample.rating.toFixed(1)}`);
+    if (sample.rank) lines.push(`売れ筋順位: ${this.formatRank(sample.rank)}`);
+    (sample.categoryRanks || []).forEach(r => lines.push(`  ${r.category}: ${this.formatRank(r.rank)}`));
+    if (sample.source) lines.push(`取得元: ${sample.source === 'manual' ? '手動入力' : sample.source}`);
+    tip.textContent = lines.join('\n');
+
+    tip.style.display = 'block';
+    const canvasWidth = this.el.historyChart.clientWidth;
+    const left = Math.min(Math.max(point.x - tip.offsetWidth / 2, 0), canvasWidth - tip.offsetWidth);
+    tip.style.left = `${left}px`;
+    tip.style.top = `${Math.max(point.y - tip.offsetHeight - 10, 0)}px`;
+  }
+
+  /**
+   * @private
+   */
+  hideTooltip() {
+    if (this.el.historyTooltip) this.el.historyTooltip.style.display = 'none';
+  }
+
+  /**
+   * @private
+   */
+  updateRangeButtons() {
+    (this.el.historyRangeButtons || []).forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.range === this.state.range);
+    });
+    (this.el.historyMetricButtons || []).forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.metric === this.state.metric);
+    });
+  }
+
+  /**
+   * @private
+   */
+  formatRank(rank) {
+    return `${Math.round(rank).toLocaleString('ja-JP')}位`;
+  }
+
+  /**
+   * @private
+   */
+  formatDate(t) {
+    const d = new Date(t);
+    return `${d.getMonth() + 1}/${d.getDate()}`;
+  }
+}
@@ -8,7 +8,13 @@ export function updateProgressDisplay(elements, progressData) {
     targetReviews,
     progressPercentage,
     remainingReviews,
-    isGoalAchieved
+    isGoalAchieved,
+    tiers,
+    nextTier,
+    remainingToNextTier,
+    barMax,
+    metricNoun,
+    forecast
   } = progressData || {};
 
   // Create or update progress section
@@ -23,7 +29,13 @@ export function updateProgressDisplay(elements, progressData) {
       targetReviews,
       progressPercentage,
       remainingReviews,
-      isGoalAchieved
+      isGoalAchieved,
+      tiers,
+      nextTier,
+      remainingToNextTier,
+      barMax,
+      metricNoun,
+      forecast
     });
   } else if (progressSection && !targetReviews) {
     // Remove progress section if no target set
@@ -58,7 +70,13 @@ function updateProgressContent(progressSection, data) {
     targetReviews,
     progressPercentage,
     remainingReviews,
-    isGoalAchieved
+    isGoalAchieved,
+    tiers,
+    nextTier,
+    remainingToNextTier,
+    barMax,
+    metricNoun = 'レビュー',
+    forecast
   } = data;
 
   // Enhanced progress styling for different achievement levels
@@ -97,23 +115,91 @@ function updateProgressContent(progressSection, data) {
     progressBarStyle = `background: ${statusColor};`;
   }
 
+  // Tiers beyond the goal: point at the next one
+  if (nextTier && percentage >= 100) {
+    statusText = `${statusText} 次の目標まであと${remainingToNextTier}件`;
+  } else if (nextTier && nextTier.reviews < targetReviews) {
+    statusText = `${statusText}（次の目標まで${remainingToNextTier}件）`;
+  }
+
   // Show accurate percentage in text (can exceed 100%)
   const pctText = (typeof progressPercentage === 'number' && progressPercentage >= 0)
     ? `${progressPercentage}%` : '0%';
 
-  // Cap visual progress bar at 100% but show full percentage in text
-  const visualProgress = Math.min(Math.max(percentage, 0), 100);
+  // Cap visual progress bar at 100% but show full percentage in text.
+  // With a stretch goal the bar spans up to the highest tier instead.
+  const scaleMax = barMax && barMax > targetReviews ? barMax : targetReviews;
+  const visualProgress = scaleMax === targetReviews
+    ? Math.min(Math.max(percentage, 0), 100)
+    : Math.min(Math.max(((currentReviews || 0) / scaleMax) * 100, 0), 100);
 
   progressSection.innerHTML = `
     <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">
       <span style="font-weight: 500; color: #2c3e50;">進捗状況</span>
       <span style="color: ${statusColor}; font-weight: 500;">${statusEmoji} ${statusText}</span>
     </div>
-    <div style="background: #ecf0f1; border-radius: 10px; height: 10px; overflow: hidden; margin-bottom: 8px;">
-      <div style="${progressBarStyle} height: 100%; width: ${visualProgress}%; border-radius: 10px;"></div>
+    <div style="position: relative; margin-bottom: 8px;">
+      <div style="background: #ecf0f1; border-radius: 10px; height: 10px; overflow: hidden;">
+        <div style="${progressBarStyle} height: 100%; width: ${visualProgress}%; border-radius: 10px;"></div>
+      </div>
+      ${renderTierMarkers(tiers, scaleMax)}
     </div>
     <div style="font-size: 12px; color: #7f8c8d; ${percentage > 100 ? 'font-weight: 500;' : ''}">
-      ${currentReviews || 0} / ${targetReviews || 0} レビュー (${pctText})
+      ${currentReviews || 0} / ${targetReviews || 0} ${metricNoun} (${pctText})
+    </div>
+    ${renderForecast(forecast)}
+  `;
+}
+
+function renderTierMarkers(tiers, scaleMax) {
+  // Only worth drawing when there is more than the goal itself
+  if (!Array.isArray(tiers) || tiers.length < 2 || !scaleMax) return '';
+
+  const markers = tiers
+    .filter(tier => tier.reviews <= scaleMax)
+    .map(tier => {
+      const left = (tier.reviews / scaleMax) * 100;
+      const atEnd = tier.reviews === scaleMax;
+      const color = tier.achieved ? '#27ae60' : '#95a5a6';
+      return `
+        <div title="${tier.label}: ${tier.reviews}件" style="position: absolute; left: ${left}%; top: -2px; width: 2px; height: 14px; background: ${color}; transform: translateX(${atEnd ? '-2px' : '-1px'});"></div>
+        <div style="position: absolute; left: ${left}%; top: 13px; transform: translateX(${atEnd ? '-100%' : '-50%'}); font-size: 10px; color: ${color}; white-space: nowrap;">${tier.reviews}</div>
+      `;
+    })
+    .join('');
+
+  return `${markers}<div style="height: 12px;"></div>`;
+}
+
+function renderForecast(forecast) {
+  if (!forecast) return '';
+
+  let text;
+  if (forecast.hasForecast) {
+    const { earliest, latest } = forecast.etaRange || {};
+    const range = earliest && latest && formatShortDate(earliest) !== formatShortDate(latest)
+      ? `（${formatShortDate(earliest)}〜${formatShortDate(latest)}）` : '';
+    text = `📅 このペースなら${formatShortDate(forecast.etaTimestamp)}ごろ達成見込み${range}<br>`
+      + `<span style="color: #95a5a6;">1日あたり約${forecast.ratePerDay}件のペース</span>`;
+  } else if (forecast.reason === 'insufficient-data') {
+    text = '📅 達成予測には1日以上のレビュー履歴が必要です';
+  } else if (forecast.reason === 'no-growth') {
+    text = '📅 最近レビューが増えていないため達成日を予測できません';
+  } else if (forecast.reason === 'too-slow') {
+    text = '📅 現在のペースでは達成まで10年以上かかる見込みです';
+  } else {
+    return '';
+  }
+
+  return `
+    <div id="progress-forecast" style="font-size: 12px; color: #5d6d7e; margin-top: 6px; line-height: 1.5;">
+      ${text}
     </div>
   `;
 }
+
+function formatShortDate(timestamp) {
+  const d = new Date(timestamp);
+  const year = d.getFullYear() !== new Date().getFullYear() ? `${d.getFullYear()}/` : '';
+  return `${year}${d.getMonth() + 1}/${d.getDate()}`;
+}
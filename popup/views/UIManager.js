@@ -25,6 +25,10 @@ import { ValidationManager } from './ValidationManager.js';
 import { LoadingManager } from './LoadingManager.js';
 import { UIStateManager } from './UIStateManager.js';
 import { updateProgressDisplay as renderProgress } from './ProgressView.js';
+import { renderBookSwitcher } from './BookSwitcherView.js';
+import { ProgressChartView } from './ProgressChartView.js';
+import { renderBookDetails } from './BookDetailsView.js';
+import { TEMPLATE_VARIABLES } from '../../shared/goals/BookTextGenerator.js';
 
 export default class UIManager {
   constructor(toastService) {
@@ -38,6 +42,7 @@ export default class UIManager {
     this.validationManager = null;
     this.loadingManager = null;
     this.uiStateManager = null;
+    this.chartView = null;
     
     // Initialize after DOM is ready
     this.init();
@@ -73,6 +78,7 @@ export default class UIManager {
     this.validationManager = new ValidationManager(this.elements, this.toastService);
     this.loadingManager = new LoadingManager(this.elements);
     this.uiStateManager = new UIStateManager(this.elements, this.toastService);
+    this.chartView = new ProgressChartView(this.elements);
     
     // Setup additional functionality
     this.uiStateManager.setupKeyboardShortcuts();
@@ -88,15 +94,42 @@ export default class UIManager {
    * @private
    */
   cacheElements() {
+    // Library switcher
+    this.elements.bookSelect = document.getElementById('bookSelect');
+    this.elements.addBookBtn = document.getElementById('addBookBtn');
+
     // Form elements
     this.elements.amazonUrl = document.getElementById('amazonUrl');
     this.elements.title = document.getElementById('title');
     this.elements.author = document.getElementById('author');
     this.elements.imageUrl = document.getElementById('imageUrl');
     this.elements.reviewCount = document.getElementById('reviewCount');
+    this.elements.reviewCountLabel = document.getElementById('reviewCountLabel');
+    this.elements.reviewCountsHint = document.getElementById('reviewCountsHint');
+    this.elements.goalMetric = document.getElementById('goalMetric');
+    this.elements.targetReviewsLabel = document.getElementById('targetReviewsLabel');
     this.elements.targetReviews = document.getElementById('targetReviews');
+    this.elements.stretchReviews = document.getElementById('stretchReviews');
+    this.elements.milestoneTiers = document.getElementById('milestoneTiers');
     this.elements.associateTag = document.getElementById('associateTag');
     this.elements.associateEnabled = document.getElementById('associateEnabled');
+    this.elements.combineEditions = document.getElementById('combineEditions');
+    this.elements.includeForecastInTweet = document.getElementById('includeForecastInTweet');
+    this.elements.includeRankInShare = document.getElementById('includeRankInShare');
+    this.elements.includeHistogramInImage = document.getElementById('includeHistogramInImage');
+    this.elements.tweetTemplate = document.getElementById('tweetTemplate');
+    this.elements.imageCaptionTemplate = document.getElementById('imageCaptionTemplate');
+    this.elements.templateVariablesHelp = document.getElementById('templateVariablesHelp');
+
+    // Scheduled refresh settings
+    this.elements.refreshInterval = document.getElementById('refreshInterval');
+    this.elements.refreshEnabled = document.getElementById('refreshEnabled');
+    this.elements.refreshStatus = document.getElementById('refreshStatus');
+
+    // Milestone notification settings
+    this.elements.milestoneStep = document.getElementById('milestoneStep');
+    this.elements.milestonePercents = document.getElementById('milestonePercents');
+    this.elements.milestoneEnabled = document.getElementById('milestoneEnabled');
     
     // Buttons
     this.elements.fetchAmazonBtn = document.getElementById('fetchAmazonBtn');
@@ -105,6 +138,19 @@ export default class UIManager {
     this.elements.exportBtn = document.getElementById('exportBtn');
     this.elements.clearBtn = document.getElementById('clearBtn');
     
+    // Review history chart
+    this.elements.historyCard = document.getElementById('historyCard');
+    this.elements.historyChart = document.getElementById('historyChart');
+    this.elements.historyTooltip = document.getElementById('historyTooltip');
+    this.elements.historyEmpty = document.getElementById('historyEmpty');
+    this.elements.historyRangeButtons = Array.from(document.querySelectorAll('.chart-range-btn'));
+    this.elements.historyMetricButtons = Array.from(document.querySelectorAll('.chart-metric-btn'));
+
+    // Book details panel
+    this.elements.bookDetailsList = document.getElementById('bookDetailsList');
+    this.elements.bookDetailsEmpty = document.getElementById('bookDetailsEmpty');
+    this.elements.ratingHistogram = document.getElementById('ratingHistogram');
+
     // Containers
     this.elements.toastContainer = document.getElementById('toast-container');
     this.elements.mainContainer = document.querySelector('.main-container');
@@ -124,6 +170,13 @@ export default class UIManager {
    * @private
    */
   setupEventListeners() {
+    // Hover help listing the template variables
+    if (this.elements.templateVariablesHelp) {
+      this.elements.templateVariablesHelp.title = Object.entries(TEMPLATE_VARIABLES)
+        .map(([name, label]) => `{${name}} ${label}`)
+        .join('\n');
+    }
+
     // Basic event listeners are now handled by specialized managers
     console.log('UIManager: Basic event listeners delegated to specialized managers');
   }
@@ -146,6 +199,7 @@ export default class UIManager {
    */
   setFormData(data) {
     this.formManager.setFormData(data);
+    renderBookDetails(this.elements, data);
     
     // Clear any existing validation errors
     this.validationManager.clearValidationErrors();
@@ -161,6 +215,7 @@ export default class UIManager {
    */
   clearForm() {
     this.formManager.clearForm();
+    renderBookDetails(this.elements, {});
     this.validationManager.clearValidationErrors();
     this.uiStateManager.setDirty(false);
     console.log('UIManager: Form cleared via FormManager');
@@ -262,6 +317,97 @@ export default class UIManager {
     renderProgress(this.elements, progressData);
   }
 
+  /**
+   * Render tracked-book switcher (delegated to BookSwitcherView)
+   * @param {Array} books - Library entries
+   * @param {string|null} selectedKey - Current library key
+   */
+  renderBookSwitcher(books, selectedKey) {
+    renderBookSwitcher(this.elements, books, selectedKey);
+  }
+
+  /**
+   * Render review history chart (delegated to ProgressChartView)
+   * @param {Array} samples - History samples (oldest first)
+   * @param {Object} options - { target, range }
+   */
+  renderHistoryChart(samples, options = {}) {
+    this.chartView?.setVisible(true);
+    this.chartView?.render(samples, options);
+  }
+
+  /**
+   * Hide the history chart (book without history key)
+   */
+  hideHistoryChart() {
+    this.chartView?.setVisible(false);
+  }
+
+  /**
+   * Read scheduled refresh settings from the form
+   * @returns {{enabled: boolean, intervalHours: number}}
+   */
+  getRefreshSettings() {
+    return {
+      enabled: !!this.elements.refreshEnabled?.checked,
+      intervalHours: Number(this.elements.refreshInterval?.value) || 12
+    };
+  }
+
+  /**
+   * Populate scheduled refresh settings and status line
+   * @param {Object} status - { enabled, intervalHours, nextRunAt, lastRunAt }
+   */
+  setRefreshSettings(status) {
+    const { refreshEnabled, refreshInterval, refreshStatus } = this.elements;
+    if (refreshEnabled) refreshEnabled.checked = !!status.enabled;
+    if (refreshInterval) {
+      refreshInterval.value = String(status.intervalHours);
+      refreshInterval.disabled = !status.enabled;
+    }
+    if (refreshStatus) {
+      const fmt = (t) => new Date(t).toLocaleString('ja-JP', { month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+      const parts = [];
+      if (status.lastRunAt) parts.push(`前回: ${fmt(status.lastRunAt)}`);
+      parts.push(status.enabled && status.nextRunAt ? `次回: ${fmt(status.nextRunAt)}` : '一時停止中');
+      refreshStatus.textContent = `追跡中の全書籍をバックグラウンドで定期取得（${parts.join(' / ')}）`;
+    }
+  }
+
+  /**
+   * Read milestone notification settings from the form
+   * @returns {{enabled: boolean, step: number, percents: number[]}}
+   */
+  getMilestoneSettings() {
+    const { milestoneEnabled, milestoneStep, milestonePercents } = this.elements;
+    const step = Number(milestoneStep?.value);
+    return {
+      enabled: !!milestoneEnabled?.checked,
+      step: Number.isInteger(step) && step >= 0 ? step : 0,
+      percents: (milestonePercents?.value || '')
+        .split(/[,、\s]+/)
+        .map(v => Number(v.replace('%', '')))
+        .filter(v => Number.isFinite(v) && v > 0 && v < 100)
+    };
+  }
+
+  /**
+   * Populate milestone notification settings
+   * @param {Object} settings - { enabled, step, percents }
+   */
+  setMilestoneSettings(settings) {
+    const { milestoneEnabled, milestoneStep, milestonePercents } = this.elements;
+    if (milestoneEnabled) milestoneEnabled.checked = !!settings.enabled;
+    if (milestoneStep) {
+      milestoneStep.value = settings.step ? String(settings.step) : '0';
+      milestoneStep.disabled = !settings.enabled;
+    }
+    if (milestonePercents) {
+      milestonePercents.value = (settings.percents || []).join(',');
+      milestonePercents.disabled = !settings.enabled;
+    }
+  }
+
   /**
    * Handle form change (delegated to UIStateManager)
    */
@@ -177,7 +177,8 @@ export class UIStateManager {
       targetReviews,
       progressPercentage,
       remainingReviews,
-      isGoalAchieved
+      isGoalAchieved,
+      metricNoun = 'レビュー'
     } = progressData;
     
     const statusEmoji = isGoalAchieved ? '🎉' : '📈';
@@ -193,7 +194,7 @@ export class UIStateManager {
         <div style="background: ${statusColor}; height: 100%; width: ${progressPercentage}%; transition: width 0.3s ease;"></div>
       </div>
       <div style="font-size: 12px; color: #7f8c8d;">
-        ${currentReviews} / ${targetReviews} レビュー (${progressPercentage.toFixed(1)}%)
+        ${currentReviews} / ${targetReviews} ${metricNoun} (${progressPercentage.toFixed(1)}%)
       </div>
     `;
   }
@@ -308,7 +309,9 @@ export class UIStateManager {
   setupFormChangeListeners() {
     const formElements = [
       'amazonUrl', 'title', 'author', 'imageUrl',
-      'reviewCount', 'targetReviews', 'associateTag', 'associateEnabled'
+      'reviewCount', 'goalMetric', 'targetReviews', 'stretchReviews', 'milestoneTiers',
+      'associateTag', 'associateEnabled', 'combineEditions',
+      'includeForecastInTweet', 'includeRankInShare', 'includeHistogramInImage', 'tweetTemplate', 'imageCaptionTemplate'
     ];
     
     formElements.forEach(elementName => {
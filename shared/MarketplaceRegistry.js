@@ -0,0 +1,442 @@
+/**
+ * Marketplace Registry - the Amazon stores the extension supports
+ *
+ * Responsibilities:
+ * - List every supported amazon.* domain with its currency, number format,
+ *   Accept-Language header and page languages
+ * - Build URL validation patterns and the manifest host permissions from that list
+ * - Parse counts / prices the way each store writes them ("1,234" / "1.234" / "1 234")
+ * - Provide localized keyword patterns for the parsers (rating / review counts,
+ *   average rating, histogram, Best Sellers Rank, edition formats)
+ *
+ * Notes:
+ * - Shared by the service worker, the popup and the tests; no chrome.* or DOM access here.
+ * - manifest.json is static: tests/marketplaces check that its host_permissions
+ *   match hostPermissions(). Add a store here first, then run the tests.
+ * - Unknown or missing URLs get the Japanese + English keywords and "1,234"
+ *   numbers (the behaviour before the registry existed).
+ */
+
+// ============================================================================
+// LANGUAGES
+// ============================================================================
+
+/**
+ * Keyword fragments per page language (regex source; {n} = a number, {r} = a star rating)
+ * ratings / reviews: labels after a count (star ratings vs written reviews)
+ * ratingWord / reviewWord: stems telling the two apart inside one label
+ * context: words near a count for the keyword guess
+ * rankLines: one Best Sellers Rank line, with named groups rank / category
+ */
+const LANGUAGES = {
+  ja: {
+    ratings: ['個の評価', '件の評価', '件のグローバル評価'],
+    reviews: ['件のグローバルレビュー', '件のカスタマーレビュー', '件のレビュー'],
+    ratingWord: '評価',
+    reviewWord: 'レビュー',
+    context: ['レビュー', '評価'],
+    averageRating: ['5つ星のうち\\s*({r})'],
+    stars: ['つ'],
+    percent: [],
+    bestSellersRank: ['Amazon\\s*売れ筋ランキング'],
+    seeTop: ['売れ筋ランキングを見る'],
+    rankLines: [
+      '^(?<category>.+?)\\s*[-–]\\s*(?<rank>{n})\\s*位$',
+      '^(?<category>.+?)\\s*で\\s*(?<rank>{n})\\s*位$',
+      '^(?<rank>{n})\\s*位\\s*(?<category>.+)$'
+    ],
+    formats: {
+      kindle: ['電子書籍'],
+      audible: ['オーディオブック'],
+      hardcover: ['ハードカバー'],
+      paperback: ['ペーパーバック', '単行本', '文庫', '新書', '大型本', 'コミック']
+    }
+  },
+  en: {
+    ratings: ['global ratings?', 'total ratings?', 'ratings?'],
+    reviews: ['global reviews?', 'written reviews?', 'with reviews?'],
+    ratingWord: 'ratings?',
+    reviewWord: 'reviews?',
+    context: ['customer reviews', 'global ratings', 'ratings?'],
+    averageRating: ['({r})\\s*out of 5 stars'],
+    stars: ['stars?'],
+    percent: ['percent'],
+    bestSellersRank: ['Best\\s*Sellers\\s*Rank'],
+    seeTop: ['See Top \\d+'],
+    rankLines: ['^#(?<rank>{n})\\s+in\\s+(?<category>.+)$'],
+    formats: {
+      kindle: ['Kindle', 'eBook'],
+      audible: ['Audible', 'Audio\\s*book', 'Audio\\s*CD'],
+      hardcover: ['Hardcover'],
+      paperback: ['Paperback', 'Mass Market', 'Tankobon']
+    }
+  },
+  de: {
+    ratings: ['Sternebewertungen', 'Gesamtbewertungen', 'globale Bewertungen', 'Bewertungen'],
+    reviews: ['globale Rezensionen', 'mit Rezensionen'],
+    ratingWord: 'Bewertung',
+    reviewWord: 'Rezension',
+    context: ['Rezension', 'Bewertung'],
+    averageRating: ['({r})\\s*von\\s*5\\s*Sternen'],
+    stars: ['Sternen?'],
+    percent: ['Prozent'],
+    bestSellersRank: ['Amazon\\s*Bestseller-Rang'],
+    seeTop: ['Siehe Top \\d+'],
+    rankLines: ['^Nr\\.\\s*(?<rank>{n})\\s+in\\s+(?<category>.+)$'],
+    formats: {
+      audible: ['Hörbuch'],
+      hardcover: ['Gebundene Ausgabe'],
+      paperback: ['Taschenbuch', 'Broschiert']
+    }
+  },
+  fr: {
+    ratings: ['évaluations globales', 'évaluations'],
+    reviews: ['commentaires globaux', 'avec commentaires', 'avec avis'],
+    ratingWord: 'évaluation',
+    reviewWord: 'commentaire|avis',
+    context: ['commentaire', 'évaluation'],
+    averageRating: ['({r})\\s*sur\\s*5\\s*étoiles'],
+    stars: ['étoiles?'],
+    percent: ['pour cent'],
+    bestSellersRank: ['Classement des meilleures ventes d\'Amazon'],
+    seeTop: ['Voir les \\d+', '\\d+ premiers'],
+    rankLines: ['^(?<rank>{n})\\s+en\\s+(?<category>.+)$'],
+    formats: {
+      audible: ['Livre audio'],
+      hardcover: ['Relié'],
+      paperback: ['Broché', 'Poche']
+    }
+  },
+  it: {
+    ratings: ['valutazioni globali', 'valutazioni'],
+    reviews: ['recensioni globali', 'con recensioni'],
+    ratingWord: 'valutazion',
+    reviewWord: 'recension',
+    context: ['recension', 'valutazion'],
+    averageRating: ['({r})\\s*su\\s*5\\s*stelle'],
+    stars: ['stell[ae]'],
+    percent: ['per cento'],
+    bestSellersRank: ['Posizione nella classifica Bestseller di Amazon'],
+    seeTop: ['Visualizza i Top \\d+'],
+    rankLines: ['^n\\.\\s*(?<rank>{n})\\s+in\\s+(?<category>.+)$'],
+    formats: {
+      audible: ['Audiolibro'],
+      hardcover: ['Copertina rigida'],
+      paperback: ['Copertina flessibile', 'Tascabile']
+    }
+  },
+  es: {
+    ratings: ['valoraciones globales', 'valoraciones', 'calificaciones globales', 'calificaciones'],
+    reviews: ['reseñas globales', 'con reseñas'],
+    ratingWord: 'valoraci|calificaci',
+    reviewWord: 'reseña|opini',
+    context: ['reseña', 'valoraci', 'calificaci'],
+    averageRating: ['({r})\\s*de\\s*5\\s*estrellas'],
+    stars: ['estrellas?'],
+    percent: ['por ciento'],
+    bestSellersRank: ['Clasificación en los más vendidos de Amazon'],
+    seeTop: ['Ver el Top \\d+', 'Ver los \\d+'],
+    rankLines: ['^n\\.?º\\s*(?<rank>{n})\\s+en\\s+(?<category>.+)$'],
+    formats: {
+      audible: ['Audiolibro'],
+      hardcover: ['Tapa dura'],
+      paperback: ['Tapa blanda', 'Libro de bolsillo']
+    }
+  },
+  nl: {
+    ratings: ['wereldwijde beoordelingen', 'beoordelingen'],
+    reviews: ['wereldwijde recensies', 'met recensies'],
+    ratingWord: 'beoordeling',
+    reviewWord: 'recensie',
+    context: ['recensie', 'beoordeling'],
+    averageRating: ['({r})\\s*van\\s*5\\s*sterren'],
+    stars: ['sterren'],
+    percent: ['procent'],
+    bestSellersRank: ['Plaats in bestsellerlijst van Amazon'],
+    seeTop: ['Top \\d+'],
+    rankLines: ['^(?:nr\\.|#)\\s*(?<rank>{n})\\s+in\\s+(?<category>.+)$'],
+    formats: {
+      audible: ['Luisterboek'],
+      hardcover: ['Gebonden'],
+      paperback: ['Pocket']
+    }
+  },
+  pt: {
+    ratings: ['avaliações de clientes', 'avaliações globais', 'avaliações'],
+    reviews: ['comentários globais', 'com comentários'],
+    ratingWord: 'avaliaç',
+    reviewWord: 'comentário|resenha',
+    context: ['comentário', 'avaliaç'],
+    averageRating: ['({r})\\s*de\\s*5\\s*estrelas'],
+    stars: ['estrelas?'],
+    percent: ['por cento'],
+    bestSellersRank: ['Ranking dos mais vendidos'],
+    seeTop: ['Veja os \\d+', 'Top \\d+'],
+    rankLines: ['^n\\.?º\\s*(?<rank>{n})\\s+em\\s+(?<category>.+)$'],
+    formats: {
+      audible: ['Audiolivro'],
+      hardcover: ['Capa dura'],
+      paperback: ['Capa comum', 'Livro de bolso']
+    }
+  }
+};
+
+// ============================================================================
+// MARKETPLACES
+// ============================================================================
+
+// Number formats: group separators (any of the characters) and decimal mark
+const COMMA_GROUPS = { group: ',', decimal: '.' };
+const DOT_GROUPS = { group: '.', decimal: ',' };
+const SPACE_GROUPS = { group: ' \u00a0\u202f', decimal: ',' };
+
+/**
+ * Supported stores, keyed by domain (the key used by selector rules' `marketplaces`)
+ * languages: page languages, first = default UI language
+ */
+export const MARKETPLACES = {
+  'amazon.co.jp': { name: 'Amazon.co.jp', country: 'JP', currency: 'JPY', locale: 'ja-JP', languages: ['ja', 'en'], number: COMMA_GROUPS, acceptLanguage: 'ja,en-US;q=0.7,en;q=0.3' },
+  'amazon.com': { name: 'Amazon.com', country: 'US', currency: 'USD', locale: 'en-US', languages: ['en'], number: COMMA_GROUPS, acceptLanguage: 'en-US,en;q=0.9' },
+  'amazon.ca': { name: 'Amazon.ca', country: 'CA', currency: 'CAD', locale: 'en-CA', languages: ['en', 'fr'], number: { group: ', \u00a0\u202f', decimal: '.' }, acceptLanguage: 'en-CA,en;q=0.9,fr-CA;q=0.7' },
+  'amazon.co.uk': { name: 'Amazon.co.uk', country: 'GB', currency: 'GBP', locale: 'en-GB', languages: ['en'], number: COMMA_GROUPS, acceptLanguage: 'en-GB,en;q=0.9' },
+  'amazon.com.au': { name: 'Amazon.com.au', country: 'AU', currency: 'AUD', locale: 'en-AU', languages: ['en'], number: COMMA_GROUPS, acceptLanguage: 'en-AU,en;q=0.9' },
+  'amazon.in': { name: 'Amazon.in', country: 'IN', currency: 'INR', locale: 'en-IN', languages: ['en'], number: COMMA_GROUPS, acceptLanguage: 'en-IN,en;q=0.9' },
+  'amazon.de': { name: 'Amazon.de', country: 'DE', currency: 'EUR', locale: 'de-DE', languages: ['de', 'en'], number: DOT_GROUPS, acceptLanguage: 'de-DE,de;q=0.9,en;q=0.5' },
+  'amazon.fr': { name: 'Amazon.fr', country: 'FR', currency: 'EUR', locale: 'fr-FR', languages: ['fr', 'en'], number: SPACE_GROUPS, acceptLanguage: 'fr-FR,fr;q=0.9,en;q=0.5' },
+  'amazon.it': { name: 'Amazon.it', country: 'IT', currency: 'EUR', locale: 'it-IT', languages: ['it', 'en'], number: DOT_GROUPS, acceptLanguage: 'it-IT,it;q=0.9,en;q=0.5' },
+  'amazon.es': { name: 'Amazon.es', country: 'ES', currency: 'EUR', locale: 'es-ES', languages: ['es', 'en'], number: DOT_GROUPS, acceptLanguage: 'es-ES,es;q=0.9,en;q=0.5' },
+  'amazon.nl': { name: 'Amazon.nl', country: 'NL', currency: 'EUR', locale: 'nl-NL', languages: ['nl', 'en'], number: DOT_GROUPS, acceptLanguage: 'nl-NL,nl;q=0.9,en;q=0.5' },
+  'amazon.com.mx': { name: 'Amazon.com.mx', country: 'MX', currency: 'MXN', locale: 'es-MX', languages: ['es', 'en'], number: COMMA_GROUPS, acceptLanguage: 'es-MX,es;q=0.9,en;q=0.5' },
+  'amazon.com.br': { name: 'Amazon.com.br', country: 'BR', currency: 'BRL', locale: 'pt-BR', languages: ['pt', 'en'], number: DOT_GROUPS, acceptLanguage: 'pt-BR,pt;q=0.9,en;q=0.5' }
+};
+
+export const DEFAULT_MARKETPLACE = 'amazon.co.jp';
+
+// Used when the URL is unknown (see Notes)
+const FALLBACK = { languages: ['ja', 'en'], number: COMMA_GROUPS };
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Longest first so amazon.com.au is not taken for amazon.com
+const DOMAINS = Object.keys(MARKETPLACES).sort((a, b) => b.length - a.length);
+const DOMAIN_SOURCE = DOMAINS.map(d => escapeRegex(d.replace(/^amazon\./, ''))).join('|');
+
+/**
+ * Product URL on any supported store: /dp/ASIN or /gp/product/ASIN (ASIN in group 1)
+ */
+export const AMAZON_PRODUCT_URL_PATTERN = new RegExp(
+  `^https?:\\/\\/(?:www\\.)?amazon\\.(?:${DOMAIN_SOURCE})\\/(?:dp\\/|gp\\/product\\/)([A-Z0-9]{10})(?:\\/|$|\\?)`, 'i');
+
+/**
+ * Any URL on a supported store, for finding links in free text
+ */
+export const AMAZON_URL_IN_TEXT_PATTERN = new RegExp(
+  `https?:\\/\\/[\\w.-]*amazon\\.(?:${DOMAIN_SOURCE})(?=[/?#])[^\\s)"']+`, 'i');
+
+// ============================================================================
+// LOOKUP
+// ============================================================================
+
+/**
+ * Registry key of a host or URL ('www.amazon.de', 'https://smile.amazon.com/...')
+ * @param {string} hostOrUrl - Hostname or absolute URL
+ * @returns {string|null} Domain key of MARKETPLACES or null when unsupported
+ */
+export function marketplaceKey(hostOrUrl) {
+  if (!hostOrUrl || typeof hostOrUrl !== 'string') return null;
+  let host = hostOrUrl.trim().toLowerCase();
+  if (host.includes('/')) {
+    try {
+      host = new URL(host).hostname;
+    } catch {
+      return null;
+    }
+  }
+  return DOMAINS.find(domain => host === domain || host.endsWith('.' + domain)) || null;
+}
+
+/**
+ * @param {string} hostOrUrl - Hostname, absolute URL or registry key
+ * @returns {Object|null} Marketplace entry ({ domain, name, currency, ... }) or null
+ */
+export function getMarketplace(hostOrUrl) {
+  const key = marketplaceKey(hostOrUrl);
+  return key ? { domain: key, ...MARKETPLACES[key] } : null;
+}
+
+/**
+ * @param {string} hostname - URL hostname
+ * @returns {boolean} True for a supported store (any subdomain)
+ */
+export function isSupportedAmazonHost(hostname) {
+  return marketplaceKey(hostname) !== null;
+}
+
+/**
+ * host_permissions entries covering every store (must match manifest.json)
+ * @returns {string[]} Match patterns
+ */
+export function hostPermissions() {
+  return Object.keys(MARKETPLACES).map(domain => `https://*.${domain}/*`);
+}
+
+/**
+ * @param {string} [hostOrUrl] - Store host or product URL
+ * @returns {string} Accept-Language header for proxy requests
+ */
+export function acceptLanguageFor(hostOrUrl) {
+  return (getMarketplace(hostOrUrl) || MARKETPLACES[DEFAULT_MARKETPLACE]).acceptLanguage;
+}
+
+// ============================================================================
+// NUMBERS
+// ============================================================================
+
+function numberFormat(hostOrUrl) {
+  return (getMarketplace(hostOrUrl) || FALLBACK).number;
+}
+
+/**
+ * Regex source of an integer as the store writes it (non-capturing)
+ * Groups may be 2 digits before the last one ("1,23,456" on amazon.in).
+ * @param {string} [hostOrUrl] - Store host or product URL
+ * @returns {string} Regex source
+ */
+export function numberPatternSource(hostOrUrl) {
+  const group = `[${escapeRegex(numberFormat(hostOrUrl).group)}]`;
+  return `(?:\\d{1,3}(?:${group}\\d{2,3})*${group}\\d{3}|\\d+)`;
+}
+
+/**
+ * Integer count from a label ("1,234個の評価", "1.234 Sternebewertungen", "1 234 évaluations")
+ * @param {string|number} text - Label text or number
+ * @param {string} [hostOrUrl] - Store host or product URL
+ * @returns {number|null} Count or null when the text has none
+ */
+export function parseCount(text, hostOrUrl = null) {
+  if (typeof text === 'number') return Number.isFinite(text) && text >= 0 ? Math.round(text) : null;
+  const plain = String(text ?? '').replace(/<[^>]*>/g, ' ').replace(/&nbsp;/g, ' ');
+  const match = plain.match(new RegExp(numberPatternSource(hostOrUrl)));
+  if (!match) return null;
+  const value = parseInt(match[0].replace(/\D/g, ''), 10);
+  return Number.isNaN(value) ? null : value;
+}
+
+/**
+ * Decimal number from a price or rating ("￥1,200", "9,99 €", "R$ 1.234,50")
+ * @param {string|number} text - Text or number
+ * @param {string} [hostOrUrl] - Store host or product URL
+ * @returns {number|null} Value or null when the text has none
+ */
+export function parseLocalizedNumber(text, hostOrUrl = null) {
+  if (typeof text === 'number') return Number.isFinite(text) ? text : null;
+  const { group, decimal } = numberFormat(hostOrUrl);
+  const plain = String(text ?? '').replace(/<[^>]*>/g, ' ').replace(/&nbsp;/g, ' ');
+  const chars = escapeRegex(group + decimal);
+  const match = plain.match(new RegExp(`\\d[\\d${chars}]*`));
+  if (!match) return null;
+
+  const digits = match[0].replace(new RegExp(`[${chars}]+$`), '');
+  const decimalAt = digits.lastIndexOf(decimal);
+  // A decimal mark is followed by 1-2 digits; "1,234" on a comma-group store stays 1234
+  const hasDecimal = decimalAt >= 0 && digits.length - decimalAt - 1 <= 2;
+  const whole = (hasDecimal ? digits.slice(0, decimalAt) : digits).replace(/\D/g, '');
+  const fraction = hasDecimal ? digits.slice(decimalAt + 1).replace(/\D/g, '') : '';
+  const value = parseFloat(fraction ? `${whole}.${fraction}` : whole);
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Price with its currency symbol, in the popup's locale
+ * @param {number} value - Price
+ * @param {string} [currency] - ISO 4217 code (JPY when unknown)
+ * @returns {string} Formatted price
+ */
+export function formatPrice(value, currency = 'JPY') {
+  try {
+    return new Intl.NumberFormat('ja-JP', { style: 'currency', currency: currency || 'JPY' }).format(Number(value));
+  } catch {
+    return `${currency || ''} ${Number(value).toLocaleString('ja-JP')}`.trim();
+  }
+}
+
+// ============================================================================
+// KEYWORDS
+// ============================================================================
+
+const keywordCache = new Map();
+
+/**
+ * Localized patterns for the parsers, merged over the store's page languages
+ * @param {string} [hostOrUrl] - Store host or product URL (unknown: Japanese + English)
+ * @returns {{
+ *   ratingsCount: RegExp, reviewsCount: RegExp, ratingWord: RegExp, reviewWord: RegExp,
+ *   context: RegExp, averageRating: RegExp[], stars: string, percent: string,
+ *   bestSellersRank: RegExp, seeTop: RegExp, rankLines: RegExp[]
+ * }} Count patterns capture the number in group 1
+ */
+export function keywordPatterns(hostOrUrl = null) {
+  const key = marketplaceKey(hostOrUrl) || '';
+  if (keywordCache.has(key)) return keywordCache.get(key);
+
+  const languages = (MARKETPLACES[key] || FALLBACK).languages.map(code => LANGUAGES[code]);
+  const list = (name) => languages.flatMap(lang => lang[name] || []);
+  const alt = (name) => list(name).join('|');
+  const n = numberPatternSource(hostOrUrl);
+  const r = '[0-5](?:[.,]\\d)?';
+  const fill = (source) => source.replace(/\{n\}/g, n).replace(/\{r\}/g, r);
+
+  const patterns = {
+    ratingsCount: new RegExp(`(${n})\\s*(?:${alt('ratings')})(?![a-zà-ÿ])`, 'i'),
+    reviewsCount: new RegExp(`(${n})\\s*(?:${alt('reviews')})`, 'i'),
+    ratingWord: new RegExp(languages.map(lang => lang.ratingWord).join('|'), 'i'),
+    reviewWord: new RegExp(languages.map(lang => lang.reviewWord).join('|'), 'i'),
+    context: new RegExp(`(${alt('context')})`, 'i'),
+    averageRating: list('averageRating').map(source => new RegExp(fill(source), 'i')),
+    stars: alt('stars'),
+    percent: ['%', ...list('percent')].join('|'),
+    bestSellersRank: new RegExp(alt('bestSellersRank'), 'i'),
+    seeTop: new RegExp(alt('seeTop'), 'i'),
+    rankLines: list('rankLines').map(source => new RegExp(fill(source), 'i'))
+  };
+  keywordCache.set(key, patterns);
+  return patterns;
+}
+
+/**
+ * Parse one Best Sellers Rank line into { rank, category }
+ * Line patterns (named groups rank / category) come from the store's languages;
+ * list dashes around the line ("- 12位日本の小説・文芸") are ignored.
+ * @param {string} line - One line of the rank block, without its label
+ * @param {string} [hostOrUrl] - Store host or product URL
+ * @returns {{rank: number, category: string}|null}
+ */
+export function parseRankLine(line, hostOrUrl = null) {
+  const plain = String(line ?? '').replace(/\s+/g, ' ').replace(/^[\s\-–:：]+|[\s\-–]+$/g, '').trim();
+  for (const re of keywordPatterns(hostOrUrl).rankLines) {
+    const match = plain.match(re);
+    if (!match) continue;
+    const value = parseCount(match.groups.rank, hostOrUrl);
+    const name = match.groups.category.trim().slice(0, 80);
+    if (Number.isFinite(value) && value > 0 && name) {
+      return { rank: value, category: name };
+    }
+  }
+  return null;
+}
+
+let formatPatterns = null;
+
+/**
+ * Edition format keywords of every language (labels are classified without a URL)
+ * @returns {Array<[string, RegExp]>} [format key, pattern] in match priority order
+ */
+export function formatKeywordPatterns() {
+  if (!formatPatterns) {
+    formatPatterns = ['kindle', 'audible', 'hardcover', 'paperback'].map(format => {
+      const words = Object.values(LANGUAGES).flatMap(lang => lang.formats[format] || []);
+      return [format, new RegExp(words.join('|'), 'i')];
+    });
+  }
+  return formatPatterns;
+}
@@ -0,0 +1,67 @@
+/**
+ * Review Metrics - which Amazon count a goal tracks
+ *
+ * Responsibilities:
+ * - Define the trackable metrics: star ratings (評価) vs written reviews (レビュー)
+ * - Pick a metric's count from a fetch DTO or a review history sample
+ * - Provide the Japanese labels used in the popup, tweet, image and notifications
+ *
+ * Notes:
+ * - Shared by the service worker and the popup; no chrome.* or DOM access here.
+ * - Books saved before the split have no `goalMetric` and keep tracking
+ *   ratings, which is what the old single count mostly picked up.
+ */
+
+export const REVIEW_METRICS = {
+  ratings: { noun: '評価', label: '評価数' },
+  reviews: { noun: 'レビュー', label: 'レビュー数' }
+};
+
+export const DEFAULT_REVIEW_METRIC = 'ratings';
+
+/**
+ * @param {string|undefined} metric - Stored metric key
+ * @returns {string} Valid REVIEW_METRICS key
+ */
+export function normalizeReviewMetric(metric) {
+  return Object.hasOwn(REVIEW_METRICS, metric ?? '') ? metric : DEFAULT_REVIEW_METRIC;
+}
+
+/**
+ * @param {string|undefined} metric - REVIEW_METRICS key
+ * @returns {{noun: string, label: string}} Labels for the metric
+ */
+export function getReviewMetricLabels(metric) {
+  return REVIEW_METRICS[normalizeReviewMetric(metric)];
+}
+
+/**
+ * Count for a metric from a fetch result DTO
+ * @param {Object} dto - AmazonBookDataDTO (or a stored book)
+ * @param {string} metric - REVIEW_METRICS key
+ * @returns {number|null} Count, or null when the page didn't show it
+ */
+export function pickMetricCount(dto, metric) {
+  if (!dto) return null;
+  if (normalizeReviewMetric(metric) === 'reviews') {
+    return Number.isFinite(dto.writtenReviewCount) ? dto.writtenReviewCount : null;
+  }
+  if (Number.isFinite(dto.ratingsCount)) return dto.ratingsCount;
+  const legacy = dto.currentReviews ?? dto.reviewCount;
+  return Number.isFinite(legacy) ? legacy : null;
+}
+
+/**
+ * Count for a metric from a review history sample
+ * Samples recorded before the split only have `count` (treated as ratings).
+ * @param {Object} sample - ReviewHistoryService sample
+ * @param {string} metric - REVIEW_METRICS key
+ * @returns {number|null} Count or null when not recorded
+ */
+export function getSampleCount(sample, metric) {
+  const key = normalizeReviewMetric(metric);
+  if (sample && ('ratings' in sample || 'reviews' in sample)) {
+    return Number.isFinite(sample[key]) ? sample[key] : null;
+  }
+  return key === 'ratings' && Number.isFinite(sample?.count) ? sample.count : null;
+}
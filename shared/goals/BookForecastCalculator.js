@@ -0,0 +1,185 @@
+/**
+ * BookForecastCalculator - Review velocity and goal ETA forecasting
+ * Companion to BookProgressCalculator - works on review history samples
+ *
+ * Responsibilities:
+ * - Calculate reviews/day from history (moving average and linear regression)
+ * - Project the date the target review count will be reached
+ * - Provide an optimistic/pessimistic ETA range from the two rates
+ * - Explain why no forecast is available (no target, too little data, ...)
+ *
+ * Notes:
+ * - Samples are `{ timestamp, count }` as stored by ReviewHistoryService.
+ * - The current count is treated as a sample taken "now", so a stalled book
+ *   slows down its own forecast instead of keeping the last burst's pace.
+ * - Pure functions of the samples: the popup and the service worker's
+ *   milestone notifications share it.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_OPTIONS = {
+  movingAverageDays: 14,   // Window for the recent pace
+  regressionDays: 90,      // Window for the long-term trend
+  minSpanDays: 1,          // History must cover at least this long
+  maxForecastDays: 3650    // Beyond this the ETA is meaningless
+};
+
+export default class BookForecastCalculator {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+  }
+
+  // ============================================================================
+  // RATES
+  // ============================================================================
+
+  /**
+   * Reviews/day over the recent window (count delta / elapsed days)
+   * @param {Array<{timestamp: number, count: number}>} samples - Sorted samples
+   * @param {number} now - Reference time (ms)
+   * @returns {number|null} Rate or null when the window has no span
+   */
+  getMovingAverageRate(samples, now = Date.now()) {
+    if (samples.length < 2) return null;
+
+    const windowStart = now - this.options.movingAverageDays * DAY_MS;
+    // Counts hold between samples, so the last sample before the window
+    // is the count at the window start
+    const before = samples.filter(s => s.timestamp <= windowStart);
+    const start = before.length > 0
+      ? { timestamp: windowStart, count: before[before.length - 1].count }
+      : samples[0];
+    const end = samples[samples.length - 1];
+
+    const days = (end.timestamp - start.timestamp) / DAY_MS;
+    if (days <= 0) return null;
+    return (end.count - start.count) / days;
+  }
+
+  /**
+   * Reviews/day as the least-squares slope over the regression window
+   * @param {Array<{timestamp: number, count: number}>} samples - Sorted samples
+   * @param {number} now - Reference time (ms)
+   * @returns {number|null} Slope or null with fewer than two distinct times
+   */
+  getRegressionRate(samples, now = Date.now()) {
+    const windowStart = now - this.options.regressionDays * DAY_MS;
+    const points = samples.filter(s => s.timestamp >= windowStart);
+    if (points.length < 2) return null;
+
+    const xs = points.map(s => (s.timestamp - windowStart) / DAY_MS);
+    const ys = points.map(s => s.count);
+    const meanX = xs.reduce((a, b) => a + b, 0) / xs.length;
+    const meanY = ys.reduce((a, b) => a + b, 0) / ys.length;
+
+    let numerator = 0;
+    let denominator = 0;
+    xs.forEach((x, i) => {
+      numerator += (x - meanX) * (ys[i] - meanY);
+      denominator += (x - meanX) ** 2;
+    });
+
+    return denominator > 0 ? numerator / denominator : null;
+  }
+
+  // ============================================================================
+  // FORECAST
+  // ============================================================================
+
+  /**
+   * Forecast when the target will be reached
+   * @param {Array<{timestamp: number, count: number}>} samples - Review history
+   * @param {number} currentReviews - Current review count
+   * @param {number|null} targetReviews - Target review count
+   * @param {number} now - Reference time (ms)
+   * @returns {Object} Forecast result
+   *   - hasForecast: whether etaTimestamp is set
+   *   - reason: why not ('no-target' | 'achieved' | 'insufficient-data' | 'no-growth' | 'too-slow')
+   *   - ratePerDay / movingAverageRate / regressionRate: reviews per day
+   *   - remaining, daysToTarget, etaTimestamp, etaRange: { earliest, latest }
+   */
+  forecast(samples, currentReviews, targetReviews, now = Date.now()) {
+    const current = Number(currentReviews) || 0;
+    const target = Number(targetReviews) || 0;
+    const result = {
+      hasForecast: false,
+      reason: null,
+      ratePerDay: null,
+      movingAverageRate: null,
+      regressionRate: null,
+      remaining: target > 0 ? Math.max(0, target - current) : null,
+      daysToTarget: null,
+      etaTimestamp: null,
+      etaRange: null
+    };
+
+    const series = this.normalizeSamples(samples, current, now);
+    const span = series.length > 1 ? (series[series.length - 1].timestamp - series[0].timestamp) / DAY_MS : 0;
+    if (span >= this.options.minSpanDays) {
+      result.movingAverageRate = this.roundRate(this.getMovingAverageRate(series, now));
+      result.regressionRate = this.roundRate(this.getRegressionRate(series, now));
+      result.ratePerDay = this.combineRates(result.movingAverageRate, result.regressionRate);
+    }
+
+    if (target <= 0) return { ...result, reason: 'no-target' };
+    if (current >= target) return { ...result, reason: 'achieved' };
+    if (result.ratePerDay === null) return { ...result, reason: 'insufficient-data' };
+    if (result.ratePerDay <= 0) return { ...result, reason: 'no-growth' };
+
+    const days = result.remaining / result.ratePerDay;
+    if (days > this.options.maxForecastDays) return { ...result, reason: 'too-slow' };
+
+    const positiveRates = [result.movingAverageRate, result.regressionRate].filter(r => r > 0);
+    const fastest = Math.max(...positiveRates);
+    const slowest = Math.min(...positiveRates);
+
+    return {
+      ...result,
+      hasForecast: true,
+      daysToTarget: Math.ceil(days),
+      etaTimestamp: Math.round(now + days * DAY_MS),
+      etaRange: {
+        earliest: Math.round(now + (result.remaining / fastest) * DAY_MS),
+        latest: Math.round(Math.min(now + (result.remaining / slowest) * DAY_MS, now + this.options.maxForecastDays * DAY_MS))
+      }
+    };
+  }
+
+  // ============================================================================
+  // INTERNALS
+  // ============================================================================
+
+  /**
+   * Sort valid samples and append the current count as of now
+   * @private
+   */
+  normalizeSamples(samples, currentReviews, now) {
+    const series = (Array.isArray(samples) ? samples : [])
+      .filter(s => Number.isFinite(s?.timestamp) && Number.isFinite(s?.count) && s.timestamp <= now)
+      .map(s => ({ timestamp: s.timestamp, count: s.count }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    if (series.length > 0 && series[series.length - 1].timestamp < now) {
+      series.push({ timestamp: now, count: currentReviews });
+    }
+    return series;
+  }
+
+  /**
+   * Average both rates; fall back to whichever one exists
+   * @private
+   */
+  combineRates(movingAverage, regression) {
+    const rates = [movingAverage, regression].filter(r => r !== null);
+    if (rates.length === 0) return null;
+    return this.roundRate(rates.reduce((a, b) => a + b, 0) / rates.length);
+  }
+
+  /**
+   * @private
+   */
+  roundRate(rate) {
+    return Number.isFinite(rate) ? Math.round(rate * 100) / 100 : null;
+  }
+}
@@ -6,7 +6,12 @@
  * - Calculate progress percentage based on current vs target reviews
  * - Determine remaining reviews needed to reach goal
  * - Check goal achievement status
+ * - Merge goal, stretch goal and custom milestones into ordered tiers
  * - Provide progress-related metrics for UI display
+ *
+ * Notes:
+ * - Also used by MilestoneNotificationService in the service worker; keep it
+ *   free of chrome.* and DOM access.
  */
 
 export default class BookProgressCalculator {
@@ -76,23 +81,62 @@ export default class BookProgressCalculator {
     };
   }
 
+  /**
+   * Build the ordered tier list (custom milestones, goal, stretch goal)
+   * @param {number} currentReviews - Current number of reviews
+   * @param {number|null} targetReviews - Goal (target) number of reviews
+   * @param {Object} tierOptions - { stretchReviews?: number|null, milestoneTiers?: number[] }
+   * @returns {Array<{reviews: number, kind: string, label: string, achieved: boolean}>} Tiers in ascending order
+   */
+  getTiers(currentReviews, targetReviews, tierOptions = {}) {
+    const target = Number(targetReviews) || 0;
+    if (target <= 0) return [];
+
+    const current = Number(currentReviews) || 0;
+    const stretch = Number(tierOptions.stretchReviews) || 0;
+    const byReviews = new Map();
+    const add = (reviews, kind, label) => {
+      if (!Number.isFinite(reviews) || reviews <= 0 || byReviews.has(reviews)) return;
+      byReviews.set(reviews, { reviews, kind, label, achieved: current >= reviews });
+    };
+
+    add(target, 'goal', '目標');
+    if (stretch > target) add(stretch, 'stretch', 'ストレッチ目標');
+    (Array.isArray(tierOptions.milestoneTiers) ? tierOptions.milestoneTiers : [])
+      .forEach(reviews => add(Number(reviews), 'milestone', '中間目標'));
+
+    return [...byReviews.values()].sort((a, b) => a.reviews - b.reviews);
+  }
+
   /**
    * Calculate progress display data for various UI components
    * @param {number} currentReviews - Current number of reviews
    * @param {number|null} targetReviews - Target number of reviews
+   * @param {Object} tierOptions - { stretchReviews?, milestoneTiers? } (see getTiers)
    * @returns {Object} Display-ready progress data
    */
-  getDisplayData(currentReviews, targetReviews) {
+  getDisplayData(currentReviews, targetReviews, tierOptions = {}) {
     const summary = this.getProgressSummary(currentReviews, targetReviews);
-    
+    const tiers = this.getTiers(currentReviews, targetReviews, tierOptions);
+    const nextTier = tiers.find(t => !t.achieved) || null;
+    const remainingToNextTier = nextTier ? nextTier.reviews - currentReviews : null;
+    // Bars span up to the highest tier so stretch markers fit on them
+    const barMax = tiers.length > 0 ? tiers[tiers.length - 1].reviews : null;
+
     return {
       ...summary,
+      tiers,
+      nextTier,
+      remainingToNextTier,
+      barMax,
       // Additional display properties
-      progressBarWidth: summary.percentage || 0,
+      progressBarWidth: barMax ? Math.min(100, Math.round((currentReviews / barMax) * 100)) : 0,
       statusText: summary.achieved 
-        ? '🎉 目標達成！' 
+        ? (nextTier ? `🎉 目標達成！次の目標まであと${remainingToNextTier}レビュー` : '🎉 目標達成！')
         : summary.hasTarget 
-          ? `あと${summary.remaining}レビュー` 
+          ? (nextTier && nextTier.kind === 'milestone'
+            ? `次の目標まであと${remainingToNextTier}レビュー`
+            : `あと${summary.remaining}レビュー`)
           : 'レビューを蓄積中',
       statusClass: summary.achieved 
         ? 'achieved' 
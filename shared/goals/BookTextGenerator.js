@@ -0,0 +1,329 @@
+/**
+ * BookTextGenerator - Text generation logic for book sharing and display
+ * Extracted from BookDataModel.js - handles tweet text and summary generation
+ * 
+ * Responsibilities:
+ * - Generate Twitter-ready text for book sharing
+ * - Create shareable URLs with associate tags
+ * - Provide summary text for various UI components
+ * - Describe goal ETA forecasts in share text
+ * - Describe best-seller ranks in share text
+ * - Name the tracked count correctly (評価 vs レビュー, see ReviewMetrics.js)
+ * - Render user templates ({title}, {publisher}, ...) for tweet text and image captions
+ * - Handle text formatting and truncation
+ *
+ * Notes:
+ * - Runs in the popup and in the service worker (notification text), so no DOM.
+ */
+
+// Variables available in tweet / image caption templates (shown in the popup help)
+export const TEMPLATE_VARIABLES = {
+  title: 'タイトル',
+  author: '著者',
+  current: '現在の件数（追跡中の指標）',
+  target: '目標件数',
+  metric: '追跡中の指標（評価／レビュー）',
+  ratings: '評価数（星のみを含む）',
+  reviews: 'レビュー数（文章あり）',
+  remaining: '目標までの残り',
+  percent: '達成率（%）',
+  rating: '平均評価',
+  price: '価格',
+  asin: 'ASIN',
+  isbn: 'ISBN',
+  publisher: '出版社',
+  publicationDate: '発売日',
+  pageCount: 'ページ数',
+  language: '言語',
+  category: 'カテゴリ（最下層）',
+  categories: 'カテゴリ（全階層）',
+  rank: '売れ筋順位（総合）',
+  rankCategory: '総合順位のストア名',
+  categoryRank: 'カテゴリ内の最高順位',
+  categoryRankName: '最高順位のカテゴリ',
+  eta: '達成予測日',
+  url: '書籍URL'
+};
+
+import { getReviewMetricLabels } from '../ReviewMetrics.js';
+import { formatPrice } from '../MarketplaceRegistry.js';
+
+export default class BookTextGenerator {
+  constructor() {
+    // Default hashtag and branding
+    this.defaultHashtag = '#KindleReviewMeter';
+    this.associateDisclosure = '#アマゾンアソシエイトに参加しています';
+  }
+
+  /**
+   * Generate tweet-ready text with book info and progress
+   * @param {Object} bookData - Book data object
+   * @param {Object} progressData - Progress calculation results
+   * @returns {string} Generated tweet text
+   */
+  generateTweetText(bookData, progressData = null) {
+    const title = bookData.title || '書籍';
+    const current = Number(bookData.currentReviews) || 0;
+    const target = Number(bookData.targetReviews) || 0;
+    const { noun } = getReviewMetricLabels(bookData.goalMetric);
+
+    // Next unreached tier (milestone below the goal, or stretch above it)
+    const nextTier = progressData?.nextTier || null;
+
+    let tweetContent = '';
+    if (bookData.tweetTemplate && bookData.tweetTemplate.trim()) {
+      tweetContent = this.renderTemplate(bookData.tweetTemplate, this.getTemplateVariables(bookData, progressData));
+    } else if (target > 0) {
+      const percentage = Math.round((current / target) * 100);
+      
+      if (current >= target && nextTier) {
+        tweetContent = `「${title}」の${noun}が${current}件になりました！🎉\nレビューを書いて著者を応援しよう！\n目標${target}件を達成！次の目標${nextTier.reviews}件まで残り${nextTier.reviews - current}件です📚`;
+      } else if (current >= target) {
+        // 100%ちょうど/超過の両方とも、達成メッセージや(%表示)は入れずにシンプルに通知
+        tweetContent = `「${title}」の${noun}が${current}件になりました！🎉\nレビューを書いて著者を応援しよう！📚`;
+      } else {
+        const remaining = target - current;
+        tweetContent = `「${title}」の${noun}が${current}件になりました！\nレビューを書いて著者を応援しよう！`;
+        if (nextTier && nextTier.reviews < target) {
+          tweetContent += `\n次の目標${nextTier.reviews}件まで残り${nextTier.reviews - current}件です🏁`;
+        }
+        tweetContent += `\n目標${target}件まで残り${remaining}件です📚 (${percentage}%)`;
+        const forecastText = bookData.includeForecastInTweet ? this.getForecastText(progressData?.forecast) : null;
+        if (forecastText) tweetContent += `\n📅 ${forecastText}`;
+      }
+    } else {
+      tweetContent = `「${title}」は、現在${noun}を${current}件集めています📚\nレビューを書いて著者を応援しよう！`;
+    }
+
+    const rankText = bookData.includeRankInShare ? this.getRankText(bookData.bestSellersRank) : null;
+    if (rankText) tweetContent += `\n🏆 ${rankText}`;
+
+    // URL + disclosure (if associate enabled)
+    let urlPart = '';
+    let disclosure = '';
+    if (bookData.associateEnabled) {
+      const url = this.getShareableUrl(bookData);
+      urlPart = url ? `\n${url}` : '';
+      if (bookData.associateTag) disclosure = `\n${this.associateDisclosure}`;
+    }
+
+    return `${tweetContent}${urlPart}\n${this.defaultHashtag}${disclosure}`;
+  }
+
+  /**
+   * Describe when the target is expected to be reached
+   * @param {Object|null} forecast - Result of BookForecastCalculator.forecast()
+   * @returns {string|null} e.g. "このペースなら5月20日ごろ目標達成見込み", or null without a forecast
+   */
+  getForecastText(forecast) {
+    if (!forecast?.hasForecast) return null;
+    const eta = new Date(forecast.etaTimestamp);
+    const year = eta.getFullYear() !== new Date().getFullYear() ? `${eta.getFullYear()}年` : '';
+    return `このペースなら${year}${eta.getMonth() + 1}月${eta.getDate()}日ごろ目標達成見込み`;
+  }
+
+  /**
+   * Describe best-seller ranks for sharing
+   * @param {Object|null} bsr - BestSellersRank from the fetch result
+   * @returns {string|null} e.g. "Kindleストア 1,234位 ／ 日本の小説 12位", or null without ranks
+   */
+  getRankText(bsr) {
+    const best = this.getBestCategoryRank(bsr);
+    const parts = [bsr?.overall, best]
+      .filter(Boolean)
+      .map(r => `${r.category} ${r.rank.toLocaleString('ja-JP')}位`);
+    return parts.length > 0 ? parts.join(' ／ ') : null;
+  }
+
+  /**
+   * Best (lowest) per-category rank
+   * @param {Object|null} bsr - BestSellersRank
+   * @returns {{rank: number, category: string}|null}
+   */
+  getBestCategoryRank(bsr) {
+    const categories = Array.isArray(bsr?.categories) ? bsr.categories : [];
+    return categories.reduce((best, r) => (!best || r.rank < best.rank ? r : best), null);
+  }
+
+  /**
+   * Values for template placeholders; missing values are ''
+   * @param {Object} bookData - Book data object
+   * @param {Object} progressData - Progress calculation results (optional)
+   * @returns {Object<string, string>} Variable name → text
+   */
+  getTemplateVariables(bookData, progressData = null) {
+    const current = Number(bookData.currentReviews) || 0;
+    const target = Number(bookData.targetReviews) || 0;
+    const categories = Array.isArray(bookData.categories) ? bookData.categories : [];
+    const eta = progressData?.forecast?.hasForecast ? new Date(progressData.forecast.etaTimestamp) : null;
+    const text = (value) => (value === null || value === undefined) ? '' : String(value);
+    const overallRank = bookData.bestSellersRank?.overall || null;
+    const bestCategoryRank = this.getBestCategoryRank(bookData.bestSellersRank);
+
+    return {
+      title: text(bookData.title),
+      author: text(bookData.author),
+      current: String(current),
+      metric: getReviewMetricLabels(bookData.goalMetric).noun,
+      ratings: text(bookData.ratingsCount),
+      reviews: text(bookData.writtenReviewCount),
+      target: target > 0 ? String(target) : '',
+      remaining: target > 0 ? String(Math.max(0, target - current)) : '',
+      percent: target > 0 ? String(Math.round((current / target) * 100)) : '',
+      rating: bookData.averageRating > 0 ? Number(bookData.averageRating).toFixed(1) : '',
+      price: bookData.price > 0 ? formatPrice(bookData.price, bookData.currency) : '',
+      asin: text(bookData.asin),
+      isbn: text(bookData.isbn),
+      publisher: text(bookData.publisher),
+      publicationDate: text(bookData.publicationDate),
+      pageCount: text(bookData.pageCount),
+      language: text(bookData.language),
+      category: text(categories[categories.length - 1]),
+      categories: categories.join(' > '),
+      rank: overallRank ? overallRank.rank.toLocaleString('ja-JP') : '',
+      rankCategory: text(overallRank?.category),
+      categoryRank: bestCategoryRank ? bestCategoryRank.rank.toLocaleString('ja-JP') : '',
+      categoryRankName: text(bestCategoryRank?.category),
+      eta: eta ? `${eta.getMonth() + 1}月${eta.getDate()}日` : '',
+      url: this.getShareableUrl(bookData)
+    };
+  }
+
+  /**
+   * Render a template
+   * - `{name}` is replaced by the variable (unknown names are left as-is)
+   * - `[...]` is an optional section, dropped when a variable inside it is empty
+   * @param {string} template - Template text, e.g. '「{title}」[（{publisher}）]'
+   * @param {Object<string, string>} variables - From getTemplateVariables()
+   * @returns {string} Rendered text
+   */
+  renderTemplate(template, variables) {
+    const withSections = String(template || '').replace(/\[([^\[\]]*)\]/g, (match, section) => {
+      const names = [...section.matchAll(/\{(\w+)\}/g)].map(m => m[1]);
+      return names.some(name => name in variables && !variables[name]) ? '' : section;
+    });
+    return withSections
+      .replace(/\{(\w+)\}/g, (match, name) => (name in variables ? variables[name] : match))
+      .trim();
+  }
+
+  /**
+   * One-line caption for the generated image
+   * Uses the book's imageCaptionTemplate, or publisher / date / pages when unset.
+   * @param {Object} bookData - Book data object
+   * @param {Object} progressData - Progress calculation results (optional)
+   * @returns {string} Caption ('' when nothing to show)
+   */
+  getImageCaption(bookData, progressData = null) {
+    const variables = this.getTemplateVariables(bookData, progressData);
+    if (bookData.imageCaptionTemplate && bookData.imageCaptionTemplate.trim()) {
+      return this.renderTemplate(bookData.imageCaptionTemplate, variables);
+    }
+    return [
+      variables.publisher,
+      variables.publicationDate,
+      variables.pageCount && `${variables.pageCount}ページ`
+    ].filter(Boolean).join(' ／ ');
+  }
+
+  /**
+   * Get shareable Amazon URL with associate tag if enabled
+   * @param {Object} bookData - Book data object
+   * @returns {string} Shareable URL
+   */
+  getShareableUrl(bookData) {
+    if (!bookData.amazonUrl) {
+      return '';
+    }
+    
+    let url = bookData.amazonUrl;
+    
+    // Add associate tag if enabled and configured
+    if (bookData.associateEnabled && bookData.associateTag) {
+      const separator = url.includes('?') ? '&' : '?';
+      url += `${separator}tag=${bookData.associateTag}`;
+    }
+    
+    return url;
+  }
+
+  /**
+   * Generate data summary for logging and debugging
+   * @param {Object} bookData - Book data object
+   * @param {Object} progressData - Progress calculation results (optional)
+   * @returns {Object} Data summary
+   */
+  getSummary(bookData, progressData = null) {
+    const progress = progressData?.percentage;
+    const remaining = progressData?.remaining;
+    
+    return {
+      title: bookData.title ? `"${bookData.title.substring(0, 30)}..."` : 'No title',
+      author: bookData.author || 'No author',
+      reviews: `${bookData.currentReviews}/${bookData.targetReviews || '?'}`,
+      progress: progress !== null ? `${progress}%` : 'No target',
+      remaining: remaining !== null ? `${remaining} left` : 'No target',
+      hasImage: !!bookData.imageUrl,
+      hasUrl: !!bookData.amazonUrl,
+      associateEnabled: bookData.associateEnabled
+    };
+  }
+
+  /**
+   * Generate short display text for UI components
+   * @param {Object} bookData - Book data object
+   * @param {number} maxLength - Maximum length for title truncation
+   * @returns {Object} Display text components
+   */
+  getDisplayText(bookData, maxLength = 50) {
+    const truncatedTitle = bookData.title && bookData.title.length > maxLength
+      ? `${bookData.title.substring(0, maxLength)}...`
+      : bookData.title || 'タイトル未設定';
+
+    const authorText = bookData.author || '著者未設定';
+    
+    return {
+      title: truncatedTitle,
+      author: authorText,
+      fullTitle: bookData.title || 'タイトル未設定',
+      reviewCount: `${bookData.currentReviews || 0}件の${getReviewMetricLabels(bookData.goalMetric).noun}`,
+      targetText: bookData.targetReviews 
+        ? `目標: ${bookData.targetReviews}件`
+        : '目標未設定'
+    };
+  }
+
+  /**
+   * Generate alt text for images and accessibility
+   * @param {Object} bookData - Book data object
+   * @returns {string} Alt text
+   */
+  getImageAltText(bookData) {
+    const title = bookData.title || '書籍';
+    const author = bookData.author || '著者不明';
+    const reviews = bookData.currentReviews || 0;
+    const { noun } = getReviewMetricLabels(bookData.goalMetric);
+    
+    return `${title}（著者: ${author}）の${noun}進捗グラフ - 現在${reviews}件の${noun}`;
+  }
+
+  /**
+   * Generate structured data for image generation
+   * @param {Object} bookData - Book data object
+   * @param {Object} progressData - Progress calculation results
+   * @returns {Object} Structured data for image generator
+   */
+  getImageGenerationData(bookData, progressData) {
+    return {
+      title: bookData.title || 'タイトル未設定',
+      author: bookData.author || '著者未設定',
+      imageUrl: bookData.imageUrl || '',
+      reviewCount: bookData.currentReviews || 0,
+      targetReviews: bookData.targetReviews || null,
+      percentage: progressData?.percentage || null,
+      remaining: progressData?.remaining || null,
+      achieved: progressData?.achieved || false,
+      timestamp: Date.now()
+    };
+  }
+}
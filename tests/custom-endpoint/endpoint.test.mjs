@@ -0,0 +1,134 @@
+/**
+ * Custom endpoint tests
+ *
+ * HtmlFetcher against the local stand-in server (stand-in-server.mjs): auth
+ * header, both response shapes, and the fallback to the proxies.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import HtmlFetcher from '../../background/services/amazon/HtmlFetcher.js';
+import { AmazonPageError } from '../../background/services/amazon/PageClassifier.js';
+import {
+  normalizeCustomEndpoint,
+  validateCustomEndpoint,
+  describeEndpoint,
+  isLocalHost
+} from '../../background/services/amazon/CustomEndpoint.js';
+import { loadFixture } from '../golden/harness.mjs';
+import { startStandInServer } from './stand-in-server.mjs';
+
+const KEY = 'stand-in-secret';
+const PRODUCT = loadFixture('jp-kindle');
+const NOT_FOUND = loadFixture('jp-not-found');
+
+let htmlServer;
+let jsonServer;
+
+// The fetcher logs every endpoint change and fallback; keep them out of the test report
+const { log, warn } = console;
+
+before(async () => {
+  console.log = () => {};
+  console.warn = () => {};
+  htmlServer = await startStandInServer({ apiKey: KEY });
+  jsonServer = await startStandInServer({ apiKey: KEY, jsonPath: 'data.html' });
+});
+
+after(async () => {
+  await htmlServer.close();
+  await jsonServer.close();
+  console.log = log;
+  console.warn = warn;
+});
+
+/**
+ * HtmlFetcher with one fake proxy that answers "proxy page", plus a run recorder
+ */
+function createFetcher(endpoint) {
+  const runs = [];
+  const proxied = [];
+  const fetcher = new HtmlFetcher(
+    { getOptimizedProxyList: () => ['https://proxy.example/?url='], recordAttempt() {} },
+    { recordFetchRun: run => runs.push(run) }
+  );
+  fetcher.fetchViaProxy = async (proxy, url, index) => {
+    proxied.push(url);
+    return { html: 'proxy page', proxy, took: 1, index };
+  };
+  fetcher.setCustomEndpoint(normalizeCustomEndpoint(endpoint));
+  return { fetcher, runs, proxied };
+}
+
+const endpointFor = (server, extra = {}) => ({
+  urlTemplate: `${server.origin}/fetch?url={encodedUrl}`,
+  headers: [{ name: 'X-Api-Key', value: KEY }],
+  ...extra
+});
+
+test('raw HTML endpoint answers before any proxy', async () => {
+  const { fetcher, runs, proxied } = createFetcher(endpointFor(htmlServer));
+  const html = await fetcher.fetchHtmlWithProxies(PRODUCT.url);
+
+  assert.equal(html, PRODUCT.html);
+  assert.deepEqual(proxied, []);
+  assert.equal(runs[0].winner, htmlServer.origin.split('/')[2]);
+  assert.equal(htmlServer.requests.at(-1).target, PRODUCT.url);
+});
+
+test('JSON endpoint is read at the configured field', async () => {
+  const { fetcher } = createFetcher(endpointFor(jsonServer, { responseType: 'json', jsonPath: 'data.html' }));
+  assert.equal(await fetcher.fetchHtmlWithProxies(PRODUCT.url), PRODUCT.html);
+
+  fetcher.setCustomEndpoint(normalizeCustomEndpoint(endpointFor(jsonServer, { responseType: 'json', jsonPath: 'contents' })));
+  await assert.rejects(fetcher.fetchViaCustomEndpoint(PRODUCT.url), /no string at "contents"/);
+});
+
+test('rejected key falls back to the proxies', async () => {
+  const { fetcher, runs, proxied } = createFetcher(endpointFor(htmlServer, { headers: [{ name: 'X-Api-Key', value: 'wrong' }] }));
+
+  assert.equal(await fetcher.fetchHtmlWithProxies(PRODUCT.url), 'proxy page');
+  assert.deepEqual(proxied, [PRODUCT.url]);
+  const failure = runs[0].timeline.find(event => event.type === 'failure');
+  assert.match(failure.error, /HTTP 401/);
+});
+
+test('a missing product is final and skips the proxies', async () => {
+  const { fetcher, proxied } = createFetcher(endpointFor(htmlServer));
+  await assert.rejects(fetcher.fetchHtmlWithProxies(NOT_FOUND.url), (error) => {
+    assert.ok(error instanceof AmazonPageError);
+    assert.equal(error.via, 'custom');
+    return true;
+  });
+  assert.deepEqual(proxied, []);
+});
+
+test('disabled endpoint is not asked', async () => {
+  const before = htmlServer.requests.length;
+  const { fetcher } = createFetcher(endpointFor(htmlServer, { enabled: false }));
+  assert.equal(await fetcher.fetchHtmlWithProxies(PRODUCT.url), 'proxy page');
+  assert.equal(htmlServer.requests.length, before);
+});
+
+test('validation rejects unsafe configs and logs never show header values', () => {
+  const check = (raw) => validateCustomEndpoint(normalizeCustomEndpoint(raw));
+
+  assert.deepEqual(check(endpointFor(htmlServer)), []);
+  assert.equal(check({ urlTemplate: 'http://worker.example.com/?url={encodedUrl}' }).length, 1, 'plain http off localhost');
+  assert.equal(check({ urlTemplate: 'https://worker.example.com/fetch' }).length, 1, 'no placeholder');
+  assert.equal(check({ urlTemplate: 'https://w.example/?u={url}', headers: [{ name: 'Cookie', value: 'x' }] }).length, 1);
+  assert.equal(check({ urlTemplate: 'https://w.example/?u={url}', responseType: 'json' }).length, 1, 'json needs a field');
+
+  const description = describeEndpoint(normalizeCustomEndpoint(endpointFor(htmlServer)));
+  assert.match(description, /X-Api-Key/);
+  assert.ok(!description.includes(KEY));
+});
+
+test('the manifest grants plain http to this machine only', () => {
+  const manifest = JSON.parse(readFileSync(new URL('../../manifest.json', import.meta.url), 'utf8'));
+  const httpPatterns = manifest.optional_host_permissions.filter(pattern => pattern.startsWith('http://'));
+  assert.ok(httpPatterns.length > 0);
+  assert.ok(httpPatterns.every(pattern => isLocalHost(new URL(pattern.replace('*', '')).hostname)));
+});
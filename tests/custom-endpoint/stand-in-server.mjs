@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+/**
+ * Stand-in custom endpoint - a local server that behaves like a team's fetch worker
+ *
+ * Serves the golden fixtures (tests/fixtures/amazon) instead of fetching Amazon,
+ * behind an API key header, as raw HTML or wrapped in JSON.
+ *
+ * Usage:
+ *   node tests/custom-endpoint/stand-in-server.mjs [--port 8787] [--key secret]
+ *       [--header X-Api-Key] [--json contents]
+ *
+ * Then register in the options page:
+ *   URL template  http://127.0.0.1:8787/fetch?url={encodedUrl}
+ *   Header        X-Api-Key: secret
+ *   Response      HTML, or JSON with the --json field
+ * and fetch a fixture URL (e.g. https://www.amazon.co.jp/dp/B0CKINDLE1) from the popup.
+ *
+ * On Node < 22.12 add --experimental-detect-module after `node`.
+ */
+
+import { createServer } from 'node:http';
+import { fileURLToPath } from 'node:url';
+
+import { listFixtures, loadFixture } from '../golden/harness.mjs';
+
+/**
+ * Start the stand-in server
+ * @param {Object} [options]
+ * @param {number} [options.port] - 0 picks a free port
+ * @param {string} [options.apiKey] - Required header value (none: no auth)
+ * @param {string} [options.header] - Header carrying the key
+ * @param {string|null} [options.jsonPath] - Wrap the page in JSON at this dot path (null: raw HTML)
+ * @returns {Promise<{origin: string, requests: Object[], close: Function}>}
+ */
+export function startStandInServer({ port = 0, apiKey = null, header = 'X-Api-Key', jsonPath = null } = {}) {
+  const pages = loadPages();
+  const requests = [];
+
+  const server = createServer((req, res) => {
+    const query = new URL(req.url, 'http://localhost').searchParams;
+    const target = query.get('url');
+    requests.push({ target, authorized: !apiKey || req.headers[header.toLowerCase()] === apiKey });
+
+    if (apiKey && req.headers[header.toLowerCase()] !== apiKey) {
+      res.writeHead(401, { 'Content-Type': 'text/plain' }).end('Unauthorized');
+      return;
+    }
+    if (!pages.has(target)) {
+      res.writeHead(502, { 'Content-Type': 'text/plain' }).end(`No fixture for ${target}`);
+      return;
+    }
+
+    const html = pages.get(target);
+    if (!jsonPath) {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' }).end(html);
+      return;
+    }
+    const body = jsonPath.split('.').reduceRight((value, key) => ({ [key]: value }), html);
+    res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(body));
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        origin: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+/**
+ * Target URL -> fixture HTML; when fixtures share a URL (a CAPTCHA variant) the product page wins
+ * @private
+ */
+function loadPages() {
+  const pages = new Map();
+  listFixtures().map(loadFixture).forEach(fixture => {
+    if (!pages.has(fixture.url) || fixture.expected?.pageType === 'product') {
+      pages.set(fixture.url, fixture.html);
+    }
+  });
+  return pages;
+}
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  const option = (name, fallback = null) => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 ? args[index + 1] : fallback;
+  };
+
+  const header = option('header', 'X-Api-Key');
+  const apiKey = option('key');
+  const jsonPath = option('json');
+  const { origin } = await startStandInServer({ port: Number(option('port', 8787)), apiKey, header, jsonPath });
+
+  console.log(`Stand-in endpoint listening on ${origin}`);
+  console.log(`  URL template: ${origin}/fetch?url={encodedUrl}`);
+  console.log(`  Header:       ${apiKey ? `${header}: ${apiKey}` : '(none)'}`);
+  console.log(`  Response:     ${jsonPath ? `JSON, field "${jsonPath}"` : 'HTML'}`);
+  console.log('  Fixture URLs:');
+  loadPages().forEach((html, url) => console.log(`    ${url}`));
+}
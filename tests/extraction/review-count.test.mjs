@@ -0,0 +1,35 @@
+/**
+ * Review count guess tests
+ *
+ * The keyword-context fallback of collectReviewCountCandidates() and how
+ * DataProcessor treats a count that only a guess supports.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { collectReviewCountCandidates } from '../../background/services/amazon/Extractors.js';
+import DataProcessor from '../../background/services/amazon/DataProcessor.js';
+
+const URL = 'https://www.amazon.co.jp/dp/B0DNOREVW1';
+
+test('digits in tags, classes and ids next to a review keyword are not counts', () => {
+  const html = '<div id="cm_cr_2"><h3 class="a-size-3">この商品をレビュー</h3></div>';
+  assert.deepEqual(collectReviewCountCandidates(html, { url: URL }), []);
+});
+
+test('a number in the page text next to a review keyword is a context guess', () => {
+  const html = '<div><span>この本には</span> <b>42</b> 件のレビューがあります</div>';
+  assert.deepEqual(collectReviewCountCandidates(html, { url: URL }), [{ count: 42, source: 'context' }]);
+});
+
+test('a count only the guess supports is listed but not taken as the review count', () => {
+  const html = '<div><span>この本には</span> <b>42</b> 件のレビューがあります</div>';
+  const result = { reviewCount: 0, currentReviews: 0, normalizedUrl: URL, extraction: {} };
+  new DataProcessor().applyRobustOverrides(result, html, {});
+
+  assert.equal(result.reviewCount, 0);
+  assert.equal(result.extraction.reviewCountSource, 'none');
+  assert.equal(result.extraction.fields.reviewCount.source, 'context');
+  assert.equal(result.extraction.fields.reviewCount.value, 42);
+});
@@ -0,0 +1,68 @@
+/**
+ * Fetch strategy tests
+ *
+ * Fake attempts with fixed delays; checks which proxies each strategy asks,
+ * in what order, and when.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FETCH_STRATEGIES, normalizeStrategyConfig, runFetchStrategy } from '../../background/services/amazon/FetchStrategies.js';
+
+const PROXIES = ['p1', 'p2', 'p3', 'p4'];
+
+/**
+ * Attempt function from a table: proxy -> { delay, ok }
+ */
+function fakeAttempts(table) {
+  const started = [];
+  const attempt = (proxy) => {
+    started.push(proxy);
+    const { delay = 0, ok = false } = table[proxy] || {};
+    return new Promise((resolve, reject) => setTimeout(() => (ok ? resolve(`html:${proxy}`) : reject(new Error(`${proxy} failed`))), delay));
+  };
+  return { started, attempt };
+}
+
+const config = (strategy, extra = {}) => normalizeStrategyConfig({ strategy, ...extra });
+
+test('race_all asks every proxy at once', async () => {
+  const { started, attempt } = fakeAttempts({ p3: { delay: 5, ok: true }, p1: { delay: 20, ok: true } });
+  const result = await runFetchStrategy(PROXIES, attempt, config(FETCH_STRATEGIES.raceAll));
+  assert.equal(result.proxy, 'p3');
+  assert.deepEqual(started, PROXIES);
+});
+
+test('race_top_n keeps N in flight and replaces failures', async () => {
+  const { started, attempt } = fakeAttempts({ p1: { delay: 5 }, p2: { delay: 50 }, p3: { delay: 5, ok: true } });
+  const result = await runFetchStrategy(PROXIES, attempt, config(FETCH_STRATEGIES.raceTopN, { topN: 2 }));
+  assert.equal(result.proxy, 'p3');
+  assert.deepEqual(started, ['p1', 'p2', 'p3']);
+});
+
+test('sequential fails over at once and hedges a silent proxy', async () => {
+  const events = [];
+  const { started, attempt } = fakeAttempts({ p1: { delay: 1 }, p2: { delay: 1500 }, p3: { delay: 5, ok: true } });
+  const result = await runFetchStrategy(PROXIES, attempt, config(FETCH_STRATEGIES.sequential, { hedgeDelayMs: 500 }), {
+    onEvent: (event) => events.push(`${event.type}:${event.proxy}:${event.reason || ''}`)
+  });
+  assert.equal(result.proxy, 'p3');
+  assert.deepEqual(started, ['p1', 'p2', 'p3']);
+  assert.ok(events.includes('start:p2:failover'));
+  assert.ok(events.includes('start:p3:hedge'));
+});
+
+test('all failures reject with every error', async () => {
+  const { attempt } = fakeAttempts({});
+  await assert.rejects(
+    runFetchStrategy(PROXIES, attempt, config(FETCH_STRATEGIES.sequential)),
+    (error) => error instanceof AggregateError && error.errors.length === PROXIES.length
+  );
+  await assert.rejects(runFetchStrategy([], attempt, config(FETCH_STRATEGIES.raceAll)), AggregateError);
+});
+
+test('settings are clamped to the limits', () => {
+  assert.deepEqual(normalizeStrategyConfig({ strategy: 'bogus', topN: 99, hedgeDelayMs: 1 }, 'background'),
+    { strategy: FETCH_STRATEGIES.sequential, topN: 10, hedgeDelayMs: 500 });
+});
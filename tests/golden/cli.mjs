@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+/**
+ * Golden fixture CLI
+ *
+ * Usage:
+ *   node tests/golden/cli.mjs add <name> <page.html> --url <url> [--description <text>]
+ *       Copy a saved product page into the corpus and snapshot its extraction
+ *   node tests/golden/cli.mjs update [<name> ...]
+ *       Re-snapshot fixtures (all when no name is given) after an intended parser change
+ *   node tests/golden/cli.mjs show <page.html | name> [--url <url>]
+ *       Print the extraction snapshot without writing anything
+ *
+ * On Node < 22.12 add --experimental-detect-module after `node` (the extension
+ * sources are ES modules without a package.json).
+ */
+
+import { readFileSync, existsSync } from 'node:fs';
+import { join } from 'node:path';
+
+import { FIXTURES_DIR, listFixtures, loadFixture, saveFixture, extractSnapshot } from './harness.mjs';
+
+const USAGE = `Usage:
+  cli.mjs add <name> <page.html> --url <url> [--description <text>]
+  cli.mjs update [<name> ...]
+  cli.mjs show <page.html | name> [--url <url>]`;
+
+/**
+ * Split argv into positional arguments and --options
+ * @private
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      options[arg.slice(2)] = argv[i + 1];
+      i++;
+    } else {
+      positional.push(arg);
+    }
+  }
+  return { positional, options };
+}
+
+/**
+ * One-line summary of a snapshot
+ * @private
+ */
+function summarize({ pageAccepted, valid, dto }) {
+  const fields = dto.extraction?.fields || {};
+  const disagreements = dto.extraction?.disagreements || [];
+  return [
+    `page ${pageAccepted ? 'accepted' : 'rejected'}, ${valid ? 'valid' : 'invalid'}`,
+    `title: ${dto.title}`,
+    `reviews: ${dto.reviewCount} (${dto.extraction?.reviewCountSource}, confidence ${fields.reviewCount?.confidence ?? '-'})`,
+    `ratings / written: ${dto.ratingsCount} / ${dto.writtenReviewCount}`,
+    disagreements.length > 0 ? `disagreements: ${disagreements.join(', ')}` : null
+  ].filter(Boolean).map(line => `  ${line}`).join('\n');
+}
+
+function add([name, file], options) {
+  if (!name || !file || !options.url) throw new Error(USAGE);
+  if (existsSync(join(FIXTURES_DIR, `${name}.html`))) {
+    throw new Error(`Fixture "${name}" already exists (use update to re-snapshot it)`);
+  }
+  const html = readFileSync(file, 'utf8');
+  const snapshot = saveFixture(name, { url: options.url, description: options.description || '', html });
+  console.log(`✅ Added fixture ${name}\n${summarize(snapshot)}`);
+}
+
+function update(names, options) {
+  const targets = names.length > 0 ? names : listFixtures();
+  for (const name of targets) {
+    let spec;
+    if (existsSync(join(FIXTURES_DIR, `${name}.json`))) {
+      spec = loadFixture(name);
+    } else if (options.url) {
+      spec = { url: options.url, description: options.description || '' };
+    } else {
+      throw new Error(`Fixture "${name}" has no spec yet: pass --url <url>`);
+    }
+    const snapshot = saveFixture(name, { url: spec.url, description: spec.description });
+    console.log(`🔄 Updated fixture ${name}\n${summarize(snapshot)}`);
+  }
+}
+
+function show([target], options) {
+  if (!target) throw new Error(USAGE);
+  if (!existsSync(target) && listFixtures().includes(target)) {
+    const fixture = loadFixture(target);
+    console.log(JSON.stringify(extractSnapshot(fixture.html, options.url || fixture.url), null, 2));
+    return;
+  }
+  if (!options.url) throw new Error('show <page.html> needs --url <url>');
+  console.log(JSON.stringify(extractSnapshot(readFileSync(target, 'utf8'), options.url), null, 2));
+}
+
+const COMMANDS = { add, update, show };
+
+const [command, ...rest] = process.argv.slice(2);
+try {
+  if (!COMMANDS[command]) throw new Error(USAGE);
+  const { positional, options } = parseArgs(rest);
+  COMMANDS[command](positional, options);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+}
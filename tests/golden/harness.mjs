@@ -0,0 +1,127 @@
+/**
+ * Golden-HTML harness - run the Amazon parsing pipeline on saved pages
+ *
+ * Responsibilities:
+ * - Run a saved product page through the same steps as FetchCoordinator.fetchFresh
+ *   (HtmlFetcher page check → AmazonHTMLParser → MetadataExtractor → DataProcessor)
+ * - Reduce the result to a deterministic snapshot (no timestamps / timings)
+ * - Read and write fixtures: tests/fixtures/amazon/<name>.html + <name>.json
+ *
+ * Notes:
+ * - No network and no chrome.* APIs: only the pure parsing modules are imported.
+ * - The parsers log every match; logs are muted while a fixture is extracted.
+ */
+
+import { readFileSync, writeFileSync, readdirSync, existsSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import AmazonHTMLParser from '../../background/parsers/AmazonHTMLParser.js';
+import MetadataExtractor from '../../background/parsers/MetadataExtractor.js';
+import DataProcessor from '../../background/services/amazon/DataProcessor.js';
+import HtmlFetcher from '../../background/services/amazon/HtmlFetcher.js';
+import { classifyAmazonPage } from '../../background/services/amazon/PageClassifier.js';
+
+export const FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'amazon');
+
+// DTO fields that change on every run
+const VOLATILE_FIELDS = ['timestamp', 'fetchTime'];
+
+// ============================================================================
+// EXTRACTION
+// ============================================================================
+
+/**
+ * Extract a snapshot from page HTML
+ * @param {string} html - Saved product page
+ * @param {string} url - Product URL the page was saved from
+ * @returns {{pageType: string, pageAccepted: boolean, valid: boolean, dto: Object}} Snapshot
+ */
+export function extractSnapshot(html, url) {
+  const htmlParser = new AmazonHTMLParser();
+  const metadataExtractor = new MetadataExtractor();
+  const dataProcessor = new DataProcessor();
+  htmlParser.setDebugMode(false);
+  metadataExtractor.setDebugMode(false);
+
+  return muted(() => {
+    const basic = htmlParser.parse(html, url) || {};
+    const meta = metadataExtractor.extractAll(html, url) || {};
+    const dto = dataProcessor.processBookData(basic, meta, html, url, Date.now());
+    VOLATILE_FIELDS.forEach(field => delete dto[field]);
+
+    return {
+      // What kind of page Amazon served (PageClassifier)
+      pageType: classifyAmazonPage(html, url).type,
+      // Would the proxy fetcher have accepted this page at all?
+      pageAccepted: new HtmlFetcher(null).isValidAmazonHtml(html, url),
+      // Would FetchCoordinator have returned it (vs. throwing)?
+      valid: dataProcessor.validateProcessedData(dto),
+      // JSON round trip: the comparison sees exactly what is stored on disk
+      dto: JSON.parse(JSON.stringify(dto))
+    };
+  });
+}
+
+/**
+ * Run fn with console.log / console.warn silenced
+ * @private
+ */
+function muted(fn) {
+  const { log, warn } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+    console.warn = warn;
+  }
+}
+
+// ============================================================================
+// FIXTURES
+// ============================================================================
+
+/**
+ * @returns {string[]} Fixture names (sorted)
+ */
+export function listFixtures() {
+  return readdirSync(FIXTURES_DIR)
+    .filter(file => file.endsWith('.html'))
+    .map(file => file.slice(0, -'.html'.length))
+    .sort();
+}
+
+/**
+ * @param {string} name - Fixture name
+ * @returns {{name: string, html: string, url: string, description: string, expected: Object|null}}
+ */
+export function loadFixture(name) {
+  const html = readFileSync(join(FIXTURES_DIR, `${name}.html`), 'utf8');
+  const specPath = join(FIXTURES_DIR, `${name}.json`);
+  if (!existsSync(specPath)) {
+    throw new Error(`Fixture "${name}" has no ${name}.json (run: cli.mjs update ${name} --url <url>)`);
+  }
+  const spec = JSON.parse(readFileSync(specPath, 'utf8'));
+  return { name, html, url: spec.url, description: spec.description || '', expected: spec.expected || null };
+}
+
+/**
+ * Write a fixture's HTML (optional) and its spec with a fresh snapshot
+ * @param {string} name - Fixture name
+ * @param {Object} fixture - { url, description?, html? }
+ * @returns {Object} The written snapshot
+ */
+export function saveFixture(name, { url, description = '', html = null }) {
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(name)) {
+    throw new Error(`Invalid fixture name "${name}" (use lowercase letters, digits and hyphens)`);
+  }
+  const htmlPath = join(FIXTURES_DIR, `${name}.html`);
+  if (html !== null) writeFileSync(htmlPath, html);
+
+  const expected = extractSnapshot(readFileSync(htmlPath, 'utf8'), url);
+  const spec = { url, description, expected };
+  writeFileSync(join(FIXTURES_DIR, `${name}.json`), `${JSON.stringify(spec, null, 2)}\n`);
+  return expected;
+}
@@ -0,0 +1,39 @@
+/**
+ * Golden-HTML regression tests for the Amazon parsers
+ *
+ * Every fixture in tests/fixtures/amazon is extracted again and compared with
+ * the snapshot stored next to it. After an intended parser change, review the
+ * diff and refresh the snapshots with `node tests/golden/cli.mjs update`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { listFixtures, loadFixture, extractSnapshot } from './harness.mjs';
+
+const fixtures = listFixtures();
+
+test('fixture corpus is not empty', () => {
+  assert.ok(fixtures.length > 0, 'no fixtures found in tests/fixtures/amazon');
+});
+
+for (const name of fixtures) {
+  test(`golden: ${name}`, () => {
+    const fixture = loadFixture(name);
+    assert.ok(fixture.expected, `${name}.json has no expected snapshot`);
+
+    const actual = extractSnapshot(fixture.html, fixture.url);
+    assert.deepEqual(actual, fixture.expected, `${name}: extraction differs from the snapshot (${fixture.description})`);
+  });
+}
+
+// Stated outright so a re-snapshot cannot quietly accept a guessed count again
+test('a page without reviews reports no count and no guessed one', () => {
+  const fixture = loadFixture('jp-no-reviews');
+  const { dto } = extractSnapshot(fixture.html, fixture.url);
+  assert.equal(dto.reviewCount, 0);
+  assert.equal(dto.ratingsCount, null);
+  assert.equal(dto.writtenReviewCount, null);
+  assert.equal(dto.extraction.reviewCountSource, 'none');
+  assert.deepEqual(dto.extraction.fields.reviewCount.candidates, []);
+});
@@ -0,0 +1,179 @@
+/**
+ * Book library tests
+ *
+ * BookDataModel + BookLibraryService over an in-memory storage: fetches that
+ * land on tracked ASINs, URL edits, writes racing the background LibraryStore,
+ * and removal taking the book's review history along.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import BookDataModel from '../../popup/models/BookDataModel.js';
+import BookLibraryService, { DRAFT_KEY } from '../../popup/services/BookLibraryService.js';
+import DataActionHandler from '../../popup/controllers/actions/DataActionHandler.js';
+import { ReviewHistoryService } from '../../background/services/ReviewHistoryService.js';
+
+const TRACKED = 'B0CKINDLE1';
+const OTHER = 'B0OTHERBK1';
+const urlOf = (asin) => `https://www.amazon.co.jp/dp/${asin}`;
+
+/**
+ * StorageService stand-in; `value` is what chrome.storage.local holds
+ */
+function memoryStorage(value = null) {
+  return {
+    value,
+    async load() { return structuredClone(this.value); },
+    async save(data) { this.value = structuredClone(data); return true; },
+    async clear() { this.value = null; return true; }
+  };
+}
+
+function trackedLibrary() {
+  return memoryStorage({
+    version: 1,
+    selectedKey: TRACKED,
+    books: {
+      [TRACKED]: {
+        asin: TRACKED, title: '星を数える夜', author: '山田 太郎', amazonUrl: urlOf(TRACKED), currentReviews: 35,
+        targetReviews: 500, stretchReviews: 1000, milestoneTiers: [200, 300], goalMetric: 'reviews',
+        combineEditions: true, createdAt: '2026-01-01T00:00:00.000Z'
+      }
+    }
+  });
+}
+
+async function createModel(storage) {
+  const model = new BookDataModel(new BookLibraryService(storage));
+  await model.load();
+  return model;
+}
+
+const fetched = (asin, extra = {}) => ({ asin, title: '星を数える夜', author: '山田 太郎', url: urlOf(asin), reviewCount: 120, ratingsCount: 120, writtenReviewCount: 40, ...extra });
+
+test('a new entry whose fetch hits a tracked ASIN keeps that book\'s goal settings', async () => {
+  const storage = trackedLibrary();
+  const model = await createModel(storage);
+
+  model.startNewBook();
+  model.updateField('amazonUrl', urlOf(TRACKED), false);
+  model.updateFromAmazonData(fetched(TRACKED));
+  assert.equal(model.getSelectedKey(), TRACKED);
+  assert.ok(await model.save());
+
+  const book = storage.value.books[TRACKED];
+  assert.equal(book.targetReviews, 500);
+  assert.equal(book.stretchReviews, 1000);
+  assert.deepEqual(book.milestoneTiers, [200, 300]);
+  assert.equal(book.goalMetric, 'reviews');
+  assert.equal(book.combineEditions, true);
+  assert.equal(book.currentReviews, 40, 'goal metric still picks the written reviews');
+});
+
+test('a saved draft that turns out to be a tracked book is dropped, not duplicated', async () => {
+  const storage = trackedLibrary();
+  const model = await createModel(storage);
+
+  model.startNewBook();
+  model.updateField('title', '下書き', false);
+  await model.save();
+  assert.ok(storage.value.books[DRAFT_KEY]);
+
+  model.updateFromAmazonData(fetched(TRACKED));
+  await model.save();
+  assert.deepEqual(Object.keys(storage.value.books), [TRACKED]);
+  assert.equal(storage.value.books[TRACKED].targetReviews, 500);
+});
+
+test('editing the URL to an untracked ASIN renames the entry', async () => {
+  const storage = trackedLibrary();
+  const model = await createModel(storage);
+
+  model.updateField('amazonUrl', urlOf(OTHER), false);
+  assert.equal(model.getSaveConflict(), null);
+  await model.save();
+  assert.deepEqual(Object.keys(storage.value.books), [OTHER]);
+  assert.equal(storage.value.selectedKey, OTHER);
+  assert.equal(storage.value.books[OTHER].targetReviews, 500);
+});
+
+test('editing the URL to another tracked book\'s ASIN overwrites neither book', async () => {
+  const storage = trackedLibrary();
+  storage.value.books[OTHER] = {
+    asin: OTHER, title: '別の本', author: '佐藤 花子', amazonUrl: urlOf(OTHER), currentReviews: 10,
+    targetReviews: 50, goalMetric: 'ratings', createdAt: '2026-02-01T00:00:00.000Z'
+  };
+  const before = structuredClone(storage.value.books);
+  const model = await createModel(storage);
+
+  model.updateField('amazonUrl', urlOf(OTHER), false);
+  assert.equal(model.getSaveConflict(), OTHER);
+  assert.equal(await model.save(), false);
+  assert.deepEqual(storage.value.books, before);
+  assert.equal(storage.value.selectedKey, TRACKED);
+
+  // BookLibraryService checks the stored library again (the book may arrive after the popup's check)
+  const library = new BookLibraryService(storage);
+  await library.load();
+  assert.equal(await library.saveBook(OTHER, { asin: OTHER, title: '上書き' }, { previousKey: TRACKED }), false);
+  assert.deepEqual(storage.value.books, before);
+
+  // Switching (what the popup offers) leaves both entries as they were
+  await model.selectBook(OTHER);
+  assert.equal(model.getData().targetReviews, 50);
+  assert.deepEqual(storage.value.books, before);
+});
+
+test('popup saves keep what the background wrote to other books meanwhile', async () => {
+  const storage = trackedLibrary();
+  storage.value.books[OTHER] = { asin: OTHER, title: '別の本', amazonUrl: urlOf(OTHER), currentReviews: 10 };
+  const model = await createModel(storage);
+
+  // Scheduled refresh (LibraryStore.updateBook) while the popup is open
+  storage.value.books[OTHER].currentReviews = 12;
+
+  model.updateField('targetReviews', 600, false);
+  await model.save();
+  assert.equal(storage.value.books[OTHER].currentReviews, 12);
+  assert.equal(storage.value.books[TRACKED].targetReviews, 600);
+});
+
+test('removing a book clears both of its review history series', async () => {
+  // chrome.storage.local stand-in for the background ReviewHistoryService
+  const local = {};
+  globalThis.chrome = {
+    storage: {
+      local: {
+        async get(keys) { return Object.fromEntries(keys.filter(k => k in local).map(k => [k, local[k]])); },
+        async set(items) { Object.assign(local, items); },
+        async remove(key) { delete local[key]; }
+      }
+    }
+  };
+  const history = new ReviewHistoryService();
+  await history.append(TRACKED, { count: 30, timestamp: 1 });
+  await history.append(TRACKED, { count: 90, timestamp: 1 }, { combined: true });
+  await history.append(OTHER, { count: 5, timestamp: 1 });
+
+  const storage = trackedLibrary();
+  const model = await createModel(storage);
+  const sent = [];
+  const messageHandler = {
+    async sendMessageToBackground(message) {
+      sent.push(message.action);
+      if (message.action === 'clearReviewHistory') return history.clear(message.asin);
+      return null;
+    }
+  };
+  const uiManager = { isDirty: () => false, setFormData() {}, showSuccess() {}, showError() {} };
+  globalThis.confirm = () => true;
+
+  await new DataActionHandler(model, uiManager, messageHandler, {}).handleClear();
+
+  assert.deepEqual(Object.keys(storage.value.books), []);
+  assert.deepEqual(sent, ['clearReviewHistory']);
+  assert.deepEqual(await history.query(TRACKED), []);
+  assert.deepEqual(await history.query(TRACKED, {}, { combined: true }), []);
+  assert.equal((await history.query(OTHER)).length, 1, 'other books keep their history');
+});
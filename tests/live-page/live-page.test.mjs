@@ -0,0 +1,123 @@
+/**
+ * Live page tests
+ *
+ * Which open tab shows a product, and how live DOM values from a tab read
+ * (LivePageExtractor) compete with the regex parsers in DataProcessor.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  findProductTabs,
+  isRecentLivePage,
+  OPEN_TAB_MAX_AGE
+} from '../../background/services/amazon/LivePageExtractor.js';
+import DataProcessor from '../../background/services/amazon/DataProcessor.js';
+import AmazonHTMLParser from '../../background/parsers/AmazonHTMLParser.js';
+import MetadataExtractor from '../../background/parsers/MetadataExtractor.js';
+import { loadFixture } from '../golden/harness.mjs';
+
+const URL = 'https://www.amazon.co.jp/dp/B0CKINDLE1';
+
+test('open tabs match the product across subdomains, slugs and queries', () => {
+  const tabs = [
+    { id: 1, status: 'complete', lastAccessed: 10, url: 'https://amazon.co.jp/%E6%98%9F/dp/B0CKINDLE1/ref=sr_1_1?keywords=x' },
+    { id: 2, status: 'complete', lastAccessed: 30, url: 'https://www.amazon.co.jp/gp/product/B0CKINDLE1' },
+    { id: 3, status: 'loading', lastAccessed: 50, url: URL },
+    { id: 4, status: 'complete', lastAccessed: 60, url: URL, discarded: true },
+    { id: 5, status: 'complete', lastAccessed: 70, url: 'https://www.amazon.com/dp/B0CKINDLE1' },
+    { id: 6, status: 'complete', lastAccessed: 80, url: 'https://www.amazon.co.jp/dp/B0OTHERBOOK' },
+    { id: 7, status: 'complete', lastAccessed: 90, url: 'chrome://newtab/' }
+  ];
+  assert.deepEqual(findProductTabs(tabs, URL).map(tab => tab.id), [2, 1]);
+});
+
+test('only recently loaded tabs are read in place', () => {
+  const now = Date.now();
+  assert.equal(isRecentLivePage({ loadedAt: now - 60 * 1000 }, now), true);
+  assert.equal(isRecentLivePage({ loadedAt: now - OPEN_TAB_MAX_AGE - 1 }, now), false);
+  assert.equal(isRecentLivePage({}, now), false);
+});
+
+/**
+ * Run the fixture through the regular pipeline, plus DOM values
+ */
+function process(dom) {
+  const { html } = loadFixture('jp-kindle');
+  const basic = new AmazonHTMLParser();
+  const meta = new MetadataExtractor();
+  basic.setDebugMode(false);
+  meta.setDebugMode(false);
+  return new DataProcessor().processBookData(basic.parse(html, URL), meta.extractAll(html, URL), html, URL, Date.now(), dom);
+}
+
+test('live DOM values fill what the regex parsers miss and agree with the rest', () => {
+  const result = process({
+    title: '星を数える夜 (青葉文庫)',
+    author: '山田 太郎、佐藤 花子',
+    imageUrl: 'https://m.media-amazon.com/images/I/81kXyZ4pQbL._SL1500_.jpg',
+    ratingsCount: 1284,
+    averageRating: 4.4,
+    price: '￥792'
+  });
+
+  assert.equal(result.author, '山田 太郎、佐藤 花子');
+  assert.equal(result.extraction.fields.author.source, 'dom');
+  assert.equal(result.reviewCount, 1284);
+  assert.equal(result.averageRating, 4.4);
+  assert.equal(result.price, 792);
+  assert.ok(result.extraction.fields.reviewCount.confidence > 0.95);
+  assert.ok(!result.extraction.disagreements.includes('reviewCount'));
+  assert.ok(!result.extraction.disagreements.includes('imageUrl'), 'same image ID, other size');
+});
+
+test('a DOM count the page text contradicts is outvoted and reported', () => {
+  const result = process({ ratingsCount: 1290 });
+  assert.equal(result.reviewCount, 1284);
+  assert.equal(result.ratingsCount, 1284);
+  assert.ok(result.extraction.fields.reviewCount.candidates.some(c => c.source === 'dom' && c.value === 1290));
+  assert.ok(result.extraction.disagreements.includes('reviewCount'));
+});
+
+test('written reviews, rank lines and the histogram are read from the live DOM', () => {
+  const result = process({
+    reviewsText: '215件のグローバルレビュー',
+    histogram: { 5: 70, 4: 17, 3: 7, 2: 3, 1: 3 },
+    rankLines: [
+      'Kindleストア 有料タイトル - 1,498位',
+      '- 11位日本の小説・文芸',
+      '- 47位SF・ホラー・ファンタジー (Kindleストア)',
+      'ベストセラー'
+    ]
+  });
+
+  assert.equal(result.writtenReviewCount, 215);
+  assert.equal(result.extraction.writtenReviewCountSource, 'dom');
+  assert.ok(result.extraction.disagreements.includes('writtenReviewCount'), 'the page text says 212');
+  assert.deepEqual(result.ratingHistogram, { 5: 70, 4: 17, 3: 7, 2: 3, 1: 3 });
+  assert.equal(result.extraction.ratingHistogramSource, 'dom');
+  assert.deepEqual(result.bestSellersRank, {
+    overall: { rank: 1498, category: 'Kindleストア 有料タイトル' },
+    categories: [
+      { rank: 11, category: '日本の小説・文芸' },
+      { rank: 47, category: 'SF・ホラー・ファンタジー (Kindleストア)' }
+    ]
+  });
+  assert.equal(result.extraction.bestSellersRankSource, 'dom');
+});
+
+test('DOM rows that do not add up and unreadable rank lines leave the page text values', () => {
+  const expected = loadFixture('jp-kindle').expected.dto;
+  const result = process({ histogram: { 5: 70, 4: 17, 3: 7, 2: 3, 1: null }, rankLines: ['ベストセラー'] });
+  assert.deepEqual(result.ratingHistogram, expected.ratingHistogram);
+  assert.deepEqual(result.bestSellersRank, expected.bestSellersRank);
+  assert.equal(result.extraction.bestSellersRankSource, undefined);
+});
+
+test('without DOM values the result is the regex pipeline alone', () => {
+  const expected = loadFixture('jp-kindle').expected.dto;
+  const result = JSON.parse(JSON.stringify(process(null)));
+  assert.equal(result.author, expected.author);
+  assert.deepEqual(result.extraction, expected.extraction);
+});
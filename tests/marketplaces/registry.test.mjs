@@ -0,0 +1,61 @@
+/**
+ * MarketplaceRegistry tests
+ *
+ * manifest.json is static, so adding a store to the registry without its
+ * host_permissions entry would only fail at fetch time; this suite catches it.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import {
+  hostPermissions,
+  marketplaceKey,
+  isSupportedAmazonHost,
+  parseCount,
+  parseLocalizedNumber,
+  AMAZON_PRODUCT_URL_PATTERN,
+  AMAZON_URL_IN_TEXT_PATTERN
+} from '../../shared/MarketplaceRegistry.js';
+
+const manifest = JSON.parse(readFileSync(new URL('../../manifest.json', import.meta.url), 'utf8'));
+
+test('manifest host_permissions cover every registered store', () => {
+  const missing = hostPermissions().filter(pattern => !manifest.host_permissions.includes(pattern));
+  assert.deepEqual(missing, [], `add to manifest.json host_permissions: ${missing.join(', ')}`);
+});
+
+test('store hosts resolve to their registry key', () => {
+  assert.equal(marketplaceKey('www.amazon.com.au'), 'amazon.com.au');
+  assert.equal(marketplaceKey('https://smile.amazon.com/dp/B0CKINDLUS'), 'amazon.com');
+  assert.equal(marketplaceKey('https://www.amazon.com.br/dp/B0CKINDLBR'), 'amazon.com.br');
+  assert.equal(marketplaceKey('amazon.evil.com'), null);
+  assert.equal(isSupportedAmazonHost('www.amazon.nl'), true);
+  assert.equal(isSupportedAmazonHost('amazon.co.jp.example.com'), false);
+});
+
+test('counts parse in each store number format', () => {
+  assert.equal(parseCount('1,234個の評価', 'https://www.amazon.co.jp/dp/B000000000'), 1234);
+  assert.equal(parseCount('3.907 Sternebewertungen', 'https://www.amazon.de/dp/B000000000'), 3907);
+  assert.equal(parseCount('1 234 évaluations', 'https://www.amazon.fr/dp/B000000000'), 1234);
+  assert.equal(parseCount('1,23,456 ratings', 'https://www.amazon.in/dp/B000000000'), 123456);
+});
+
+test('prices keep their decimals', () => {
+  assert.equal(parseLocalizedNumber('￥1,200', 'https://www.amazon.co.jp/dp/B000000000'), 1200);
+  assert.equal(parseLocalizedNumber('$1,234.50', 'https://www.amazon.com/dp/B000000000'), 1234.5);
+  assert.equal(parseLocalizedNumber('9,99 €', 'https://www.amazon.de/dp/B000000000'), 9.99);
+  assert.equal(parseLocalizedNumber('R$ 1.234,50', 'https://www.amazon.com.br/dp/B000000000'), 1234.5);
+  assert.equal(parseLocalizedNumber('CDN$ 12.99', 'https://www.amazon.ca/dp/B000000000'), 12.99);
+});
+
+test('URL patterns accept every store and nothing else', () => {
+  assert.ok(AMAZON_PRODUCT_URL_PATTERN.test('https://www.amazon.com.mx/dp/B0CKINDLMX'));
+  assert.ok(AMAZON_PRODUCT_URL_PATTERN.test('https://amazon.co.uk/gp/product/B0CKINDLUK?tag=x'));
+  assert.ok(!AMAZON_PRODUCT_URL_PATTERN.test('https://www.amazon.evil.com/dp/B0CKINDLUS'));
+  assert.equal(
+    'see https://www.amazon.es/dp/B0CKINDLES) now'.match(AMAZON_URL_IN_TEXT_PATTERN)?.[0],
+    'https://www.amazon.es/dp/B0CKINDLES'
+  );
+});
@@ -0,0 +1,69 @@
+/**
+ * Progress view tests
+ *
+ * updateProgressDisplay over a minimal document stand-in: the goal's metric
+ * noun reaches the "N / M …" line, and stored metric keys are validated.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { updateProgressDisplay } from '../../popup/views/ProgressView.js';
+import { normalizeReviewMetric, getReviewMetricLabels } from '../../shared/ReviewMetrics.js';
+
+/**
+ * Just enough of document for the view: elements by id, created elements, insertBefore
+ */
+function installDocument() {
+  const byId = new Map();
+  const createElement = () => ({
+    id: '',
+    className: '',
+    style: {},
+    innerHTML: '',
+    parentNode: null,
+    nextSibling: null,
+    insertBefore(node) {
+      node.parentNode = this;
+      if (node.id) byId.set(node.id, node);
+    },
+    remove() { byId.delete(this.id); }
+  });
+  globalThis.document = { getElementById: (id) => byId.get(id) || null, createElement };
+
+  const form = createElement();
+  const targetField = createElement();
+  targetField.parentNode = form;
+  return { targetReviews: { parentNode: targetField } };
+}
+
+const progress = (extra = {}) => ({
+  currentReviews: 120,
+  targetReviews: 500,
+  progressPercentage: 24,
+  remainingReviews: 380,
+  isGoalAchieved: false,
+  ...extra
+});
+
+test('a ratings goal shows its count in 評価', () => {
+  const elements = installDocument();
+  updateProgressDisplay(elements, progress({ metricNoun: '評価' }));
+  const html = document.getElementById('progress-section').innerHTML;
+  assert.match(html, /120 \/ 500 評価 \(24%\)/);
+  assert.doesNotMatch(html, /500 レビュー/);
+});
+
+test('without a metric noun the line counts reviews', () => {
+  const elements = installDocument();
+  updateProgressDisplay(elements, progress());
+  assert.match(document.getElementById('progress-section').innerHTML, /120 \/ 500 レビュー/);
+});
+
+test('stored metric keys that are only inherited object properties fall back to ratings', () => {
+  for (const key of ['toString', 'constructor', '__proto__', undefined]) {
+    assert.equal(normalizeReviewMetric(key), 'ratings');
+    assert.equal(getReviewMetricLabels(key).noun, '評価');
+  }
+  assert.equal(normalizeReviewMetric('reviews'), 'reviews');
+});
@@ -0,0 +1,157 @@
+/**
+ * ProxyManagerService health tests
+ *
+ * Circuit breaker transitions and the persisted snapshot, with an in-memory
+ * stand-in for chrome.storage.local.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ProxyManagerService, BREAKER_STATES } from '../../background/services/ProxyManagerService.js';
+
+const A = 'https://proxy-a.example/?url=';
+const B = 'https://proxy-b.example/?url=';
+
+function memoryStorage(initial = {}) {
+  const data = { ...initial };
+  return {
+    data,
+    async get(keys) {
+      return Object.fromEntries(keys.filter(key => key in data).map(key => [key, structuredClone(data[key])]));
+    },
+    async set(items) {
+      Object.assign(data, structuredClone(items));
+    }
+  };
+}
+
+function createManager(storageArea = null) {
+  const manager = new ProxyManagerService(storageArea ? { storageArea } : { persist: false });
+  manager.setProxies([{ url: A }, { url: B }]);
+  return manager;
+}
+
+function failTimes(manager, proxy, count) {
+  for (let i = 0; i < count; i++) manager.recordAttempt(proxy, false, 1000);
+}
+
+test('breaker opens after consecutive failures and drops the proxy from the list', () => {
+  const manager = createManager();
+  failTimes(manager, A, 4);
+  assert.ok(manager.getOptimizedProxyList().includes(A));
+
+  failTimes(manager, A, 1);
+  assert.equal(manager.stats.get(A).breaker.state, BREAKER_STATES.open);
+  assert.deepEqual(manager.getOptimizedProxyList(), [B]);
+  assert.equal(manager.getStatusSummary().breakers.open, 1);
+});
+
+test('half-open hands out one trial; success closes, failure reopens with a longer cooldown', () => {
+  const manager = createManager();
+  failTimes(manager, A, 5);
+  const breaker = manager.stats.get(A).breaker;
+  const firstCooldown = breaker.retryAt - breaker.openedAt;
+
+  breaker.retryAt = Date.now() - 1;
+  assert.ok(manager.getOptimizedProxyList().includes(A));
+  assert.equal(breaker.state, BREAKER_STATES.halfOpen);
+  manager.getBestProxy();
+  manager.getConfiguration();
+  assert.ok(manager.getOptimizedProxyList().includes(A), 'listing and diagnostics claim nothing');
+  assert.equal(manager.claimProxy(A), true);
+  assert.equal(manager.claimProxy(A), false, 'trial already in flight');
+  assert.ok(!manager.getOptimizedProxyList().includes(A));
+
+  manager.recordAttempt(A, false, 1000);
+  const reopened = manager.stats.get(A).breaker;
+  assert.equal(reopened.state, BREAKER_STATES.open);
+  assert.equal(reopened.retryAt - reopened.openedAt, firstCooldown * 2);
+
+  reopened.retryAt = Date.now() - 1;
+  manager.claimProxy(A);
+  manager.recordAttempt(A, true, 800);
+  assert.equal(manager.stats.get(A).breaker.state, BREAKER_STATES.closed);
+  assert.equal(manager.stats.get(A).breaker.trips, 0);
+});
+
+test('stats and breakers survive a restart', async () => {
+  const storage = memoryStorage();
+  const first = createManager(storage);
+  await first.whenReady();
+  first.recordAttempt(B, true, 500);
+  failTimes(first, A, 5);
+  await first.persist();
+
+  const second = createManager(storage);
+  await second.whenReady();
+  assert.equal(second.stats.get(A).breaker.state, BREAKER_STATES.open);
+  assert.equal(second.stats.get(B).successes, 1);
+  assert.deepEqual(second.getOptimizedProxyList(), [B]);
+});
+
+test('counters decay toward no evidence', () => {
+  const manager = createManager();
+  failTimes(manager, B, 3);
+  const stat = manager.stats.get(B);
+  assert.equal(stat.status, 'degraded');
+  stat.decayedAt -= 24 * 60 * 60 * 1000;
+
+  manager.getOptimizedProxyList();
+  assert.ok(stat.attempts < 0.5);
+  assert.equal(stat.status, 'unknown');
+});
+
+test('health probes skip recently used, disabled and cooling-down proxies', async () => {
+  const C = 'https://proxy-c.example/?url=';
+  const manager = new ProxyManagerService({ persist: false });
+  manager.setProxies([{ url: A }, { url: B }, { url: C, enabled: false }]);
+  manager.recordAttempt(A, true, 500);
+
+  const probed = [];
+  await manager.initializeHealthProbes(async (proxy) => {
+    probed.push(proxy);
+    manager.recordAttempt(proxy, true, 700, { probe: true });
+  });
+
+  const result = await manager.runHealthProbes();
+  assert.deepEqual(probed, [B]);
+  assert.equal(result.healthy, 1);
+  assert.equal(manager.getStatusSummary().proxies.find(row => row.url === B).lastProbeOk, true);
+
+  failTimes(manager, B, 5);
+  probed.length = 0;
+  manager.stats.get(A).lastUsed = 0;
+  await manager.runHealthProbes();
+  assert.deepEqual(probed, [A], 'open breaker waits for its cooldown');
+});
+
+test('probes do not count as use, so an idle proxy is probed on every run', async () => {
+  const manager = createManager();
+  manager.setProbeUrl('https://www.amazon.com/dp/B000000001');
+  const probed = [];
+  await manager.initializeHealthProbes(async (proxy, url) => {
+    probed.push([proxy, url]);
+    manager.recordAttempt(proxy, true, 700, { probe: true });
+  });
+
+  await manager.runHealthProbes();
+  await manager.runHealthProbes();
+  assert.equal(probed.filter(([proxy]) => proxy === A).length, 2);
+  assert.ok(probed.every(([, url]) => url === 'https://www.amazon.com/dp/B000000001'));
+  assert.equal(manager.stats.get(A).lastUsed, 0);
+  assert.ok(manager.stats.get(A).lastProbeAt > 0);
+});
+
+test('disabled proxies keep their stats and are never handed out', () => {
+  const manager = createManager();
+  manager.recordAttempt(A, true, 500);
+  manager.setProxyEnabled(A, false);
+  assert.deepEqual(manager.getOptimizedProxyList(), [B]);
+
+  manager.setProxies([{ url: A, enabled: false }, { url: B }]);
+  assert.ok(manager.stats.get(A).successes > 0.99, 'stats kept (decay may have shaved a fraction)');
+
+  manager.setProxyEnabled(A, true);
+  assert.ok(manager.getOptimizedProxyList().includes(A));
+});
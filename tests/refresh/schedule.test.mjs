@@ -0,0 +1,70 @@
+/**
+ * Scheduled refresh tests
+ *
+ * ScheduledRefreshService over chrome.alarms / chrome.storage stand-ins: the
+ * schedule must survive a service worker stopped in the middle of a run.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ScheduledRefreshService, REFRESH_ALARM_NAME } from '../../background/services/ScheduledRefreshService.js';
+
+function installChrome() {
+  const alarms = new Map();
+  const store = {};
+  globalThis.chrome = {
+    alarms: {
+      async create(name, info) { alarms.set(name, { name, scheduledTime: info.when }); },
+      async get(name) { return alarms.get(name); },
+      async clear(name) { return alarms.delete(name); }
+    },
+    storage: {
+      local: {
+        async get(keys) { return Object.fromEntries(keys.filter(k => k in store).map(k => [k, structuredClone(store[k])])); },
+        async set(items) { Object.assign(store, structuredClone(items)); }
+      }
+    }
+  };
+  return { alarms, store };
+}
+
+const book = (asin) => ({ key: asin, book: { asin, amazonUrl: `https://www.amazon.co.jp/dp/${asin}`, currentReviews: 10 } });
+
+test('the next alarm is armed before any book is fetched', async () => {
+  const { alarms, store } = installChrome();
+  const armedAtFetch = [];
+  const scraping = {
+    async fetchBookData() {
+      armedAtFetch.push(alarms.has(REFRESH_ALARM_NAME));
+      throw new Error('proxy race lost');
+    }
+  };
+  const library = {
+    async listTrackedBooks() { return [book('B0CKINDLE1')]; },
+    async getSelectedBook() { return null; }
+  };
+
+  await new ScheduledRefreshService(scraping, library).handleAlarm({ name: REFRESH_ALARM_NAME });
+
+  assert.deepEqual(armedAtFetch, [true]);
+  assert.ok(alarms.get(REFRESH_ALARM_NAME).scheduledTime > Date.now());
+  assert.equal(store.refreshState.books.B0CKINDLE1.failures, 1);
+});
+
+test('per-book state is stored as soon as that book is done', async () => {
+  const { store } = installChrome();
+  const service = new ScheduledRefreshService({
+    async fetchBookData() { throw new Error('blocked'); }
+  }, {
+    async listTrackedBooks() { return [book('B0CKINDLE1'), book('B0OTHERBK1')]; },
+    async getSelectedBook() { return null; }
+  });
+  // The worker is stopped while waiting before the second book
+  let stateDuringPause = null;
+  service.delay = async () => { stateDuringPause = structuredClone(store.refreshState); throw new Error('worker stopped'); };
+
+  await assert.rejects(service.refreshAll(), /worker stopped/);
+  assert.equal(stateDuringPause.books.B0CKINDLE1.failures, 1);
+  assert.equal(store.refreshState.books.B0CKINDLE1.failures, 1);
+});